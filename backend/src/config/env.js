@@ -9,18 +9,70 @@ export const config = {
     awsRegion: process.env.MRMS_S3_REGION || 'us-east-1',
     region: process.env.MRMS_REGION || 'CONUS',
     product: process.env.MRMS_PRODUCT || 'ReflectivityAtLowestAltitude_00.50',
+    products: (process.env.MRMS_PRODUCTS || '')
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean),
     maxDataAgeMinutes: Number.parseInt(process.env.MRMS_MAX_DATA_AGE_MINUTES || '20', 10),
+    // Optional S3-compatible endpoint (e.g. MinIO holding fixture GRIBs); such stores usually need
+    // path-style URLs, so that defaults on whenever an endpoint is set
+    endpoint: process.env.MRMS_S3_ENDPOINT || '',
+    forcePathStyle: (process.env.MRMS_S3_FORCE_PATH_STYLE || String(Boolean(process.env.MRMS_S3_ENDPOINT))) === 'true',
   },
   cacheTtlMs: Number.parseInt(process.env.CACHE_TTL_MS || `${FIVE_MINUTES_IN_MS}`, 10),
+  cache: {
+    maxBytes: Math.floor(Number.parseFloat(process.env.CACHE_MAX_MB || '512') * 1024 * 1024),
+    // How long an expired entry can still be served while it is rebuilt
+    staleTtlMs: Number.parseInt(process.env.CACHE_STALE_TTL_MS || `${2 * FIVE_MINUTES_IN_MS}`, 10),
+    sweepIntervalMs: Number.parseInt(process.env.CACHE_SWEEP_INTERVAL_MS || '60000', 10),
+    // 'memory' keeps everything in this process; 'filesystem' shares built frames and build locks
+    // through CACHE_SHARED_DIR so replicas build each frame once
+    driver: (process.env.CACHE_DRIVER || 'memory').trim().toLowerCase(),
+    sharedDir: process.env.CACHE_SHARED_DIR || '',
+    buildLockTtlMs: Number.parseInt(process.env.CACHE_BUILD_LOCK_TTL_MS || '120000', 10),
+  },
   logLevel: process.env.LOG_LEVEL || 'info',
   pythonExecutable: process.env.PYTHON_EXECUTABLE || 'python3',
+  // 'native' decodes GRIB2 in-process; 'python' shells out to workers/grib_processor.py
+  gribDecoder: (process.env.GRIB_DECODER || 'native').trim().toLowerCase(),
   warmupOnStart: process.env.RADAR_WARMUP_ON_START !== 'false',
   refreshIntervalMs: Number.parseInt(process.env.RADAR_REFRESH_INTERVAL_MS || '60000', 10),
   cachePersistDir: process.env.CACHE_PERSIST_DIR || '',
+  // gzip (default), zstd (Node 22.15+) or none for persisted grids
+  cachePersistCompression: process.env.CACHE_PERSIST_COMPRESSION || 'gzip',
+  cells: {
+    thresholdDbz: Number.parseFloat(process.env.CELL_THRESHOLD_DBZ || '40'),
+    minAreaKm2: Number.parseFloat(process.env.CELL_MIN_AREA_KM2 || '20'),
+  },
+  alerts: {
+    thresholdDbz: Number.parseFloat(process.env.ALERT_THRESHOLD_DBZ || '40'),
+    hysteresisDbz: Number.parseFloat(process.env.ALERT_HYSTERESIS_DBZ || '5'),
+  },
+  webhooks: {
+    maxAttempts: Number.parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+    retryBaseMs: Number.parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '2000', 10),
+    timeoutMs: Number.parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10),
+    // Loopback, private and link-local targets are refused unless this is set (e.g. for a receiver on
+    // the same host or network)
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true',
+  },
+  archive: {
+    maxFrames: Number.parseInt(process.env.RADAR_ARCHIVE_MAX_FRAMES || '12', 10),
+    maxAgeMinutes: Number.parseInt(process.env.RADAR_ARCHIVE_MAX_AGE_MINUTES || '60', 10),
+  },
+  history: {
+    // Frames fetched for /at and admin backfills, kept apart from the rolling archive
+    maxFrames: Number.parseInt(process.env.RADAR_HISTORY_MAX_FRAMES || '500', 10),
+    toleranceMinutes: Number.parseFloat(process.env.RADAR_HISTORY_TOLERANCE_MINUTES || '5'),
+  },
   mongo: {
     uri: process.env.MONGO_URI || 'mongodb://localhost:27017',
     dbName: process.env.MONGO_DB || 'radar',
     requestLogCollection: process.env.MONGO_REQUEST_LOG_COLLECTION || 'requestLogs',
     userCollection: process.env.MONGO_USER_COLLECTION || 'users',
+    alertAreaCollection: process.env.MONGO_ALERT_AREA_COLLECTION || 'alertAreas',
+    alertEventCollection: process.env.MONGO_ALERT_EVENT_COLLECTION || 'alertEvents',
+    webhookCollection: process.env.MONGO_WEBHOOK_COLLECTION || 'webhooks',
+    webhookDeliveryCollection: process.env.MONGO_WEBHOOK_DELIVERY_COLLECTION || 'webhookDeliveries',
   },
 };
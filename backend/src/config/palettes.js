@@ -0,0 +1,116 @@
+// Colour tables for the radar overlays and legend. Palettes are defined once here and rendered by
+// rasterService, served by /api/radar/palettes, and drawn by the frontend Legend from the same stops.
+//
+// Stops sit at normalised positions (0–1) along a product's value domain, so one palette works for
+// every product. Each domain lists breakpoints in product units; breakpoint i maps to position
+// i / (n - 1) and values are interpolated linearly in between. Values below the first breakpoint are
+// transparent; values above the last clamp to position 1.
+
+export const PALETTE_MODES = ['step', 'gradient'];
+
+export const VALUE_DOMAINS = {
+  reflectivity: [5, 15, 25, 35, 45, 55, 65, 75],
+  precipRate: [0.1, 1, 2.5, 5, 10, 25, 50, 100],
+  mesh: [2, 10, 20, 30, 40, 50, 60, 75],
+  echoTop: [1, 3, 5, 7, 9, 11, 13, 15],
+  vil: [1, 5, 10, 15, 20, 30, 40, 60],
+  qpe: [0.25, 2.5, 5, 10, 25, 50, 75, 100],
+};
+
+function evenlySpaced(colors) {
+  return colors.map((rgba, index) => ({ position: index / (colors.length - 1), rgba }));
+}
+
+const PALETTES = [
+  {
+    id: 'classic',
+    label: 'Classic',
+    description: 'The dashboard’s original blue-to-red ramp',
+    mode: 'step',
+    stops: evenlySpaced([
+      [26, 72, 171, 120],
+      [40, 113, 203, 150],
+      [29, 149, 197, 165],
+      [33, 171, 144, 185],
+      [144, 202, 94, 210],
+      [233, 186, 63, 230],
+      [220, 94, 36, 240],
+      [180, 36, 36, 255],
+    ]),
+  },
+  {
+    // On the reflectivity domain each stop lands on a 5 dBZ boundary, matching the NWS table.
+    id: 'nws',
+    label: 'NWS Reflectivity',
+    description: 'National Weather Service standard reflectivity colours in 5 dBZ bands',
+    mode: 'step',
+    stops: evenlySpaced([
+      [4, 233, 231, 255],
+      [1, 159, 244, 255],
+      [3, 0, 244, 255],
+      [2, 253, 2, 255],
+      [1, 197, 1, 255],
+      [0, 142, 0, 255],
+      [253, 248, 2, 255],
+      [229, 188, 0, 255],
+      [253, 149, 0, 255],
+      [253, 0, 0, 255],
+      [212, 0, 0, 255],
+      [188, 0, 0, 255],
+      [248, 0, 253, 255],
+      [152, 84, 198, 255],
+      [253, 253, 253, 255],
+    ]),
+  },
+  {
+    id: 'colorblind',
+    label: 'Colour-blind safe',
+    description: 'Perceptually uniform viridis ramp, readable with common colour-vision deficiencies',
+    mode: 'gradient',
+    stops: evenlySpaced([
+      [68, 1, 84, 200],
+      [59, 82, 139, 215],
+      [33, 145, 140, 230],
+      [94, 201, 98, 240],
+      [253, 231, 37, 255],
+    ]),
+  },
+  {
+    id: 'grayscale',
+    label: 'Grayscale',
+    description: 'Light-to-dark ramp for print and monochrome displays',
+    mode: 'gradient',
+    stops: evenlySpaced([
+      [220, 220, 220, 160],
+      [20, 20, 20, 255],
+    ]),
+  },
+];
+
+export const DEFAULT_PALETTE_ID = 'classic';
+
+export function getPalettes() {
+  return PALETTES;
+}
+
+export function findPalette(id) {
+  const key = (id ?? '').trim().toLowerCase();
+  return PALETTES.find((palette) => palette.id === key) ?? null;
+}
+
+export function getDefaultPalette() {
+  return findPalette(DEFAULT_PALETTE_ID);
+}
+
+export function getValueDomain(name) {
+  return VALUE_DOMAINS[name] ?? VALUE_DOMAINS.reflectivity;
+}
+
+// Band edges for vector tiles: every breakpoint plus the midpoint after it, which is fine enough for
+// any palette's steps to start on a band edge (for reflectivity, 5 dBZ bands from 5 to 75 dBZ).
+export function getBandLevels(name) {
+  const domain = getValueDomain(name);
+  return domain.flatMap((value, index) =>
+    index < domain.length - 1 ? [value, (value + domain[index + 1]) / 2] : [value]
+  );
+}
@@ -0,0 +1,178 @@
+import { config } from './env.js';
+
+// S3 prefix templates are expanded by mrmsService; {region} and {product} are substituted per product.
+const NOAA_PREFIX_TEMPLATES = ['{region}/{product}'];
+const LEGACY_PREFIX_TEMPLATES = [
+  '{region}/{product}',
+  '{product}',
+  '{product}/{region}',
+  'prod/{region}/{product}',
+  'prod/{product}/{region}',
+  'prod/{product}',
+];
+
+// `thresholds` are the default levels point-history summaries report time above and contour bands are
+// drawn at, `cellThreshold` the level storm cells are outlined at, and `alertThreshold`/`alertHysteresis`
+// the defaults for area alerts (an alert clears once values drop the hysteresis below the threshold), all
+// in product units.
+const PRODUCT_REGISTRY = [
+  {
+    id: 'ReflectivityAtLowestAltitude',
+    label: 'Reflectivity at Lowest Altitude',
+    s3Product: 'ReflectivityAtLowestAltitude_00.50',
+    units: 'dBZ',
+    colorScale: 'reflectivity',
+    thresholds: [20, 40, 50],
+    cellThreshold: config.cells.thresholdDbz,
+    alertThreshold: config.alerts.thresholdDbz,
+    alertHysteresis: config.alerts.hysteresisDbz,
+    description: 'Lowest-altitude radar reflectivity mosaic',
+  },
+  {
+    id: 'MergedReflectivityQCComposite',
+    label: 'Composite Reflectivity',
+    s3Product: 'MergedReflectivityQCComposite_00.50',
+    units: 'dBZ',
+    colorScale: 'reflectivity',
+    thresholds: [20, 40, 50],
+    cellThreshold: config.cells.thresholdDbz,
+    alertThreshold: config.alerts.thresholdDbz,
+    alertHysteresis: config.alerts.hysteresisDbz,
+    description: 'Quality-controlled column-maximum reflectivity',
+  },
+  {
+    id: 'PrecipRate',
+    label: 'Precipitation Rate',
+    s3Product: 'PrecipRate_00.00',
+    units: 'mm/hr',
+    colorScale: 'precipRate',
+    thresholds: [2.5, 10, 50],
+    cellThreshold: 10,
+    alertThreshold: 10,
+    alertHysteresis: 2.5,
+    description: 'Instantaneous surface precipitation rate',
+  },
+  {
+    id: 'MESH',
+    label: 'Maximum Estimated Size of Hail',
+    s3Product: 'MESH_00.50',
+    units: 'mm',
+    colorScale: 'mesh',
+    thresholds: [20, 25, 50],
+    cellThreshold: 20,
+    alertThreshold: 20,
+    alertHysteresis: 5,
+    description: 'Estimated maximum hail diameter',
+  },
+  {
+    id: 'EchoTop_18',
+    label: '18 dBZ Echo Top',
+    s3Product: 'EchoTop_18_00.50',
+    units: 'km',
+    colorScale: 'echoTop',
+    thresholds: [6, 10, 14],
+    cellThreshold: 10,
+    alertThreshold: 10,
+    alertHysteresis: 1,
+    description: 'Height of the 18 dBZ echo above sea level',
+  },
+  {
+    id: 'VIL',
+    label: 'Vertically Integrated Liquid',
+    s3Product: 'VIL_00.50',
+    units: 'kg/m²',
+    colorScale: 'vil',
+    thresholds: [10, 20, 40],
+    cellThreshold: 20,
+    alertThreshold: 20,
+    alertHysteresis: 5,
+    description: 'Vertically integrated liquid water content',
+  },
+  {
+    id: 'RadarOnly_QPE_01H',
+    label: 'Radar-only QPE (1 h)',
+    s3Product: 'RadarOnly_QPE_01H_00.00',
+    units: 'mm',
+    colorScale: 'qpe',
+    thresholds: [2.5, 10, 25],
+    cellThreshold: 25,
+    alertThreshold: 25,
+    alertHysteresis: 5,
+    description: 'Radar-derived precipitation accumulation over the past hour',
+  },
+].map((product) => ({ prefixTemplates: NOAA_PREFIX_TEMPLATES, ...product }));
+
+function normaliseProductKey(value) {
+  return (value ?? '').trim().toLowerCase();
+}
+
+function findRegisteredProduct(value) {
+  const key = normaliseProductKey(value);
+  if (!key) {
+    return null;
+  }
+
+  return PRODUCT_REGISTRY.find(
+    (product) => normaliseProductKey(product.id) === key || normaliseProductKey(product.s3Product) === key
+  ) ?? null;
+}
+
+// MRMS_PRODUCT may name a product outside the registry (e.g. a custom S3 layout); serve it with the
+// broad legacy prefix search and the reflectivity colour scale.
+function buildCustomProduct(s3Product) {
+  const id = s3Product.replace(/[^A-Za-z0-9_.-]+/g, '_');
+  return {
+    id,
+    label: s3Product,
+    s3Product,
+    units: 'dBZ',
+    colorScale: 'reflectivity',
+    thresholds: [20, 40, 50],
+    cellThreshold: config.cells.thresholdDbz,
+    alertThreshold: config.alerts.thresholdDbz,
+    alertHysteresis: config.alerts.hysteresisDbz,
+    description: 'Custom MRMS product configured via MRMS_PRODUCT',
+    prefixTemplates: LEGACY_PREFIX_TEMPLATES,
+  };
+}
+
+const defaultProduct = findRegisteredProduct(config.mrms.product) ?? buildCustomProduct(config.mrms.product.trim());
+
+const enabledProducts = (() => {
+  const products = [defaultProduct];
+
+  for (const value of config.mrms.products) {
+    const product = findRegisteredProduct(value);
+    if (product && !products.some((existing) => existing.id === product.id)) {
+      products.push(product);
+    }
+  }
+
+  return products;
+})();
+
+export function getDefaultProduct() {
+  return defaultProduct;
+}
+
+export function getEnabledProducts() {
+  return enabledProducts;
+}
+
+export function findEnabledProduct(value) {
+  const key = normaliseProductKey(value);
+  return enabledProducts.find(
+    (product) => normaliseProductKey(product.id) === key || normaliseProductKey(product.s3Product) === key
+  ) ?? null;
+}
+
+// The public view of a product, embedded in metadata and feature responses.
+export function describeProduct(product) {
+  return {
+    id: product.id,
+    label: product.label,
+    units: product.units,
+    description: product.description,
+    thresholds: product.thresholds,
+  };
+}
@@ -7,6 +7,7 @@ import {
   fetchUserLeaderboard,
   purgeOldLogs,
 } from '../services/analyticsService.js';
+import { getCacheStats } from '../services/cacheService.js';
 
 export async function getRequestMetrics(req, res) {
   const sinceMinutes = req.query.sinceMinutes ? Number(req.query.sinceMinutes) : undefined;
@@ -45,3 +46,7 @@ export async function deleteOldRequestLogs(req, res) {
   const result = await purgeOldLogs({ olderThanMinutes });
   res.json(result);
 }
+
+export async function getCacheStatistics(_req, res) {
+  res.json(getCacheStats());
+}
@@ -0,0 +1,32 @@
+import {
+  createAlertArea,
+  deleteAlertArea,
+  listAlertAreas,
+  listAlertEvents,
+} from '../services/alertService.js';
+
+export async function getAlertAreas(req, res) {
+  const product = typeof req.query.product === 'string' ? req.query.product : undefined;
+  const results = await listAlertAreas({ product });
+  res.json({ results });
+}
+
+export async function postAlertArea(req, res) {
+  const area = await createAlertArea(req.body);
+  res.status(201).json(area);
+}
+
+export async function removeAlertArea(req, res) {
+  const result = await deleteAlertArea(req.params.id);
+  res.json(result);
+}
+
+export async function getAlertEvents(req, res) {
+  const limit = req.query.limit ? Number(req.query.limit) : undefined;
+  const sinceMinutes = req.query.sinceMinutes ? Number(req.query.sinceMinutes) : undefined;
+  const areaId = typeof req.query.areaId === 'string' ? req.query.areaId : undefined;
+  const product = typeof req.query.product === 'string' ? req.query.product : undefined;
+  const active = req.query.active === 'true';
+  const results = await listAlertEvents({ limit, sinceMinutes, areaId, product, active });
+  res.json({ results });
+}
@@ -0,0 +1,23 @@
+import {
+  cancelBackfillJob,
+  createBackfillJob,
+  getBackfillJob,
+  listBackfillJobs,
+} from '../services/backfillService.js';
+
+export async function getBackfillJobs(_req, res) {
+  res.json({ results: listBackfillJobs() });
+}
+
+export async function postBackfillJob(req, res) {
+  const job = createBackfillJob(req.body);
+  res.status(202).json(job);
+}
+
+export async function getBackfillJobStatus(req, res) {
+  res.json(getBackfillJob(req.params.id));
+}
+
+export async function removeBackfillJob(req, res) {
+  res.json(cancelBackfillJob(req.params.id));
+}
@@ -0,0 +1,18 @@
+import { createCase, deleteCase, getCaseSummary, listCaseSummaries } from '../services/caseBuildService.js';
+
+export async function getCases(_req, res) {
+  res.json({ results: listCaseSummaries() });
+}
+
+export async function postCase(req, res) {
+  const summary = await createCase(req.body);
+  res.status(202).json(summary);
+}
+
+export async function getCase(req, res) {
+  res.json(getCaseSummary(req.params.id));
+}
+
+export async function removeCase(req, res) {
+  res.json(await deleteCase(req.params.id));
+}
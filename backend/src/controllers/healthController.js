@@ -0,0 +1,25 @@
+import { getPipelineStatus } from '../services/radarService.js';
+
+export async function getLiveness(_req, res) {
+  res.json({ status: 'ok' });
+}
+
+// 503 while any product's data is missing or older than MRMS_MAX_DATA_AGE_MINUTES, so orchestrators
+// can hold traffic or restart the instance.
+export async function getReadiness(_req, res) {
+  const { ready, checkedAt, maxDataAgeMinutes, products, mongo } = await getPipelineStatus();
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    checkedAt,
+    maxDataAgeMinutes,
+    products: products.map(({ product, status, dataTimestamp, dataAgeMinutes, consecutiveFailures, lastError }) => ({
+      product,
+      status,
+      dataTimestamp,
+      dataAgeMinutes,
+      consecutiveFailures,
+      lastError: lastError?.message ?? null,
+    })),
+    mongo: { connected: mongo.connected },
+  });
+}
@@ -0,0 +1,6 @@
+import { METRICS_CONTENT_TYPE, renderMetrics } from '../utils/metrics.js';
+
+export async function getMetrics(_req, res) {
+  res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(await renderMetrics());
+}
@@ -1,23 +1,29 @@
+import { getCaseFrames, resolveCaseFrame } from '../services/caseService.js';
+import { getLatestCells } from '../services/cellService.js';
+import { getFrameContours } from '../services/contourService.js';
+import { getFrameGeoTiff } from '../services/geotiffService.js';
+import { describeFrameGrid, getFrameGridData } from '../services/gridSubsetService.js';
+import { getNowcast, resolveNowcastFrame } from '../services/nowcastService.js';
 import {
-  getLatestGridBinary,
-  getLatestGridMetadata,
+  getArchivedFrames,
+  getFrameAt,
+  getHistoricalFrames,
   getLatestMetadata,
-  getLatestTile,
+  getPipelineStatus,
+  listProducts,
+  openRadarStream,
+  resolveArchivedFrame,
+  resolveLatestFrame,
 } from '../services/radarService.js';
+import { getFrameMercatorTile, getFrameOverlay, getLegend, listPalettes } from '../services/rasterService.js';
+import { getPointHistory, sampleLatestPoint, sampleLatestPoints } from '../services/samplingService.js';
+import { encodeFrameVectorTile, VECTOR_TILE_CONTENT_TYPE } from '../services/vectorTileService.js';
 
-export async function getLatest(_req, res) {
-  const metadata = await getLatestMetadata();
-  res.json(metadata);
-}
-
-export async function getTile(req, res) {
-  const [buffer, metadata] = await Promise.all([
-    getLatestTile(),
-    getLatestMetadata(),
-  ]);
+const LATEST_TILE_CACHE_CONTROL = 'public, max-age=60, must-revalidate, stale-while-revalidate=60';
+const ARCHIVED_FRAME_CACHE_CONTROL = 'public, max-age=86400, immutable';
 
-  const timestamp = metadata?.timestamp ? new Date(metadata.timestamp) : null;
-  const etag = `W/"tile-${metadata?.timestamp || 'unknown'}-${buffer.length}"`;
+function sendPng(req, res, buffer, { timestamp, etag, cacheControl }) {
+  const lastModified = timestamp ? new Date(timestamp) : null;
 
   // Normalize ETag header value (curl example shows missing quotes due to incorrect escaping)
   const ifNoneMatch = req.headers['if-none-match'];
@@ -27,21 +33,333 @@ export async function getTile(req, res) {
   }
 
   res.setHeader('Content-Type', 'image/png');
-  if (timestamp) {
-    res.setHeader('Last-Modified', timestamp.toUTCString());
+  if (lastModified && !Number.isNaN(lastModified.getTime())) {
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+  }
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', cacheControl);
+  res.send(buffer);
+}
+
+function sendVectorTile(req, res, buffer, { etag, cacheControl }) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch && ifNoneMatch.replace(/\\"/g, '"') === etag) {
+    res.status(304).end();
+    return;
   }
+
+  res.setHeader('Content-Type', VECTOR_TILE_CONTENT_TYPE);
   res.setHeader('ETag', etag);
-  res.setHeader('Cache-Control', 'public, max-age=60, must-revalidate, stale-while-revalidate=60');
+  res.setHeader('Cache-Control', cacheControl);
+  res.send(buffer);
+}
+
+// Supports single byte-range requests so GDAL and rasterio can read a COG over HTTP (/vsicurl/)
+// without downloading the whole file.
+function sendGeoTiff(req, res, buffer, { filename, etag, cacheControl }) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch && ifNoneMatch.replace(/\\"/g, '"') === etag) {
+    res.status(304).end();
+    return;
+  }
+
+  res.setHeader('Content-Type', 'image/tiff; application=geotiff; profile=cloud-optimized');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', cacheControl);
+
+  const ranges = req.headers.range ? req.range(buffer.length) : null;
+  if (ranges === -1) {
+    res.setHeader('Content-Range', `bytes */${buffer.length}`);
+    res.status(416).end();
+    return;
+  }
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    const [{ start, end }] = ranges;
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${buffer.length}`);
+    res.send(buffer.subarray(start, end + 1));
+    return;
+  }
+
+  res.send(buffer);
+}
+
+export async function getProducts(_req, res) {
+  res.json({ products: listProducts() });
+}
+
+export async function getStatus(_req, res) {
+  res.json(await getPipelineStatus());
+}
+
+export async function getPalettes(_req, res) {
+  res.json(listPalettes());
+}
+
+export async function getProductLegend(req, res) {
+  res.json(getLegend(req.product, req.query));
+}
+
+export async function getLatest(req, res) {
+  const metadata = await getLatestMetadata(req.product);
+  res.json(metadata);
+}
+
+// Serves the previous frame while a rebuild runs rather than holding the request until it finishes.
+export async function getTile(req, res) {
+  const frame = await resolveLatestFrame(req.product, { allowStale: true });
+  const { buffer, paletteKey } = await getFrameOverlay(req.product, frame, req.query);
+
+  sendPng(req, res, buffer, {
+    timestamp: frame.metadata.timestamp,
+    etag: `W/"tile-${req.product.id}-${frame.metadata.timestamp || 'unknown'}-${paletteKey}-${buffer.length}"`,
+    cacheControl: LATEST_TILE_CACHE_CONTROL,
+  });
+}
+
+export async function getXyzTile(req, res) {
+  const frame = await resolveLatestFrame(req.product);
+  const { buffer, coords, paletteKey } = await getFrameMercatorTile(req.product, frame, req.params, req.query);
+  const { timestamp } = frame.metadata;
+
+  sendPng(req, res, buffer, {
+    timestamp,
+    etag: `W/"xyz-${req.product.id}-${timestamp || 'unknown'}-${paletteKey}-${coords.z}-${coords.x}-${coords.y}"`,
+    cacheControl: LATEST_TILE_CACHE_CONTROL,
+  });
+}
+
+export async function getVectorTile(req, res) {
+  const frame = await resolveLatestFrame(req.product);
+  const { buffer, coords } = encodeFrameVectorTile(req.product, frame, req.params);
+  sendVectorTile(req, res, buffer, {
+    etag: `W/"vt-${req.product.id}-${frame.metadata.timestamp || 'unknown'}-${coords.z}-${coords.x}-${coords.y}"`,
+    cacheControl: LATEST_TILE_CACHE_CONTROL,
+  });
+}
+
+export async function getGrid(req, res) {
+  const frame = await resolveLatestFrame(req.product);
+  res.json(describeFrameGrid(req.product, frame, req.query));
+}
+
+export async function getGridBinary(req, res) {
+  const frame = await resolveLatestFrame(req.product);
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.send(getFrameGridData(req.product, frame, req.query));
+}
+
+export async function getGridGeoTiff(req, res) {
+  const frame = await resolveLatestFrame(req.product);
+  const buffer = await getFrameGeoTiff(req.product, frame, req.query);
+  sendGeoTiff(req, res, buffer, {
+    filename: `${req.product.id}-${frame.id}.tif`,
+    etag: `"geotiff-${req.product.id}-${frame.id}-${buffer.length}"`,
+    cacheControl: LATEST_TILE_CACHE_CONTROL,
+  });
+}
+
+export function getStream(req, res) {
+  openRadarStream(req.product, req, res);
+}
+
+export async function getCells(req, res) {
+  const latest = await resolveLatestFrame(req.product);
+  res.json(getLatestCells(req.product, latest, req.query));
+}
+
+export async function getContours(req, res) {
+  const frame = await resolveLatestFrame(req.product);
+  res.type('application/geo+json');
+  res.send(JSON.stringify(getFrameContours(req.product, frame, req.query)));
+}
+
+export async function getPoint(req, res) {
+  const latest = await resolveLatestFrame(req.product);
+  res.json(sampleLatestPoint(req.product, latest, req.query));
+}
+
+export async function getPointHistoryForLocation(req, res) {
+  res.json(await getPointHistory(req.product, req.query));
+}
+
+export async function postPoints(req, res) {
+  const latest = await resolveLatestFrame(req.product);
+  res.json(sampleLatestPoints(req.product, latest, req.body));
+}
+
+export async function getFrames(req, res) {
+  const limit = req.query.limit ? Number(req.query.limit) : undefined;
+  res.json(getArchivedFrames(req.product, { limit }));
+}
+
+export async function getFrameAtTime(req, res) {
+  res.json(await getFrameAt(req.product, req.query));
+}
+
+export async function getHistory(req, res) {
+  res.json(getHistoricalFrames(req.product));
+}
+
+export async function getFrame(req, res) {
+  res.json((await resolveArchivedFrame(req.product, req.params.timestamp)).metadata);
+}
+
+export async function getFrameTile(req, res) {
+  const frame = await resolveArchivedFrame(req.product, req.params.timestamp);
+  const { buffer, paletteKey } = await getFrameOverlay(req.product, frame, req.query);
+
+  sendPng(req, res, buffer, {
+    timestamp: frame.metadata.timestamp,
+    etag: `W/"frame-${req.product.id}-${frame.id}-${paletteKey}-${buffer.length}"`,
+    cacheControl: ARCHIVED_FRAME_CACHE_CONTROL,
+  });
+}
+
+export async function getFrameXyzTile(req, res) {
+  const frame = await resolveArchivedFrame(req.product, req.params.timestamp);
+  const { buffer, coords, paletteKey } = await getFrameMercatorTile(req.product, frame, req.params, req.query);
+
+  sendPng(req, res, buffer, {
+    timestamp: frame.metadata.timestamp,
+    etag: `W/"xyz-${req.product.id}-${frame.id}-${paletteKey}-${coords.z}-${coords.x}-${coords.y}"`,
+    cacheControl: ARCHIVED_FRAME_CACHE_CONTROL,
+  });
+}
+
+export async function getFrameVectorTile(req, res) {
+  const frame = await resolveArchivedFrame(req.product, req.params.timestamp);
+  const { buffer, coords } = encodeFrameVectorTile(req.product, frame, req.params);
+  sendVectorTile(req, res, buffer, {
+    etag: `W/"frame-vt-${req.product.id}-${frame.id}-${coords.z}-${coords.x}-${coords.y}"`,
+    cacheControl: ARCHIVED_FRAME_CACHE_CONTROL,
+  });
+}
+
+export async function getFrameGrid(req, res) {
+  const frame = await resolveArchivedFrame(req.product, req.params.timestamp);
+  res.json(describeFrameGrid(req.product, frame, req.query));
+}
+
+export async function getFrameGridBinary(req, res) {
+  const frame = await resolveArchivedFrame(req.product, req.params.timestamp);
+  const buffer = getFrameGridData(req.product, frame, req.query);
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('Cache-Control', ARCHIVED_FRAME_CACHE_CONTROL);
   res.send(buffer);
 }
 
-export async function getGrid(_req, res) {
-  const grid = await getLatestGridMetadata();
-  res.json(grid);
+export async function getFrameGridGeoTiff(req, res) {
+  const frame = await resolveArchivedFrame(req.product, req.params.timestamp);
+  const buffer = await getFrameGeoTiff(req.product, frame, req.query);
+  sendGeoTiff(req, res, buffer, {
+    filename: `${req.product.id}-${frame.id}.tif`,
+    etag: `"geotiff-${req.product.id}-${frame.id}-${buffer.length}"`,
+    cacheControl: ARCHIVED_FRAME_CACHE_CONTROL,
+  });
 }
 
-export async function getGridBinary(_req, res) {
-  const buffer = await getLatestGridBinary();
+// Case frames are immutable like archived ones; :id is the case and :timestamp the frame.
+export async function getCaseFrameList(req, res) {
+  res.json(getCaseFrames(req.params.id));
+}
+
+export async function getCaseFrame(req, res) {
+  res.json((await resolveCaseFrame(req.params.id, req.params.timestamp)).frame.metadata);
+}
+
+export async function getCaseFrameImage(req, res) {
+  const { product, frame } = await resolveCaseFrame(req.params.id, req.params.timestamp);
+  const { buffer, paletteKey } = await getFrameOverlay(product, frame, req.query);
+
+  sendPng(req, res, buffer, {
+    timestamp: frame.metadata.timestamp,
+    etag: `W/"case-${req.params.id}-${frame.id}-${paletteKey}-${buffer.length}"`,
+    cacheControl: ARCHIVED_FRAME_CACHE_CONTROL,
+  });
+}
+
+export async function getCaseFrameXyzTile(req, res) {
+  const { product, frame } = await resolveCaseFrame(req.params.id, req.params.timestamp);
+  const { buffer, coords, paletteKey } = await getFrameMercatorTile(product, frame, req.params, req.query);
+
+  sendPng(req, res, buffer, {
+    timestamp: frame.metadata.timestamp,
+    etag: `W/"case-xyz-${req.params.id}-${frame.id}-${paletteKey}-${coords.z}-${coords.x}-${coords.y}"`,
+    cacheControl: ARCHIVED_FRAME_CACHE_CONTROL,
+  });
+}
+
+export async function getCaseFrameVt(req, res) {
+  const { product, frame } = await resolveCaseFrame(req.params.id, req.params.timestamp);
+  const { buffer, coords } = encodeFrameVectorTile(product, frame, req.params);
+  sendVectorTile(req, res, buffer, {
+    etag: `W/"case-vt-${req.params.id}-${frame.id}-${coords.z}-${coords.x}-${coords.y}"`,
+    cacheControl: ARCHIVED_FRAME_CACHE_CONTROL,
+  });
+}
+
+export async function getCaseFrameGrid(req, res) {
+  const { product, frame } = await resolveCaseFrame(req.params.id, req.params.timestamp);
+  res.json(describeFrameGrid(product, frame, req.query));
+}
+
+export async function getCaseFrameGridData(req, res) {
+  const { product, frame } = await resolveCaseFrame(req.params.id, req.params.timestamp);
+  const buffer = getFrameGridData(product, frame, req.query);
   res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('Cache-Control', ARCHIVED_FRAME_CACHE_CONTROL);
   res.send(buffer);
 }
+
+// Nowcast frames are extrapolated from the latest frame, so they expire with it.
+async function resolveNowcast(req) {
+  const latest = await resolveLatestFrame(req.product);
+  return resolveNowcastFrame(req.product, latest, req.params.minutes);
+}
+
+export async function getNowcastLeads(req, res) {
+  const latest = await resolveLatestFrame(req.product);
+  res.json(await getNowcast(req.product, latest));
+}
+
+export async function getNowcastFrame(req, res) {
+  res.json((await resolveNowcast(req)).metadata);
+}
+
+export async function getNowcastFrameTile(req, res) {
+  const frame = await resolveNowcast(req);
+  const { buffer, paletteKey } = await getFrameOverlay(req.product, frame, req.query);
+  const { baseTimestamp, leadMinutes } = frame.metadata.forecast;
+
+  sendPng(req, res, buffer, {
+    timestamp: baseTimestamp,
+    etag: `W/"nowcast-${req.product.id}-${baseTimestamp}-${leadMinutes}-${paletteKey}-${buffer.length}"`,
+    cacheControl: LATEST_TILE_CACHE_CONTROL,
+  });
+}
+
+export async function getNowcastFrameXyzTile(req, res) {
+  const frame = await resolveNowcast(req);
+  const { buffer, coords, paletteKey } = await getFrameMercatorTile(req.product, frame, req.params, req.query);
+  const { baseTimestamp, leadMinutes } = frame.metadata.forecast;
+
+  sendPng(req, res, buffer, {
+    timestamp: baseTimestamp,
+    etag: `W/"nowcast-${req.product.id}-${baseTimestamp}-${leadMinutes}-${paletteKey}-${coords.z}-${coords.x}-${coords.y}"`,
+    cacheControl: LATEST_TILE_CACHE_CONTROL,
+  });
+}
+
+export async function getNowcastFrameGrid(req, res) {
+  const frame = await resolveNowcast(req);
+  res.json(describeFrameGrid(req.product, frame, req.query));
+}
+
+export async function getNowcastFrameGridBinary(req, res) {
+  const frame = await resolveNowcast(req);
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.send(getFrameGridData(req.product, frame, req.query));
+}
@@ -0,0 +1,36 @@
+import {
+  createWebhook,
+  deleteWebhook,
+  listWebhookDeliveries,
+  listWebhooks,
+  sendTestWebhook,
+} from '../services/webhookService.js';
+
+export async function getWebhooks(_req, res) {
+  const results = await listWebhooks();
+  res.json({ results });
+}
+
+export async function postWebhook(req, res) {
+  const webhook = await createWebhook(req.body);
+  res.status(201).json(webhook);
+}
+
+export async function removeWebhook(req, res) {
+  const result = await deleteWebhook(req.params.id);
+  res.json(result);
+}
+
+export async function postWebhookTest(req, res) {
+  const delivery = await sendTestWebhook(req.params.id);
+  res.json(delivery);
+}
+
+export async function getWebhookDeliveries(req, res) {
+  const limit = req.query.limit ? Number(req.query.limit) : undefined;
+  const webhookId = typeof req.query.webhookId === 'string' ? req.query.webhookId : undefined;
+  const status = typeof req.query.status === 'string' ? req.query.status : undefined;
+  const event = typeof req.query.event === 'string' ? req.query.event : undefined;
+  const results = await listWebhookDeliveries({ limit, webhookId, status, event });
+  res.json({ results });
+}
@@ -1,5 +1,9 @@
+import { labelRoute } from './requestLogger.js';
+
+// Every route handler is wrapped in this, so it is also where the request learns its metrics route label.
 export function asyncHandler(fn) {
   return (req, res, next) => {
+    labelRoute(req);
     Promise.resolve(fn(req, res, next)).catch(next);
   };
 }
@@ -1,7 +1,40 @@
 import { logRequestEvent } from '../services/mongoService.js';
+import { createCounter, createHistogram } from '../utils/metrics.js';
+
+const httpRequests = createCounter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by method, route template and status code.',
+  labelNames: ['method', 'route', 'status'],
+});
+
+const httpRequestDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration in seconds, by method and route template.',
+  labelNames: ['method', 'route'],
+});
+
+// Route templates (e.g. /api/radar/:product/tiles/:z/:x/:y.png) keep label cardinality bounded;
+// requests no route matched (static assets, 404s) share one label. req.baseUrl is the concrete mount
+// path, so routers mounted under a parameter record their pattern as req.routeBaseTemplate. It applies
+// only while the request is still inside that router, not when it fell through to a later route.
+function resolveRouteLabel(req, route) {
+  const mounted = req.routeBaseTemplate;
+  const baseUrl = req.baseUrl ?? '';
+  const base = mounted && mounted.baseUrl === baseUrl ? mounted.template : baseUrl;
+  // A router mounted at /api/health serving '/' reports as /api/health, not /api/health/
+  return base && route.path === '/' ? base : `${base}${route.path}`;
+}
+
+// req.route and req.baseUrl describe a route only while it runs: once an error passes back out of a
+// router, baseUrl is reset to the outer mount path. So asyncHandler labels the request as each route starts
+// handling it, and the last route to handle the request wins.
+export function labelRoute(req) {
+  req.routeLabel = resolveRouteLabel(req, req.route);
+}
 
 export function requestLogger(req, res, next) {
   const start = process.hrtime.bigint();
+  req.routeLabel = 'unmatched';
 
   res.on('finish', () => {
     const end = process.hrtime.bigint();
@@ -43,6 +76,10 @@ export function requestLogger(req, res, next) {
       metadata: Object.keys(metadata).length > 0 ? metadata : undefined,
     };
 
+    const routeLabel = req.routeLabel;
+    httpRequests.inc({ method: req.method, route: routeLabel, status: res.statusCode });
+    httpRequestDuration.observe({ method: req.method, route: routeLabel }, durationMs / 1000);
+
     logRequestEvent(payload);
   });
 
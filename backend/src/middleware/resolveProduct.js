@@ -0,0 +1,20 @@
+import { findEnabledProduct, getDefaultProduct } from '../config/products.js';
+import { HttpError } from '../errors/httpError.js';
+
+export function useDefaultProduct(req, _res, next) {
+  req.product = getDefaultProduct();
+  next();
+}
+
+export function resolveProduct(req, _res, next) {
+  const product = findEnabledProduct(req.params.product);
+  if (!product) {
+    next(new HttpError(404, 'Unknown or disabled radar product', { product: req.params.product }));
+    return;
+  }
+
+  req.product = product;
+  // req.baseUrl holds the concrete product (/api/radar/MESH); metrics label routes by the mount pattern
+  req.routeBaseTemplate = { baseUrl: req.baseUrl, template: req.baseUrl.replace(/\/[^/]*$/, '/:product') };
+  next();
+}
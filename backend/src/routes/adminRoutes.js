@@ -2,11 +2,25 @@ import { Router } from 'express';
 
 import {
   deleteOldRequestLogs,
+  getCacheStatistics,
   getRecentRequestLogs,
   getRequestMetrics,
   getUserInsight,
   getUsersLeaderboard,
 } from '../controllers/adminController.js';
+import {
+  getBackfillJobs,
+  getBackfillJobStatus,
+  postBackfillJob,
+  removeBackfillJob,
+} from '../controllers/backfillController.js';
+import {
+  getWebhookDeliveries,
+  getWebhooks,
+  postWebhook,
+  postWebhookTest,
+  removeWebhook,
+} from '../controllers/webhookController.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
 
 const router = Router();
@@ -16,5 +30,15 @@ router.get('/logs', asyncHandler(getRecentRequestLogs));
 router.delete('/logs', asyncHandler(deleteOldRequestLogs));
 router.get('/users', asyncHandler(getUsersLeaderboard));
 router.get('/users/:userId', asyncHandler(getUserInsight));
+router.get('/cache', asyncHandler(getCacheStatistics));
+router.get('/webhooks', asyncHandler(getWebhooks));
+router.post('/webhooks', asyncHandler(postWebhook));
+router.get('/webhooks/deliveries', asyncHandler(getWebhookDeliveries));
+router.delete('/webhooks/:id', asyncHandler(removeWebhook));
+router.post('/webhooks/:id/test', asyncHandler(postWebhookTest));
+router.get('/backfill', asyncHandler(getBackfillJobs));
+router.post('/backfill', asyncHandler(postBackfillJob));
+router.get('/backfill/:id', asyncHandler(getBackfillJobStatus));
+router.delete('/backfill/:id', asyncHandler(removeBackfillJob));
 
 export default router;
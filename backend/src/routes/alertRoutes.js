@@ -0,0 +1,13 @@
+import { Router } from 'express';
+
+import { getAlertAreas, getAlertEvents, postAlertArea, removeAlertArea } from '../controllers/alertController.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+
+const router = Router();
+
+router.get('/areas', asyncHandler(getAlertAreas));
+router.post('/areas', asyncHandler(postAlertArea));
+router.delete('/areas/:id', asyncHandler(removeAlertArea));
+router.get('/events', asyncHandler(getAlertEvents));
+
+export default router;
@@ -0,0 +1,29 @@
+import { Router } from 'express';
+
+import { getCase, getCases, postCase, removeCase } from '../controllers/caseController.js';
+import {
+  getCaseFrame,
+  getCaseFrameGrid,
+  getCaseFrameGridData,
+  getCaseFrameImage,
+  getCaseFrameList,
+  getCaseFrameVt,
+  getCaseFrameXyzTile,
+} from '../controllers/radarController.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+
+const router = Router();
+
+router.get('/', asyncHandler(getCases));
+router.post('/', asyncHandler(postCase));
+router.get('/:id', asyncHandler(getCase));
+router.delete('/:id', asyncHandler(removeCase));
+router.get('/:id/frames', asyncHandler(getCaseFrameList));
+router.get('/:id/frames/:timestamp', asyncHandler(getCaseFrame));
+router.get('/:id/frames/:timestamp/tile.png', asyncHandler(getCaseFrameImage));
+router.get('/:id/frames/:timestamp/tiles/:z/:x/:y.png', asyncHandler(getCaseFrameXyzTile));
+router.get('/:id/frames/:timestamp/vt/:z/:x/:y.pbf', asyncHandler(getCaseFrameVt));
+router.get('/:id/frames/:timestamp/grid.json', asyncHandler(getCaseFrameGrid));
+router.get('/:id/frames/:timestamp/grid.bin', asyncHandler(getCaseFrameGridData));
+
+export default router;
@@ -0,0 +1,11 @@
+import { Router } from 'express';
+
+import { getLiveness, getReadiness } from '../controllers/healthController.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+
+const router = Router();
+
+router.get('/', asyncHandler(getLiveness));
+router.get('/ready', asyncHandler(getReadiness));
+
+export default router;
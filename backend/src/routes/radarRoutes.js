@@ -1,13 +1,83 @@
 import { Router } from 'express';
 
-import { getGrid, getGridBinary, getLatest, getTile } from '../controllers/radarController.js';
+import {
+  getCells,
+  getContours,
+  getFrame,
+  getFrameAtTime,
+  getFrameGrid,
+  getFrameGridBinary,
+  getFrameGridGeoTiff,
+  getFrames,
+  getFrameTile,
+  getFrameVectorTile,
+  getFrameXyzTile,
+  getGrid,
+  getGridBinary,
+  getGridGeoTiff,
+  getHistory,
+  getLatest,
+  getNowcastFrame,
+  getNowcastFrameGrid,
+  getNowcastFrameGridBinary,
+  getNowcastFrameTile,
+  getNowcastFrameXyzTile,
+  getNowcastLeads,
+  getPalettes,
+  getPoint,
+  getPointHistoryForLocation,
+  getProductLegend,
+  getProducts,
+  getStatus,
+  getStream,
+  getTile,
+  getVectorTile,
+  getXyzTile,
+  postPoints,
+} from '../controllers/radarController.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
+import { resolveProduct, useDefaultProduct } from '../middleware/resolveProduct.js';
+
+// Product-scoped routes; mounted once for the default product and once under /:product.
+const productRouter = Router({ mergeParams: true });
+
+productRouter.get('/latest', asyncHandler(getLatest));
+productRouter.get('/legend', asyncHandler(getProductLegend));
+productRouter.get('/stream', asyncHandler(getStream));
+productRouter.get('/tile.png', asyncHandler(getTile));
+productRouter.get('/tiles/:z/:x/:y.png', asyncHandler(getXyzTile));
+productRouter.get('/vt/:z/:x/:y.pbf', asyncHandler(getVectorTile));
+productRouter.get('/grid.json', asyncHandler(getGrid));
+productRouter.get('/grid.bin', asyncHandler(getGridBinary));
+productRouter.get('/grid.tif', asyncHandler(getGridGeoTiff));
+productRouter.get('/cells', asyncHandler(getCells));
+productRouter.get('/contours.geojson', asyncHandler(getContours));
+productRouter.get('/point', asyncHandler(getPoint));
+productRouter.get('/point/history', asyncHandler(getPointHistoryForLocation));
+productRouter.post('/points', asyncHandler(postPoints));
+productRouter.get('/nowcast', asyncHandler(getNowcastLeads));
+productRouter.get('/nowcast/:minutes', asyncHandler(getNowcastFrame));
+productRouter.get('/nowcast/:minutes/tile.png', asyncHandler(getNowcastFrameTile));
+productRouter.get('/nowcast/:minutes/tiles/:z/:x/:y.png', asyncHandler(getNowcastFrameXyzTile));
+productRouter.get('/nowcast/:minutes/grid.json', asyncHandler(getNowcastFrameGrid));
+productRouter.get('/nowcast/:minutes/grid.bin', asyncHandler(getNowcastFrameGridBinary));
+productRouter.get('/frames', asyncHandler(getFrames));
+productRouter.get('/at', asyncHandler(getFrameAtTime));
+productRouter.get('/history', asyncHandler(getHistory));
+productRouter.get('/frames/:timestamp', asyncHandler(getFrame));
+productRouter.get('/frames/:timestamp/tile.png', asyncHandler(getFrameTile));
+productRouter.get('/frames/:timestamp/tiles/:z/:x/:y.png', asyncHandler(getFrameXyzTile));
+productRouter.get('/frames/:timestamp/vt/:z/:x/:y.pbf', asyncHandler(getFrameVectorTile));
+productRouter.get('/frames/:timestamp/grid.json', asyncHandler(getFrameGrid));
+productRouter.get('/frames/:timestamp/grid.bin', asyncHandler(getFrameGridBinary));
+productRouter.get('/frames/:timestamp/grid.tif', asyncHandler(getFrameGridGeoTiff));
 
 const router = Router();
 
-router.get('/latest', asyncHandler(getLatest));
-router.get('/tile.png', asyncHandler(getTile));
-router.get('/grid.json', asyncHandler(getGrid));
-router.get('/grid.bin', asyncHandler(getGridBinary));
+router.get('/products', asyncHandler(getProducts));
+router.get('/palettes', asyncHandler(getPalettes));
+router.get('/status', asyncHandler(getStatus));
+router.use(useDefaultProduct, productRouter);
+router.use('/:product', resolveProduct, productRouter);
 
 export default router;
@@ -7,9 +7,16 @@ import cors from 'cors';
 import express from 'express';
 
 import { config } from './config/env.js';
+import { getMetrics } from './controllers/metricsController.js';
+import { asyncHandler } from './middleware/asyncHandler.js';
 import { requestLogger } from './middleware/requestLogger.js';
 import adminRouter from './routes/adminRoutes.js';
+import alertRouter from './routes/alertRoutes.js';
+import caseRouter from './routes/caseRoutes.js';
+import healthRouter from './routes/healthRoutes.js';
 import radarRouter from './routes/radarRoutes.js';
+import { scheduleCacheSweep } from './services/cacheService.js';
+import { resumeCaseBuilds } from './services/caseBuildService.js';
 import { closeMongo, flushLogBuffer, getLogBufferSize, initMongo } from './services/mongoService.js';
 import {
     hydrateCacheFromPersistence,
@@ -17,6 +24,8 @@ import {
     warmLatestArtifact,
     warmLatestArtifactInBackground,
 } from './services/radarService.js';
+import { closeEventStreams } from './services/streamService.js';
+import { resumeWebhookDeliveries } from './services/webhookService.js';
 import { createLogger } from './utils/logger.js';
 
 const app = express();
@@ -31,13 +40,16 @@ const hasFrontendBundle = existsSync(frontendDistPath);
 app.use(cors());
 app.use(compression());
 app.use(express.json());
-app.use(requestLogger);
 
-app.get('/api/health', (_req, res) => {
-  res.json({ status: 'ok' });
-});
+// Registered ahead of the request logger so scrapes are neither logged nor counted
+app.get('/metrics', asyncHandler(getMetrics));
 
+app.use(requestLogger);
+
+app.use('/api/health', healthRouter);
 app.use('/api/admin', adminRouter);
+app.use('/api/alerts', alertRouter);
+app.use('/api/cases', caseRouter);
 app.use('/api/radar', radarRouter);
 
 if (hasFrontendBundle) {
@@ -88,6 +100,14 @@ async function bootstrap() {
     });
   }
 
+  try {
+    await resumeCaseBuilds();
+  } catch (error) {
+    logger.warn('Failed to load case bundles on startup', {
+      message: error.message,
+    });
+  }
+
   try {
     mongoReady = await initMongo();
   } catch (error) {
@@ -98,6 +118,14 @@ async function bootstrap() {
 
   if (!mongoReady) {
     logger.warn('Proceeding without MongoDB connection; request logging will be disabled');
+  } else {
+    try {
+      await resumeWebhookDeliveries();
+    } catch (error) {
+      logger.warn('Failed to resume webhook deliveries', {
+        message: error.message,
+      });
+    }
   }
 
   if (config.warmupOnStart) {
@@ -118,6 +146,7 @@ async function bootstrap() {
   }
 
   const cancelRefresh = scheduleLatestArtifactRefresh();
+  const cancelCacheSweep = scheduleCacheSweep();
 
   const server = app.listen(port, () => {
     logger.info(`Backend listening on port ${port}`);
@@ -131,8 +160,9 @@ async function bootstrap() {
 
     try {
       cancelRefresh?.();
+      cancelCacheSweep?.();
     } catch (error) {
-      logger.warn('Failed to cancel radar refresh timer', {
+      logger.warn('Failed to cancel background timers', {
         message: error.message,
       });
     }
@@ -145,6 +175,8 @@ async function bootstrap() {
       });
     }
 
+    closeEventStreams();
+
     server.close(async (closeError) => {
       if (closeError) {
         logger.error('Error while closing HTTP server', {
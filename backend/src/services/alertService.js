@@ -0,0 +1,440 @@
+import { ObjectId } from 'mongodb';
+
+import { config } from '../config/env.js';
+import { findEnabledProduct, getDefaultProduct } from '../config/products.js';
+import { HttpError } from '../errors/httpError.js';
+import { createLogger } from '../utils/logger.js';
+import { getMongoDb, initMongo, isMongoReady } from './mongoService.js';
+import { dispatchWebhookEvent } from './webhookService.js';
+
+const logger = createLogger('alertService', config.logLevel);
+
+const KM_PER_DEGREE_LAT = 111.32;
+const ALERT_METRICS = ['max', 'coverage'];
+const DEFAULT_COVERAGE_PERCENT = 10;
+const MAX_NAME_LENGTH = 100;
+const MAX_POLYGON_VERTICES = 500;
+const MAX_RADIUS_KM = 250;
+const DEFAULT_EVENT_LIMIT = 50;
+const MAX_EVENT_LIMIT = 500;
+
+async function ensureMongo() {
+  if (isMongoReady()) {
+    return true;
+  }
+
+  const ok = await initMongo();
+  if (!ok) {
+    throw new HttpError(503, 'MongoDB is not available for alerts');
+  }
+
+  return true;
+}
+
+async function getCollections() {
+  await ensureMongo();
+  const db = await getMongoDb();
+  return {
+    areas: db.collection(config.mongo.alertAreaCollection),
+    events: db.collection(config.mongo.alertEventCollection),
+  };
+}
+
+function parseNumber(value, name, { min = -Infinity, max = Infinity, exclusiveMin = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const parsed = Number(value);
+  const belowMin = exclusiveMin ? parsed <= min : parsed < min;
+  if (!Number.isFinite(parsed) || belowMin || parsed > max) {
+    let range = '';
+    if (Number.isFinite(max)) {
+      range = ` between ${min} and ${max}`;
+    } else if (Number.isFinite(min)) {
+      range = ` of at least ${min}`;
+    }
+    throw new HttpError(400, `${name} must be a number${range}`, { [name]: value });
+  }
+
+  return parsed;
+}
+
+function parsePosition(value) {
+  const [lon, lat] = Array.isArray(value) ? value.map(Number) : [];
+  if (!Number.isFinite(lon) || !Number.isFinite(lat) || lon < -180 || lon > 180 || lat < -90 || lat > 90) {
+    throw new HttpError(400, 'Positions must be [lon, lat] in degrees', { position: value });
+  }
+  return [lon, lat];
+}
+
+// Accepts a GeoJSON Polygon (outer ring only) or a Point with `radiusKm`. Rings are closed if needed.
+function parseGeometry(geometry, radiusValue) {
+  if (geometry?.type === 'Point') {
+    const radiusKm = parseNumber(radiusValue, 'radiusKm', { min: 0, max: MAX_RADIUS_KM, exclusiveMin: true });
+    if (radiusKm === null) {
+      throw new HttpError(400, 'radiusKm is required for Point areas');
+    }
+    return { geometry: { type: 'Point', coordinates: parsePosition(geometry.coordinates) }, radiusKm };
+  }
+
+  if (geometry?.type === 'Polygon') {
+    if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length !== 1) {
+      throw new HttpError(400, 'Polygon areas must have exactly one ring; holes are not supported');
+    }
+
+    const ring = (Array.isArray(geometry.coordinates[0]) ? geometry.coordinates[0] : []).map(parsePosition);
+    const [first] = ring;
+    const last = ring.at(-1);
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+      ring.push(first);
+    }
+    if (ring.length < 4 || ring.length > MAX_POLYGON_VERTICES + 1) {
+      throw new HttpError(400, `Polygon rings need between 3 and ${MAX_POLYGON_VERTICES} distinct vertices`);
+    }
+
+    return { geometry: { type: 'Polygon', coordinates: [ring] }, radiusKm: null };
+  }
+
+  throw new HttpError(400, 'geometry must be a GeoJSON Polygon, or a Point with radiusKm', { geometry });
+}
+
+// [west, south, east, north]; a circle's box is padded by its radius at the centre latitude.
+function computeAreaBbox({ geometry, radiusKm }) {
+  if (geometry.type === 'Point') {
+    const [lon, lat] = geometry.coordinates;
+    const dLat = radiusKm / KM_PER_DEGREE_LAT;
+    const dLon = radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+    return [lon - dLon, lat - dLat, lon + dLon, lat + dLat];
+  }
+
+  const ring = geometry.coordinates[0];
+  const lons = ring.map(([lon]) => lon);
+  const lats = ring.map(([, lat]) => lat);
+  return [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)];
+}
+
+function parseAreaInput(body = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    throw new HttpError(400, `name is required and must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+
+  const product = body.product ? findEnabledProduct(body.product) : getDefaultProduct();
+  if (!product) {
+    throw new HttpError(400, 'Unknown or disabled radar product', { product: body.product });
+  }
+
+  const metric = body.metric ?? 'max';
+  if (!ALERT_METRICS.includes(metric)) {
+    throw new HttpError(400, `metric must be one of ${ALERT_METRICS.join(', ')}`, { metric });
+  }
+
+  const { geometry, radiusKm } = parseGeometry(body.geometry, body.radiusKm);
+  const coveragePercent =
+    metric === 'coverage'
+      ? parseNumber(body.coveragePercent, 'coveragePercent', { min: 0, max: 100, exclusiveMin: true }) ??
+        DEFAULT_COVERAGE_PERCENT
+      : null;
+
+  return {
+    name,
+    product: product.id,
+    units: product.units,
+    geometry,
+    radiusKm,
+    bbox: computeAreaBbox({ geometry, radiusKm }),
+    metric,
+    threshold: parseNumber(body.threshold, 'threshold') ?? product.alertThreshold,
+    hysteresis: parseNumber(body.hysteresis, 'hysteresis', { min: 0 }) ?? product.alertHysteresis,
+    coveragePercent,
+  };
+}
+
+function parseObjectId(value, name) {
+  if (typeof value !== 'string' || !ObjectId.isValid(value)) {
+    throw new HttpError(400, `${name} must be a valid id`, { [name]: value });
+  }
+  return new ObjectId(value);
+}
+
+function distanceKm([lonA, latA], [lonB, latB]) {
+  const kmPerDegreeLon = KM_PER_DEGREE_LAT * Math.cos((((latA + latB) / 2) * Math.PI) / 180);
+  return Math.hypot((lonB - lonA) * kmPerDegreeLon, (latB - latA) * KM_PER_DEGREE_LAT);
+}
+
+// Even-odd ray casting on the closed outer ring.
+function isInsideRing(ring, lon, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 2; i < ring.length - 1; j = i, i += 1) {
+    const [lonI, latI] = ring[i];
+    const [lonJ, latJ] = ring[j];
+    if (latI > lat !== latJ > lat && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function isInsideArea(area, lon, lat) {
+  if (area.geometry.type === 'Point') {
+    return distanceKm(area.geometry.coordinates, [lon, lat]) <= area.radiusKm;
+  }
+  return isInsideRing(area.geometry.coordinates[0], lon, lat);
+}
+
+// Max value and the share of the area's cells at or above `threshold` and `clearLevel`. Missing cells
+// count toward the area but never exceed a level. Areas smaller than a grid cell fall back to the cell
+// nearest their centre; areas entirely off the grid return null.
+function measureArea(gridPayload, area, { threshold, clearLevel }) {
+  const { rows, cols, latStep, lonStep, data, dataEncoding } = gridPayload;
+  const [, west, north] = gridPayload.bounds;
+  const values = new Int16Array(data.buffer, data.byteOffset, rows * cols);
+  const { scale = 1, offset = 0, missing = -32768 } = dataEncoding ?? {};
+  const thresholdRaw = Math.ceil((threshold - offset) / scale - 1e-9);
+  const clearRaw = Math.ceil((clearLevel - offset) / scale - 1e-9);
+
+  const [areaWest, areaSouth, areaEast, areaNorth] = area.bbox;
+  const rowStart = Math.max(0, Math.ceil((north - areaNorth) / latStep));
+  const rowEnd = Math.min(rows - 1, Math.floor((north - areaSouth) / latStep));
+  const colStart = Math.max(0, Math.ceil((areaWest - west) / lonStep));
+  const colEnd = Math.min(cols - 1, Math.floor((areaEast - west) / lonStep));
+
+  let cellCount = 0;
+  let aboveCount = 0;
+  let aboveClearCount = 0;
+  let maxRaw = null;
+
+  const visit = (row, col) => {
+    const raw = values[row * cols + col];
+    cellCount += 1;
+    if (raw === missing) {
+      return;
+    }
+    maxRaw = maxRaw === null ? raw : Math.max(maxRaw, raw);
+    aboveCount += raw >= thresholdRaw ? 1 : 0;
+    aboveClearCount += raw >= clearRaw ? 1 : 0;
+  };
+
+  for (let row = rowStart; row <= rowEnd; row += 1) {
+    const lat = north - row * latStep;
+    for (let col = colStart; col <= colEnd; col += 1) {
+      if (isInsideArea(area, west + col * lonStep, lat)) {
+        visit(row, col);
+      }
+    }
+  }
+
+  if (cellCount === 0) {
+    const [centreLon, centreLat] =
+      area.geometry.type === 'Point'
+        ? area.geometry.coordinates
+        : [(areaWest + areaEast) / 2, (areaSouth + areaNorth) / 2];
+    const row = Math.round((north - centreLat) / latStep);
+    const col = Math.round((centreLon - west) / lonStep);
+    if (row < 0 || row >= rows || col < 0 || col >= cols) {
+      return null;
+    }
+    visit(row, col);
+  }
+
+  return {
+    cellCount,
+    max: maxRaw === null ? null : maxRaw * scale + offset,
+    coveragePercent: (aboveCount / cellCount) * 100,
+    clearCoveragePercent: (aboveClearCount / cellCount) * 100,
+  };
+}
+
+// Hysteresis: an area triggers at the threshold but only clears once it drops below
+// threshold - hysteresis (for coverage, once the share above that lower level falls under the target).
+function resolveTransition(area, measurement) {
+  const active = Boolean(area.state?.active);
+  if (area.metric === 'coverage') {
+    if (!active && measurement.coveragePercent >= area.coveragePercent) {
+      return 'triggered';
+    }
+    return active && measurement.clearCoveragePercent < area.coveragePercent ? 'cleared' : null;
+  }
+
+  const { max } = measurement;
+  if (!active && max !== null && max >= area.threshold) {
+    return 'triggered';
+  }
+  return active && (max === null || max < area.threshold - area.hysteresis) ? 'cleared' : null;
+}
+
+function roundValue(value, digits = 2) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function describeMeasurement(measurement) {
+  return {
+    max: roundValue(measurement.max),
+    coveragePercent: roundValue(measurement.coveragePercent),
+    cellCount: measurement.cellCount,
+  };
+}
+
+function serializeArea(doc) {
+  return {
+    id: doc._id.toString(),
+    name: doc.name,
+    product: doc.product,
+    units: doc.units,
+    geometry: doc.geometry,
+    radiusKm: doc.radiusKm,
+    bbox: doc.bbox,
+    metric: doc.metric,
+    threshold: doc.threshold,
+    hysteresis: doc.hysteresis,
+    coveragePercent: doc.coveragePercent,
+    state: {
+      active: Boolean(doc.state?.active),
+      since: doc.state?.since ?? null,
+      lastTimestamp: doc.state?.lastTimestamp ?? null,
+      lastValue: doc.state?.lastValue ?? null,
+    },
+    createdAt: doc.createdAt,
+  };
+}
+
+function serializeEvent(doc) {
+  return {
+    id: doc._id.toString(),
+    areaId: doc.areaId.toString(),
+    areaName: doc.areaName,
+    product: doc.product,
+    units: doc.units,
+    type: doc.type,
+    metric: doc.metric,
+    threshold: doc.threshold,
+    hysteresis: doc.hysteresis,
+    coveragePercent: doc.coveragePercent,
+    value: doc.value,
+    timestamp: doc.timestamp,
+    createdAt: doc.createdAt,
+  };
+}
+
+export async function listAlertAreas({ product } = {}) {
+  const { areas } = await getCollections();
+  const filter = product ? { product } : {};
+  const docs = await areas.find(filter).sort({ createdAt: -1 }).toArray();
+  return docs.map(serializeArea);
+}
+
+export async function createAlertArea(body) {
+  const input = parseAreaInput(body);
+  const { areas } = await getCollections();
+  const doc = {
+    ...input,
+    state: { active: false, since: null, lastTimestamp: null, lastValue: null, eventId: null },
+    createdAt: new Date(),
+  };
+
+  const { insertedId } = await areas.insertOne(doc);
+  return serializeArea({ ...doc, _id: insertedId });
+}
+
+// Events are kept after their area is deleted so the history stays intact.
+export async function deleteAlertArea(id) {
+  const areaId = parseObjectId(id, 'id');
+  const { areas } = await getCollections();
+  const { deletedCount } = await areas.deleteOne({ _id: areaId });
+  if (deletedCount === 0) {
+    throw new HttpError(404, 'Alert area not found', { id });
+  }
+  return { deleted: true, id };
+}
+
+// `active` limits the list to the trigger events of areas that are still alerting.
+export async function listAlertEvents({ limit = DEFAULT_EVENT_LIMIT, areaId, product, sinceMinutes, active } = {}) {
+  const { areas, events } = await getCollections();
+  const filter = {};
+
+  if (areaId) {
+    filter.areaId = parseObjectId(areaId, 'areaId');
+  }
+  if (product) {
+    filter.product = product;
+  }
+  if (Number.isFinite(sinceMinutes) && sinceMinutes > 0) {
+    filter.createdAt = { $gte: new Date(Date.now() - sinceMinutes * 60_000) };
+  }
+  if (active) {
+    const activeAreas = await areas.find({ 'state.active': true }, { projection: { 'state.eventId': 1 } }).toArray();
+    filter._id = { $in: activeAreas.map((area) => area.state.eventId).filter(Boolean) };
+  }
+
+  const safeLimit = Math.min(Math.max(Math.trunc(Number(limit)) || DEFAULT_EVENT_LIMIT, 1), MAX_EVENT_LIMIT);
+  const docs = await events.find(filter).sort({ createdAt: -1 }).limit(safeLimit).toArray();
+  return docs.map(serializeEvent);
+}
+
+// Called after each build of `product`. Skips quietly without MongoDB so builds never depend on it, and
+// ignores frames an area has already seen (e.g. a forced rebuild of the same timestamp).
+export async function evaluateAlertAreas(product, gridPayload, timestamp) {
+  if (!isMongoReady()) {
+    return { evaluated: 0, triggered: 0, cleared: 0 };
+  }
+
+  const { areas, events } = await getCollections();
+  const frameTime = new Date(timestamp);
+  const docs = await areas.find({ product: product.id }).toArray();
+  const summary = { evaluated: 0, triggered: 0, cleared: 0 };
+
+  for (const area of docs) {
+    if (area.state?.lastTimestamp && area.state.lastTimestamp >= frameTime) {
+      continue;
+    }
+
+    const measurement = measureArea(gridPayload, area, {
+      threshold: area.threshold,
+      clearLevel: area.threshold - area.hysteresis,
+    });
+    if (!measurement) {
+      continue;
+    }
+
+    summary.evaluated += 1;
+    const value = describeMeasurement(measurement);
+    const transition = resolveTransition(area, measurement);
+    const state = { ...area.state, lastTimestamp: frameTime, lastValue: value };
+
+    if (transition) {
+      const event = {
+        areaId: area._id,
+        areaName: area.name,
+        product: area.product,
+        units: area.units,
+        type: transition,
+        metric: area.metric,
+        threshold: area.threshold,
+        hysteresis: area.hysteresis,
+        coveragePercent: area.coveragePercent,
+        value,
+        timestamp: frameTime,
+        createdAt: new Date(),
+      };
+      const { insertedId } = await events.insertOne(event);
+      dispatchWebhookEvent(`alert.${transition}`, serializeEvent({ ...event, _id: insertedId }), {
+        product: area.product,
+      });
+
+      summary[transition] += 1;
+      state.active = transition === 'triggered';
+      state.since = state.active ? frameTime : null;
+      state.eventId = state.active ? insertedId : null;
+      logger.info(`Alert area ${transition}`, { area: area.name, product: area.product, ...value });
+    }
+
+    await areas.updateOne({ _id: area._id }, { $set: { state } });
+  }
+
+  return summary;
+}
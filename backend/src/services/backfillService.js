@@ -0,0 +1,208 @@
+import { randomUUID } from 'node:crypto';
+
+import { config } from '../config/env.js';
+import { findEnabledProduct, getDefaultProduct } from '../config/products.js';
+import { HttpError } from '../errors/httpError.js';
+import { createLogger } from '../utils/logger.js';
+import { parseRequestedTime, parseToleranceMinutes, resolveFrameNear } from './radarService.js';
+
+// Admin backfills: fetch every frame in a time range into the history store. Jobs live in memory and
+// run one at a time, one frame at a time, so a backfill never competes with the live build for more
+// than a single download.
+
+const logger = createLogger('backfillService', config.logLevel);
+
+const MAX_BACKFILL_STEPS = 288;
+const DEFAULT_INTERVAL_MINUTES = 5;
+const MAX_INTERVAL_MINUTES = 24 * 60;
+// Finished jobs kept for the status endpoints; older ones are forgotten
+const MAX_FINISHED_JOBS = 20;
+const MAX_JOB_ERRORS = 50;
+
+const jobs = new Map();
+const queue = [];
+let running = false;
+
+function parseIntervalMinutes(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_INTERVAL_MINUTES;
+  }
+
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 1 || minutes > MAX_INTERVAL_MINUTES) {
+    throw new HttpError(400, `intervalMinutes must be a number between 1 and ${MAX_INTERVAL_MINUTES}`, {
+      intervalMinutes: value,
+    });
+  }
+  return minutes;
+}
+
+function parseJobInput(body = {}) {
+  const product = body.product ? findEnabledProduct(body.product) : getDefaultProduct();
+  if (!product) {
+    throw new HttpError(400, 'Unknown or disabled radar product', { product: body.product });
+  }
+
+  const startMs = parseRequestedTime(body.start, 'start');
+  const endMs = body.end === undefined ? startMs : parseRequestedTime(body.end, 'end');
+  if (endMs < startMs) {
+    throw new HttpError(400, 'end must not be before start', { start: body.start, end: body.end });
+  }
+
+  const intervalMinutes = parseIntervalMinutes(body.intervalMinutes);
+  const toleranceMinutes = parseToleranceMinutes(body.toleranceMinutes);
+  const total = Math.floor((endMs - startMs) / (intervalMinutes * 60_000)) + 1;
+  if (total > MAX_BACKFILL_STEPS) {
+    throw new HttpError(400, `A backfill may cover at most ${MAX_BACKFILL_STEPS} times`, {
+      steps: total,
+      hint: 'Narrow the range or widen intervalMinutes',
+    });
+  }
+
+  return { product, startMs, endMs, intervalMinutes, toleranceMinutes, total };
+}
+
+// Jobs are queued, running, completed, failed (every step errored) or cancelled.
+function describeJob(job, { includeFrames = true } = {}) {
+  return {
+    id: job.id,
+    product: job.product.id,
+    status: job.status,
+    start: job.start,
+    end: job.end,
+    intervalMinutes: job.intervalMinutes,
+    toleranceMinutes: job.toleranceMinutes,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    counts: { ...job.counts },
+    ...(includeFrames ? { frames: [...job.frames] } : {}),
+    errors: [...job.errors],
+  };
+}
+
+function pruneFinishedJobs() {
+  const finished = [...jobs.values()].filter((job) => !['queued', 'running'].includes(job.status));
+  finished.slice(0, Math.max(finished.length - MAX_FINISHED_JOBS, 0)).forEach((job) => jobs.delete(job.id));
+}
+
+function finishJob(job, status) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  logger.info('Backfill finished', { id: job.id, product: job.product.id, status, ...job.counts });
+  pruneFinishedJobs();
+}
+
+async function runJob(job) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  logger.info('Backfill started', { id: job.id, product: job.product.id, start: job.start, end: job.end });
+
+  const startMs = Date.parse(job.start);
+  for (let step = 0; step < job.counts.total; step += 1) {
+    if (job.cancelRequested) {
+      finishJob(job, 'cancelled');
+      return;
+    }
+
+    const timeMs = startMs + step * job.intervalMinutes * 60_000;
+    const requestedTime = new Date(timeMs).toISOString();
+    try {
+      const { frame, source } = await resolveFrameNear(job.product, timeMs, {
+        toleranceMinutes: job.toleranceMinutes,
+      });
+      job.frames.push({ requestedTime, id: frame.id, timestamp: frame.timestamp, source });
+      job.counts[source === 'mrms' ? 'built' : 'reused'] += 1;
+    } catch (error) {
+      if (error instanceof HttpError && error.status === 404) {
+        job.counts.missing += 1;
+      } else {
+        job.counts.failed += 1;
+        if (job.errors.length < MAX_JOB_ERRORS) {
+          job.errors.push({ requestedTime, message: error.message });
+        }
+        logger.warn('Backfill step failed', { id: job.id, requestedTime, message: error.message });
+      }
+    }
+    job.counts.processed += 1;
+  }
+
+  finishJob(job, job.counts.failed === job.counts.total ? 'failed' : 'completed');
+}
+
+async function drainQueue() {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    while (queue.length > 0) {
+      const job = queue.shift();
+      try {
+        await runJob(job);
+      } catch (error) {
+        job.errors.push({ requestedTime: null, message: error.message });
+        finishJob(job, 'failed');
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+export function createBackfillJob(body) {
+  const { product, startMs, endMs, intervalMinutes, toleranceMinutes, total } = parseJobInput(body);
+  const job = {
+    id: randomUUID(),
+    product,
+    status: 'queued',
+    start: new Date(startMs).toISOString(),
+    end: new Date(endMs).toISOString(),
+    intervalMinutes,
+    toleranceMinutes,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    counts: { total, processed: 0, built: 0, reused: 0, missing: 0, failed: 0 },
+    frames: [],
+    errors: [],
+    cancelRequested: false,
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  drainQueue();
+  return describeJob(job);
+}
+
+export function listBackfillJobs() {
+  // Newest first, without the per-frame results
+  return [...jobs.values()].reverse().map((job) => describeJob(job, { includeFrames: false }));
+}
+
+function requireJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    throw new HttpError(404, 'Backfill job not found', { id });
+  }
+  return job;
+}
+
+export function getBackfillJob(id) {
+  return describeJob(requireJob(id));
+}
+
+// Queued jobs stop immediately; a running job stops after the frame it is working on.
+export function cancelBackfillJob(id) {
+  const job = requireJob(id);
+  if (job.status === 'queued') {
+    queue.splice(queue.indexOf(job), 1);
+    finishJob(job, 'cancelled');
+  } else if (job.status === 'running') {
+    job.cancelRequested = true;
+  } else {
+    throw new HttpError(409, `Backfill job is already ${job.status}`, { id, status: job.status });
+  }
+  return describeJob(job);
+}
@@ -0,0 +1,206 @@
+import { Buffer } from 'node:buffer';
+import { randomUUID } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const EXPIRY_HEADER_BYTES = 8;
+// An update holds its claim for a few file operations; a claim older than this was left by an instance
+// that died part-way through and is cleared.
+const CLAIM_STALE_MS = 30_000;
+
+// Shared-store driver backed by a directory every instance can reach (a shared volume or NFS mount).
+// Each entry is one file, written to a temp name and renamed into place so readers never see a
+// partial write.
+//
+// A lock is a file holding { token, expiresAt }, always written in full to a temp name first. A new
+// lock is linked into place, which fails if one exists. Every later change to a lock - taking over an
+// expired one, renewing or releasing it - is made while holding the claim for its token: a file
+// created exclusively next to the lock. Only one instance can hold the claim for a token, and the lock
+// file cannot change away from that token without it, so the holder re-reads the lock and acts on
+// what it finds; a takeover or renewal renames the new lock over the old one and never leaves the
+// path empty.
+export function createFileDriver({ dir }) {
+  const entriesDir = path.join(dir, 'entries');
+  const locksDir = path.join(dir, 'locks');
+  const owner = `${os.hostname()}:${process.pid}`;
+  let ready = null;
+
+  function ensureDirs() {
+    if (!ready) {
+      ready = Promise.all([
+        fs.mkdir(entriesDir, { recursive: true }),
+        fs.mkdir(locksDir, { recursive: true }),
+      ]).catch((error) => {
+        ready = null;
+        throw error;
+      });
+    }
+    return ready;
+  }
+
+  const toEntryPath = (key) => path.join(entriesDir, encodeURIComponent(key));
+  const toLockPath = (name) => path.join(locksDir, `${encodeURIComponent(name)}.lock`);
+  const isExpired = (lock) => Date.now() > lock.expiresAt;
+
+  async function readLockFile(name) {
+    try {
+      return JSON.parse(await fs.readFile(toLockPath(name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Writes the lock under a temp name and moves it into place with `place` (link or rename).
+  async function writeLockFile(lock, place) {
+    const tempPath = `${toLockPath(lock.name)}.${randomUUID()}.tmp`;
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(lock));
+      await place(tempPath, toLockPath(lock.name));
+    } finally {
+      await fs.rm(tempPath, { force: true });
+    }
+  }
+
+  const buildLock = (name, ttlMs, token = randomUUID()) => ({ name, token, owner, expiresAt: Date.now() + ttlMs });
+
+  async function createLock(name, ttlMs) {
+    const lock = buildLock(name, ttlMs);
+    try {
+      await writeLockFile(lock, fs.link);
+      return lock;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function clearStaleClaim(claimPath) {
+    try {
+      const { mtimeMs } = await fs.stat(claimPath);
+      if (Date.now() - mtimeMs > CLAIM_STALE_MS) {
+        await fs.rm(claimPath, { force: true });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  // Runs `update(current)` on the lock file's current contents while holding the claim for `token`.
+  // Resolves to what `update` returns, or null when another instance holds the claim.
+  async function withClaim(name, token, update) {
+    const claimPath = `${toLockPath(name)}.${token}.claim`;
+    try {
+      await fs.writeFile(claimPath, '', { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      await clearStaleClaim(claimPath);
+      return null;
+    }
+
+    try {
+      return await update(await readLockFile(name));
+    } finally {
+      await fs.rm(claimPath, { force: true });
+    }
+  }
+
+  return {
+    name: 'filesystem',
+    shared: true,
+    async get(key) {
+      let raw;
+      try {
+        raw = await fs.readFile(toEntryPath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+
+      if (raw.length < EXPIRY_HEADER_BYTES || Date.now() > raw.readDoubleBE(0)) {
+        await fs.rm(toEntryPath(key), { force: true });
+        return null;
+      }
+      return raw.subarray(EXPIRY_HEADER_BYTES);
+    },
+    async set(key, value, ttlMs) {
+      await ensureDirs();
+      const header = Buffer.alloc(EXPIRY_HEADER_BYTES);
+      header.writeDoubleBE(Date.now() + ttlMs, 0);
+
+      const entryPath = toEntryPath(key);
+      const tempPath = `${entryPath}.${randomUUID()}.tmp`;
+      try {
+        await fs.writeFile(tempPath, Buffer.concat([header, value]));
+        await fs.rename(tempPath, entryPath);
+      } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+      }
+    },
+    async delete(key) {
+      await fs.rm(toEntryPath(key), { force: true });
+    },
+    async acquireLock(name, ttlMs) {
+      await ensureDirs();
+      const created = await createLock(name, ttlMs);
+      if (created) {
+        return created;
+      }
+
+      const current = await readLockFile(name);
+      if (!current) {
+        // Released since the link failed
+        return createLock(name, ttlMs);
+      }
+      if (!isExpired(current)) {
+        return null;
+      }
+
+      // The holder died or overran without renewing
+      return withClaim(name, current.token, async (latest) => {
+        if (latest?.token !== current.token || !isExpired(latest)) {
+          return null;
+        }
+        const lock = buildLock(name, ttlMs);
+        await writeLockFile(lock, fs.rename);
+        return lock;
+      });
+    },
+    // Extends a held lock to `ttlMs` from now. Resolves false when the lock has been taken over.
+    async renewLock(lock, ttlMs) {
+      const renewed = await withClaim(lock.name, lock.token, async (latest) => {
+        if (latest?.token !== lock.token) {
+          return false;
+        }
+        const next = buildLock(lock.name, ttlMs, lock.token);
+        await writeLockFile(next, fs.rename);
+        lock.expiresAt = next.expiresAt;
+        return true;
+      });
+      return renewed === true;
+    },
+    async releaseLock(lock) {
+      await withClaim(lock.name, lock.token, async (latest) => {
+        if (latest?.token === lock.token) {
+          await fs.rm(toLockPath(lock.name), { force: true });
+        }
+      });
+    },
+    async isLocked(name) {
+      const lock = await readLockFile(name);
+      return Boolean(lock && !isExpired(lock));
+    },
+  };
+}
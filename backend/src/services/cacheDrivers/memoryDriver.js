@@ -0,0 +1,63 @@
+import { randomUUID } from 'node:crypto';
+
+// Shared-store driver for a single instance: entries and locks live in this process, so builds are
+// only coordinated with themselves. Implements the same interface as the file driver.
+export function createMemoryDriver() {
+  const entries = new Map();
+  const locks = new Map();
+
+  function readLock(name) {
+    const lock = locks.get(name);
+    if (lock && Date.now() > lock.expiresAt) {
+      locks.delete(name);
+      return null;
+    }
+    return lock ?? null;
+  }
+
+  return {
+    name: 'memory',
+    shared: false,
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (Date.now() > entry.expiresAt) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async acquireLock(name, ttlMs) {
+      if (readLock(name)) {
+        return null;
+      }
+      const lock = { name, token: randomUUID(), expiresAt: Date.now() + ttlMs };
+      locks.set(name, lock);
+      return lock;
+    },
+    async renewLock(lock, ttlMs) {
+      if (locks.get(lock.name)?.token !== lock.token) {
+        return false;
+      }
+      lock.expiresAt = Date.now() + ttlMs;
+      locks.set(lock.name, { ...lock });
+      return true;
+    },
+    async releaseLock(lock) {
+      if (locks.get(lock.name)?.token === lock.token) {
+        locks.delete(lock.name);
+      }
+    },
+    async isLocked(name) {
+      return Boolean(readLock(name));
+    },
+  };
+}
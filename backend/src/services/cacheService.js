@@ -1,30 +1,339 @@
-// Placeholder cache service. Final implementation will provide in-memory caching.
+// In-memory LRU cache with a byte budget. Entries are fresh until their TTL, then stale for
+// config.cache.staleTtlMs: getCache only returns fresh values, while getCacheEntry also returns stale
+// ones so callers can serve them while a replacement is being built. A background sweep drops entries
+// once they are past their stale window.
+//
+// Alongside it sits the shared store, a pluggable driver (see ./cacheDrivers) that replicas use to
+// exchange built artifacts and to hold build locks. Values there are Buffers and every call is async.
 
+import { Buffer } from 'node:buffer';
+import os from 'node:os';
+import path from 'node:path';
+
+import { config } from '../config/env.js';
+import { createLogger } from '../utils/logger.js';
+import { createCounter, createGauge } from '../utils/metrics.js';
+import { createFileDriver } from './cacheDrivers/fileDriver.js';
+import { createMemoryDriver } from './cacheDrivers/memoryDriver.js';
+
+const logger = createLogger('cacheService', config.logLevel);
+
+// Map iteration order is insertion order, so re-inserting on access keeps the least recently used
+// entry first.
 const cacheStore = new Map();
+const namespaceStats = new Map();
+let totalBytes = 0;
+
+const LOCK_POLL_INTERVAL_MS = 500;
+
+function createSharedDriver() {
+  if (config.cache.driver === 'filesystem') {
+    const dir = config.cache.sharedDir.trim() || path.join(os.tmpdir(), 'radar-shared-cache');
+    logger.info('Using filesystem shared cache', { dir });
+    return createFileDriver({ dir });
+  }
+
+  if (config.cache.driver !== 'memory') {
+    logger.warn('Unknown CACHE_DRIVER; falling back to memory', { driver: config.cache.driver });
+  }
+  return createMemoryDriver();
+}
+
+const sharedDriver = createSharedDriver();
+
+const cacheRequests = createCounter({
+  name: 'cache_requests_total',
+  help: 'Cache lookups by key kind (e.g. latest, xyz, subset) and result (hit, stale or miss).',
+  labelNames: ['kind', 'result'],
+});
+
+const cacheEvictions = createCounter({
+  name: 'cache_evictions_total',
+  help: 'Entries dropped by key kind and reason (size for the byte budget, expired for the sweep).',
+  labelNames: ['kind', 'reason'],
+});
+
+createGauge({
+  name: 'cache_bytes',
+  help: 'Estimated bytes held in the cache by key kind.',
+  labelNames: ['kind'],
+  collect: (gauge) => {
+    for (const [kind, stats] of namespaceStats) {
+      gauge.set({ kind }, stats.bytes);
+    }
+  },
+});
+
+// radar:<product>:<kind>:... keys are grouped by kind; anything else by its first segment.
+function toKeyKind(key) {
+  const segments = String(key).split(':');
+  return segments[0] === 'radar' && segments.length > 2 ? segments[2] : segments[0];
+}
+
+function getNamespaceStats(namespace) {
+  if (!namespaceStats.has(namespace)) {
+    namespaceStats.set(namespace, {
+      entries: 0,
+      bytes: 0,
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      evictions: 0,
+      expirations: 0,
+    });
+  }
+  return namespaceStats.get(namespace);
+}
+
+// Buffers and typed arrays count by length, which is what dominates radar payloads. Other values are
+// a rough estimate: strings at two bytes per character and a fixed overhead per number or property.
+function estimateSize(value, depth = 0) {
+  if (value === null || value === undefined) {
+    return 0;
+  }
+  if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) {
+    return value.byteLength;
+  }
+  if (value instanceof ArrayBuffer) {
+    return value.byteLength;
+  }
+  if (typeof value === 'string') {
+    return value.length * 2;
+  }
+  if (typeof value !== 'object') {
+    return 8;
+  }
+  if (depth > 8) {
+    return 64;
+  }
+  if (Array.isArray(value)) {
+    return value.reduce((total, item) => total + estimateSize(item, depth + 1), 16);
+  }
+  return Object.entries(value).reduce(
+    (total, [key, item]) => total + key.length * 2 + estimateSize(item, depth + 1),
+    16
+  );
+}
+
+function removeEntry(key, entry) {
+  cacheStore.delete(key);
+  totalBytes -= entry.size;
+  const stats = getNamespaceStats(entry.namespace);
+  stats.entries -= 1;
+  stats.bytes -= entry.size;
+}
+
+function evictEntry(key, entry, reason) {
+  removeEntry(key, entry);
+  const stats = getNamespaceStats(entry.namespace);
+  if (reason === 'expired') {
+    stats.expirations += 1;
+  } else {
+    stats.evictions += 1;
+  }
+  cacheEvictions.inc({ kind: entry.namespace, reason });
+}
+
+// Evicts least recently used entries until the budget fits. Pinned entries are skipped, so they are
+// only ever replaced or expired.
+function enforceBudget() {
+  if (totalBytes <= config.cache.maxBytes) {
+    return;
+  }
+
+  for (const [key, entry] of cacheStore) {
+    if (totalBytes <= config.cache.maxBytes) {
+      break;
+    }
+    if (!entry.pinned) {
+      evictEntry(key, entry, 'size');
+    }
+  }
+}
+
+// `pinned` keeps an entry out of LRU eviction; use it for the few entries every request depends on.
+// `sizeBytes` overrides the size estimate.
+export function setCache(key, value, ttlMs, { pinned = false, sizeBytes } = {}) {
+  const existing = cacheStore.get(key);
+  if (existing) {
+    removeEntry(key, existing);
+  }
+
+  const namespace = toKeyKind(key);
+  const size = Number.isFinite(sizeBytes) ? sizeBytes : estimateSize(value);
+  if (!pinned && size > config.cache.maxBytes) {
+    logger.warn('Value larger than the cache budget was not cached', { key, size, maxBytes: config.cache.maxBytes });
+    return;
+  }
 
-export function setCache(key, value, ttlMs) {
   const expiresAt = Date.now() + ttlMs;
-  cacheStore.set(key, { value, expiresAt });
+  cacheStore.set(key, {
+    value,
+    namespace,
+    size,
+    pinned,
+    expiresAt,
+    staleUntil: expiresAt + config.cache.staleTtlMs,
+  });
+  totalBytes += size;
+  const stats = getNamespaceStats(namespace);
+  stats.entries += 1;
+  stats.bytes += size;
+
+  enforceBudget();
 }
 
-export function getCache(key) {
+function lookup(key, { allowStale }) {
+  const namespace = toKeyKind(key);
+  const stats = getNamespaceStats(namespace);
   const entry = cacheStore.get(key);
-  if (!entry) {
-    return null;
+  const now = Date.now();
+
+  if (entry && now > entry.staleUntil) {
+    evictEntry(key, entry, 'expired');
   }
 
-  if (Date.now() > entry.expiresAt) {
-    cacheStore.delete(key);
+  const stale = Boolean(entry) && now > entry.expiresAt;
+  if (!entry || now > entry.staleUntil || (stale && !allowStale)) {
+    stats.misses += 1;
+    cacheRequests.inc({ kind: namespace, result: 'miss' });
     return null;
   }
 
-  return entry.value;
+  cacheStore.delete(key);
+  cacheStore.set(key, entry);
+
+  if (stale) {
+    stats.staleHits += 1;
+  } else {
+    stats.hits += 1;
+  }
+  cacheRequests.inc({ kind: namespace, result: stale ? 'stale' : 'hit' });
+  return { value: entry.value, stale };
+}
+
+// Returns `{ value, stale }` for fresh and stale entries, or null. Stale values are for serving while
+// the caller refreshes them.
+export function getCacheEntry(key) {
+  return lookup(key, { allowStale: true });
+}
+
+export function getCache(key) {
+  return lookup(key, { allowStale: false })?.value ?? null;
 }
 
 export function clearCache(key) {
-  cacheStore.delete(key);
+  const entry = cacheStore.get(key);
+  if (entry) {
+    removeEntry(key, entry);
+  }
 }
 
 export function resetCache() {
   cacheStore.clear();
+  namespaceStats.clear();
+  totalBytes = 0;
+}
+
+export function sweepExpiredEntries() {
+  const now = Date.now();
+  let removed = 0;
+
+  for (const [key, entry] of cacheStore) {
+    if (now > entry.staleUntil) {
+      evictEntry(key, entry, 'expired');
+      removed += 1;
+    }
+  }
+
+  if (removed > 0) {
+    logger.debug('Swept expired cache entries', { removed, entries: cacheStore.size, bytes: totalBytes });
+  }
+  return removed;
+}
+
+export function scheduleCacheSweep() {
+  const intervalMs = config.cache.sweepIntervalMs;
+  if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+    return () => {};
+  }
+
+  const timer = setInterval(sweepExpiredEntries, intervalMs);
+  if (typeof timer.unref === 'function') {
+    timer.unref();
+  }
+
+  return () => clearInterval(timer);
+}
+
+// True when the shared store is visible to other instances, i.e. when coordinating builds matters.
+export function isSharedCacheEnabled() {
+  return sharedDriver.shared;
+}
+
+export function getSharedEntry(key) {
+  return sharedDriver.get(key);
+}
+
+export function setSharedEntry(key, buffer, ttlMs) {
+  return sharedDriver.set(key, buffer, ttlMs);
+}
+
+// Resolves to a lock handle for releaseLock, or null when another holder has it.
+export function acquireLock(name, ttlMs) {
+  return sharedDriver.acquireLock(name, ttlMs);
+}
+
+export function releaseLock(lock) {
+  return sharedDriver.releaseLock(lock);
+}
+
+// Renews a held lock every third of its TTL, so work that outlasts the TTL keeps it. Returns a function
+// that stops renewing. A failed renewal means another holder has taken the lock; it is logged, since
+// the work in progress cannot be undone.
+export function keepLockAlive(lock, ttlMs) {
+  const timer = setInterval(() => {
+    sharedDriver
+      .renewLock(lock, ttlMs)
+      .then((renewed) => {
+        if (!renewed) {
+          clearInterval(timer);
+          logger.warn('Lock was taken over while still in use', { lock: lock.name });
+        }
+      })
+      .catch((error) => {
+        logger.warn('Failed to renew lock', { lock: lock.name, message: error.message });
+      });
+  }, Math.max(Math.floor(ttlMs / 3), 1));
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
+
+// Resolves true once the lock is free, or false if it is still held after `timeoutMs`.
+export async function waitForLockRelease(name, { timeoutMs }) {
+  const deadline = Date.now() + timeoutMs;
+  while (await sharedDriver.isLocked(name)) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await new Promise((resolve) => {
+      setTimeout(resolve, LOCK_POLL_INTERVAL_MS);
+    });
+  }
+  return true;
+}
+
+export function getCacheStats() {
+  const namespaces = Object.fromEntries(
+    [...namespaceStats].sort(([a], [b]) => a.localeCompare(b)).map(([namespace, stats]) => [namespace, { ...stats }])
+  );
+
+  return {
+    maxBytes: config.cache.maxBytes,
+    bytes: totalBytes,
+    entries: cacheStore.size,
+    staleTtlMs: config.cache.staleTtlMs,
+    driver: sharedDriver.name,
+    namespaces,
+  };
 }
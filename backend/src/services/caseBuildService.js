@@ -0,0 +1,294 @@
+import { config } from '../config/env.js';
+import { findEnabledProduct, getDefaultProduct } from '../config/products.js';
+import { HttpError } from '../errors/httpError.js';
+import { createLogger } from '../utils/logger.js';
+import {
+  buildCaseFrameUrls,
+  getCase,
+  hydrateCases,
+  listCases,
+  removeCase,
+  requireCaseStorage,
+  saveCase,
+  storeCaseFrame,
+} from './caseService.js';
+import { toFrameId } from './frameArchiveService.js';
+import { parseSubsetOptions } from './gridSubsetService.js';
+import { listProductObjectsBetween } from './mrmsService.js';
+import { buildFrameArtifacts, parseRequestedTime } from './radarService.js';
+
+// Builds case bundles: lists every MRMS object in the case window and builds each into the bundle.
+// Cases are built one at a time, one frame at a time, and a build interrupted by a restart resumes
+// from the frames already stored.
+
+const logger = createLogger('caseBuildService', config.logLevel);
+
+const MAX_CASE_HOURS = 24;
+const MAX_NAME_LENGTH = 100;
+const MAX_ID_LENGTH = 64;
+const MAX_CASE_ERRORS = 50;
+
+const queue = [];
+let running = false;
+// The case being built, and whether it was deleted meanwhile
+let current = null;
+
+function toCaseId(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_ID_LENGTH);
+}
+
+// Accepts [west, south, east, north] or the same as a comma-separated string
+function parseCaseBbox(value) {
+  return parseSubsetOptions({ bbox: String(value) }).bbox;
+}
+
+function parseCaseInput(body = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    throw new HttpError(400, `name is required and must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+
+  const id = toCaseId(body.id ?? name);
+  if (!id) {
+    throw new HttpError(400, 'id must contain letters or digits', { id: body.id ?? name });
+  }
+
+  const product = body.product ? findEnabledProduct(body.product) : getDefaultProduct();
+  if (!product) {
+    throw new HttpError(400, 'Unknown or disabled radar product', { product: body.product });
+  }
+
+  const startMs = parseRequestedTime(body.start, 'start');
+  const endMs = parseRequestedTime(body.end, 'end');
+  if (endMs <= startMs || endMs - startMs > MAX_CASE_HOURS * 3_600_000) {
+    throw new HttpError(400, `end must be after start and at most ${MAX_CASE_HOURS} hours later`, {
+      start: body.start,
+      end: body.end,
+    });
+  }
+
+  // The region crops every frame, which keeps bundles small; a full CONUS grid is about 50 MB per frame
+  const bbox = body.bbox === undefined || body.bbox === null ? null : parseCaseBbox(body.bbox);
+
+  return {
+    id,
+    name,
+    product,
+    start: new Date(startMs).toISOString(),
+    end: new Date(endMs).toISOString(),
+    bbox: bbox ? [bbox.west, bbox.south, bbox.east, bbox.north] : null,
+  };
+}
+
+// Everything but the frame list, which /frames serves with URLs
+function describeCase(manifest) {
+  const { frames, ...summary } = manifest;
+  return { ...summary, frameCount: frames.length, framesUrl: `/api/cases/${manifest.id}/frames` };
+}
+
+function recordError(manifest, key, message) {
+  manifest.counts.failed += 1;
+  if (manifest.errors.length < MAX_CASE_ERRORS) {
+    manifest.errors.push({ key, message });
+  }
+}
+
+async function buildCase(manifest) {
+  const product = findEnabledProduct(manifest.product);
+  if (!product) {
+    throw new Error(`Product ${manifest.product} is not enabled`);
+  }
+
+  manifest.status = 'building';
+  manifest.updatedAt = new Date().toISOString();
+  await saveCase(manifest);
+
+  const objects = await listProductObjectsBetween(product, Date.parse(manifest.start), Date.parse(manifest.end));
+  manifest.counts.objects = objects.length;
+  if (objects.length === 0) {
+    throw new Error('No MRMS objects found in the case window');
+  }
+
+  const bbox = manifest.bbox
+    ? { west: manifest.bbox[0], south: manifest.bbox[1], east: manifest.bbox[2], north: manifest.bbox[3] }
+    : null;
+  const stored = new Set(manifest.frames.map((frame) => frame.id));
+
+  for (const objectMetadata of objects) {
+    if (current.deleteRequested) {
+      return;
+    }
+
+    const frameId = toFrameId(objectMetadata.timestamp);
+    if (stored.has(frameId)) {
+      continue;
+    }
+
+    try {
+      const { metadata, gridPayload, tileBuffer } = await buildFrameArtifacts(product, objectMetadata, {
+        stages: {},
+        urls: buildCaseFrameUrls(manifest.id, frameId),
+        bbox,
+      });
+      const frame = await storeCaseFrame(manifest, {
+        metadata: { ...metadata, id: toFrameId(metadata.timestamp) },
+        gridPayload,
+        tileBuffer,
+      });
+      stored.add(frame.id);
+      manifest.frames.push({
+        id: frame.id,
+        timestamp: frame.timestamp,
+        minValue: metadata.minValue,
+        maxValue: metadata.maxValue,
+      });
+      manifest.frames.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+      manifest.bounds = manifest.bounds ?? metadata.bounds;
+      manifest.counts.built = manifest.frames.length;
+    } catch (error) {
+      logger.warn('Failed to build case frame', {
+        caseId: manifest.id,
+        key: objectMetadata.key,
+        message: error.message,
+      });
+      recordError(manifest, objectMetadata.key, error.message);
+    }
+
+    manifest.updatedAt = new Date().toISOString();
+    await saveCase(manifest);
+  }
+
+  manifest.status = manifest.frames.length > 0 ? 'ready' : 'failed';
+}
+
+async function runCase(manifest) {
+  current = { id: manifest.id, deleteRequested: false };
+  const startedAt = Date.now();
+  logger.info('Building case bundle', { caseId: manifest.id, product: manifest.product });
+
+  try {
+    await buildCase(manifest);
+  } catch (error) {
+    logger.warn('Case bundle build failed', { caseId: manifest.id, message: error.message });
+    recordError(manifest, null, error.message);
+    manifest.status = 'failed';
+  }
+
+  if (current.deleteRequested) {
+    await removeCase(manifest.id);
+    logger.info('Removed case bundle after cancelling its build', { caseId: manifest.id });
+    return;
+  }
+
+  manifest.updatedAt = new Date().toISOString();
+  await saveCase(manifest);
+  logger.info('Case bundle finished', {
+    caseId: manifest.id,
+    status: manifest.status,
+    frames: manifest.frames.length,
+    durationMs: Date.now() - startedAt,
+  });
+}
+
+async function drainQueue() {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    while (queue.length > 0) {
+      const manifest = queue.shift();
+      try {
+        await runCase(manifest);
+      } catch (error) {
+        logger.error('Case bundle could not be saved', { caseId: manifest.id, message: error.message });
+      } finally {
+        current = null;
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+function enqueue(manifest) {
+  queue.push(manifest);
+  drainQueue();
+}
+
+export async function createCase(body) {
+  requireCaseStorage();
+  const input = parseCaseInput(body);
+  if (getCase(input.id)) {
+    throw new HttpError(409, 'A case with this id already exists', { id: input.id });
+  }
+
+  const now = new Date().toISOString();
+  const manifest = {
+    id: input.id,
+    name: input.name,
+    product: input.product.id,
+    start: input.start,
+    end: input.end,
+    bbox: input.bbox,
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    bounds: null,
+    counts: { objects: null, built: 0, failed: 0 },
+    errors: [],
+    frames: [],
+  };
+
+  await saveCase(manifest);
+  enqueue(manifest);
+  return describeCase(manifest);
+}
+
+export function listCaseSummaries() {
+  return listCases().map(describeCase);
+}
+
+function requireCase(caseId) {
+  const manifest = getCase(caseId);
+  if (!manifest) {
+    throw new HttpError(404, 'Case not found', { id: caseId });
+  }
+  return manifest;
+}
+
+export function getCaseSummary(caseId) {
+  return describeCase(requireCase(caseId));
+}
+
+// A case still building is removed once its current frame is stored.
+export async function deleteCase(caseId) {
+  const manifest = requireCase(caseId);
+  if (current?.id === caseId) {
+    current.deleteRequested = true;
+  } else {
+    const queued = queue.indexOf(manifest);
+    if (queued !== -1) {
+      queue.splice(queued, 1);
+    }
+    await removeCase(caseId);
+  }
+  return { deleted: true, id: caseId };
+}
+
+// Loads the stored cases and queues the builds a restart interrupted.
+export async function resumeCaseBuilds() {
+  await hydrateCases();
+  const pending = listCases()
+    .filter((manifest) => manifest.status === 'queued' || manifest.status === 'building')
+    .reverse();
+  pending.forEach(enqueue);
+  if (pending.length > 0) {
+    logger.info('Resuming case bundle builds', { cases: pending.map((manifest) => manifest.id) });
+  }
+}
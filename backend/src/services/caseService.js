@@ -0,0 +1,187 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+import { config } from '../config/env.js';
+import { findEnabledProduct } from '../config/products.js';
+import { HttpError } from '../errors/httpError.js';
+import { createLogger } from '../utils/logger.js';
+import { resolvePersistentCacheDir, writeFileAtomic } from '../utils/persistence.js';
+import { getCache, setCache } from './cacheService.js';
+import { readFrameFiles, resolveFrameId, writeFrameFiles } from './frameArchiveService.js';
+
+// Case bundles: a named time window of one product, with every MRMS frame in it built and stored for
+// replay. Each case is a directory under CACHE_PERSIST_DIR/cases holding case.json (the manifest) and
+// frames/<frameId>/ in the rolling archive's layout, so a bundle can be copied between deployments.
+
+const logger = createLogger('caseService', config.logLevel);
+
+const MANIFEST_FILE = 'case.json';
+const FRAMES_DIR = 'frames';
+
+// Case id -> manifest
+const cases = new Map();
+
+const casesDir = (() => {
+  const baseDir = resolvePersistentCacheDir(config.cachePersistDir);
+  return baseDir ? path.join(baseDir, 'cases') : null;
+})();
+
+export function requireCaseStorage() {
+  if (!casesDir) {
+    throw new HttpError(503, 'Case bundles need CACHE_PERSIST_DIR to be set');
+  }
+}
+
+const toCacheKey = (manifest, frameId) => `radar:${manifest.product}:case:${manifest.id}:${frameId}`;
+
+export function buildCaseFrameUrls(caseId, frameId) {
+  const base = `/api/cases/${caseId}/frames/${frameId}`;
+  return {
+    metadataUrl: base,
+    imageUrl: `${base}/tile.png`,
+    tileUrlTemplate: `${base}/tiles/{z}/{x}/{y}.png`,
+    vectorTileUrlTemplate: `${base}/vt/{z}/{x}/{y}.pbf`,
+    gridUrl: `${base}/grid.json`,
+    gridDataUrl: `${base}/grid.bin`,
+  };
+}
+
+export function getCase(caseId) {
+  return cases.get(caseId) ?? null;
+}
+
+// Newest first
+export function listCases() {
+  return [...cases.values()].sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+export async function saveCase(manifest) {
+  requireCaseStorage();
+  cases.set(manifest.id, manifest);
+  const caseDir = path.join(casesDir, manifest.id);
+  await fs.mkdir(caseDir, { recursive: true });
+  await writeFileAtomic(path.join(caseDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+}
+
+export async function removeCase(caseId) {
+  cases.delete(caseId);
+  if (casesDir) {
+    await fs.rm(path.join(casesDir, caseId), { recursive: true, force: true });
+  }
+}
+
+// `metadata.id` must be the frame id. The frame's URLs are rewritten to the case routes; the caller
+// records it in the manifest once this resolves.
+export async function storeCaseFrame(manifest, { metadata, gridPayload, tileBuffer }) {
+  requireCaseStorage();
+  const frame = {
+    id: metadata.id,
+    timestamp: metadata.timestamp,
+    metadata: { ...metadata, ...buildCaseFrameUrls(manifest.id, metadata.id) },
+    gridPayload,
+    tileBuffer,
+  };
+
+  await writeFrameFiles(path.join(casesDir, manifest.id, FRAMES_DIR, frame.id), frame);
+  cacheFrame(manifest, frame);
+  return frame;
+}
+
+function cacheFrame(manifest, frame) {
+  setCache(toCacheKey(manifest, frame.id), frame, config.cacheTtlMs, {
+    sizeBytes: frame.gridPayload.data.length + frame.tileBuffer.length,
+  });
+}
+
+export async function getCaseFrame(manifest, frameId) {
+  if (!casesDir || !manifest.frames.some((frame) => frame.id === frameId)) {
+    return null;
+  }
+
+  const cached = getCache(toCacheKey(manifest, frameId));
+  if (cached) {
+    return cached;
+  }
+
+  const frame = await readFrameFiles(
+    path.join(casesDir, manifest.id, FRAMES_DIR, frameId),
+    frameId,
+    buildCaseFrameUrls(manifest.id, frameId)
+  );
+  if (frame) {
+    cacheFrame(manifest, frame);
+  }
+  return frame;
+}
+
+export function getCaseFrames(caseId) {
+  const manifest = getCase(caseId);
+  if (!manifest) {
+    throw new HttpError(404, 'Case not found', { id: caseId });
+  }
+  return {
+    id: manifest.id,
+    name: manifest.name,
+    product: manifest.product,
+    status: manifest.status,
+    bounds: manifest.bounds,
+    frames: manifest.frames.map((frame) => ({ ...frame, ...buildCaseFrameUrls(manifest.id, frame.id) })),
+  };
+}
+
+// A case frame for the /api/cases/:id/frames routes, with the product it belongs to. Case frames are
+// cropped to the case region, so their derived tiles and subsets are cached under a per-case scope
+// rather than the frame id alone.
+export async function resolveCaseFrame(caseId, timestamp) {
+  const frameId = resolveFrameId(timestamp);
+  if (!frameId) {
+    throw new HttpError(400, 'Invalid frame timestamp', { timestamp });
+  }
+  const manifest = getCase(caseId);
+  if (!manifest) {
+    throw new HttpError(404, 'Case not found', { id: caseId });
+  }
+  const product = findEnabledProduct(manifest.product);
+  if (!product) {
+    throw new HttpError(404, 'The case product is not enabled', { id: caseId, product: manifest.product });
+  }
+
+  const frame = await getCaseFrame(manifest, frameId);
+  if (!frame) {
+    throw new HttpError(404, 'Radar frame not found in case', { id: caseId, frameId });
+  }
+  return { product, frame: { ...frame, scope: `case-${caseId}-${frame.id}` } };
+}
+
+// Loads every manifest; frames are read from disk when requested.
+export async function hydrateCases() {
+  if (!casesDir) {
+    return 0;
+  }
+
+  let entries;
+  try {
+    entries = await fs.readdir(casesDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Unable to read case bundles', { message: error.message });
+    }
+    return 0;
+  }
+
+  for (const entry of entries.filter((item) => item.isDirectory())) {
+    try {
+      const manifest = JSON.parse(await fs.readFile(path.join(casesDir, entry.name, MANIFEST_FILE), 'utf8'));
+      if (manifest?.id === entry.name) {
+        cases.set(manifest.id, manifest);
+      }
+    } catch (error) {
+      logger.warn('Skipping unreadable case bundle', { caseId: entry.name, message: error.message });
+    }
+  }
+
+  if (cases.size > 0) {
+    logger.info('Loaded case bundles', { cases: cases.size });
+  }
+  return cases.size;
+}
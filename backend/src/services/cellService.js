@@ -0,0 +1,385 @@
+import { config } from '../config/env.js';
+import { describeProduct } from '../config/products.js';
+import { HttpError } from '../errors/httpError.js';
+import { createLogger } from '../utils/logger.js';
+import { getCache, setCache } from './cacheService.js';
+import { getArchiveRetention, listFrames, toFrameId } from './frameArchiveService.js';
+
+const logger = createLogger('cellService', config.logLevel);
+
+const KM_PER_DEGREE_LAT = 111.32;
+const MAX_CELLS = 500;
+const MAX_MIN_AREA_KM2 = 10000;
+// Matches further apart than this speed (plus a little slack for centroid jitter) are treated as
+// different cells; convective cells rarely move faster than ~120 km/h.
+const MAX_CELL_SPEED_KMH = 120;
+const MATCH_SLACK_KM = 5;
+// Consecutive frames further apart than this are not matched for tracking.
+const MAX_TRACKING_GAP_MINUTES = 15;
+const COORDINATE_DIGITS = 4;
+
+const EIGHT_NEIGHBOURS = [
+  [-1, -1],
+  [-1, 0],
+  [-1, 1],
+  [0, -1],
+  [0, 1],
+  [1, -1],
+  [1, 0],
+  [1, 1],
+];
+
+function round(value, digits = COORDINATE_DIGITS) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function parseNumberParam(value, name, { min = -Infinity, max = Infinity } = {}) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+    const range = Number.isFinite(min) ? ` between ${min} and ${max}` : '';
+    throw new HttpError(400, `${name} must be a number${range}`, { [name]: value });
+  }
+
+  return parsed;
+}
+
+// `defaults` is { threshold, minAreaKm2 }; `key` identifies the option set in cache keys.
+export function parseCellOptions(query = {}, defaults = {}) {
+  const threshold = parseNumberParam(query.threshold, 'threshold') ?? defaults.threshold;
+  const minAreaKm2 =
+    parseNumberParam(query.minAreaKm2, 'minAreaKm2', { min: 0, max: MAX_MIN_AREA_KM2 }) ?? defaults.minAreaKm2;
+
+  return { threshold, minAreaKm2, key: `${threshold}:${minAreaKm2}` };
+}
+
+function distanceKm(from, to) {
+  const kmPerDegreeLon = KM_PER_DEGREE_LAT * Math.cos((((from.lat + to.lat) / 2) * Math.PI) / 180);
+  return Math.hypot((to.lon - from.lon) * kmPerDegreeLon, (to.lat - from.lat) * KM_PER_DEGREE_LAT);
+}
+
+function cross(origin, a, b) {
+  return (a[0] - origin[0]) * (b[1] - origin[1]) - (a[1] - origin[1]) * (b[0] - origin[0]);
+}
+
+// Monotone-chain convex hull; returns a closed, counter-clockwise ring as GeoJSON expects.
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const lower = [];
+  for (const point of sorted) {
+    while (lower.length >= 2 && cross(lower.at(-2), lower.at(-1), point) <= 0) {
+      lower.pop();
+    }
+    lower.push(point);
+  }
+
+  const upper = [];
+  for (const point of sorted.reverse()) {
+    while (upper.length >= 2 && cross(upper.at(-2), upper.at(-1), point) <= 0) {
+      upper.pop();
+    }
+    upper.push(point);
+  }
+
+  const ring = [...lower.slice(0, -1), ...upper.slice(0, -1)];
+  return [...ring, ring[0]];
+}
+
+// The outline is the hull of each row's outer cell edges, which is cheap to collect during the fill
+// and close enough to the true shape for display.
+function buildOutline(gridPayload, rowExtents) {
+  const [, west, north] = gridPayload.bounds;
+  const { latStep, lonStep } = gridPayload;
+  const points = [];
+
+  for (const [row, [colMin, colMax]] of rowExtents) {
+    const top = north - (row - 0.5) * latStep;
+    const bottom = north - (row + 0.5) * latStep;
+    const left = west + (colMin - 0.5) * lonStep;
+    const right = west + (colMax + 0.5) * lonStep;
+    points.push([left, top], [left, bottom], [right, top], [right, bottom]);
+  }
+
+  return convexHull(points).map(([lon, lat]) => [round(lon), round(lat)]);
+}
+
+// Labels 8-connected regions at or above `threshold` (product units) and summarises each one. Cells
+// are returned strongest first and capped at MAX_CELLS.
+export function identifyCells(gridPayload, { threshold, minAreaKm2 = 0 }) {
+  const { rows, cols, latStep, lonStep, data, dataEncoding } = gridPayload;
+  const [, west, north] = gridPayload.bounds;
+  const values = new Int16Array(data.buffer, data.byteOffset, rows * cols);
+  const { scale = 1, offset = 0, missing = -32768 } = dataEncoding ?? {};
+  const thresholdRaw = Math.ceil((threshold - offset) / scale - 1e-9);
+  const cellHeightKm = latStep * KM_PER_DEGREE_LAT;
+
+  const visited = new Uint8Array(rows * cols);
+  let stack = new Int32Array(1024);
+  const cells = [];
+
+  const isCandidate = (index) => !visited[index] && values[index] >= thresholdRaw && values[index] !== missing;
+
+  for (let start = 0; start < values.length; start += 1) {
+    if (!isCandidate(start)) {
+      continue;
+    }
+
+    visited[start] = 1;
+    stack[0] = start;
+    let stackSize = 1;
+
+    let count = 0;
+    let areaKm2 = 0;
+    let latSum = 0;
+    let lonSum = 0;
+    let maxRaw = -Infinity;
+    let maxIndex = start;
+    const rowExtents = new Map();
+
+    while (stackSize > 0) {
+      stackSize -= 1;
+      const index = stack[stackSize];
+      const row = Math.floor(index / cols);
+      const col = index - row * cols;
+      const lat = north - row * latStep;
+
+      count += 1;
+      areaKm2 += cellHeightKm * lonStep * KM_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180);
+      latSum += lat;
+      lonSum += west + col * lonStep;
+      if (values[index] > maxRaw) {
+        maxRaw = values[index];
+        maxIndex = index;
+      }
+
+      const extent = rowExtents.get(row);
+      if (extent) {
+        extent[0] = Math.min(extent[0], col);
+        extent[1] = Math.max(extent[1], col);
+      } else {
+        rowExtents.set(row, [col, col]);
+      }
+
+      for (const [dRow, dCol] of EIGHT_NEIGHBOURS) {
+        const nextRow = row + dRow;
+        const nextCol = col + dCol;
+        if (nextRow < 0 || nextRow >= rows || nextCol < 0 || nextCol >= cols) {
+          continue;
+        }
+
+        const next = nextRow * cols + nextCol;
+        if (!isCandidate(next)) {
+          continue;
+        }
+
+        visited[next] = 1;
+        if (stackSize === stack.length) {
+          const grown = new Int32Array(stack.length * 2);
+          grown.set(stack);
+          stack = grown;
+        }
+        stack[stackSize] = next;
+        stackSize += 1;
+      }
+    }
+
+    if (areaKm2 < minAreaKm2) {
+      continue;
+    }
+
+    const rowList = [...rowExtents.keys()];
+    const colMin = Math.min(...[...rowExtents.values()].map(([min]) => min));
+    const colMax = Math.max(...[...rowExtents.values()].map(([, max]) => max));
+    const maxRow = Math.floor(maxIndex / cols);
+
+    cells.push({
+      cellCount: count,
+      areaKm2,
+      maxValue: maxRaw * scale + offset,
+      centroid: { lat: latSum / count, lon: lonSum / count },
+      maxLocation: { lat: north - maxRow * latStep, lon: west + (maxIndex - maxRow * cols) * lonStep },
+      bbox: [
+        west + colMin * lonStep,
+        north - Math.max(...rowList) * latStep,
+        west + colMax * lonStep,
+        north - Math.min(...rowList) * latStep,
+      ],
+      outline: buildOutline(gridPayload, rowExtents),
+    });
+  }
+
+  return cells.sort((a, b) => b.maxValue - a.maxValue || b.areaKm2 - a.areaKm2).slice(0, MAX_CELLS);
+}
+
+function describeMotion(from, to, elapsedMinutes) {
+  const hours = elapsedMinutes / 60;
+  const kmPerDegreeLon = KM_PER_DEGREE_LAT * Math.cos((((from.lat + to.lat) / 2) * Math.PI) / 180);
+  const uKmh = ((to.lon - from.lon) * kmPerDegreeLon) / hours;
+  const vKmh = ((to.lat - from.lat) * KM_PER_DEGREE_LAT) / hours;
+
+  return {
+    speedKmh: Math.hypot(uKmh, vKmh),
+    // Direction of travel, clockwise from north
+    headingDeg: ((Math.atan2(uKmh, vKmh) * 180) / Math.PI + 360) % 360,
+    uKmh,
+    vKmh,
+  };
+}
+
+function extrapolate(point, motion, minutes) {
+  if (!motion) {
+    return point;
+  }
+
+  const hours = minutes / 60;
+  const kmPerDegreeLon = KM_PER_DEGREE_LAT * Math.cos((point.lat * Math.PI) / 180);
+  return {
+    lat: point.lat + (motion.vKmh * hours) / KM_PER_DEGREE_LAT,
+    lon: point.lon + (motion.uKmh * hours) / kmPerDegreeLon,
+  };
+}
+
+// Matches cells to the previous frame's tracked cells by centroid distance, after moving each
+// previous cell along its last known motion. Pairs are assigned greedily, closest first, so every
+// cell continues at most one track. Unmatched cells start a new track with an id derived from frameId.
+export function trackCells(cells, previousCells, { frameId, elapsedMinutes = null }) {
+  const matches = new Map();
+
+  if (previousCells.length > 0 && elapsedMinutes > 0) {
+    const maxDistanceKm = (MAX_CELL_SPEED_KMH * elapsedMinutes) / 60 + MATCH_SLACK_KM;
+    const candidates = [];
+
+    cells.forEach((cell, cellIndex) => {
+      previousCells.forEach((previous, previousIndex) => {
+        const predicted = extrapolate(previous.centroid, previous.motion, elapsedMinutes);
+        const distance = distanceKm(predicted, cell.centroid);
+        if (distance <= maxDistanceKm) {
+          candidates.push({ cellIndex, previousIndex, distance });
+        }
+      });
+    });
+
+    const claimed = new Set();
+    for (const { cellIndex, previousIndex } of candidates.sort((a, b) => a.distance - b.distance)) {
+      if (!matches.has(cellIndex) && !claimed.has(previousIndex)) {
+        matches.set(cellIndex, previousCells[previousIndex]);
+        claimed.add(previousIndex);
+      }
+    }
+  }
+
+  return cells.map((cell, index) => {
+    const previous = matches.get(index);
+    if (!previous) {
+      return { ...cell, id: `${frameId}-${index + 1}`, trackedFrames: 1, previousCentroid: null, motion: null };
+    }
+
+    return {
+      ...cell,
+      id: previous.id,
+      trackedFrames: previous.trackedFrames + 1,
+      previousCentroid: previous.centroid,
+      motion: describeMotion(previous.centroid, cell.centroid, elapsedMinutes),
+    };
+  });
+}
+
+const toPosition = ({ lat, lon }) => [round(lon), round(lat)];
+
+export function toCellFeatureCollection(cells, extra = {}) {
+  return {
+    type: 'FeatureCollection',
+    ...extra,
+    features: cells.map((cell) => ({
+      type: 'Feature',
+      id: cell.id,
+      geometry: { type: 'Polygon', coordinates: [cell.outline] },
+      properties: {
+        id: cell.id,
+        areaKm2: round(cell.areaKm2, 1),
+        maxValue: round(cell.maxValue, 1),
+        centroid: toPosition(cell.centroid),
+        maxLocation: toPosition(cell.maxLocation),
+        bbox: cell.bbox.map((value) => round(value)),
+        trackedFrames: cell.trackedFrames,
+        previousCentroid: cell.previousCentroid ? toPosition(cell.previousCentroid) : null,
+        motion: cell.motion
+          ? {
+              speedKmh: round(cell.motion.speedKmh, 1),
+              headingDeg: round(cell.motion.headingDeg, 1),
+              uKmh: round(cell.motion.uKmh, 1),
+              vKmh: round(cell.motion.vKmh, 1),
+            }
+          : null,
+      },
+    })),
+  };
+}
+
+function getCellDefaults(product) {
+  return { threshold: product.cellThreshold, minAreaKm2: config.cells.minAreaKm2 };
+}
+
+// Tracks stay valid for as long as their frames are archived, so they outlive the regular cache TTL.
+function getCellCacheTtlMs() {
+  const { maxAgeMinutes } = getArchiveRetention();
+  return maxAgeMinutes > 0 ? Math.max(maxAgeMinutes * 60_000, config.cacheTtlMs) : config.cacheTtlMs;
+}
+
+const toCacheKey = (product, frameId, options) => `radar:${product.id}:cells:${frameId}:${options.key}`;
+
+// Cells for one frame, matched against the cached tracked cells of the archived frame before it; cells are
+// cached per frame, so each new frame only labels its own grid. When the previous frame's cells are not
+// cached (a cold cache, or options nobody asked for then), the frame starts new tracks rather than
+// relabelling the archive. `frames` is listFrames() (oldest first).
+function resolveTrackedCells(product, frames, frameId, gridPayload, options) {
+  const cacheKey = toCacheKey(product, frameId, options);
+  const cached = getCache(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const index = frames.findIndex(({ id }) => id === frameId);
+  const previous = index > 0 ? frames[index - 1] : null;
+  const elapsedMinutes = previous
+    ? (Date.parse(frames[index].timestamp) - Date.parse(previous.timestamp)) / 60_000
+    : null;
+  const previousCells =
+    previous && elapsedMinutes <= MAX_TRACKING_GAP_MINUTES ? getCache(toCacheKey(product, previous.id, options)) : null;
+
+  const result = {
+    previousTimestamp: previousCells ? previous.timestamp : null,
+    cells: trackCells(identifyCells(gridPayload, options), previousCells?.cells ?? [], { frameId, elapsedMinutes }),
+  };
+
+  setCache(cacheKey, result, getCellCacheTtlMs());
+  return result;
+}
+
+// `latest` is the product's latest frame; tracks follow the archive, which the latest frame ends.
+export function getLatestCells(product, latest, query) {
+  const options = parseCellOptions(query, getCellDefaults(product));
+  const tracked = resolveTrackedCells(product, listFrames(product.id), latest.id, latest.gridPayload, options);
+
+  return toCellFeatureCollection(tracked.cells, {
+    product: describeProduct(product),
+    timestamp: latest.metadata.timestamp,
+    previousTimestamp: tracked.previousTimestamp,
+    threshold: options.threshold,
+    minAreaKm2: options.minAreaKm2,
+  });
+}
+
+// Runs after each build so /cells is answered from cache and tracks never skip a frame.
+export function precomputeCells(product, timestamp, gridPayload) {
+  try {
+    const options = parseCellOptions({}, getCellDefaults(product));
+    resolveTrackedCells(product, listFrames(product.id), toFrameId(timestamp), gridPayload, options);
+  } catch (error) {
+    logger.warn('Failed to identify storm cells', { product: product.id, message: error.message });
+  }
+}
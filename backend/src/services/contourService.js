@@ -0,0 +1,412 @@
+import { Buffer } from 'node:buffer';
+
+import { config } from '../config/env.js';
+import { describeProduct } from '../config/products.js';
+import { HttpError } from '../errors/httpError.js';
+import { getCache, setCache } from './cacheService.js';
+import { resolveGridSubset } from './gridSubsetService.js';
+
+const KM_PER_DEGREE_LAT = 111.32;
+// Same cut-off as samplingService: values at or below it are MRMS no-coverage flags, not measurements.
+const NO_DATA_THRESHOLD = -90;
+const MAX_LEVELS = 12;
+const MAX_SMOOTHING_ITERATIONS = 3;
+const MAX_SIMPLIFY_CELLS = 10;
+const MAX_MIN_AREA_KM2 = 10000;
+const DEFAULT_SMOOTHING_ITERATIONS = 1;
+const DEFAULT_SIMPLIFY_CELLS = 0.5;
+const DEFAULT_MIN_AREA_KM2 = 5;
+const COORDINATE_DIGITS = 4;
+
+// Square corners are weighted TL 8, TR 4, BR 2, BL 1. Each case lists its segments as [from, to] edges,
+// oriented so the area at or above the level lies to the right when drawn with rows running down the
+// screen; rings therefore come out clockwise on screen around filled areas and anticlockwise around
+// holes. Saddles (5 and 10) are resolved separately from the square's mean.
+const EDGE = { top: 0, right: 1, bottom: 2, left: 3 };
+const CASE_SEGMENTS = [
+  [],
+  [[EDGE.left, EDGE.bottom]],
+  [[EDGE.bottom, EDGE.right]],
+  [[EDGE.left, EDGE.right]],
+  [[EDGE.right, EDGE.top]],
+  null,
+  [[EDGE.bottom, EDGE.top]],
+  [[EDGE.left, EDGE.top]],
+  [[EDGE.top, EDGE.left]],
+  [[EDGE.top, EDGE.bottom]],
+  null,
+  [[EDGE.top, EDGE.right]],
+  [[EDGE.right, EDGE.left]],
+  [[EDGE.right, EDGE.bottom]],
+  [[EDGE.bottom, EDGE.left]],
+  [],
+];
+const SADDLE_SEGMENTS = {
+  5: {
+    joined: [
+      [EDGE.left, EDGE.top],
+      [EDGE.right, EDGE.bottom],
+    ],
+    split: [
+      [EDGE.left, EDGE.bottom],
+      [EDGE.right, EDGE.top],
+    ],
+  },
+  10: {
+    joined: [
+      [EDGE.top, EDGE.right],
+      [EDGE.bottom, EDGE.left],
+    ],
+    split: [
+      [EDGE.top, EDGE.left],
+      [EDGE.bottom, EDGE.right],
+    ],
+  },
+};
+
+function round(value, digits = COORDINATE_DIGITS) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function parseNumberParam(value, name, { min, max }) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+    throw new HttpError(400, `${name} must be a number between ${min} and ${max}`, { [name]: value });
+  }
+
+  return parsed;
+}
+
+function parseLevels(value) {
+  const levels = String(value)
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map(Number);
+
+  if (levels.length === 0 || levels.length > MAX_LEVELS || levels.some((level) => !Number.isFinite(level))) {
+    throw new HttpError(400, `levels must be a comma-separated list of 1 to ${MAX_LEVELS} numbers`, { levels: value });
+  }
+
+  return [...new Set(levels)].sort((a, b) => a - b);
+}
+
+// `defaults` is { levels }; `key` identifies the option set in cache keys.
+export function parseContourOptions(query = {}, defaults = {}) {
+  const levels = query.levels !== undefined && query.levels !== '' ? parseLevels(query.levels) : defaults.levels;
+  const smoothing =
+    parseNumberParam(query.smooth, 'smooth', { min: 0, max: MAX_SMOOTHING_ITERATIONS }) ??
+    DEFAULT_SMOOTHING_ITERATIONS;
+  const simplifyCells =
+    parseNumberParam(query.simplify, 'simplify', { min: 0, max: MAX_SIMPLIFY_CELLS }) ?? DEFAULT_SIMPLIFY_CELLS;
+  const minAreaKm2 =
+    parseNumberParam(query.minAreaKm2, 'minAreaKm2', { min: 0, max: MAX_MIN_AREA_KM2 }) ?? DEFAULT_MIN_AREA_KM2;
+
+  return {
+    levels,
+    smoothing: Math.round(smoothing),
+    simplifyCells,
+    minAreaKm2,
+    key: `${levels.join(',')}:${Math.round(smoothing)}:${simplifyCells}:${minAreaKm2}`,
+  };
+}
+
+function toFloatValues({ rows, cols, data, dataEncoding }) {
+  if (!rows || !cols || !Buffer.isBuffer(data) || dataEncoding?.format !== 'int16') {
+    throw new HttpError(500, 'Invalid grid payload for contouring');
+  }
+
+  const { scale = 1, offset = 0, missing = -32768 } = dataEncoding;
+  const raw = new Int16Array(data.buffer, data.byteOffset, rows * cols);
+  const values = new Float32Array(rows * cols);
+  for (let index = 0; index < values.length; index += 1) {
+    const value = raw[index] * scale + offset;
+    values[index] = raw[index] === missing || !(value > NO_DATA_THRESHOLD) ? Number.NaN : value;
+  }
+  return values;
+}
+
+// Marching squares over the grid padded with one ring of no-data vertices, so every contour closes.
+// Vertices are cell centres; returned rings are closed arrays of [col, row] in grid units.
+function traceRings(values, rows, cols, level) {
+  const width = cols + 2;
+  const valueAt = (row, col) =>
+    row >= 1 && row <= rows && col >= 1 && col <= cols ? values[(row - 1) * cols + (col - 1)] : Number.NaN;
+  const horizontalKey = (row, col) => (row * width + col) * 2;
+  const verticalKey = (row, col) => (row * width + col) * 2 + 1;
+
+  // Crossing on the edge between two vertices, interpolated linearly; the midpoint when one is no-data
+  const fraction = (from, to) => {
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from === to) {
+      return 0.5;
+    }
+    return Math.min(Math.max((level - from) / (to - from), 0), 1);
+  };
+  const edgePoint = (key) => {
+    const index = Math.floor(key / 2);
+    const row = Math.floor(index / width);
+    const col = index % width;
+    if (key % 2 === 0) {
+      return [col + fraction(valueAt(row, col), valueAt(row, col + 1)) - 1, row - 1];
+    }
+    return [col - 1, row + fraction(valueAt(row, col), valueAt(row + 1, col)) - 1];
+  };
+
+  const next = new Map();
+  for (let row = 0; row <= rows; row += 1) {
+    for (let col = 0; col <= cols; col += 1) {
+      const topLeft = valueAt(row, col);
+      const topRight = valueAt(row, col + 1);
+      const bottomRight = valueAt(row + 1, col + 1);
+      const bottomLeft = valueAt(row + 1, col);
+      const index =
+        (topLeft >= level ? 8 : 0) |
+        (topRight >= level ? 4 : 0) |
+        (bottomRight >= level ? 2 : 0) |
+        (bottomLeft >= level ? 1 : 0);
+      if (index === 0 || index === 15) {
+        continue;
+      }
+
+      let segments = CASE_SEGMENTS[index];
+      if (!segments) {
+        const mean = (topLeft + topRight + bottomRight + bottomLeft) / 4;
+        segments = mean >= level ? SADDLE_SEGMENTS[index].joined : SADDLE_SEGMENTS[index].split;
+      }
+
+      const edgeKeys = [
+        horizontalKey(row, col),
+        verticalKey(row, col + 1),
+        horizontalKey(row + 1, col),
+        verticalKey(row, col),
+      ];
+      for (const [from, to] of segments) {
+        next.set(edgeKeys[from], edgeKeys[to]);
+      }
+    }
+  }
+
+  const rings = [];
+  for (const [start] of next) {
+    const ring = [];
+    let key = start;
+    while (next.has(key)) {
+      ring.push(edgePoint(key));
+      const following = next.get(key);
+      next.delete(key);
+      key = following;
+    }
+    if (ring.length >= 3) {
+      ring.push(ring[0]);
+      rings.push(ring);
+    }
+  }
+  return rings;
+}
+
+// Chaikin corner cutting on a closed ring.
+function smoothRing(ring, iterations) {
+  let points = ring.slice(0, -1);
+  for (let iteration = 0; iteration < iterations; iteration += 1) {
+    const smoothed = [];
+    points.forEach(([x0, y0], index) => {
+      const [x1, y1] = points[(index + 1) % points.length];
+      smoothed.push([0.75 * x0 + 0.25 * x1, 0.75 * y0 + 0.25 * y1], [0.25 * x0 + 0.75 * x1, 0.25 * y0 + 0.75 * y1]);
+    });
+    points = smoothed;
+  }
+  return [...points, points[0]];
+}
+
+function distanceToSegment([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.min(Math.max(((px - ax) * dx + (py - ay) * dy) / lengthSquared, 0), 1);
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+// Douglas–Peucker on a closed ring, split at the vertex farthest from the first so neither half is a
+// zero-length baseline.
+function simplifyRing(ring, tolerance) {
+  if (tolerance <= 0 || ring.length <= 4) {
+    return ring;
+  }
+
+  let farthest = 0;
+  let farthestDistance = -1;
+  ring.forEach(([x, y], index) => {
+    const distance = Math.hypot(x - ring[0][0], y - ring[0][1]);
+    if (distance > farthestDistance) {
+      farthest = index;
+      farthestDistance = distance;
+    }
+  });
+
+  const keep = new Uint8Array(ring.length);
+  keep[0] = 1;
+  keep[farthest] = 1;
+  keep[ring.length - 1] = 1;
+  const stack = [
+    [0, farthest],
+    [farthest, ring.length - 1],
+  ];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let candidate = first + 1; candidate < last; candidate += 1) {
+      const distance = distanceToSegment(ring[candidate], ring[first], ring[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = candidate;
+      }
+    }
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return ring.filter((_, index) => keep[index]);
+}
+
+// Shoelace area in grid units: positive for filled areas, negative for holes (see CASE_SEGMENTS).
+function signedArea(ring) {
+  let sum = 0;
+  for (let index = 0; index < ring.length - 1; index += 1) {
+    sum += ring[index][0] * ring[index + 1][1] - ring[index + 1][0] * ring[index][1];
+  }
+  return sum / 2;
+}
+
+function prepareRing(points, gridPayload) {
+  const area = signedArea(points);
+  const meanRow = points.reduce((total, [, row]) => total + row, 0) / points.length;
+  const lat = gridPayload.bounds[2] - meanRow * gridPayload.latStep;
+  const cellAreaKm2 =
+    gridPayload.latStep * KM_PER_DEGREE_LAT * gridPayload.lonStep * KM_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180);
+
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [x, y] of points) {
+    bbox[0] = Math.min(bbox[0], x);
+    bbox[1] = Math.min(bbox[1], y);
+    bbox[2] = Math.max(bbox[2], x);
+    bbox[3] = Math.max(bbox[3], y);
+  }
+  return { points, area, areaKm2: Math.abs(area) * cellAreaKm2, bbox };
+}
+
+function reverseRing(ring) {
+  return { ...ring, points: ring.points.toReversed(), area: -ring.area };
+}
+
+function containsPoint({ points, bbox }, [x, y]) {
+  if (x < bbox[0] || x > bbox[2] || y < bbox[1] || y > bbox[3]) {
+    return false;
+  }
+
+  let inside = false;
+  for (let index = 0, previous = points.length - 2; index < points.length - 1; previous = index, index += 1) {
+    const [xi, yi] = points[index];
+    const [xj, yj] = points[previous];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Groups rings into polygons: each hole joins the smallest filled ring containing it.
+function assemblePolygons(rings, minAreaKm2) {
+  const kept = rings.filter((ring) => ring.areaKm2 >= minAreaKm2);
+  const shells = kept
+    .filter((ring) => ring.area > 0)
+    .sort((a, b) => a.area - b.area)
+    .map((shell) => ({ shell, holes: [] }));
+
+  for (const hole of kept.filter((ring) => ring.area < 0)) {
+    const owner = shells.find(({ shell }) => containsPoint(shell, hole.points[0]));
+    owner?.holes.push(hole);
+  }
+
+  return shells;
+}
+
+function toLonLatRing(ring, gridPayload) {
+  const [, west, north] = gridPayload.bounds;
+  // Grid rows run south, so reversing makes shells anticlockwise and holes clockwise as GeoJSON expects
+  return ring.points
+    .toReversed()
+    .map(([col, row]) => [round(west + col * gridPayload.lonStep), round(north - row * gridPayload.latStep)]);
+}
+
+// Filled contour bands as GeoJSON. The band for a level covers values from that level up to the next
+// one (or without limit for the top level), so bands tile without overlapping. It is built from the
+// rings at its own level plus the reversed rings of the next level, which become its holes.
+export function buildContours(gridPayload, options) {
+  const values = toFloatValues(gridPayload);
+  const toleranceCells = options.simplifyCells;
+  const ringsByLevel = options.levels.map((level) =>
+    traceRings(values, gridPayload.rows, gridPayload.cols, level)
+      .map((ring) => simplifyRing(smoothRing(ring, options.smoothing), toleranceCells))
+      .filter((ring) => ring.length >= 4)
+      .map((ring) => prepareRing(ring, gridPayload))
+  );
+
+  const features = [];
+  options.levels.forEach((level, index) => {
+    const upperLevel = options.levels[index + 1] ?? null;
+    const rings = [...ringsByLevel[index], ...(ringsByLevel[index + 1] ?? []).map(reverseRing)];
+    const polygons = assemblePolygons(rings, options.minAreaKm2);
+    if (polygons.length === 0) {
+      return;
+    }
+
+    const areaKm2 = polygons.reduce(
+      (total, { shell, holes }) => total + shell.areaKm2 - holes.reduce((sum, hole) => sum + hole.areaKm2, 0),
+      0
+    );
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: polygons.map(({ shell, holes }) =>
+          [shell, ...holes].map((ring) => toLonLatRing(ring, gridPayload))
+        ),
+      },
+      properties: { level, upperLevel, areaKm2: round(Math.max(areaKm2, 0), 1), polygons: polygons.length },
+    });
+  });
+
+  return features;
+}
+
+// Bands default to the product's thresholds and accept the same bbox/stride query as grid.bin, which
+// keeps contouring a large grid cheap when only a coarse outline is needed.
+export function getFrameContours(product, frame, query) {
+  const options = parseContourOptions(query, { levels: product.thresholds });
+  const { grid, queryString } = resolveGridSubset(product, frame, query);
+  const cacheKey = `radar:${product.id}:contours:${frame.scope}:${queryString}:${options.key}`;
+
+  let features = getCache(cacheKey);
+  if (!features) {
+    features = buildContours(grid, options);
+    setCache(cacheKey, features, config.cacheTtlMs);
+  }
+
+  return {
+    type: 'FeatureCollection',
+    product: describeProduct(product),
+    timestamp: frame.metadata.timestamp,
+    units: product.units,
+    levels: options.levels,
+    ...(grid.subset ? { subset: grid.subset } : {}),
+    features,
+  };
+}
@@ -0,0 +1,439 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+import { config } from '../config/env.js';
+import { getEnabledProducts } from '../config/products.js';
+import { createLogger } from '../utils/logger.js';
+import {
+  fileExists,
+  loadPersistedGrid,
+  resolvePersistCompression,
+  resolvePersistentCacheDir,
+  writeFileAtomic,
+  writePersistedGrid,
+} from '../utils/persistence.js';
+import { clearCache, getCache, setCache } from './cacheService.js';
+
+const logger = createLogger('frameArchiveService', config.logLevel);
+
+const FRAME_METADATA_FILE = 'metadata.json';
+// Written as grid.bin plus a grid.header.json sidecar
+const FRAME_GRID_BASENAME = 'grid';
+const LEGACY_FRAME_GRID_FILE = 'grid.json';
+const FRAME_TILE_FILE = 'tile.png';
+
+// One index per product, mapping MRMS timestamp ids (YYYYMMDD-HHMMSS) to { id, timestamp, metadata },
+// oldest first. A frame's grid and tile (about 50 MB for CONUS) live in the LRU cache under
+// radar:<product>:archive:<id>, so they count against CACHE_MAX_MB like everything else, and are read
+// back from CACHE_PERSIST_DIR/frames once evicted. Without a persist dir an evicted frame leaves the
+// archive.
+const indexes = new Map();
+
+// Disk writes and removals are chained so a prune never races an in-progress write.
+let persistenceQueue = Promise.resolve();
+
+const persistentFramesDir = (() => {
+  const baseDir = resolvePersistentCacheDir(config.cachePersistDir);
+  return baseDir ? path.join(baseDir, 'frames') : null;
+})();
+const persistCompression = resolvePersistCompression(config.cachePersistCompression);
+
+function getIndex(productId) {
+  if (!indexes.has(productId)) {
+    indexes.set(productId, new Map());
+  }
+
+  return indexes.get(productId);
+}
+
+const toCacheKey = (productId, frameId) => `radar:${productId}:archive:${frameId}`;
+
+export function toFrameId(timestamp) {
+  const timestampMs = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+  if (!Number.isFinite(timestampMs)) {
+    return null;
+  }
+
+  const iso = new Date(timestampMs).toISOString();
+  const datePart = `${iso.slice(0, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}`;
+  const timePart = `${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)}`;
+  return `${datePart}-${timePart}`;
+}
+
+// Accepts either the compact MRMS form (20260520-213000) or any ISO 8601 timestamp.
+export function resolveFrameId(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  const compact = trimmed.match(/^(\d{4})(\d{2})(\d{2})-?(\d{2})(\d{2})(\d{2})?$/);
+  if (compact) {
+    const [, yyyy, mm, dd, hh, min, ss = '00'] = compact;
+    return toFrameId(`${yyyy}-${mm}-${dd}T${hh}:${min}:${ss}Z`);
+  }
+
+  return toFrameId(trimmed);
+}
+
+export function buildFrameUrls(productId, frameId) {
+  const base = `/api/radar/${productId}/frames/${frameId}`;
+  return {
+    metadataUrl: base,
+    imageUrl: `${base}/tile.png`,
+    tileUrlTemplate: `${base}/tiles/{z}/{x}/{y}.png`,
+    vectorTileUrlTemplate: `${base}/vt/{z}/{x}/{y}.pbf`,
+    gridUrl: `${base}/grid.json`,
+    gridDataUrl: `${base}/grid.bin`,
+  };
+}
+
+function getRetention() {
+  const maxFrames = Number.isFinite(config.archive.maxFrames) ? config.archive.maxFrames : 0;
+  const maxAgeMinutes = Number.isFinite(config.archive.maxAgeMinutes) ? config.archive.maxAgeMinutes : 0;
+  return { maxFrames: Math.max(maxFrames, 0), maxAgeMinutes: Math.max(maxAgeMinutes, 0) };
+}
+
+function isExpired(frame, maxAgeMinutes, now = Date.now()) {
+  if (!maxAgeMinutes) {
+    return false;
+  }
+
+  const timestampMs = Date.parse(frame.timestamp);
+  if (!Number.isFinite(timestampMs)) {
+    return true;
+  }
+
+  return now - timestampMs > maxAgeMinutes * 60_000;
+}
+
+function sortFrames(frames) {
+  const sorted = [...frames.values()].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  frames.clear();
+  for (const frame of sorted) {
+    frames.set(frame.id, frame);
+  }
+}
+
+function pruneFrames(frames) {
+  const { maxFrames, maxAgeMinutes } = getRetention();
+  const removed = [];
+  const now = Date.now();
+
+  for (const frame of frames.values()) {
+    if (isExpired(frame, maxAgeMinutes, now)) {
+      frames.delete(frame.id);
+      removed.push(frame.id);
+    }
+  }
+
+  const overflow = frames.size - maxFrames;
+  if (overflow > 0) {
+    const oldest = [...frames.keys()].slice(0, overflow);
+    for (const frameId of oldest) {
+      frames.delete(frameId);
+      removed.push(frameId);
+    }
+  }
+
+  return removed;
+}
+
+// Cached for as long as retention keeps a frame; with no age limit, until evicted for space
+function getCacheTtlMs() {
+  const { maxAgeMinutes } = getRetention();
+  return maxAgeMinutes > 0 ? maxAgeMinutes * 60_000 : Number.POSITIVE_INFINITY;
+}
+
+function cacheFrame(productId, frame) {
+  setCache(toCacheKey(productId, frame.id), frame, getCacheTtlMs(), {
+    sizeBytes: frame.gridPayload.data.length + frame.tileBuffer.length,
+  });
+}
+
+const toIndexEntry = (frame) => ({ id: frame.id, timestamp: frame.timestamp, metadata: frame.metadata });
+
+function summariseFrame(productId, frame) {
+  return {
+    id: frame.id,
+    timestamp: frame.timestamp,
+    minValue: frame.metadata.minValue,
+    maxValue: frame.metadata.maxValue,
+    ...buildFrameUrls(productId, frame.id),
+  };
+}
+
+export function archiveFrame(productId, { metadata, gridPayload, tileBuffer }) {
+  const { maxFrames } = getRetention();
+  if (!maxFrames) {
+    return null;
+  }
+
+  const frameId = toFrameId(metadata?.timestamp);
+  if (!frameId || !gridPayload || !tileBuffer) {
+    logger.warn('Skipping radar frame archive due to incomplete artifact', {
+      product: productId,
+      timestamp: metadata?.timestamp,
+    });
+    return null;
+  }
+
+  const frame = {
+    id: frameId,
+    timestamp: metadata.timestamp,
+    metadata: { ...metadata, id: frameId, ...buildFrameUrls(productId, frameId) },
+    gridPayload,
+    tileBuffer,
+  };
+
+  const frames = getIndex(productId);
+  const isNew = !frames.has(frameId);
+  frames.set(frameId, toIndexEntry(frame));
+  sortFrames(frames);
+  discardFrames(productId, pruneFrames(frames));
+  if (!frames.has(frameId)) {
+    return null;
+  }
+
+  cacheFrame(productId, frame);
+  if (isNew) {
+    enqueuePersistence(() => persistFrame(productId, frame), 'Failed to persist archived radar frame', frameId);
+  }
+
+  return summariseFrame(productId, frame);
+}
+
+export function listFrames(productId, { limit } = {}) {
+  const frames = getIndex(productId);
+  discardFrames(productId, pruneFrames(frames));
+  const summaries = [...frames.values()].map((frame) => summariseFrame(productId, frame));
+
+  if (Number.isFinite(limit) && limit > 0) {
+    return summaries.slice(-limit);
+  }
+
+  return summaries;
+}
+
+// Resolves to the frame with its grid and tile, reading it back from disk when the cache evicted it.
+export async function getFrame(productId, frameId) {
+  const frames = getIndex(productId);
+  const entry = frames.get(frameId);
+  if (!entry) {
+    return null;
+  }
+
+  const { maxAgeMinutes } = getRetention();
+  if (isExpired(entry, maxAgeMinutes)) {
+    frames.delete(frameId);
+    discardFrames(productId, [frameId]);
+    return null;
+  }
+
+  const cached = getCache(toCacheKey(productId, frameId));
+  if (cached) {
+    return cached;
+  }
+
+  const frame = await readPersistedFrame(productId, frameId);
+  if (!frames.has(frameId)) {
+    // Pruned while it was being read
+    return null;
+  }
+  if (!frame) {
+    frames.delete(frameId);
+    discardFrames(productId, [frameId]);
+    return null;
+  }
+
+  cacheFrame(productId, frame);
+  return frame;
+}
+
+async function readPersistedFrame(productId, frameId) {
+  if (!persistentFramesDir) {
+    return null;
+  }
+
+  // A frame evicted straight after it was archived may still be queued for writing
+  await persistenceQueue;
+  try {
+    return await readFrameFiles(
+      path.join(persistentFramesDir, productId, frameId),
+      frameId,
+      buildFrameUrls(productId, frameId)
+    );
+  } catch (error) {
+    logger.warn('Failed to read persisted radar frame', { product: productId, frameId, message: error.message });
+    return null;
+  }
+}
+
+export function getArchiveRetention() {
+  return getRetention();
+}
+
+function enqueuePersistence(task, failureMessage, frameId) {
+  persistenceQueue = persistenceQueue.then(task).catch((error) => {
+    logger.warn(failureMessage, {
+      frameId,
+      message: error.message,
+    });
+  });
+}
+
+// Writes a frame's grid, tile and metadata into `frameDir`; shared with the history store.
+export async function writeFrameFiles(frameDir, frame) {
+  await fs.mkdir(frameDir, { recursive: true });
+
+  // Metadata last, as in radarService: a frame interrupted mid-write has no metadata or a grid tagged
+  // with another timestamp, and is discarded on hydration.
+  await writePersistedGrid(path.join(frameDir, FRAME_GRID_BASENAME), frame.gridPayload, {
+    compression: persistCompression,
+    frameTimestamp: frame.metadata.timestamp,
+  });
+  await writeFileAtomic(path.join(frameDir, FRAME_TILE_FILE), frame.tileBuffer);
+  await writeFileAtomic(path.join(frameDir, FRAME_METADATA_FILE), JSON.stringify(frame.metadata));
+}
+
+// Reads just a persisted frame's metadata, or null when the frame is incomplete.
+export async function readFrameMetadata(frameDir) {
+  const metadataPath = path.join(frameDir, FRAME_METADATA_FILE);
+  if (!(await fileExists(metadataPath))) {
+    return null;
+  }
+  return JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+}
+
+async function persistFrame(productId, frame) {
+  if (!persistentFramesDir) {
+    return;
+  }
+
+  await writeFrameFiles(path.join(persistentFramesDir, productId, frame.id), frame);
+}
+
+// Drops frames that left the index from the cache and from disk.
+function discardFrames(productId, frameIds) {
+  frameIds.forEach((frameId) => clearCache(toCacheKey(productId, frameId)));
+  if (!persistentFramesDir || frameIds.length === 0) {
+    return;
+  }
+
+  for (const frameId of frameIds) {
+    enqueuePersistence(
+      () => fs.rm(path.join(persistentFramesDir, productId, frameId), { recursive: true, force: true }),
+      'Failed to remove persisted radar frame',
+      frameId,
+    );
+  }
+}
+
+// Loads a frame written by writeFrameFiles, or null when it is missing, incomplete or for another id.
+// `urls` replace the stored ones, so frames written by earlier versions link to the current routes.
+export async function readFrameFiles(frameDir, frameId, urls = {}) {
+  const metadataPath = path.join(frameDir, FRAME_METADATA_FILE);
+  const tilePath = path.join(frameDir, FRAME_TILE_FILE);
+
+  const exists = await Promise.all([fileExists(metadataPath), fileExists(tilePath)]);
+  if (exists.some((available) => !available)) {
+    return null;
+  }
+
+  const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+  if (metadata?.id !== frameId) {
+    return null;
+  }
+
+  const persistedGrid = await loadPersistedGrid(path.join(frameDir, FRAME_GRID_BASENAME), {
+    legacyPath: path.join(frameDir, LEGACY_FRAME_GRID_FILE),
+    compression: persistCompression,
+    frameTimestamp: metadata.timestamp,
+  });
+  if (!persistedGrid || persistedGrid.frameTimestamp !== metadata.timestamp) {
+    return null;
+  }
+
+  const { gridPayload } = persistedGrid;
+  const tileBuffer = await fs.readFile(tilePath);
+
+  return {
+    id: frameId,
+    timestamp: metadata.timestamp,
+    metadata: { ...metadata, ...urls },
+    gridPayload,
+    tileBuffer,
+  };
+}
+
+async function hydrateProductArchive(productId) {
+  const productDir = path.join(persistentFramesDir, productId);
+
+  let entries;
+  try {
+    entries = await fs.readdir(productDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Unable to read persisted radar frames', { product: productId, message: error.message });
+    }
+    return 0;
+  }
+
+  const frames = getIndex(productId);
+  const { maxAgeMinutes } = getRetention();
+  const discarded = [];
+
+  // Only metadata is read here; grids and tiles are loaded into the cache when a frame is requested,
+  // and a frame whose files turn out to be incomplete is dropped then.
+  for (const entry of entries) {
+    if (!entry.isDirectory()) {
+      continue;
+    }
+
+    try {
+      const metadata = await readFrameMetadata(path.join(productDir, entry.name));
+      if (metadata?.id !== entry.name || isExpired(metadata, maxAgeMinutes)) {
+        discarded.push(entry.name);
+        continue;
+      }
+
+      frames.set(metadata.id, {
+        id: metadata.id,
+        timestamp: metadata.timestamp,
+        metadata: { ...metadata, ...buildFrameUrls(productId, metadata.id) },
+      });
+    } catch (error) {
+      logger.warn('Failed to hydrate persisted radar frame', {
+        product: productId,
+        frameId: entry.name,
+        message: error.message,
+      });
+      discarded.push(entry.name);
+    }
+  }
+
+  sortFrames(frames);
+  discardFrames(productId, [...discarded, ...pruneFrames(frames)]);
+
+  return frames.size;
+}
+
+export async function hydrateFrameArchive() {
+  if (!persistentFramesDir) {
+    return 0;
+  }
+
+  let total = 0;
+  for (const product of getEnabledProducts()) {
+    const count = await hydrateProductArchive(product.id);
+    if (count > 0) {
+      logger.info('Hydrated radar frame archive from persisted artifacts', {
+        product: product.id,
+        frames: count,
+      });
+    }
+    total += count;
+  }
+
+  return total;
+}
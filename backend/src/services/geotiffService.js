@@ -0,0 +1,289 @@
+import { Buffer } from 'node:buffer';
+import os from 'node:os';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+
+import { config } from '../config/env.js';
+import { HttpError } from '../errors/httpError.js';
+import { getCache, setCache } from './cacheService.js';
+import { resolveGridSubset } from './gridSubsetService.js';
+
+const deflate = promisify(zlib.deflate);
+
+// Same cut-off as samplingService: decoded values at or below it are MRMS no-coverage flags, written
+// as nodata alongside cells that carry the `missing` sentinel.
+const NO_DATA_THRESHOLD = -90;
+const COG_TILE_SIZE = 256;
+
+const TIFF_TYPES = {
+  ascii: { code: 2, size: 1 },
+  short: { code: 3, size: 2 },
+  long: { code: 4, size: 4 },
+  double: { code: 12, size: 8 },
+};
+
+const TAGS = {
+  newSubfileType: 254,
+  imageWidth: 256,
+  imageLength: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  photometricInterpretation: 262,
+  samplesPerPixel: 277,
+  planarConfiguration: 284,
+  tileWidth: 322,
+  tileLength: 323,
+  tileOffsets: 324,
+  tileByteCounts: 325,
+  sampleFormat: 339,
+  modelPixelScale: 33550,
+  modelTiepoint: 33922,
+  geoKeyDirectory: 34735,
+  gdalNodata: 42113,
+};
+
+const COMPRESSION_DEFLATE = 8;
+const PHOTOMETRIC_BLACK_IS_ZERO = 1;
+const SAMPLE_FORMAT_IEEE_FLOAT = 3;
+const SUBFILE_REDUCED_RESOLUTION = 1;
+
+// GeoKeyDirectory header (version 1.1.0, 3 keys) followed by the keys: a geographic model, PixelIsArea
+// rasters and the WGS 84 (EPSG:4326) coordinate system.
+const GEO_KEYS_EPSG_4326 = [1, 1, 0, 3, 1024, 0, 1, 2, 1025, 0, 1, 1, 2048, 0, 1, 4326];
+
+function toFloat32Values(gridPayload, nodata) {
+  const { rows, cols, data, dataEncoding } = gridPayload;
+  if (!rows || !cols || !Buffer.isBuffer(data) || dataEncoding?.format !== 'int16') {
+    throw new HttpError(500, 'Invalid grid payload for GeoTIFF export');
+  }
+
+  const { scale = 1, offset = 0, missing = -32768 } = dataEncoding;
+  const raw = new Int16Array(data.buffer, data.byteOffset, rows * cols);
+  const values = new Float32Array(rows * cols);
+  for (let index = 0; index < values.length; index += 1) {
+    const value = raw[index] * scale + offset;
+    values[index] = raw[index] === missing || !(value > NO_DATA_THRESHOLD) ? nodata : value;
+  }
+  return values;
+}
+
+// Halves the level in each direction, averaging the cells of every 2×2 block that hold data.
+function downsample({ width, height, values }, nodata) {
+  const nextWidth = Math.ceil(width / 2);
+  const nextHeight = Math.ceil(height / 2);
+  const next = new Float32Array(nextWidth * nextHeight);
+
+  for (let row = 0; row < nextHeight; row += 1) {
+    for (let col = 0; col < nextWidth; col += 1) {
+      let sum = 0;
+      let count = 0;
+      for (let dy = 0; dy < 2; dy += 1) {
+        for (let dx = 0; dx < 2; dx += 1) {
+          const sourceRow = row * 2 + dy;
+          const sourceCol = col * 2 + dx;
+          if (sourceRow < height && sourceCol < width) {
+            const value = values[sourceRow * width + sourceCol];
+            if (value !== nodata) {
+              sum += value;
+              count += 1;
+            }
+          }
+        }
+      }
+      next[row * nextWidth + col] = count > 0 ? sum / count : nodata;
+    }
+  }
+
+  return { width: nextWidth, height: nextHeight, values: next };
+}
+
+// Full resolution first, then overviews until the whole image fits in one tile.
+function buildLevels(fullLevel, nodata) {
+  const levels = [fullLevel];
+  while (levels.at(-1).width > COG_TILE_SIZE || levels.at(-1).height > COG_TILE_SIZE) {
+    levels.push(downsample(levels.at(-1), nodata));
+  }
+  return levels;
+}
+
+// Edge tiles are padded with nodata: TIFF tiles always have the full tile dimensions.
+async function compressTiles({ width, height, values }, nodata) {
+  const tilesAcross = Math.ceil(width / COG_TILE_SIZE);
+  const tilesDown = Math.ceil(height / COG_TILE_SIZE);
+  const tiles = [];
+
+  for (let tileRow = 0; tileRow < tilesDown; tileRow += 1) {
+    for (let tileCol = 0; tileCol < tilesAcross; tileCol += 1) {
+      const tile = new Float32Array(COG_TILE_SIZE * COG_TILE_SIZE).fill(nodata);
+      const startCol = tileCol * COG_TILE_SIZE;
+      const copyWidth = Math.min(COG_TILE_SIZE, width - startCol);
+      for (let y = 0; y < COG_TILE_SIZE && tileRow * COG_TILE_SIZE + y < height; y += 1) {
+        const sourceStart = (tileRow * COG_TILE_SIZE + y) * width + startCol;
+        tile.set(values.subarray(sourceStart, sourceStart + copyWidth), y * COG_TILE_SIZE);
+      }
+
+      const bytes = Buffer.from(tile.buffer);
+      if (os.endianness() === 'BE') {
+        bytes.swap32();
+      }
+      // Sequential so only one uncompressed tile is held at a time; zlib runs off the main thread
+      tiles.push(await deflate(bytes));
+    }
+  }
+
+  return tiles;
+}
+
+function encodeEntryValue({ type, values }) {
+  if (type === 'ascii') {
+    return Buffer.from(`${values}\0`, 'latin1');
+  }
+
+  const { size } = TIFF_TYPES[type];
+  const buffer = Buffer.alloc(values.length * size);
+  values.forEach((value, index) => {
+    if (type === 'short') buffer.writeUInt16LE(value, index * size);
+    else if (type === 'long') buffer.writeUInt32LE(value, index * size);
+    else buffer.writeDoubleLE(value, index * size);
+  });
+  return buffer;
+}
+
+function getEntryCount({ type, values }) {
+  return type === 'ascii' ? values.length + 1 : values.length;
+}
+
+const padToWord = (length) => length + (length % 2);
+
+// Values longer than 4 bytes live after the entry table, so an IFD's size depends only on its
+// entries' types and counts, not on the offsets it will hold.
+function measureIfd(entries) {
+  return entries.reduce((size, entry) => {
+    const length = getEntryCount(entry) * TIFF_TYPES[entry.type].size;
+    return length > 4 ? size + padToWord(length) : size;
+  }, 2 + entries.length * 12 + 4);
+}
+
+function writeIfd(entries, ifdOffset, nextIfdOffset) {
+  const sorted = [...entries].sort((a, b) => a.tag - b.tag);
+  const buffer = Buffer.alloc(measureIfd(sorted));
+  buffer.writeUInt16LE(sorted.length, 0);
+
+  let overflowPosition = 2 + sorted.length * 12 + 4;
+  sorted.forEach((entry, index) => {
+    const position = 2 + index * 12;
+    const value = encodeEntryValue(entry);
+    buffer.writeUInt16LE(entry.tag, position);
+    buffer.writeUInt16LE(TIFF_TYPES[entry.type].code, position + 2);
+    buffer.writeUInt32LE(getEntryCount(entry), position + 4);
+
+    if (value.length <= 4) {
+      value.copy(buffer, position + 8);
+    } else {
+      buffer.writeUInt32LE(ifdOffset + overflowPosition, position + 8);
+      value.copy(buffer, overflowPosition);
+      overflowPosition += padToWord(value.length);
+    }
+  });
+  buffer.writeUInt32LE(nextIfdOffset, 2 + sorted.length * 12);
+
+  return buffer;
+}
+
+function buildIfdEntries(level, levelIndex, tiles, georeference, nodata) {
+  const tileCount = tiles.length;
+  const entries = [
+    { tag: TAGS.newSubfileType, type: 'long', values: [levelIndex === 0 ? 0 : SUBFILE_REDUCED_RESOLUTION] },
+    { tag: TAGS.imageWidth, type: 'long', values: [level.width] },
+    { tag: TAGS.imageLength, type: 'long', values: [level.height] },
+    { tag: TAGS.bitsPerSample, type: 'short', values: [32] },
+    { tag: TAGS.compression, type: 'short', values: [COMPRESSION_DEFLATE] },
+    { tag: TAGS.photometricInterpretation, type: 'short', values: [PHOTOMETRIC_BLACK_IS_ZERO] },
+    { tag: TAGS.samplesPerPixel, type: 'short', values: [1] },
+    { tag: TAGS.planarConfiguration, type: 'short', values: [1] },
+    { tag: TAGS.tileWidth, type: 'short', values: [COG_TILE_SIZE] },
+    { tag: TAGS.tileLength, type: 'short', values: [COG_TILE_SIZE] },
+    // Placeholder offsets; they are filled in once the data section's position is known
+    { tag: TAGS.tileOffsets, type: 'long', values: new Array(tileCount).fill(0) },
+    { tag: TAGS.tileByteCounts, type: 'long', values: tiles.map((tile) => tile.length) },
+    { tag: TAGS.sampleFormat, type: 'short', values: [SAMPLE_FORMAT_IEEE_FLOAT] },
+    { tag: TAGS.gdalNodata, type: 'ascii', values: String(nodata) },
+  ];
+
+  if (levelIndex === 0) {
+    entries.push(
+      { tag: TAGS.modelPixelScale, type: 'double', values: [georeference.pixelWidth, georeference.pixelHeight, 0] },
+      { tag: TAGS.modelTiepoint, type: 'double', values: [0, 0, 0, georeference.west, georeference.north, 0] },
+      { tag: TAGS.geoKeyDirectory, type: 'short', values: GEO_KEYS_EPSG_4326 }
+    );
+  }
+
+  return entries;
+}
+
+// Encodes a grid payload as a Cloud Optimized GeoTIFF: float32 values in product units on EPSG:4326,
+// 256×256 deflate tiles, and 2× overviews down to a single tile. Every IFD precedes the tile data,
+// which runs from the smallest overview to full resolution, so readers can fetch the header and then
+// range-request only the tiles they need.
+export async function encodeGridGeoTiff(gridPayload) {
+  const nodata = gridPayload.dataEncoding?.missing ?? -32768;
+  const [, west, north] = gridPayload.bounds;
+  // Bounds are cell centres; the tiepoint is the outer corner of the top-left cell
+  const georeference = {
+    west: west - gridPayload.lonStep / 2,
+    north: north + gridPayload.latStep / 2,
+    pixelWidth: gridPayload.lonStep,
+    pixelHeight: gridPayload.latStep,
+  };
+
+  const levels = buildLevels(
+    { width: gridPayload.cols, height: gridPayload.rows, values: toFloat32Values(gridPayload, nodata) },
+    nodata
+  );
+  const levelTiles = [];
+  for (const level of levels) {
+    levelTiles.push(await compressTiles(level, nodata));
+  }
+
+  const ifdEntries = levels.map((level, index) =>
+    buildIfdEntries(level, index, levelTiles[index], georeference, nodata)
+  );
+  const ifdOffsets = [];
+  let position = 8;
+  for (const entries of ifdEntries) {
+    ifdOffsets.push(position);
+    position += measureIfd(entries);
+  }
+
+  // Tile data, smallest overview first
+  for (let index = levels.length - 1; index >= 0; index -= 1) {
+    const offsets = ifdEntries[index].find(({ tag }) => tag === TAGS.tileOffsets).values;
+    levelTiles[index].forEach((tile, tileIndex) => {
+      offsets[tileIndex] = position;
+      position += tile.length;
+    });
+  }
+
+  const header = Buffer.alloc(8);
+  header.write('II', 0, 'latin1');
+  header.writeUInt16LE(42, 2);
+  header.writeUInt32LE(ifdOffsets[0], 4);
+
+  const ifds = ifdEntries.map((entries, index) => writeIfd(entries, ifdOffsets[index], ifdOffsets[index + 1] ?? 0));
+  const tileData = levelTiles.toReversed().flat();
+  return Buffer.concat([header, ...ifds, ...tileData]);
+}
+
+// Accepts the same bbox/stride query as grid.bin; each encoded file is cached per frame and query.
+export async function getFrameGeoTiff(product, frame, query) {
+  const { grid, queryString } = resolveGridSubset(product, frame, query);
+  const cacheKey = `radar:${product.id}:geotiff:${frame.scope}:${queryString}`;
+  const cached = getCache(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const buffer = await encodeGridGeoTiff(grid);
+  setCache(cacheKey, buffer, config.cacheTtlMs);
+  return buffer;
+}
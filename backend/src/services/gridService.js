@@ -7,24 +7,110 @@ import { fileURLToPath } from 'node:url';
 
 import { config } from '../config/env.js';
 import { HttpError } from '../errors/httpError.js';
+import { parseGribFile } from '../utils/gribParser.js';
 import { createLogger } from '../utils/logger.js';
+import { createCounter } from '../utils/metrics.js';
 
 const logger = createLogger('gridService', config.logLevel);
 
+const GRIB_DECODERS = new Set(['native', 'python']);
+
+const gribProcessorExits = createCounter({
+  name: 'grib_processor_exits_total',
+  help: 'Python GRIB processor runs by exit code, or signal name if killed ("spawn_error" if it never started).',
+  labelNames: ['code'],
+});
+
+const gribDecoder = (() => {
+  if (GRIB_DECODERS.has(config.gribDecoder)) {
+    return config.gribDecoder;
+  }
+
+  logger.warn('Unknown GRIB_DECODER value, falling back to the native decoder', { value: config.gribDecoder });
+  return 'native';
+})();
+
+// The Python decoder is only probed when selected; the result is cached briefly so health checks
+// do not spawn a process each time.
+const PYTHON_PROBE_TTL_MS = 5 * 60 * 1000;
+const PYTHON_PROBE_TIMEOUT_MS = 10_000;
+let pythonProbe = null;
+
+function probePython() {
+  return new Promise((resolve) => {
+    const subprocess = spawn(
+      config.pythonExecutable,
+      ['-c', 'import sys, xarray, cfgrib; print(sys.version.split()[0])'],
+      { stdio: ['ignore', 'pipe', 'pipe'], timeout: PYTHON_PROBE_TIMEOUT_MS }
+    );
+
+    let stdout = '';
+    let stderr = '';
+    subprocess.stdout.on('data', (chunk) => {
+      stdout += chunk.toString();
+    });
+    subprocess.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+
+    subprocess.on('error', (error) => {
+      resolve({ available: false, version: null, error: error.message });
+    });
+    subprocess.on('close', (code) => {
+      resolve(
+        code === 0
+          ? { available: true, version: stdout.trim(), error: null }
+          : { available: false, version: null, error: stderr.trim().split('\n').at(-1) || `Exited with code ${code}` }
+      );
+    });
+  });
+}
+
+export async function describeGribDecoder() {
+  if (gribDecoder !== 'python') {
+    return { decoder: gribDecoder, python: null };
+  }
+
+  if (!pythonProbe || Date.now() - pythonProbe.checkedAt > PYTHON_PROBE_TTL_MS) {
+    pythonProbe = { checkedAt: Date.now(), result: probePython() };
+  }
+
+  return { decoder: gribDecoder, python: { executable: config.pythonExecutable, ...(await pythonProbe.result) } };
+}
+
 export async function buildGridPayload(artifact) {
   if (!artifact?.gribBuffer) {
     throw new HttpError(400, 'Invalid artifact received for grid generation');
   }
 
+  const payload =
+    gribDecoder === 'python' ? await buildGridPayloadWithPython(artifact) : await buildGridPayloadNatively(artifact);
+  payload.timestamp = artifact.timestamp || payload.timestamp;
+  return payload;
+}
+
+async function buildGridPayloadNatively(artifact) {
+  const startedAt = Date.now();
+  const payload = await parseGribFile(artifact.gribBuffer);
+
+  logger.debug('Decoded GRIB artifact natively', {
+    fileName: artifact.fileName,
+    rows: payload.rows,
+    cols: payload.cols,
+    durationMs: Date.now() - startedAt,
+  });
+
+  return payload;
+}
+
+async function buildGridPayloadWithPython(artifact) {
   const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrms-'));
   const gribPath = path.join(tempDir, artifact.fileName || 'latest.grib2');
 
   try {
     await fs.writeFile(gribPath, artifact.gribBuffer);
     const pythonOutput = await runGribProcessor(gribPath);
-    const payload = parseProcessorOutput(pythonOutput);
-    payload.timestamp = artifact.timestamp || payload.timestamp;
-    return payload;
+    return parseProcessorOutput(pythonOutput);
   } finally {
     await fs.rm(tempDir, { recursive: true, force: true });
   }
@@ -52,11 +138,17 @@ function runGribProcessor(gribPath) {
       stderr += chunk.toString();
     });
 
+    let spawnFailed = false;
     subprocess.on('error', (error) => {
+      spawnFailed = true;
+      gribProcessorExits.inc({ code: 'spawn_error' });
       reject(new HttpError(500, 'Failed to start GRIB processor', { cause: error.message }));
     });
 
-    subprocess.on('close', (code) => {
+    subprocess.on('close', (code, signal) => {
+      if (!spawnFailed) {
+        gribProcessorExits.inc({ code: code ?? signal });
+      }
       if (code !== 0) {
         reject(new HttpError(500, 'GRIB processor exited with error', { stderr }));
         return;
@@ -0,0 +1,224 @@
+import { Buffer } from 'node:buffer';
+
+import { config } from '../config/env.js';
+import { HttpError } from '../errors/httpError.js';
+import { getCache, setCache } from './cacheService.js';
+
+const MAX_STRIDE = 64;
+const MAX_OUTPUT_CELLS_PER_AXIS = 8192;
+
+function parseBbox(value) {
+  const parts = String(value)
+    .split(',')
+    .map((entry) => Number(entry.trim()));
+
+  const [west, south, east, north] = parts;
+  const valid =
+    parts.length === 4 &&
+    parts.every(Number.isFinite) &&
+    west < east &&
+    south < north &&
+    south >= -90 &&
+    north <= 90 &&
+    west >= -180 &&
+    east <= 180;
+
+  if (!valid) {
+    throw new HttpError(400, 'bbox must be west,south,east,north in degrees', { bbox: value });
+  }
+
+  return { west, south, east, north };
+}
+
+function parsePositiveInteger(value, name, max) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > max) {
+    throw new HttpError(400, `${name} must be an integer between 1 and ${max}`, { [name]: value });
+  }
+
+  return parsed;
+}
+
+// Returns null when no subset parameters are present so callers can serve the full grid untouched.
+export function parseSubsetOptions(query = {}) {
+  const options = {
+    bbox: query.bbox ? parseBbox(query.bbox) : null,
+    stride: parsePositiveInteger(query.stride, 'stride', MAX_STRIDE),
+    maxRows: parsePositiveInteger(query.maxRows, 'maxRows', MAX_OUTPUT_CELLS_PER_AXIS),
+    maxCols: parsePositiveInteger(query.maxCols, 'maxCols', MAX_OUTPUT_CELLS_PER_AXIS),
+  };
+
+  return Object.values(options).some((value) => value !== null) ? options : null;
+}
+
+// Canonical query string for a parsed subset; used both as a cache key and in the returned dataUrl.
+export function toSubsetQueryString(options) {
+  const params = new URLSearchParams();
+  if (options.bbox) {
+    const { west, south, east, north } = options.bbox;
+    params.set('bbox', [west, south, east, north].join(','));
+  }
+  for (const key of ['stride', 'maxRows', 'maxCols']) {
+    if (options[key] !== null) {
+      params.set(key, String(options[key]));
+    }
+  }
+  return params.toString();
+}
+
+// Index range of the cells whose footprint overlaps the bbox; bounds in the payload are cell centres.
+function resolveWindow(gridPayload, bbox) {
+  const { rows, cols, latStep, lonStep } = gridPayload;
+  const [, west, north] = gridPayload.bounds;
+
+  if (!bbox) {
+    return { rowStart: 0, rowEnd: rows - 1, colStart: 0, colEnd: cols - 1 };
+  }
+
+  const window = {
+    rowStart: Math.max(0, Math.floor((north - bbox.north) / latStep + 0.5)),
+    rowEnd: Math.min(rows - 1, Math.ceil((north - bbox.south) / latStep - 0.5)),
+    colStart: Math.max(0, Math.floor((bbox.west - west) / lonStep + 0.5)),
+    colEnd: Math.min(cols - 1, Math.ceil((bbox.east - west) / lonStep - 0.5)),
+  };
+
+  if (window.rowStart > window.rowEnd || window.colStart > window.colEnd) {
+    throw new HttpError(400, 'bbox does not intersect the radar grid', { bbox, bounds: gridPayload.bounds });
+  }
+
+  return window;
+}
+
+function resolveStride(windowRows, windowCols, { stride, maxRows, maxCols }) {
+  return Math.max(
+    stride ?? 1,
+    maxRows ? Math.ceil(windowRows / maxRows) : 1,
+    maxCols ? Math.ceil(windowCols / maxCols) : 1
+  );
+}
+
+// Crops and decimates a grid payload. Each output cell holds the maximum of its stride×stride block
+// so storm cores survive downsampling; missing is the int16 minimum, so it only wins for empty blocks.
+export function subsetGridPayload(gridPayload, options) {
+  const { rows, cols, latStep, lonStep, data, dataEncoding } = gridPayload;
+  const [, west, north] = gridPayload.bounds;
+  const source = new Int16Array(data.buffer, data.byteOffset, rows * cols);
+  const missing = dataEncoding?.missing ?? -32768;
+  const { scale = 1, offset = 0 } = dataEncoding ?? {};
+
+  const { rowStart, rowEnd, colStart, colEnd } = resolveWindow(gridPayload, options.bbox);
+  const windowRows = rowEnd - rowStart + 1;
+  const windowCols = colEnd - colStart + 1;
+  const stride = resolveStride(windowRows, windowCols, options);
+  const outRows = Math.ceil(windowRows / stride);
+  const outCols = Math.ceil(windowCols / stride);
+  const output = new Int16Array(outRows * outCols);
+
+  let minRaw = Infinity;
+  let maxRaw = -Infinity;
+
+  for (let outRow = 0; outRow < outRows; outRow += 1) {
+    const blockRowStart = rowStart + outRow * stride;
+    const blockRowEnd = Math.min(blockRowStart + stride - 1, rowEnd);
+
+    for (let outCol = 0; outCol < outCols; outCol += 1) {
+      const blockColStart = colStart + outCol * stride;
+      const blockColEnd = Math.min(blockColStart + stride - 1, colEnd);
+      let value = missing;
+
+      for (let row = blockRowStart; row <= blockRowEnd; row += 1) {
+        const rowOffset = row * cols;
+        for (let col = blockColStart; col <= blockColEnd; col += 1) {
+          const candidate = source[rowOffset + col];
+          if (candidate !== missing && (value === missing || candidate > value)) {
+            value = candidate;
+          }
+        }
+      }
+
+      output[outRow * outCols + outCol] = value;
+      if (value !== missing) {
+        minRaw = Math.min(minRaw, value);
+        maxRaw = Math.max(maxRaw, value);
+      }
+    }
+  }
+
+  // Output cell centres sit at the middle of each (full) block.
+  const blockCentreOffset = (stride - 1) / 2;
+  const subsetNorth = north - (rowStart + blockCentreOffset) * latStep;
+  const subsetWest = west + (colStart + blockCentreOffset) * lonStep;
+  const subsetLatStep = latStep * stride;
+  const subsetLonStep = lonStep * stride;
+
+  return {
+    ...gridPayload,
+    rows: outRows,
+    cols: outCols,
+    bounds: [
+      subsetNorth - (outRows - 1) * subsetLatStep,
+      subsetWest,
+      subsetNorth,
+      subsetWest + (outCols - 1) * subsetLonStep,
+    ],
+    latStep: subsetLatStep,
+    lonStep: subsetLonStep,
+    origin: 'upper-left',
+    minValue: Number.isFinite(minRaw) ? minRaw * scale + offset : null,
+    maxValue: Number.isFinite(maxRaw) ? maxRaw * scale + offset : null,
+    subset: { stride, rowStart, colStart },
+    data: Buffer.from(output.buffer, output.byteOffset, output.byteLength),
+  };
+}
+
+// The grid.json view of a grid payload; `dataUrl` is where its grid.bin is served.
+export function describeGrid(gridPayload, dataUrl) {
+  return {
+    bounds: gridPayload.bounds,
+    rows: gridPayload.rows,
+    cols: gridPayload.cols,
+    latStep: gridPayload.latStep,
+    lonStep: gridPayload.lonStep,
+    origin: gridPayload.origin,
+    minValue: gridPayload.minValue,
+    maxValue: gridPayload.maxValue,
+    timestamp: gridPayload.timestamp,
+    dataEncoding: gridPayload.dataEncoding,
+    ...(gridPayload.subset ? { subset: gridPayload.subset } : {}),
+    dataUrl,
+  };
+}
+
+// Applies the optional bbox/stride query to a frame's grid; subsets are cached per frame scope so
+// grid.json and the grid.bin request that follows it share one computation.
+export function resolveGridSubset(product, frame, query) {
+  const options = parseSubsetOptions(query);
+  if (!options) {
+    return { grid: frame.gridPayload, queryString: '' };
+  }
+
+  const queryString = toSubsetQueryString(options);
+  const cacheKey = `radar:${product.id}:subset:${frame.scope}:${queryString}`;
+  const cached = getCache(cacheKey);
+  if (cached) {
+    return { grid: cached, queryString };
+  }
+
+  const grid = subsetGridPayload(frame.gridPayload, options);
+  setCache(cacheKey, grid, config.cacheTtlMs);
+  return { grid, queryString };
+}
+
+export function describeFrameGrid(product, frame, query) {
+  const { grid, queryString } = resolveGridSubset(product, frame, query);
+  const { gridDataUrl } = frame.metadata;
+  return describeGrid(grid, queryString ? `${gridDataUrl}?${queryString}` : gridDataUrl);
+}
+
+export function getFrameGridData(product, frame, query) {
+  return resolveGridSubset(product, frame, query).grid.data;
+}
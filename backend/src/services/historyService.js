@@ -0,0 +1,204 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+import { config } from '../config/env.js';
+import { getEnabledProducts } from '../config/products.js';
+import { createLogger } from '../utils/logger.js';
+import { resolvePersistentCacheDir } from '../utils/persistence.js';
+import { getCache, setCache } from './cacheService.js';
+import { buildFrameUrls, readFrameFiles, readFrameMetadata, writeFrameFiles } from './frameArchiveService.js';
+
+// Frames fetched for a requested time (/at and admin backfills). Unlike the rolling archive they are
+// kept regardless of age, up to RADAR_HISTORY_MAX_FRAMES per product (oldest timestamps go first).
+// Grids are too large to hold many in memory, so each frame lives on disk under
+// CACHE_PERSIST_DIR/history and in the LRU cache while it is in use; without a persist dir, frames
+// last only as long as the cache keeps them.
+
+const logger = createLogger('historyService', config.logLevel);
+
+// Per product: frame id -> { id, timestamp, storedAt, minValue, maxValue }, ordered by timestamp
+const indexes = new Map();
+
+// Disk writes and removals are chained, as in the rolling archive, so a prune never races a write.
+let persistenceQueue = Promise.resolve();
+
+const historyDir = (() => {
+  const baseDir = resolvePersistentCacheDir(config.cachePersistDir);
+  return baseDir ? path.join(baseDir, 'history') : null;
+})();
+
+function getIndex(productId) {
+  if (!indexes.has(productId)) {
+    indexes.set(productId, new Map());
+  }
+  return indexes.get(productId);
+}
+
+const toCacheKey = (productId, frameId) => `radar:${productId}:history:${frameId}`;
+
+function toIndexEntry(metadata, storedAt) {
+  return {
+    id: metadata.id,
+    timestamp: metadata.timestamp,
+    storedAt,
+    minValue: metadata.minValue,
+    maxValue: metadata.maxValue,
+  };
+}
+
+function setIndexEntry(productId, entry) {
+  const index = getIndex(productId);
+  index.set(entry.id, entry);
+  const sorted = [...index.values()].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  index.clear();
+  sorted.forEach((item) => index.set(item.id, item));
+}
+
+function enqueuePersistence(task, failureMessage, productId, frameId) {
+  const run = persistenceQueue.then(task);
+  persistenceQueue = run.catch((error) => {
+    logger.warn(failureMessage, { product: productId, frameId, message: error.message });
+  });
+  return persistenceQueue;
+}
+
+function removeFrame(productId, frameId) {
+  getIndex(productId).delete(frameId);
+  if (historyDir) {
+    enqueuePersistence(
+      () => fs.rm(path.join(historyDir, productId, frameId), { recursive: true, force: true }),
+      'Failed to remove historical radar frame',
+      productId,
+      frameId
+    );
+  }
+}
+
+function pruneIndex(productId) {
+  const maxFrames = Math.max(Number.isFinite(config.history.maxFrames) ? config.history.maxFrames : 0, 0);
+  const index = getIndex(productId);
+  const overflow = index.size - maxFrames;
+  if (overflow > 0) {
+    [...index.keys()].slice(0, overflow).forEach((frameId) => removeFrame(productId, frameId));
+  }
+}
+
+// Grid and tile dominate a frame's size, so only they are counted against the cache budget
+function cacheFrame(productId, frame) {
+  setCache(toCacheKey(productId, frame.id), frame, config.cacheTtlMs, {
+    sizeBytes: frame.gridPayload.data.length + frame.tileBuffer.length,
+  });
+}
+
+// `metadata.id` must be the frame id; its URLs are rewritten to the /frames/:timestamp routes, which
+// fall back to this store.
+export async function storeHistoricalFrame(productId, { metadata, gridPayload, tileBuffer }) {
+  const frame = {
+    id: metadata.id,
+    timestamp: metadata.timestamp,
+    metadata: { ...metadata, ...buildFrameUrls(productId, metadata.id) },
+    gridPayload,
+    tileBuffer,
+  };
+
+  cacheFrame(productId, frame);
+  setIndexEntry(productId, toIndexEntry(frame.metadata, new Date().toISOString()));
+  pruneIndex(productId);
+
+  if (historyDir) {
+    await enqueuePersistence(
+      // Skipped when the frame was pruned straight away for being older than everything kept
+      () => getIndex(productId).has(frame.id) && writeFrameFiles(path.join(historyDir, productId, frame.id), frame),
+      'Failed to persist historical radar frame',
+      productId,
+      frame.id
+    );
+  }
+
+  return frame;
+}
+
+export async function getHistoricalFrame(productId, frameId) {
+  if (!getIndex(productId).has(frameId)) {
+    return null;
+  }
+
+  const cached = getCache(toCacheKey(productId, frameId));
+  if (cached) {
+    return cached;
+  }
+
+  const frame = historyDir
+    ? await readFrameFiles(path.join(historyDir, productId, frameId), frameId, buildFrameUrls(productId, frameId))
+    : null;
+  if (!frame) {
+    // Evicted from the cache with nothing on disk, or the files are incomplete
+    removeFrame(productId, frameId);
+    return null;
+  }
+
+  cacheFrame(productId, frame);
+  return frame;
+}
+
+// The stored frame closest to `timeMs`, if any is within `toleranceMs`.
+export function findHistoricalFrameNear(productId, timeMs, toleranceMs) {
+  let nearest = null;
+  for (const entry of getIndex(productId).values()) {
+    const offsetMs = Math.abs(Date.parse(entry.timestamp) - timeMs);
+    if (offsetMs <= toleranceMs && (!nearest || offsetMs < nearest.offsetMs)) {
+      nearest = { id: entry.id, offsetMs };
+    }
+  }
+  return nearest?.id ?? null;
+}
+
+export function listHistoricalFrames(productId) {
+  return [...getIndex(productId).values()].map((entry) => ({ ...entry, ...buildFrameUrls(productId, entry.id) }));
+}
+
+// Rebuilds the index from the metadata on disk; grids are loaded when a frame is requested.
+export async function hydrateHistoryIndex() {
+  if (!historyDir) {
+    return 0;
+  }
+
+  let total = 0;
+  for (const product of getEnabledProducts()) {
+    const productDir = path.join(historyDir, product.id);
+    let entries;
+    try {
+      entries = await fs.readdir(productDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Unable to read historical radar frames', { product: product.id, message: error.message });
+      }
+      continue;
+    }
+
+    for (const entry of entries.filter((item) => item.isDirectory())) {
+      try {
+        const metadata = await readFrameMetadata(path.join(productDir, entry.name));
+        if (metadata?.id === entry.name) {
+          const { mtime } = await fs.stat(path.join(productDir, entry.name));
+          setIndexEntry(product.id, toIndexEntry(metadata, mtime.toISOString()));
+        }
+      } catch (error) {
+        logger.warn('Skipping unreadable historical radar frame', {
+          product: product.id,
+          frameId: entry.name,
+          message: error.message,
+        });
+      }
+    }
+    pruneIndex(product.id);
+
+    const count = getIndex(product.id).size;
+    if (count > 0) {
+      logger.info('Indexed historical radar frames', { product: product.id, frames: count });
+    }
+    total += count;
+  }
+
+  return total;
+}
@@ -2,6 +2,7 @@ import { MongoClient } from 'mongodb';
 
 import { config } from '../config/env.js';
 import { createLogger } from '../utils/logger.js';
+import { createCounter } from '../utils/metrics.js';
 
 const logger = createLogger('mongoService', config.logLevel);
 
@@ -10,6 +11,11 @@ let dbInstance = null;
 let initPromise = null;
 let mongoEnabled = false;
 
+const requestLogWriteFailures = createCounter({
+  name: 'mongo_request_log_write_failures_total',
+  help: 'Request log entries that could not be written to MongoDB (including while it is unavailable).',
+});
+
 function buildClientOptions() {
   return {
     appName: 'mrms-radar-backend',
@@ -58,6 +64,23 @@ async function ensureIndexes(db) {
     await users.createIndex({ userId: 1 }, { name: 'users_userId_unique', unique: true, sparse: true });
     await users.createIndex({ lastSeenAt: -1 }, { name: 'users_lastSeenAt_desc' });
     await users.createIndex({ requestCount: -1 }, { name: 'users_requestCount_desc' });
+
+    const alertAreas = db.collection(config.mongo.alertAreaCollection);
+    await alertAreas.createIndex({ product: 1 }, { name: 'alertAreas_product' });
+
+    const alertEvents = db.collection(config.mongo.alertEventCollection);
+    await alertEvents.createIndex({ createdAt: -1 }, { name: 'alertEvents_createdAt_desc' });
+    await alertEvents.createIndex({ areaId: 1, createdAt: -1 }, { name: 'alertEvents_areaId_createdAt' });
+
+    const webhooks = db.collection(config.mongo.webhookCollection);
+    await webhooks.createIndex({ events: 1 }, { name: 'webhooks_events' });
+
+    const deliveries = db.collection(config.mongo.webhookDeliveryCollection);
+    await deliveries.createIndex({ createdAt: -1 }, { name: 'webhookDeliveries_createdAt_desc' });
+    await deliveries.createIndex(
+      { webhookId: 1, createdAt: -1 },
+      { name: 'webhookDeliveries_webhookId_createdAt' },
+    );
   } catch (error) {
     logger.warn('Failed to ensure MongoDB indexes', { message: error.message });
   }
@@ -150,7 +173,10 @@ export async function logRequestEvent(entry) {
   try {
     if (!mongoEnabled) {
       const ok = await initMongo();
-      if (!ok) return;
+      if (!ok) {
+        requestLogWriteFailures.inc();
+        return;
+      }
     }
 
     const db = await connectClient();
@@ -158,6 +184,7 @@ export async function logRequestEvent(entry) {
     await db.collection(config.mongo.requestLogCollection).insertOne(document);
     await updateUserAggregate(db, document);
   } catch (error) {
+    requestLogWriteFailures.inc();
     logger.warn('Failed to write request log', { message: error.message });
   }
 }
@@ -173,6 +200,29 @@ export async function getMongoDb() {
   return connectClient();
 }
 
+// Round-trips a ping on the existing connection without trying to (re)connect, so health checks stay fast.
+export async function pingMongo({ timeoutMs = 1_000 } = {}) {
+  if (!mongoEnabled || !dbInstance) {
+    return { connected: false, latencyMs: null, error: 'Not connected' };
+  }
+
+  const startedAt = Date.now();
+  let timer = null;
+  try {
+    await Promise.race([
+      dbInstance.command({ ping: 1 }),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Ping timed out after ${timeoutMs} ms`)), timeoutMs);
+      }),
+    ]);
+    return { connected: true, latencyMs: Date.now() - startedAt, error: null };
+  } catch (error) {
+    return { connected: false, latencyMs: null, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 export async function flushLogBuffer() {
   return;
 }
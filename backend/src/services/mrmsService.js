@@ -6,10 +6,51 @@ import { gunzip } from 'node:zlib';
 import { config } from '../config/env.js';
 import { HttpError } from '../errors/httpError.js';
 import { createLogger } from '../utils/logger.js';
+import { createCounter, createHistogram } from '../utils/metrics.js';
 
 const logger = createLogger('mrmsService', config.logLevel);
 
 const BUCKET = config.mrms.bucket;
+const DAY_MS = 86_400_000;
+// Day directories searched for the latest object, counting back from today
+const CANDIDATE_DAYS = 3;
+
+const s3Requests = createCounter({
+  name: 'mrms_s3_requests_total',
+  help: 'S3 requests to the MRMS bucket by operation (list or download) and result (success or error).',
+  labelNames: ['operation', 'result'],
+});
+
+const s3ListedObjects = createCounter({
+  name: 'mrms_s3_listed_objects_total',
+  help: 'Objects returned by S3 list requests.',
+});
+
+const indexedListings = createCounter({
+  name: 'mrms_listing_index_listings_total',
+  help: 'Latest-object listings of a day prefix by mode (full scan, or incremental after the last key seen).',
+  labelNames: ['mode'],
+});
+
+const latestLookupRequests = createHistogram({
+  name: 'mrms_latest_lookup_list_requests',
+  help: 'S3 list requests made to find the latest object, per lookup and product.',
+  labelNames: ['product'],
+  buckets: [1, 2, 3, 5, 10, 25, 50, 100],
+});
+
+const latestLookupObjects = createHistogram({
+  name: 'mrms_latest_lookup_listed_objects',
+  help: 'Objects listed to find the latest object, per lookup and product.',
+  labelNames: ['product'],
+  buckets: [0, 1, 5, 25, 100, 500, 1000, 5000, 10000],
+});
+
+const s3DownloadBytes = createCounter({
+  name: 'mrms_s3_download_bytes_total',
+  help: 'Bytes downloaded from S3 (before decompression), by product.',
+  labelNames: ['product'],
+});
 
 // Important: return a fresh, extensible credentials object.
 // AWS SDK v3 may add internal metadata (e.g., $source) to credentials.
@@ -28,65 +69,58 @@ function createUnsignedS3Client() {
     // Return a new object each time to ensure it's extensible for the SDK internals.
     credentials: async () => ({ ...ANONYMOUS_CREDENTIALS_BASE }),
     signer: () => noOpSigner,
+    ...(config.mrms.endpoint ? { endpoint: config.mrms.endpoint } : {}),
+    forcePathStyle: config.mrms.forcePathStyle,
   });
 }
 
 const s3Client = createUnsignedS3Client();
 const gunzipAsync = promisify(gunzip);
 
-export async function fetchLatestProductMetadata() {
-  const prefixes = buildCandidatePrefixes();
+// Day prefix -> { lastKey, newest } from earlier listings. MRMS keys end in the object's timestamp and S3
+// lists keys in order, so a later refresh only asks for the keys after lastKey (StartAfter) rather than
+// walking the whole day again. An object uploaded late with an earlier timestamp is missed, but it
+// would not be the newest anyway.
+const listingIndex = new Map();
 
-  let latestObject = null;
-
-  const concurrency = 5;
+// `client` defaults to the shared unsigned client; tests pass a fake that answers ListObjectsV2 commands.
+export async function fetchLatestProductMetadata(product, { client = s3Client } = {}) {
+  const prefixesByDay = buildCandidatePrefixes(product);
+  pruneListingIndex();
 
-  for (let index = 0; index < prefixes.length; index += concurrency) {
-    const batch = prefixes.slice(index, index + concurrency);
+  let latestObject = null;
+  const cost = { requests: 0, objects: 0 };
 
-    const results = await Promise.all(
-      batch.map(async (prefix) => {
-        const newest = await findMostRecentObject(prefix);
-        return newest ? { prefix, object: newest } : null;
-      })
+  // Newest day first, with every base of one day listed at once; a fresh object ends the search before
+  // older days are listed
+  for (const prefixes of prefixesByDay) {
+    const newestByPrefix = await Promise.all(
+      prefixes.map((prefix) => findMostRecentObject(prefix, { cost, client }))
     );
 
-    let freshCandidate = null;
-
-    for (const result of results) {
-      if (!result) {
-        continue;
-      }
-
-      const candidate = { ...result.object, prefix: result.prefix };
-
-      if (!latestObject || candidate.LastModified > latestObject.LastModified) {
-        latestObject = candidate;
-      }
-
-      const candidateAgeMinutes = (Date.now() - candidate.LastModified.getTime()) / (1000 * 60);
-
-      if (
-        candidateAgeMinutes <= config.mrms.maxDataAgeMinutes / 4 &&
-        (!freshCandidate || candidate.LastModified > freshCandidate.LastModified)
-      ) {
-        freshCandidate = candidate;
+    for (const [index, newest] of newestByPrefix.entries()) {
+      if (newest && (!latestObject || newest.LastModified > latestObject.LastModified)) {
+        latestObject = { ...newest, prefix: prefixes[index] };
       }
     }
 
-    if (freshCandidate) {
+    const latestAgeMinutes = latestObject ? (Date.now() - latestObject.LastModified.getTime()) / (1000 * 60) : null;
+    if (latestObject && latestAgeMinutes <= config.mrms.maxDataAgeMinutes / 4) {
       logger.debug('Accepting MRMS object early based on freshness', {
-        prefix: freshCandidate.prefix,
-        key: freshCandidate.Key,
-        candidateAgeMinutes: (Date.now() - freshCandidate.LastModified.getTime()) / (1000 * 60),
+        prefix: latestObject.prefix,
+        key: latestObject.Key,
+        candidateAgeMinutes: latestAgeMinutes,
       });
-      latestObject = freshCandidate;
       break;
     }
   }
 
+  latestLookupRequests.observe({ product: product.id }, cost.requests);
+  latestLookupObjects.observe({ product: product.id }, cost.objects);
+  logger.debug('Listed MRMS objects for the latest lookup', { product: product.id, ...cost });
+
   if (!latestObject) {
-    logger.warn('No MRMS objects found with prefixes', prefixes);
+    logger.warn('No MRMS objects found with prefixes', { product: product?.id, prefixes: prefixesByDay.flat() });
     return null;
   }
 
@@ -95,13 +129,20 @@ export async function fetchLatestProductMetadata() {
   const objectAgeMinutes = (Date.now() - latestObject.LastModified.getTime()) / (1000 * 60);
   if (objectAgeMinutes > config.mrms.maxDataAgeMinutes) {
     logger.warn('Latest MRMS object is older than max allowed age', {
+      product: product?.id,
       key: latestObject.Key,
       objectAgeMinutes,
     });
-    throw new HttpError(503, 'Latest MRMS product is too old');
+    throw new HttpError(503, 'Latest MRMS product is too old', {
+      reason: 'stale',
+      key: latestObject.Key,
+      lastModified: latestObject.LastModified.toISOString(),
+      ageMinutes: Math.round(objectAgeMinutes),
+    });
   }
 
   return {
+    product: product.id,
     bucket: BUCKET,
     key: latestObject.Key,
     size: latestObject.Size,
@@ -110,6 +151,88 @@ export async function fetchLatestProductMetadata() {
   };
 }
 
+// Objects timestamped between `fromMs` and `toMs` (inclusive), oldest first, from the day directories
+// that overlap the window. A product lives under one layout, so the first base with objects is used.
+// Keys are named `MRMS_<product>_YYYYMMDD-HHMMSS.grib2.gz` and sort by time, so each day's listing starts
+// just before `fromMs` and stops paging once a key is past `toMs`.
+async function listObjectsInWindow(product, fromMs, toMs, { client } = {}) {
+  const days = [];
+  for (let dayMs = fromMs - (fromMs % DAY_MS); dayMs <= toMs; dayMs += DAY_MS) {
+    days.push(new Date(dayMs));
+  }
+  const isPastWindow = (object) => {
+    const timestamp = extractTimestamp(object.Key);
+    return Boolean(timestamp) && Date.parse(timestamp) > toMs;
+  };
+
+  for (const base of buildBasePrefixes(product)) {
+    const listings = days.map((day, index) => {
+      const prefix = formatDatePrefix(day, base);
+      const startAfter = index === 0 ? formatKeyStem(prefix, product, new Date(fromMs)) : undefined;
+      return listAllObjects(prefix, { startAfter, until: isPastWindow, client });
+    });
+    const objects = (await Promise.all(listings)).flat();
+    if (objects.length === 0) {
+      continue;
+    }
+
+    return objects
+      .map((object) => ({ object, timestamp: extractTimestamp(object.Key) }))
+      .filter(({ timestamp }) => timestamp && Date.parse(timestamp) >= fromMs && Date.parse(timestamp) <= toMs)
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  }
+
+  return [];
+}
+
+// The key of an object at `date` without its extension, which sorts just before that object's key.
+function formatKeyStem(prefix, product, date) {
+  const time = date.toISOString().slice(11, 19).replaceAll(':', '');
+  return `${prefix}MRMS_${basename(normalizeSegment(product.s3Product))}_${formatDaySegment(date)}-${time}`;
+}
+
+function toObjectMetadata(product, { object, timestamp }) {
+  return {
+    product: product.id,
+    bucket: BUCKET,
+    key: object.Key,
+    size: object.Size,
+    lastModified: object.LastModified,
+    timestamp,
+  };
+}
+
+// Finds the object whose timestamp is closest to `time` (a Date or epoch ms). Returns null when
+// nothing is within tolerance.
+export async function findProductObjectNear(product, time, { toleranceMinutes, client }) {
+  const targetMs = new Date(time).getTime();
+  const toleranceMs = toleranceMinutes * 60_000;
+
+  const entries = await listObjectsInWindow(product, targetMs - toleranceMs, targetMs + toleranceMs, { client });
+  let nearest = null;
+  for (const entry of entries) {
+    const offsetMs = Math.abs(Date.parse(entry.timestamp) - targetMs);
+    if (!nearest || offsetMs < nearest.offsetMs) {
+      nearest = { entry, offsetMs };
+    }
+  }
+
+  if (!nearest) {
+    logger.debug('No MRMS object within tolerance', { product: product.id, toleranceMinutes });
+    return null;
+  }
+
+  return toObjectMetadata(product, nearest.entry);
+}
+
+// Every object timestamped within [start, end] (Dates or epoch ms), oldest first.
+export async function listProductObjectsBetween(product, start, end, { client } = {}) {
+  const objects = await listObjectsInWindow(product, new Date(start).getTime(), new Date(end).getTime(), {
+    client,
+  });
+  return objects.map((entry) => toObjectMetadata(product, entry));
+}
+
 export async function downloadProductArtifact(metadata) {
   if (!metadata?.key) {
     throw new HttpError(400, 'Invalid metadata for MRMS download');
@@ -122,8 +245,16 @@ export async function downloadProductArtifact(metadata) {
     Key: metadata.key,
   });
 
-  const response = await s3Client.send(command);
-  const compressedBuffer = await streamToBuffer(response.Body);
+  let compressedBuffer;
+  try {
+    const response = await s3Client.send(command);
+    compressedBuffer = await streamToBuffer(response.Body);
+  } catch (error) {
+    s3Requests.inc({ operation: 'download', result: 'error' });
+    throw error;
+  }
+  s3Requests.inc({ operation: 'download', result: 'success' });
+  s3DownloadBytes.inc({ product: metadata.product }, compressedBuffer.length);
   const isGzip = metadata.key.endsWith('.gz');
   const gribBuffer = isGzip ? await gunzipAsync(compressedBuffer) : compressedBuffer;
 
@@ -137,88 +268,125 @@ export async function downloadProductArtifact(metadata) {
   };
 }
 
-function buildCandidatePrefixes() {
+function buildBasePrefixes(product) {
   const regionSegment = normalizeSegment(config.mrms.region);
-  const productSegment = normalizeSegment(config.mrms.product);
+  const productSegment = normalizeSegment(product?.s3Product);
 
   if (!productSegment) {
     return [];
   }
 
-  const productContainsSlash = productSegment.includes('/');
-  const baseSegments = [];
-  const addSegment = (segment) => {
-    const normalized = normalizePath(segment);
-    if (normalized && !baseSegments.includes(normalized)) {
-      baseSegments.push(normalized);
-    }
-  };
+  // A product that already carries its own path (e.g. "CONUS/Foo_00.50") is used verbatim.
+  const templates = productSegment.includes('/') ? ['{product}'] : product.prefixTemplates;
 
-  if (productContainsSlash) {
-    addSegment(productSegment);
-  } else {
-    if (regionSegment) {
-      addSegment(`${regionSegment}/${productSegment}`);
-    }
-    addSegment(productSegment);
-    if (regionSegment) {
-      addSegment(`${productSegment}/${regionSegment}`);
+  const baseSegments = [];
+  for (const template of templates) {
+    if (!regionSegment && template.includes('{region}')) {
+      continue;
     }
-  }
 
-  if (regionSegment) {
-    addSegment(`prod/${regionSegment}/${productSegment}`);
-    if (!productContainsSlash) {
-      addSegment(`prod/${productSegment}/${regionSegment}`);
+    const normalized = normalizePath(
+      template.replaceAll('{region}', regionSegment).replaceAll('{product}', productSegment)
+    );
+    if (normalized && !baseSegments.includes(normalized)) {
+      baseSegments.push(normalized);
     }
   }
 
-  addSegment(`prod/${productSegment}`);
+  return baseSegments;
+}
 
+// One group per day, newest first; each holds that day's directory under every base
+function buildCandidatePrefixes(product) {
   const today = new Date();
-  const offsets = [0, 1, 2];
+  const bases = buildBasePrefixes(product);
 
-  const prefixes = [];
-  for (const base of baseSegments) {
-    for (const offset of offsets) {
-      prefixes.push(formatDatePrefix(subtractDays(today, offset), base));
-    }
+  const prefixesByDay = [];
+  for (let offset = 0; offset < CANDIDATE_DAYS; offset += 1) {
+    prefixesByDay.push(bases.map((base) => formatDatePrefix(subtractDays(today, offset), base)));
   }
 
-  return prefixes;
+  return prefixesByDay;
 }
 
-function formatDatePrefix(date, baseSegment) {
+function formatDaySegment(date) {
   const yyyy = date.getUTCFullYear();
   const mm = String(date.getUTCMonth() + 1).padStart(2, '0');
   const dd = String(date.getUTCDate()).padStart(2, '0');
-  const daySegment = `${yyyy}${mm}${dd}`;
-  const normalized = normalizePath(`${baseSegment}/${daySegment}`);
+  return `${yyyy}${mm}${dd}`;
+}
+
+function formatDatePrefix(date, baseSegment) {
+  const normalized = normalizePath(`${baseSegment}/${formatDaySegment(date)}`);
   return `${normalized}/`;
 }
 
-async function findMostRecentObject(prefix) {
+// Forgets day prefixes that have aged out of the candidate window. Prefixes end in `YYYYMMDD/`, so the
+// day compares as a string.
+function pruneListingIndex() {
+  const oldestDay = formatDaySegment(subtractDays(new Date(), CANDIDATE_DAYS - 1));
+  for (const prefix of listingIndex.keys()) {
+    if (prefix.slice(-9, -1) < oldestDay) {
+      listingIndex.delete(prefix);
+    }
+  }
+}
+
+// `cost`, when given, accumulates the requests made and objects returned. `until`, when given, stops
+// paging after the first page holding an object it matches.
+async function listAllObjects(prefix, { startAfter, until, cost, client = s3Client } = {}) {
   let continuationToken;
-  let newest = null;
+  const objects = [];
 
   do {
     const command = new ListObjectsV2Command({
       Bucket: BUCKET,
       Prefix: prefix,
+      StartAfter: startAfter,
       ContinuationToken: continuationToken,
     });
 
-    const response = await s3Client.send(command);
-
-    for (const object of response.Contents ?? []) {
-      if (!newest || object.LastModified > newest.LastModified) {
-        newest = object;
-      }
+    let response;
+    try {
+      response = await client.send(command);
+    } catch (error) {
+      s3Requests.inc({ operation: 'list', result: 'error' });
+      throw error;
+    }
+    s3Requests.inc({ operation: 'list', result: 'success' });
+    s3ListedObjects.inc({}, response.Contents?.length ?? 0);
+    if (cost) {
+      cost.requests += 1;
+      cost.objects += response.Contents?.length ?? 0;
     }
 
-    continuationToken = response.NextContinuationToken;
+    const contents = response.Contents ?? [];
+    objects.push(...contents);
+    continuationToken = until && contents.some(until) ? undefined : response.NextContinuationToken;
   } while (continuationToken);
 
+  return objects;
+}
+
+async function findMostRecentObject(prefix, { cost, client } = {}) {
+  const indexed = listingIndex.get(prefix);
+  const objects = await listAllObjects(prefix, { startAfter: indexed?.lastKey, cost, client });
+  indexedListings.inc({ mode: indexed ? 'incremental' : 'full' });
+
+  let newest = indexed?.newest ?? null;
+  let lastKey = indexed?.lastKey ?? null;
+  for (const object of objects) {
+    if (!newest || object.LastModified > newest.LastModified) {
+      newest = object;
+    }
+    if (!lastKey || object.Key > lastKey) {
+      lastKey = object.Key;
+    }
+  }
+
+  if (lastKey) {
+    listingIndex.set(prefix, { lastKey, newest });
+  }
   return newest;
 }
 
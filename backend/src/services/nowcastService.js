@@ -0,0 +1,438 @@
+import { Buffer } from 'node:buffer';
+
+import { config } from '../config/env.js';
+import { describeProduct } from '../config/products.js';
+import { HttpError } from '../errors/httpError.js';
+import { getCache, setCache } from './cacheService.js';
+import { getFrame, listFrames } from './frameArchiveService.js';
+import { subsetGridPayload } from './gridSubsetService.js';
+
+export const NOWCAST_LEAD_MINUTES = [15, 30, 45, 60];
+// Motion compares the latest grid with the archived frame closest to `target` minutes older.
+const REFERENCE_MINUTES = { min: 5, target: 15, max: 30 };
+
+const KM_PER_DEGREE_LAT = 111.32;
+// Motion is estimated on a max-pooled copy of the grid, in blocks of BLOCK_SIZE coarse cells.
+const COARSE_STRIDE = 4;
+const BLOCK_SIZE = 24;
+const MIN_ECHO_FRACTION = 0.05;
+const MAX_ECHO_SPEED_KMH = 120;
+const SMOOTHING_PASSES = 2;
+
+export function parseLeadMinutes(value) {
+  const minutes = Number(value);
+  if (!NOWCAST_LEAD_MINUTES.includes(minutes)) {
+    throw new HttpError(400, `Nowcast lead time must be one of: ${NOWCAST_LEAD_MINUTES.join(', ')} minutes`, {
+      minutes: value,
+    });
+  }
+
+  return minutes;
+}
+
+function assertSameGeometry(previousGrid, currentGrid) {
+  const same =
+    previousGrid.rows === currentGrid.rows &&
+    previousGrid.cols === currentGrid.cols &&
+    previousGrid.bounds.every((value, index) => Math.abs(value - currentGrid.bounds[index]) < 1e-6);
+
+  if (!same) {
+    throw new HttpError(503, 'Nowcast frames do not share the same grid geometry');
+  }
+}
+
+// Echo intensity above `echoThreshold` on the coarse grid; everything else (no echo, no coverage,
+// missing) is 0 so block matching follows the storms rather than coverage edges.
+function toEchoField(gridPayload, echoThreshold) {
+  const coarse = subsetGridPayload(gridPayload, { bbox: null, stride: COARSE_STRIDE, maxRows: null, maxCols: null });
+  const raw = new Int16Array(coarse.data.buffer, coarse.data.byteOffset, coarse.rows * coarse.cols);
+  const { scale = 1, offset = 0, missing = -32768 } = gridPayload.dataEncoding ?? {};
+  const field = new Float32Array(raw.length);
+
+  for (let index = 0; index < raw.length; index += 1) {
+    const value = raw[index] * scale + offset;
+    field[index] = raw[index] !== missing && value >= echoThreshold ? value - echoThreshold + 1 : 0;
+  }
+
+  return { rows: coarse.rows, cols: coarse.cols, field };
+}
+
+// Mean absolute difference between the current block and the previous field shifted by (dRow, dCol).
+function blockDifference(previous, current, { rowStart, colStart, rows, cols }, dRow, dCol) {
+  let sum = 0;
+  let count = 0;
+
+  for (let row = rowStart; row < rowStart + BLOCK_SIZE; row += 1) {
+    const sourceRow = row - dRow;
+    if (row >= rows || sourceRow < 0 || sourceRow >= rows) {
+      continue;
+    }
+
+    for (let col = colStart; col < colStart + BLOCK_SIZE; col += 1) {
+      const sourceCol = col - dCol;
+      if (col >= cols || sourceCol < 0 || sourceCol >= cols) {
+        continue;
+      }
+
+      sum += Math.abs(current[row * cols + col] - previous[sourceRow * cols + sourceCol]);
+      count += 1;
+    }
+  }
+
+  return count > 0 ? sum / count : Infinity;
+}
+
+function blockEchoFraction(field, { rowStart, colStart, rows, cols }) {
+  let echo = 0;
+  let total = 0;
+  for (let row = rowStart; row < Math.min(rowStart + BLOCK_SIZE, rows); row += 1) {
+    for (let col = colStart; col < Math.min(colStart + BLOCK_SIZE, cols); col += 1) {
+      total += 1;
+      if (field[row * cols + col] > 0) {
+        echo += 1;
+      }
+    }
+  }
+
+  return total > 0 ? echo / total : 0;
+}
+
+// Fits a parabola through three scores to place the minimum between cells.
+function subCellOffset(before, centre, after) {
+  const denominator = before - 2 * centre + after;
+  if (!Number.isFinite(denominator) || denominator <= 0) {
+    return 0;
+  }
+
+  return Math.max(-0.5, Math.min(0.5, (before - after) / (2 * denominator)));
+}
+
+// Empty blocks borrow the mean of their valid neighbours (repeating until every block that can be
+// reached has a vector), then the field is box-smoothed so adjacent blocks do not tear the echo apart.
+function fillAndSmooth(vectors, blockRows, blockCols) {
+  let current = vectors;
+
+  for (let pass = 0; pass < blockRows + blockCols && current.some((vector) => vector === null); pass += 1) {
+    current = current.map((vector, index) => {
+      if (vector) {
+        return vector;
+      }
+
+      const neighbours = blockNeighbours(current, index, blockRows, blockCols).filter(Boolean);
+      return neighbours.length > 0 ? averageVectors(neighbours) : null;
+    });
+  }
+
+  current = current.map((vector) => vector ?? { u: 0, v: 0 });
+
+  for (let pass = 0; pass < SMOOTHING_PASSES; pass += 1) {
+    const source = current;
+    current = source.map((vector, index) =>
+      averageVectors([vector, ...blockNeighbours(source, index, blockRows, blockCols)])
+    );
+  }
+
+  return current;
+}
+
+function blockNeighbours(vectors, index, blockRows, blockCols) {
+  const row = Math.floor(index / blockCols);
+  const col = index % blockCols;
+  const neighbours = [];
+
+  for (let dRow = -1; dRow <= 1; dRow += 1) {
+    for (let dCol = -1; dCol <= 1; dCol += 1) {
+      const nextRow = row + dRow;
+      const nextCol = col + dCol;
+      if ((dRow || dCol) && nextRow >= 0 && nextRow < blockRows && nextCol >= 0 && nextCol < blockCols) {
+        neighbours.push(vectors[nextRow * blockCols + nextCol]);
+      }
+    }
+  }
+
+  return neighbours;
+}
+
+function averageVectors(vectors) {
+  const valid = vectors.filter(Boolean);
+  return {
+    u: valid.reduce((sum, { u }) => sum + u, 0) / valid.length,
+    v: valid.reduce((sum, { v }) => sum + v, 0) / valid.length,
+  };
+}
+
+// Block-matching motion estimate between two grids `elapsedMinutes` apart. Vectors are in full-grid
+// cells per minute: `u` along columns (east) and `v` along rows (south, since rows run north to south).
+export function estimateMotionField(previousGrid, currentGrid, { elapsedMinutes, echoThreshold }) {
+  assertSameGeometry(previousGrid, currentGrid);
+
+  const previous = toEchoField(previousGrid, echoThreshold);
+  const current = toEchoField(currentGrid, echoThreshold);
+  const { rows, cols } = current;
+  const blockRows = Math.ceil(rows / BLOCK_SIZE);
+  const blockCols = Math.ceil(cols / BLOCK_SIZE);
+
+  const coarseCellKm = currentGrid.latStep * COARSE_STRIDE * KM_PER_DEGREE_LAT;
+  const searchRadius = Math.max(1, Math.ceil((MAX_ECHO_SPEED_KMH * elapsedMinutes) / 60 / coarseCellKm));
+
+  let validBlocks = 0;
+  const vectors = [];
+
+  for (let blockRow = 0; blockRow < blockRows; blockRow += 1) {
+    for (let blockCol = 0; blockCol < blockCols; blockCol += 1) {
+      const block = { rowStart: blockRow * BLOCK_SIZE, colStart: blockCol * BLOCK_SIZE, rows, cols };
+      if (blockEchoFraction(current.field, block) < MIN_ECHO_FRACTION) {
+        vectors.push(null);
+        continue;
+      }
+
+      const scores = new Map();
+      let best = { dRow: 0, dCol: 0, score: Infinity };
+      for (let dRow = -searchRadius; dRow <= searchRadius; dRow += 1) {
+        for (let dCol = -searchRadius; dCol <= searchRadius; dCol += 1) {
+          const score = blockDifference(previous.field, current.field, block, dRow, dCol);
+          scores.set(`${dRow}:${dCol}`, score);
+          if (score < best.score) {
+            best = { dRow, dCol, score };
+          }
+        }
+      }
+
+      const scoreAt = (dRow, dCol) => scores.get(`${dRow}:${dCol}`) ?? Infinity;
+      const { dRow: bestRow, dCol: bestCol, score } = best;
+      const dRow = bestRow + subCellOffset(scoreAt(bestRow - 1, bestCol), score, scoreAt(bestRow + 1, bestCol));
+      const dCol = bestCol + subCellOffset(scoreAt(bestRow, bestCol - 1), score, scoreAt(bestRow, bestCol + 1));
+
+      validBlocks += 1;
+      vectors.push({
+        u: (dCol * COARSE_STRIDE) / elapsedMinutes,
+        v: (dRow * COARSE_STRIDE) / elapsedMinutes,
+      });
+    }
+  }
+
+  return {
+    blockRows,
+    blockCols,
+    blockSize: BLOCK_SIZE * COARSE_STRIDE,
+    validBlocks,
+    vectors: validBlocks > 0 ? fillAndSmooth(vectors, blockRows, blockCols) : vectors.map(() => ({ u: 0, v: 0 })),
+  };
+}
+
+export function summariseMotionField(motionField, gridPayload) {
+  const [south, , north] = gridPayload.bounds;
+  const kmPerDegreeLon = KM_PER_DEGREE_LAT * Math.cos((((south + north) / 2) * Math.PI) / 180);
+  const { u, v } = averageVectors(motionField.vectors);
+  const eastKmh = u * gridPayload.lonStep * kmPerDegreeLon * 60;
+  const northKmh = -v * gridPayload.latStep * KM_PER_DEGREE_LAT * 60;
+
+  return {
+    validBlocks: motionField.validBlocks,
+    totalBlocks: motionField.vectors.length,
+    meanSpeedKmh: Math.hypot(eastKmh, northKmh),
+    meanHeadingDeg: ((Math.atan2(eastKmh, northKmh) * 180) / Math.PI + 360) % 360,
+  };
+}
+
+// Bilinear interpolation of block-centre vectors, evaluated once per coarse cell.
+function buildCellVectorLookup(motionField, rows, cols) {
+  const { blockRows, blockCols, blockSize, vectors } = motionField;
+  const coarseRows = Math.ceil(rows / COARSE_STRIDE);
+  const coarseCols = Math.ceil(cols / COARSE_STRIDE);
+  const u = new Float32Array(coarseRows * coarseCols);
+  const v = new Float32Array(coarseRows * coarseCols);
+  const blocksPerCoarse = COARSE_STRIDE / blockSize;
+
+  for (let row = 0; row < coarseRows; row += 1) {
+    const blockY = Math.min(Math.max((row + 0.5) * blocksPerCoarse - 0.5, 0), blockRows - 1);
+    const y0 = Math.floor(blockY);
+    const y1 = Math.min(y0 + 1, blockRows - 1);
+    const wy = blockY - y0;
+
+    for (let col = 0; col < coarseCols; col += 1) {
+      const blockX = Math.min(Math.max((col + 0.5) * blocksPerCoarse - 0.5, 0), blockCols - 1);
+      const x0 = Math.floor(blockX);
+      const x1 = Math.min(x0 + 1, blockCols - 1);
+      const wx = blockX - x0;
+
+      const corners = [
+        [vectors[y0 * blockCols + x0], (1 - wy) * (1 - wx)],
+        [vectors[y0 * blockCols + x1], (1 - wy) * wx],
+        [vectors[y1 * blockCols + x0], wy * (1 - wx)],
+        [vectors[y1 * blockCols + x1], wy * wx],
+      ];
+
+      const index = row * coarseCols + col;
+      for (const [vector, weight] of corners) {
+        u[index] += vector.u * weight;
+        v[index] += vector.v * weight;
+      }
+    }
+  }
+
+  return { coarseCols, u, v };
+}
+
+// Semi-Lagrangian extrapolation: each output cell takes the value found `leadMinutes` upstream along
+// the motion at that cell. Intensity is held constant (no growth or decay).
+export function extrapolateGrid(gridPayload, motionField, leadMinutes) {
+  const { rows, cols, data, dataEncoding } = gridPayload;
+  const source = new Int16Array(data.buffer, data.byteOffset, rows * cols);
+  const { scale = 1, offset = 0, missing = -32768 } = dataEncoding ?? {};
+  const { coarseCols, u, v } = buildCellVectorLookup(motionField, rows, cols);
+  const output = new Int16Array(rows * cols);
+
+  let minRaw = Infinity;
+  let maxRaw = -Infinity;
+
+  for (let row = 0; row < rows; row += 1) {
+    const coarseRowOffset = Math.floor(row / COARSE_STRIDE) * coarseCols;
+
+    for (let col = 0; col < cols; col += 1) {
+      const vectorIndex = coarseRowOffset + Math.floor(col / COARSE_STRIDE);
+      const sourceRow = Math.round(row - v[vectorIndex] * leadMinutes);
+      const sourceCol = Math.round(col - u[vectorIndex] * leadMinutes);
+
+      const value =
+        sourceRow >= 0 && sourceRow < rows && sourceCol >= 0 && sourceCol < cols
+          ? source[sourceRow * cols + sourceCol]
+          : missing;
+
+      output[row * cols + col] = value;
+      if (value !== missing) {
+        minRaw = Math.min(minRaw, value);
+        maxRaw = Math.max(maxRaw, value);
+      }
+    }
+  }
+
+  return {
+    ...gridPayload,
+    timestamp: new Date(Date.parse(gridPayload.timestamp) + leadMinutes * 60_000).toISOString(),
+    minValue: Number.isFinite(minRaw) ? minRaw * scale + offset : null,
+    maxValue: Number.isFinite(maxRaw) ? maxRaw * scale + offset : null,
+    data: Buffer.from(output.buffer, output.byteOffset, output.byteLength),
+  };
+}
+
+function buildNowcastUrls(product, minutes) {
+  const base = `/api/radar/${product.id}/nowcast/${minutes}`;
+  return {
+    metadataUrl: base,
+    imageUrl: `${base}/tile.png`,
+    tileUrlTemplate: `${base}/tiles/{z}/{x}/{y}.png`,
+    gridUrl: `${base}/grid.json`,
+    gridDataUrl: `${base}/grid.bin`,
+  };
+}
+
+async function selectMotionReference(product, latestTimestamp) {
+  const latestTs = Date.parse(latestTimestamp);
+  const { min, target, max } = REFERENCE_MINUTES;
+  let best = null;
+
+  for (const summary of listFrames(product.id)) {
+    const ageMinutes = (latestTs - Date.parse(summary.timestamp)) / 60_000;
+    const isCloser = !best || Math.abs(ageMinutes - target) < Math.abs(best.ageMinutes - target);
+    if (ageMinutes >= min && ageMinutes <= max && isCloser) {
+      best = { summary, ageMinutes };
+    }
+  }
+
+  const frame = best ? await getFrame(product.id, best.summary.id) : null;
+  return frame ? { frame, elapsedMinutes: best.ageMinutes } : null;
+}
+
+// Motion between the archived reference frame and the latest frame, cached per latest frame so every
+// lead time and tile shares one estimate.
+async function resolveNowcastMotion(product, latest) {
+  const cacheKey = `radar:${product.id}:nowcast:${latest.id}:motion`;
+  const cached = getCache(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const { metadata, gridPayload: grid } = latest;
+  const reference = await selectMotionReference(product, metadata.timestamp);
+  if (!reference) {
+    const { min, max } = REFERENCE_MINUTES;
+    throw new HttpError(503, `Nowcast needs an archived frame ${min}–${max} minutes older than the latest grid`, {
+      product: product.id,
+      timestamp: metadata.timestamp,
+    });
+  }
+
+  const motionField = estimateMotionField(reference.frame.gridPayload, grid, {
+    elapsedMinutes: reference.elapsedMinutes,
+    echoThreshold: product.thresholds[0],
+  });
+
+  const nowcast = {
+    metadata,
+    grid,
+    baseFrameId: latest.id,
+    motionField,
+    motion: {
+      from: reference.frame.timestamp,
+      to: metadata.timestamp,
+      elapsedMinutes: reference.elapsedMinutes,
+      ...summariseMotionField(motionField, grid),
+    },
+  };
+
+  setCache(cacheKey, nowcast, config.cacheTtlMs);
+  return nowcast;
+}
+
+// `latest` is the product's latest frame. Nowcast frames have no id or prebuilt overlay; their scope
+// names the base frame and lead time.
+export async function resolveNowcastFrame(product, latest, minutesParam) {
+  const minutes = parseLeadMinutes(minutesParam);
+  const nowcast = await resolveNowcastMotion(product, latest);
+  const cacheKey = `radar:${product.id}:nowcast:${nowcast.baseFrameId}:${minutes}`;
+  const cached = getCache(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const gridPayload = extrapolateGrid(nowcast.grid, nowcast.motionField, minutes);
+  const frame = {
+    scope: `nowcast-${nowcast.baseFrameId}-${minutes}`,
+    gridPayload,
+    metadata: {
+      product: describeProduct(product),
+      timestamp: gridPayload.timestamp,
+      forecast: { baseTimestamp: nowcast.metadata.timestamp, leadMinutes: minutes, motion: nowcast.motion },
+      bounds: gridPayload.bounds,
+      rows: gridPayload.rows,
+      cols: gridPayload.cols,
+      latStep: gridPayload.latStep,
+      lonStep: gridPayload.lonStep,
+      origin: gridPayload.origin,
+      minValue: gridPayload.minValue,
+      maxValue: gridPayload.maxValue,
+      dataEncoding: gridPayload.dataEncoding,
+      ...buildNowcastUrls(product, minutes),
+    },
+  };
+
+  setCache(cacheKey, frame, config.cacheTtlMs);
+  return frame;
+}
+
+export async function getNowcast(product, latest) {
+  const { metadata, motion } = await resolveNowcastMotion(product, latest);
+  const baseTs = Date.parse(metadata.timestamp);
+
+  return {
+    product: describeProduct(product),
+    baseTimestamp: metadata.timestamp,
+    motion,
+    leads: NOWCAST_LEAD_MINUTES.map((minutes) => ({
+      minutes,
+      validTime: new Date(baseTs + minutes * 60_000).toISOString(),
+      ...buildNowcastUrls(product, minutes),
+    })),
+  };
+}
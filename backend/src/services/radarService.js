@@ -1,159 +1,548 @@
-import { Buffer } from 'node:buffer';
 import { promises as fs } from 'node:fs';
-import os from 'node:os';
 import path from 'node:path';
+import { performance } from 'node:perf_hooks';
 
 import { config } from '../config/env.js';
+import { describeProduct, getDefaultProduct, getEnabledProducts } from '../config/products.js';
 import { HttpError } from '../errors/httpError.js';
 import { createLogger } from '../utils/logger.js';
-import { getCache, setCache } from './cacheService.js';
-import { buildGridPayload } from './gridService.js';
-import { downloadProductArtifact, fetchLatestProductMetadata } from './mrmsService.js';
+import { createCounter, createGauge, createHistogram } from '../utils/metrics.js';
+import {
+  fileExists,
+  loadPersistedGrid,
+  packBuffers,
+  resolvePersistCompression,
+  resolvePersistentCacheDir,
+  unpackBuffers,
+  writeFileAtomic,
+  writePersistedGrid,
+} from '../utils/persistence.js';
+import { evaluateAlertAreas } from './alertService.js';
+import {
+  acquireLock,
+  getCache,
+  getCacheEntry,
+  getSharedEntry,
+  isSharedCacheEnabled,
+  keepLockAlive,
+  releaseLock,
+  setCache,
+  setSharedEntry,
+  waitForLockRelease,
+} from './cacheService.js';
+import { precomputeCells } from './cellService.js';
+import {
+  archiveFrame,
+  buildFrameUrls,
+  getArchiveRetention,
+  getFrame,
+  hydrateFrameArchive,
+  listFrames,
+  resolveFrameId,
+  toFrameId,
+} from './frameArchiveService.js';
+import { buildGridPayload, describeGribDecoder } from './gridService.js';
+import { describeGrid, subsetGridPayload } from './gridSubsetService.js';
+import {
+  findHistoricalFrameNear,
+  getHistoricalFrame,
+  hydrateHistoryIndex,
+  listHistoricalFrames,
+  storeHistoricalFrame,
+} from './historyService.js';
+import { pingMongo } from './mongoService.js';
+import { downloadProductArtifact, fetchLatestProductMetadata, findProductObjectNear } from './mrmsService.js';
 import { generateOverlayPng } from './rasterService.js';
+import { broadcastEvent, openEventStream } from './streamService.js';
+import { dispatchWebhookEvent } from './webhookService.js';
 
 const logger = createLogger('radarService', config.logLevel);
 
-const CACHE_KEY_METADATA = 'radar:latest:metadata';
-const CACHE_KEY_TILE = 'radar:latest:tile';
-const CACHE_KEY_GRID = 'radar:latest:grid';
-
-let buildInFlight = null;
-let lastSuccessfulBuildTs = 0;
 const MIN_REFRESH_INTERVAL_MS = 15000;
-
-const persistentCacheDir = (() => {
-  const raw = config.cachePersistDir?.trim();
-  if (!raw) {
-    return path.joi
-    n(os.tmpdir(), 'radar-cache');
+// Builds kept per product for /status, newest first.
+const RECENT_BUILD_LIMIT = 10;
+
+const buildsTotal = createCounter({
+  name: 'radar_builds_total',
+  help: 'Radar artifact builds by product and result (success or failure).',
+  labelNames: ['product', 'result'],
+});
+
+const buildStageDuration = createHistogram({
+  name: 'radar_build_duration_seconds',
+  help: 'Radar build duration in seconds by product and stage (list, download, decode, render, total).',
+  labelNames: ['product', 'stage'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120],
+});
+
+createGauge({
+  name: 'radar_data_age_seconds',
+  help: 'Age of the newest frame served per product; absent until a frame has been built or restored.',
+  labelNames: ['product'],
+  collect: (gauge) => {
+    for (const product of getEnabledProducts()) {
+      const timestampMs = Date.parse(getPipelineState(product).lastFrameTimestamp ?? '');
+      if (Number.isFinite(timestampMs)) {
+        gauge.set({ product: product.id }, (Date.now() - timestampMs) / 1000);
+      }
+    }
+  },
+});
+
+// Build bookkeeping is tracked per product so one slow product never blocks another.
+const pipelineStates = new Map();
+
+function getPipelineState(product) {
+  if (!pipelineStates.has(product.id)) {
+    pipelineStates.set(product.id, {
+      buildInFlight: null,
+      lastSuccessfulBuildTs: 0,
+      lastFrameTimestamp: null,
+      lastFailure: null,
+      lastBuildStartedAt: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      recentBuilds: [],
+    });
   }
 
-  if (raw.toLowerCase() === 'disabled') {
-    return null;
-  }
+  return pipelineStates.get(product.id);
+}
+
+// The latest frame backs nearly every request, so it is pinned against LRU eviction; it is replaced
+// by the next build or dropped once it is past the stale window.
+const LATEST_CACHE_OPTIONS = { pinned: true };
+
+function getCacheKeys(product) {
+  const namespace = `radar:${product.id}`;
+  return {
+    metadata: `${namespace}:latest:metadata`,
+    tile: `${namespace}:latest:tile`,
+    grid: `${namespace}:latest:grid`,
+    sharedLatest: `${namespace}:shared:latest`,
+    buildLock: `${namespace}:build`,
+  };
+}
+
+function buildProductUrls(product) {
+  const base = `/api/radar/${product.id}`;
+  return {
+    imageUrl: `${base}/tile.png`,
+    tileUrlTemplate: `${base}/tiles/{z}/{x}/{y}.png`,
+    vectorTileUrlTemplate: `${base}/vt/{z}/{x}/{y}.pbf`,
+    gridUrl: `${base}/grid.json`,
+    gridDataUrl: `${base}/grid.bin`,
+  };
+}
 
-  return raw;
-})();
+export function listProducts() {
+  const defaultProduct = getDefaultProduct();
+  return getEnabledProducts().map((product) => ({
+    ...describeProduct(product),
+    isDefault: product.id === defaultProduct.id,
+    legendUrl: `/api/radar/${product.id}/legend`,
+    latestUrl: `/api/radar/${product.id}/latest`,
+  }));
+}
+
+const persistentCacheDir = resolvePersistentCacheDir(config.cachePersistDir);
+const persistCompression = resolvePersistCompression(config.cachePersistCompression);
 
 const PERSIST_METADATA_FILE = 'radar-metadata.json';
-const PERSIST_GRID_FILE = 'radar-grid.json';
+// Written as radar-grid.bin plus a radar-grid.header.json sidecar
+const PERSIST_GRID_BASENAME = 'radar-grid';
+const LEGACY_PERSIST_GRID_FILE = 'radar-grid.json';
 const PERSIST_TILE_FILE = 'radar-tile.png';
 
-function buildGridMetadataResponse(gridPayload) {
+export async function getLatestMetadata(product) {
+  return ensureLatestArtifact(product);
+}
+
+// Frames handed to the feature services (tiles, grids, contours, cells, sampling, nowcast) are
+// { id, scope, metadata, gridPayload, tileBuffer }. `scope` names the grid in their cache keys: the frame
+// id here, while case and nowcast frames, whose grids differ from the archived frame of that id, use
+// their own.
+
+// Serves the previous frame while a rebuild runs when `allowStale` is set, rather than holding the
+// request until the build finishes.
+export async function resolveLatestFrame(product, { allowStale = false } = {}) {
+  const metadata = await ensureLatestArtifact(product, { allowStale });
+  const cacheKeys = getCacheKeys(product);
+  const gridPayload = getCacheEntry(cacheKeys.grid)?.value;
+
+  if (!gridPayload?.data) {
+    throw new HttpError(503, 'Radar grid not ready');
+  }
+
+  const id = toFrameId(metadata.timestamp);
+  return { id, scope: id, metadata, gridPayload, tileBuffer: getCacheEntry(cacheKeys.tile)?.value ?? null };
+}
+
+// Frames fetched for a requested time share the /frames routes with the rolling archive.
+export async function resolveArchivedFrame(product, timestamp) {
+  const frameId = resolveFrameId(timestamp);
+  if (!frameId) {
+    throw new HttpError(400, 'Invalid frame timestamp', { timestamp });
+  }
+
+  const frame = (await getFrame(product.id, frameId)) ?? (await getHistoricalFrame(product.id, frameId));
+  if (!frame) {
+    throw new HttpError(404, 'Radar frame not found in archive', { product: product.id, frameId });
+  }
+
+  return { ...frame, scope: frame.id };
+}
+
+export function getArchivedFrames(product, { limit } = {}) {
   return {
-    bounds: gridPayload.bounds,
-    rows: gridPayload.rows,
-    cols: gridPayload.cols,
-    latStep: gridPayload.latStep,
-    lonStep: gridPayload.lonStep,
-    origin: gridPayload.origin,
-    minValue: gridPayload.minValue,
-    maxValue: gridPayload.maxValue,
-    timestamp: gridPayload.timestamp,
-    dataEncoding: gridPayload.dataEncoding,
-    dataUrl: '/api/radar/grid.bin',
+    product: describeProduct(product),
+    frames: listFrames(product.id, { limit }),
+    retention: getArchiveRetention(),
   };
 }
 
-export async function getLatestMetadata() {
-  return ensureLatestArtifact();
+// Frames resolved by time come from the archive or the history store when one of them holds the
+// nearest frame; otherwise the nearest MRMS object is downloaded into the history store.
+const MAX_HISTORY_TOLERANCE_MINUTES = 60;
+// A stored frame this close to the requested time is used without listing the bucket; MRMS products
+// are published every two minutes or less often, so no other object can be nearer.
+const LOCAL_MATCH_MS = 60_000;
+// In-flight history builds by S3 key, so concurrent requests for one time share a download
+const historyBuilds = new Map();
+
+// Nearest stored frame within the tolerance, from the rolling archive or the history store.
+async function findStoredFrameNear(product, timeMs, toleranceMs) {
+  let nearest = null;
+  for (const summary of listFrames(product.id)) {
+    const offsetMs = Math.abs(Date.parse(summary.timestamp) - timeMs);
+    if (offsetMs <= toleranceMs && (!nearest || offsetMs < nearest.offsetMs)) {
+      nearest = { id: summary.id, offsetMs };
+    }
+  }
+  const archived = nearest ? await getFrame(product.id, nearest.id) : null;
+
+  const historicalId = findHistoricalFrameNear(product.id, timeMs, toleranceMs);
+  const historical = historicalId ? await getHistoricalFrame(product.id, historicalId) : null;
+
+  const offsetOf = (frame) => Math.abs(Date.parse(frame.timestamp) - timeMs);
+  if (archived && (!historical || offsetOf(archived) <= offsetOf(historical))) {
+    return { frame: archived, source: 'archive', offsetMs: offsetOf(archived) };
+  }
+  return historical ? { frame: historical, source: 'history', offsetMs: offsetOf(historical) } : null;
+}
+
+async function findStoredFrame(product, frameId) {
+  const archived = await getFrame(product.id, frameId);
+  if (archived) {
+    return { frame: archived, source: 'archive' };
+  }
+  const historical = await getHistoricalFrame(product.id, frameId);
+  return historical ? { frame: historical, source: 'history' } : null;
+}
+
+async function buildHistoricalFrame(product, objectMetadata) {
+  const startedAt = performance.now();
+  const stages = {};
+  const { metadata, gridPayload, tileBuffer } = await buildFrameArtifacts(product, objectMetadata, {
+    stages,
+    urls: buildFrameUrls(product.id, toFrameId(objectMetadata.timestamp)),
+  });
+
+  const frame = await storeHistoricalFrame(product.id, {
+    metadata: { ...metadata, id: toFrameId(metadata.timestamp) },
+    gridPayload,
+    tileBuffer,
+  });
+  logger.info('Stored historical radar frame', {
+    product: product.id,
+    frameId: frame.id,
+    key: objectMetadata.key,
+    durationMs: Math.round(performance.now() - startedAt),
+    stages,
+  });
+  return frame;
+}
+
+// S3 and decode failures carry internal details (hostnames, keys), so they are logged and the client only
+// sees a 503.
+function toArchiveError(product, error) {
+  if (error instanceof HttpError) {
+    return error;
+  }
+  logger.warn('MRMS archive request failed', { product: product.id, message: error.message });
+  return new HttpError(503, 'Unable to reach the MRMS archive');
+}
+
+// Returns the frame nearest `timeMs` within the tolerance and where it came from: `archive`,
+// `history`, or `mrms` when it had to be built. Throws 404 when no frame is close enough.
+export async function resolveFrameNear(product, timeMs, { toleranceMinutes = config.history.toleranceMinutes } = {}) {
+  const toleranceMs = toleranceMinutes * 60_000;
+
+  const stored = await findStoredFrameNear(product, timeMs, toleranceMs);
+  if (stored && stored.offsetMs <= LOCAL_MATCH_MS) {
+    return { frame: stored.frame, source: stored.source };
+  }
+
+  let objectMetadata;
+  try {
+    objectMetadata = await findProductObjectNear(product, timeMs, { toleranceMinutes });
+  } catch (error) {
+    if (!stored) {
+      throw toArchiveError(product, error);
+    }
+    logger.warn('Unable to list MRMS objects; using the nearest stored frame', {
+      product: product.id,
+      message: error.message,
+    });
+    objectMetadata = null;
+  }
+
+  if (!objectMetadata) {
+    if (stored) {
+      return { frame: stored.frame, source: stored.source };
+    }
+    throw new HttpError(404, 'No MRMS data within tolerance of the requested time', {
+      product: product.id,
+      time: new Date(timeMs).toISOString(),
+      toleranceMinutes,
+    });
+  }
+
+  const existing = await findStoredFrame(product, toFrameId(objectMetadata.timestamp));
+  if (existing) {
+    return existing;
+  }
+
+  if (!historyBuilds.has(objectMetadata.key)) {
+    historyBuilds.set(
+      objectMetadata.key,
+      buildHistoricalFrame(product, objectMetadata)
+        .catch((error) => {
+          throw toArchiveError(product, error);
+        })
+        .finally(() => historyBuilds.delete(objectMetadata.key))
+    );
+  }
+  return { frame: await historyBuilds.get(objectMetadata.key), source: 'mrms' };
 }
 
-export async function getLatestTile() {
-  const cached = getCache(CACHE_KEY_TILE);
-  if (cached) {
-    return cached;
+export function parseRequestedTime(value, name = 'time') {
+  const timeMs = typeof value === 'string' && value.trim() ? Date.parse(value) : NaN;
+  if (!Number.isFinite(timeMs)) {
+    throw new HttpError(400, `${name} must be an ISO 8601 timestamp`, { [name]: value });
+  }
+  if (timeMs > Date.now()) {
+    throw new HttpError(400, `${name} must not be in the future`, { [name]: value });
   }
+  return timeMs;
+}
 
-  await ensureLatestArtifact();
-  const tileBuffer = getCache(CACHE_KEY_TILE);
+export function parseToleranceMinutes(value) {
+  if (value === undefined || value === '') {
+    return config.history.toleranceMinutes;
+  }
 
-  if (!tileBuffer) {
-    throw new HttpError(503, 'Radar tile not ready');
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 0 || minutes > MAX_HISTORY_TOLERANCE_MINUTES) {
+    throw new HttpError(400, `toleranceMinutes must be a number between 0 and ${MAX_HISTORY_TOLERANCE_MINUTES}`, {
+      toleranceMinutes: value,
+    });
   }
+  return minutes;
+}
+
+// Metadata of the frame nearest `query.time`; its URLs point at the /frames/:timestamp routes.
+export async function getFrameAt(product, query) {
+  const timeMs = parseRequestedTime(query.time);
+  const toleranceMinutes = parseToleranceMinutes(query.toleranceMinutes);
+  const { frame, source } = await resolveFrameNear(product, timeMs, { toleranceMinutes });
+  return {
+    ...frame.metadata,
+    requestedTime: new Date(timeMs).toISOString(),
+    offsetSeconds: Math.round((Date.parse(frame.timestamp) - timeMs) / 1000),
+    source,
+  };
+}
+
+export function getHistoricalFrames(product) {
+  return {
+    product: describeProduct(product),
+    frames: listHistoricalFrames(product.id),
+    maxFrames: config.history.maxFrames,
+  };
+}
 
-  return tileBuffer;
+// Build events go to webhooks and open event streams. They fire on changes only: each new frame, and
+// the first failure after a good build (or a switch between stale data and other failures), so the
+// periodic refresh does not repeat them every minute.
+function publishPipelineEvent(product, type, data) {
+  broadcastEvent(product.id, { type, data });
+  dispatchWebhookEvent(type, data, { product: product.id });
 }
 
-export async function getLatestGridMetadata() {
-  const cached = getCache(CACHE_KEY_GRID);
-  if (cached) {
-    return buildGridMetadataResponse(cached);
+function notifyFrameBuilt(product, metadata) {
+  const state = getPipelineState(product);
+  state.lastFailure = null;
+  if (state.lastFrameTimestamp === metadata.timestamp) {
+    return;
   }
 
-  await ensureLatestArtifact();
-  const grid = getCache(CACHE_KEY_GRID);
+  state.lastFrameTimestamp = metadata.timestamp;
+  publishPipelineEvent(product, 'frame.built', metadata);
+}
 
-  if (!grid) {
-    throw new HttpError(503, 'Radar grid not ready');
+function notifyBuildFailed(product, error) {
+  const type = error.details?.reason === 'stale' ? 'data.stale' : 'build.failed';
+  const state = getPipelineState(product);
+  if (state.lastFailure?.type === type) {
+    return;
   }
 
-  return buildGridMetadataResponse(grid);
+  state.lastFailure = {
+    type,
+    data: {
+      product: describeProduct(product),
+      message: error.message,
+      details: error.details ?? null,
+      lastFrameTimestamp: state.lastFrameTimestamp,
+    },
+  };
+  publishPipelineEvent(product, type, state.lastFailure.data);
+}
+
+// Streams `frame.built`, `build.failed` and `data.stale` events for a product. A new connection first
+// receives the current metadata (when built) and the outstanding failure, if any.
+export function openRadarStream(product, req, res) {
+  const metadata = getCache(getCacheKeys(product).metadata);
+  const { lastFailure } = getPipelineState(product);
+  const initialEvents = [
+    ...(metadata ? [{ type: 'frame.built', data: metadata }] : []),
+    ...(lastFailure ? [lastFailure] : []),
+  ];
+
+  openEventStream(req, res, product.id, initialEvents);
 }
 
-export async function getLatestGridBinary() {
-  const cached = getCache(CACHE_KEY_GRID);
-  if (cached?.data) {
-    return cached.data;
+// Records how long `fn` took under stages[name], in milliseconds, whether or not it succeeds.
+async function timeStage(stages, name, fn) {
+  const startedAt = performance.now();
+  try {
+    return await fn();
+  } finally {
+    stages[name] = Math.round(performance.now() - startedAt);
   }
+}
 
-  await ensureLatestArtifact();
-  const grid = getCache(CACHE_KEY_GRID);
+function recordBuild(product, { startedAt, stages, timestamp = null, error = null }) {
+  const state = getPipelineState(product);
+  const build = {
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    ok: !error,
+    timestamp,
+    stages,
+    error: error ? { message: error.message, details: error.details ?? null } : null,
+  };
 
-  if (!grid?.data) {
-    throw new HttpError(503, 'Radar grid not ready');
+  state.recentBuilds = [build, ...state.recentBuilds].slice(0, RECENT_BUILD_LIMIT);
+  buildsTotal.inc({ product: product.id, result: error ? 'failure' : 'success' });
+  for (const [stage, durationMs] of Object.entries({ ...stages, total: build.durationMs })) {
+    buildStageDuration.observe({ product: product.id, stage }, durationMs / 1000);
+  }
+  if (error) {
+    state.consecutiveFailures += 1;
+    state.lastError = { ...build.error, at: new Date().toISOString() };
+  } else {
+    state.consecutiveFailures = 0;
   }
+}
 
-  return grid.data;
+// Downloads, decodes and renders one MRMS object. `urls` are merged into the metadata, `stages`
+// collects per-stage timings and `bbox` ({ west, south, east, north }) crops the grid before rendering.
+export async function buildFrameArtifacts(product, objectMetadata, { stages, urls, bbox = null }) {
+  const artifact = await timeStage(stages, 'download', () => downloadProductArtifact(objectMetadata));
+  if (!artifact) {
+    throw new HttpError(503, 'Unable to download MRMS product artifact');
+  }
+
+  const decoded = await timeStage(stages, 'decode', () => buildGridPayload(artifact));
+  const gridPayload = bbox
+    ? subsetGridPayload(decoded, { bbox, stride: null, maxRows: null, maxCols: null })
+    : decoded;
+  const tileBuffer = await timeStage(stages, 'render', () =>
+    generateOverlayPng(gridPayload, { colorScale: product.colorScale })
+  );
+  const gridMetadata = describeGrid(gridPayload, urls.gridDataUrl);
+
+  const metadata = {
+    product: describeProduct(product),
+    timestamp: gridPayload.timestamp || objectMetadata.timestamp,
+    bounds: gridMetadata.bounds,
+    rows: gridMetadata.rows,
+    cols: gridMetadata.cols,
+    latStep: gridMetadata.latStep,
+    lonStep: gridMetadata.lonStep,
+    origin: gridMetadata.origin,
+    minValue: gridMetadata.minValue,
+    maxValue: gridMetadata.maxValue,
+    dataEncoding: gridMetadata.dataEncoding,
+    ...urls,
+  };
+
+  return { metadata, gridPayload, tileBuffer };
 }
 
-async function performLatestArtifactBuild() {
-  logger.info('Building radar artifact for latest MRMS product');
+async function performLatestArtifactBuild(product) {
+  logger.info('Building radar artifact for latest MRMS product', { product: product.id });
+
+  const startedAt = Date.now();
+  const stages = {};
+  getPipelineState(product).lastBuildStartedAt = new Date(startedAt).toISOString();
 
   try {
-    const baseMetadata = await fetchLatestProductMetadata();
+    const baseMetadata = await timeStage(stages, 'list', () => fetchLatestProductMetadata(product));
     if (!baseMetadata) {
       throw new HttpError(503, 'Unable to locate latest MRMS product');
     }
 
-    const artifact = await downloadProductArtifact(baseMetadata);
-    if (!artifact) {
-      throw new HttpError(503, 'Unable to download MRMS product artifact');
+    const {
+      metadata: metadataResponse,
+      gridPayload,
+      tileBuffer: pngBuffer,
+    } = await buildFrameArtifacts(product, baseMetadata, { stages, urls: buildProductUrls(product) });
+
+    const cacheKeys = getCacheKeys(product);
+    setCache(cacheKeys.metadata, metadataResponse, config.cacheTtlMs, LATEST_CACHE_OPTIONS);
+    setCache(cacheKeys.tile, pngBuffer, config.cacheTtlMs, LATEST_CACHE_OPTIONS);
+    setCache(cacheKeys.grid, gridPayload, config.cacheTtlMs, LATEST_CACHE_OPTIONS);
+    if (isSharedCacheEnabled()) {
+      await publishSharedLatest(product, metadataResponse, gridPayload, pngBuffer);
     }
 
-    const gridPayload = await buildGridPayload(artifact);
-    const pngBuffer = await generateOverlayPng(gridPayload);
-    const gridMetadata = buildGridMetadataResponse(gridPayload);
-
-    const metadataResponse = {
-      timestamp: gridPayload.timestamp || baseMetadata.timestamp,
-      bounds: gridMetadata.bounds,
-      rows: gridMetadata.rows,
-      cols: gridMetadata.cols,
-      latStep: gridMetadata.latStep,
-      lonStep: gridMetadata.lonStep,
-      origin: gridMetadata.origin,
-      minValue: gridMetadata.minValue,
-      maxValue: gridMetadata.maxValue,
-      dataEncoding: gridMetadata.dataEncoding,
-      imageUrl: '/api/radar/tile.png',
-      gridUrl: '/api/radar/grid.json',
-      gridDataUrl: gridMetadata.dataUrl,
-    };
-
-    setCache(CACHE_KEY_METADATA, metadataResponse, config.cacheTtlMs);
-    setCache(CACHE_KEY_TILE, pngBuffer, config.cacheTtlMs);
-    setCache(CACHE_KEY_GRID, gridPayload, config.cacheTtlMs);
-
-    persistArtifacts(metadataResponse, gridPayload, pngBuffer).catch((error) => {
+    archiveFrame(product.id, { metadata: metadataResponse, gridPayload, tileBuffer: pngBuffer });
+    precomputeCells(product, metadataResponse.timestamp, gridPayload);
+    recordBuild(product, { startedAt, stages, timestamp: metadataResponse.timestamp });
+    notifyFrameBuilt(product, metadataResponse);
+
+    evaluateAlertAreas(product, gridPayload, metadataResponse.timestamp).catch((error) => {
+      logger.warn('Failed to evaluate alert areas', {
+        product: product.id,
+        message: error.message,
+      });
+    });
+
+    persistArtifacts(product, metadataResponse, gridPayload, pngBuffer).catch((error) => {
       logger.warn('Failed to persist radar artifacts', {
+        product: product.id,
         message: error.message,
       });
     });
 
     return metadataResponse;
   } catch (error) {
-    logger.error('Failed to build radar artifact', error);
+    logger.error('Failed to build radar artifact', { product: product.id, message: error.message });
+    recordBuild(product, { startedAt, stages, error });
+    notifyBuildFailed(product, error);
 
     if (error instanceof HttpError) {
       throw error;
@@ -165,150 +554,353 @@ async function performLatestArtifactBuild() {
   }
 }
 
-function serialiseGridPayloadForPersistence(gridPayload) {
-  if (!gridPayload) {
-    return null;
+// `fresh` when the newest frame served is within MRMS_MAX_DATA_AGE_MINUTES, `stale` when older, and
+// `empty` before the first frame has been built or restored.
+function describeProductStatus(product) {
+  const state = getPipelineState(product);
+  const timestampMs = state.lastFrameTimestamp ? Date.parse(state.lastFrameTimestamp) : Number.NaN;
+  const dataAgeMinutes = Number.isFinite(timestampMs) ? (Date.now() - timestampMs) / 60_000 : null;
+  let status = 'empty';
+  if (dataAgeMinutes !== null) {
+    status = dataAgeMinutes <= config.mrms.maxDataAgeMinutes ? 'fresh' : 'stale';
   }
 
-  const { data, ...rest } = gridPayload;
   return {
-    ...rest,
-    data: Buffer.isBuffer(data) ? data.toString('base64') : null,
+    product: product.id,
+    label: product.label,
+    status,
+    dataTimestamp: state.lastFrameTimestamp,
+    dataAgeMinutes: dataAgeMinutes === null ? null : Math.round(dataAgeMinutes * 10) / 10,
+    lastSuccessfulBuildAt: state.lastSuccessfulBuildTs ? new Date(state.lastSuccessfulBuildTs).toISOString() : null,
+    lastBuildStartedAt: state.lastBuildStartedAt,
+    buildInFlight: Boolean(state.buildInFlight),
+    consecutiveFailures: state.consecutiveFailures,
+    lastError: state.lastError,
+    lastBuild: state.recentBuilds[0] ?? null,
+    recentBuilds: state.recentBuilds.map(({ startedAt, durationMs, ok, timestamp, error }) => ({
+      startedAt,
+      durationMs,
+      ok,
+      timestamp,
+      error: error?.message ?? null,
+    })),
   };
 }
 
-function deserialiseGridPayloadFromPersistence(serialised) {
-  if (!serialised) {
-    return null;
-  }
+// Ready means every enabled product is serving fresh data. MongoDB is optional, and a missing Python
+// decoder already shows up as failed builds and stale data, so neither gates readiness by itself.
+export async function getPipelineStatus() {
+  const products = getEnabledProducts().map(describeProductStatus);
+  const [mongo, decoder] = await Promise.all([pingMongo(), describeGribDecoder()]);
 
-  const { data, ...rest } = serialised;
   return {
-    ...rest,
-    data: data ? Buffer.from(data, 'base64') : null,
+    ready: products.every(({ status }) => status === 'fresh'),
+    checkedAt: new Date().toISOString(),
+    maxDataAgeMinutes: config.mrms.maxDataAgeMinutes,
+    refreshIntervalMs: getRefreshIntervalMs(),
+    products,
+    mongo,
+    decoder,
   };
 }
 
-async function fileExists(filePath) {
-  try {
-    await fs.access(filePath);
-    return true;
-  } catch {
-    return false;
-  }
+function getProductPersistDir(product) {
+  return path.join(persistentCacheDir, product.id);
 }
 
-async function persistArtifacts(metadata, gridPayload, tileBuffer) {
+async function persistArtifacts(product, metadata, gridPayload, tileBuffer) {
   if (!persistentCacheDir) {
     return;
   }
 
   try {
-    await fs.mkdir(persistentCacheDir, { recursive: true });
-
-    const metadataPath = path.join(persistentCacheDir, PERSIST_METADATA_FILE);
-    const gridPath = path.join(persistentCacheDir, PERSIST_GRID_FILE);
-    const tilePath = path.join(persistentCacheDir, PERSIST_TILE_FILE);
-
-    const serialisedGrid = serialiseGridPayloadForPersistence(gridPayload);
-
-    await Promise.all([
-      fs.writeFile(metadataPath, JSON.stringify(metadata)),
-      serialisedGrid ? fs.writeFile(gridPath, JSON.stringify(serialisedGrid)) : Promise.resolve(),
-      tileBuffer ? fs.writeFile(tilePath, tileBuffer) : Promise.resolve(),
-    ]);
+    const productDir = getProductPersistDir(product);
+    await fs.mkdir(productDir, { recursive: true });
+
+    // Metadata goes last: hydration starts from it and rejects a grid tagged with another frame, so a
+    // crash part-way through leaves a set that is either complete or ignored.
+    if (gridPayload?.data) {
+      await writePersistedGrid(path.join(productDir, PERSIST_GRID_BASENAME), gridPayload, {
+        compression: persistCompression,
+        frameTimestamp: metadata.timestamp,
+      });
+    }
+    if (tileBuffer) {
+      await writeFileAtomic(path.join(productDir, PERSIST_TILE_FILE), tileBuffer);
+    }
+    await writeFileAtomic(path.join(productDir, PERSIST_METADATA_FILE), JSON.stringify(metadata));
   } catch (error) {
     logger.warn('Unable to persist radar artifacts to disk', {
+      product: product.id,
       message: error.message,
     });
   }
 }
 
-export async function hydrateCacheFromPersistence() {
-  if (!persistentCacheDir) {
-    return false;
-  }
+async function hydrateProductFromPersistence(product) {
+  const state = getPipelineState(product);
+  const cacheKeys = getCacheKeys(product);
 
   try {
-    const metadataPath = path.join(persistentCacheDir, PERSIST_METADATA_FILE);
-    const gridPath = path.join(persistentCacheDir, PERSIST_GRID_FILE);
-    const tilePath = path.join(persistentCacheDir, PERSIST_TILE_FILE);
+    const productDir = getProductPersistDir(product);
+    const metadataPath = path.join(productDir, PERSIST_METADATA_FILE);
+    const tilePath = path.join(productDir, PERSIST_TILE_FILE);
 
-    const exists = await Promise.all([
-      fileExists(metadataPath),
-      fileExists(gridPath),
-      fileExists(tilePath),
-    ]);
+    const exists = await Promise.all([fileExists(metadataPath), fileExists(tilePath)]);
 
     if (exists.some((available) => !available)) {
       return false;
     }
 
-    const [metadataRaw, gridRaw, tileBuffer] = await Promise.all([
-      fs.readFile(metadataPath, 'utf8'),
-      fs.readFile(gridPath, 'utf8'),
-      fs.readFile(tilePath),
-    ]);
-
-    const metadata = JSON.parse(metadataRaw);
-    const gridSerialised = JSON.parse(gridRaw);
-    const gridPayload = deserialiseGridPayloadFromPersistence(gridSerialised);
+    const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
 
     const timestampMs = metadata?.timestamp ? Date.parse(metadata.timestamp) : Number.NaN;
     if (Number.isFinite(timestampMs)) {
       const ageMinutes = (Date.now() - timestampMs) / (1000 * 60);
       if (ageMinutes > config.mrms.maxDataAgeMinutes) {
         logger.warn('Persisted radar artifact skipped due to age', {
+          product: product.id,
           timestamp: metadata.timestamp,
           ageMinutes,
         });
         return false;
       }
-      lastSuccessfulBuildTs = timestampMs;
-    } else {
-      lastSuccessfulBuildTs = Date.now();
     }
 
-    setCache(CACHE_KEY_METADATA, metadata, config.cacheTtlMs);
-    if (gridPayload) {
-      setCache(CACHE_KEY_GRID, gridPayload, config.cacheTtlMs);
-    }
-    if (tileBuffer) {
-      setCache(CACHE_KEY_TILE, tileBuffer, config.cacheTtlMs);
+    const persistedGrid = await loadPersistedGrid(path.join(productDir, PERSIST_GRID_BASENAME), {
+      legacyPath: path.join(productDir, LEGACY_PERSIST_GRID_FILE),
+      compression: persistCompression,
+      frameTimestamp: metadata?.timestamp ?? null,
+    });
+    if (!persistedGrid || persistedGrid.frameTimestamp !== (metadata?.timestamp ?? null)) {
+      logger.warn('Persisted radar grid missing or from another frame; skipping', { product: product.id });
+      return false;
     }
 
+    const { gridPayload } = persistedGrid;
+    const tileBuffer = await fs.readFile(tilePath);
+
+    state.lastSuccessfulBuildTs = Number.isFinite(timestampMs) ? timestampMs : Date.now();
+    state.lastFrameTimestamp = metadata?.timestamp ?? null;
+    setCache(cacheKeys.metadata, metadata, config.cacheTtlMs, LATEST_CACHE_OPTIONS);
+    setCache(cacheKeys.grid, gridPayload, config.cacheTtlMs, LATEST_CACHE_OPTIONS);
+    setCache(cacheKeys.tile, tileBuffer, config.cacheTtlMs, LATEST_CACHE_OPTIONS);
+
     logger.info('Hydrated radar cache from persisted artifacts', {
+      product: product.id,
       timestamp: metadata?.timestamp,
     });
 
     return true;
   } catch (error) {
     logger.warn('Failed to hydrate radar cache from disk', {
+      product: product.id,
       message: error.message,
     });
     return false;
   }
 }
 
-async function ensureLatestArtifact({ force = false } = {}) {
-  const cached = getCache(CACHE_KEY_METADATA);
-  if (cached && !force) {
-    return cached;
+// Caches written before products had their own folders hold the default product's files at the root of
+// CACHE_PERSIST_DIR. They are moved into its folder, or removed when that folder already has a frame.
+async function migrateRootArtifacts(product) {
+  const rootFiles = [PERSIST_TILE_FILE, LEGACY_PERSIST_GRID_FILE, PERSIST_METADATA_FILE];
+  const rootPaths = rootFiles.map((file) => path.join(persistentCacheDir, file));
+  const present = await Promise.all(rootPaths.map(fileExists));
+  if (!present.some(Boolean)) {
+    return;
+  }
+
+  const productDir = getProductPersistDir(product);
+  try {
+    const keepExisting = await fileExists(path.join(productDir, PERSIST_METADATA_FILE));
+    if (!keepExisting) {
+      await fs.mkdir(productDir, { recursive: true });
+    }
+    // Metadata is moved last, so an interrupted migration leaves no metadata next to a partial set
+    for (const [index, rootPath] of rootPaths.entries()) {
+      if (!present[index]) {
+        continue;
+      }
+      if (keepExisting) {
+        await fs.rm(rootPath, { force: true });
+      } else {
+        await fs.rename(rootPath, path.join(productDir, rootFiles[index]));
+      }
+    }
+
+    logger.info(
+      keepExisting ? 'Removed superseded root-level radar artifacts' : 'Moved root-level radar artifacts',
+      { product: product.id, dir: productDir }
+    );
+  } catch (error) {
+    logger.warn('Failed to migrate root-level radar artifacts', { product: product.id, message: error.message });
+  }
+}
+
+// Resolves true only when every enabled product was restored, so bootstrap knows whether to prime the cache.
+export async function hydrateCacheFromPersistence() {
+  if (!persistentCacheDir) {
+    return false;
+  }
+
+  await migrateRootArtifacts(getDefaultProduct());
+  await hydrateFrameArchive();
+  await hydrateHistoryIndex();
+
+  let hydratedAll = true;
+  for (const product of getEnabledProducts()) {
+    const hydrated = await hydrateProductFromPersistence(product);
+    hydratedAll = hydratedAll && hydrated;
+  }
+
+  return hydratedAll;
+}
+
+// Writes the frame to the shared store for the other instances, as one entry so they never combine
+// the metadata of one frame with the grid of another.
+async function publishSharedLatest(product, metadata, gridPayload, tileBuffer) {
+  const { data, ...grid } = gridPayload;
+  try {
+    const packed = packBuffers({ builtAt: Date.now(), metadata, grid }, { grid: data, tile: tileBuffer });
+    await setSharedEntry(getCacheKeys(product).sharedLatest, packed, config.cacheTtlMs + config.cache.staleTtlMs);
+  } catch (error) {
+    logger.warn('Failed to publish radar frame to the shared cache', {
+      product: product.id,
+      message: error.message,
+    });
+  }
+}
+
+// Loads a frame another instance built within the last `maxAgeMs` into the local cache. Alerts and
+// webhooks already ran on the instance that built it, so only local stream clients are notified.
+async function adoptSharedLatest(product, { maxAgeMs }) {
+  const cacheKeys = getCacheKeys(product);
+  let header;
+  let segments;
+  try {
+    const packed = await getSharedEntry(cacheKeys.sharedLatest);
+    if (!packed) {
+      return null;
+    }
+    ({ header, segments } = unpackBuffers(packed));
+  } catch (error) {
+    logger.warn('Failed to read radar frame from the shared cache', {
+      product: product.id,
+      message: error.message,
+    });
+    return null;
+  }
+
+  if (Date.now() - header.builtAt > maxAgeMs) {
+    return null;
+  }
+
+  const { metadata } = header;
+  const gridPayload = { ...header.grid, data: segments.grid ?? null };
+  setCache(cacheKeys.metadata, metadata, config.cacheTtlMs, LATEST_CACHE_OPTIONS);
+  setCache(cacheKeys.tile, segments.tile, config.cacheTtlMs, LATEST_CACHE_OPTIONS);
+  setCache(cacheKeys.grid, gridPayload, config.cacheTtlMs, LATEST_CACHE_OPTIONS);
+
+  const state = getPipelineState(product);
+  state.lastFailure = null;
+  if (state.lastFrameTimestamp !== metadata.timestamp) {
+    state.lastFrameTimestamp = metadata.timestamp;
+    archiveFrame(product.id, { metadata, gridPayload, tileBuffer: segments.tile });
+    precomputeCells(product, metadata.timestamp, gridPayload);
+    broadcastEvent(product.id, { type: 'frame.built', data: metadata });
+    persistArtifacts(product, metadata, gridPayload, segments.tile).catch((error) => {
+      logger.warn('Failed to persist radar artifacts', {
+        product: product.id,
+        message: error.message,
+      });
+    });
+  }
+
+  logger.debug('Adopted radar frame from the shared cache', { product: product.id, timestamp: metadata.timestamp });
+  return metadata;
+}
+
+// With a shared cache, a frame another instance built within the refresh interval is reused. Otherwise
+// the build lock decides who builds: the holder builds and publishes, the rest wait for it and adopt
+// its frame.
+async function buildOrAdoptLatestArtifact(product) {
+  if (!isSharedCacheEnabled()) {
+    return performLatestArtifactBuild(product);
+  }
+
+  const { buildLock } = getCacheKeys(product);
+  const maxAgeMs = getRefreshIntervalMs() || config.cacheTtlMs;
+  const recent = await adoptSharedLatest(product, { maxAgeMs });
+  if (recent) {
+    return recent;
+  }
+
+  const lock = await acquireLock(buildLock, config.cache.buildLockTtlMs);
+  if (lock) {
+    // A slow build keeps the lock rather than letting a second instance start the same build
+    const stopRenewing = keepLockAlive(lock, config.cache.buildLockTtlMs);
+    try {
+      // Another instance may have published between the check above and taking the lock
+      return (await adoptSharedLatest(product, { maxAgeMs })) ?? (await performLatestArtifactBuild(product));
+    } finally {
+      stopRenewing();
+      await releaseLock(lock).catch((error) => {
+        logger.warn('Failed to release radar build lock', { product: product.id, message: error.message });
+      });
+    }
+  }
+
+  logger.info('Waiting for radar build on another instance', { product: product.id });
+  const released = await waitForLockRelease(buildLock, { timeoutMs: config.cache.buildLockTtlMs });
+  const adopted = released ? await adoptSharedLatest(product, { maxAgeMs }) : null;
+  if (!adopted) {
+    throw new HttpError(503, 'Radar build on another instance did not produce a frame', {
+      product: product.id,
+      timedOut: !released,
+    });
+  }
+  return adopted;
+}
+
+// With `allowStale`, expired metadata still inside the cache's stale window is returned straight away
+// and the rebuild carries on in the background.
+async function ensureLatestArtifact(product, { force = false, allowStale = false } = {}) {
+  const cached = getCacheEntry(getCacheKeys(product).metadata);
+  if (cached && !cached.stale && !force) {
+    return cached.value;
   }
 
-  if (!buildInFlight) {
-    buildInFlight = (async () => {
+  const build = startLatestArtifactBuild(product);
+  if (cached && allowStale && !force) {
+    build.catch((error) => {
+      logger.warn('Background radar rebuild failed; stale frame still served', {
+        product: product.id,
+        message: error.message,
+      });
+    });
+    return cached.value;
+  }
+
+  return build;
+}
+
+// Starts a build unless one is already running for the product, and returns the in-flight promise.
+function startLatestArtifactBuild(product) {
+  const state = getPipelineState(product);
+  if (!state.buildInFlight) {
+    state.buildInFlight = (async () => {
       try {
-        const metadata = await performLatestArtifactBuild();
-        lastSuccessfulBuildTs = Date.now();
+        const metadata = await buildOrAdoptLatestArtifact(product);
+        state.lastSuccessfulBuildTs = Date.now();
         return metadata;
       } finally {
-        buildInFlight = null;
+        state.buildInFlight = null;
       }
     })();
   }
 
-  return buildInFlight;
+  return state.buildInFlight;
 }
 
 function getRefreshIntervalMs() {
@@ -321,35 +913,67 @@ function getRefreshIntervalMs() {
 }
 
 export function warmLatestArtifactInBackground() {
-  ensureLatestArtifact().catch((error) => {
+  warmLatestArtifact().catch((error) => {
     logger.warn('Background radar warmup failed', {
       message: error.message,
     });
   });
 }
 
+// Products are warmed one after another to keep peak memory and CPU bounded.
 export async function warmLatestArtifact() {
-  return ensureLatestArtifact();
+  let firstError = null;
+
+  for (const product of getEnabledProducts()) {
+    try {
+      await ensureLatestArtifact(product);
+    } catch (error) {
+      logger.warn('Radar warmup failed for product', {
+        product: product.id,
+        message: error.message,
+      });
+      firstError = firstError ?? error;
+    }
+  }
+
+  if (firstError) {
+    throw firstError;
+  }
 }
 
+// Rebuilds the products whose last build is at least `intervalMs` old, one after another like warmup.
+async function refreshDueProducts(intervalMs) {
+  for (const product of getEnabledProducts()) {
+    const { lastSuccessfulBuildTs } = getPipelineState(product);
+    if (lastSuccessfulBuildTs && Date.now() - lastSuccessfulBuildTs < intervalMs) {
+      continue;
+    }
+
+    try {
+      await ensureLatestArtifact(product, { force: true });
+    } catch (error) {
+      logger.warn('Periodic radar refresh failed', {
+        product: product.id,
+        message: error.message,
+      });
+    }
+  }
+}
+
+// A tick that arrives while the previous pass is still running is skipped, so passes never overlap.
 export function scheduleLatestArtifactRefresh() {
   const intervalMs = getRefreshIntervalMs();
   if (!intervalMs) {
     return () => {};
   }
 
+  let refreshing = null;
   const timer = setInterval(() => {
-    const age = Date.now() - lastSuccessfulBuildTs;
-    const shouldForce = !lastSuccessfulBuildTs || age >= intervalMs;
-
-    if (!shouldForce) {
+    if (refreshing) {
       return;
     }
-
-    ensureLatestArtifact({ force: true }).catch((error) => {
-      logger.warn('Periodic radar refresh failed', {
-        message: error.message,
-      });
+    refreshing = refreshDueProducts(intervalMs).finally(() => {
+      refreshing = null;
     });
   }, intervalMs);
 
@@ -2,21 +2,132 @@ import { Buffer } from 'node:buffer';
 
 import { PNG } from 'pngjs';
 
+import { config } from '../config/env.js';
+import {
+  DEFAULT_PALETTE_ID,
+  findPalette,
+  getDefaultPalette,
+  getPalettes,
+  getValueDomain,
+  PALETTE_MODES,
+} from '../config/palettes.js';
+import { describeProduct } from '../config/products.js';
 import { HttpError } from '../errors/httpError.js';
+import { getCache, setCache } from './cacheService.js';
 
-const COLOR_SCALE = [
-  { threshold: 5, rgba: [0, 0, 0, 0] },
-  { threshold: 15, rgba: [26, 72, 171, 120] },
-  { threshold: 25, rgba: [40, 113, 203, 150] },
-  { threshold: 35, rgba: [29, 149, 197, 165] },
-  { threshold: 45, rgba: [33, 171, 144, 185] },
-  { threshold: 55, rgba: [144, 202, 94, 210] },
-  { threshold: 65, rgba: [233, 186, 63, 230] },
-  { threshold: 75, rgba: [220, 94, 36, 240] },
-  { threshold: Infinity, rgba: [180, 36, 36, 255] },
-];
-
-export async function generateOverlayPng(gridPayload) {
+const TRANSPARENT = [0, 0, 0, 0];
+const WEB_MERCATOR_MAX_LAT = 85.0511287798066;
+const INT16_VALUE_COUNT = 65536;
+const INT16_OFFSET = 32768;
+
+export const TILE_SIZE = 256;
+export const MAX_TILE_ZOOM = 12;
+
+// Piecewise-linear map from product units onto the palette's 0–1 axis; null means "not drawn".
+function valueToPosition(domain, value) {
+  if (!Number.isFinite(value) || value < domain[0]) {
+    return null;
+  }
+
+  const segments = domain.length - 1;
+  for (let i = 0; i < segments; i += 1) {
+    if (value < domain[i + 1]) {
+      return (i + (value - domain[i]) / (domain[i + 1] - domain[i])) / segments;
+    }
+  }
+
+  return 1;
+}
+
+function positionToValue(domain, position) {
+  const segments = domain.length - 1;
+  const scaled = Math.min(Math.max(position, 0), 1) * segments;
+  const index = Math.min(Math.floor(scaled), segments - 1);
+  return domain[index] + (scaled - index) * (domain[index + 1] - domain[index]);
+}
+
+function colorAtPosition(palette, mode, position) {
+  const { stops } = palette;
+  let upper = stops.findIndex((stop) => stop.position > position);
+  if (upper === -1) {
+    return stops.at(-1).rgba;
+  }
+  if (upper === 0) {
+    return stops[0].rgba;
+  }
+
+  const lower = stops[upper - 1];
+  if (mode === 'step') {
+    return lower.rgba;
+  }
+
+  upper = stops[upper];
+  const t = (position - lower.position) / (upper.position - lower.position);
+  return lower.rgba.map((channel, index) => Math.round(channel + (upper.rgba[index] - channel) * t));
+}
+
+function resolveStyle({ colorScale, palette, mode } = {}) {
+  const resolvedPalette = palette ?? getDefaultPalette();
+  return {
+    colorScale,
+    domain: getValueDomain(colorScale),
+    palette: resolvedPalette,
+    mode: PALETTE_MODES.includes(mode) ? mode : resolvedPalette.mode,
+  };
+}
+
+// Every int16 sample maps to one colour, so each style/encoding pair is resolved once into a
+// 64K-entry RGBA table and pixels become a straight copy.
+const colorLookups = new Map();
+
+function getColorLookup(style, { scale, offset, missing }) {
+  const key = `${style.colorScale}|${style.palette.id}|${style.mode}|${scale}|${offset}|${missing}`;
+  if (colorLookups.has(key)) {
+    return colorLookups.get(key);
+  }
+
+  const lookup = new Uint8Array(INT16_VALUE_COUNT * 4);
+  for (let raw = -INT16_OFFSET; raw < INT16_OFFSET; raw += 1) {
+    if (raw === missing) {
+      continue;
+    }
+
+    const position = valueToPosition(style.domain, raw * scale + offset);
+    if (position !== null) {
+      lookup.set(colorAtPosition(style.palette, style.mode, position), (raw + INT16_OFFSET) * 4);
+    }
+  }
+
+  colorLookups.set(key, lookup);
+  return lookup;
+}
+
+// Legend view of a product/palette pair: value-labelled stops for gradients and [min, max) bands for
+// stepped palettes (the last band is open-ended).
+export function describeLegend(colorScale, options = {}) {
+  const style = resolveStyle({ ...options, colorScale });
+  const { domain, palette, mode } = style;
+
+  const legend = {
+    palette: palette.id,
+    mode,
+    min: domain[0],
+    max: domain.at(-1),
+    stops: palette.stops.map(({ position, rgba }) => ({ position, value: positionToValue(domain, position), rgba })),
+  };
+
+  if (mode === 'step') {
+    legend.steps = legend.stops.map(({ value, rgba }, index) => ({
+      min: value,
+      max: index < legend.stops.length - 1 ? legend.stops[index + 1].value : null,
+      rgba,
+    }));
+  }
+
+  return legend;
+}
+
+function readGrid(gridPayload) {
   const { rows, cols, data, dataEncoding } = gridPayload;
 
   if (!rows || !cols || !Buffer.isBuffer(data) || !dataEncoding) {
@@ -27,33 +138,227 @@ export async function generateOverlayPng(gridPayload) {
     throw new HttpError(500, `Unsupported grid encoding format: ${dataEncoding.format}`);
   }
 
-  const scale = Number.isFinite(dataEncoding.scale) ? dataEncoding.scale : 1;
-  const offset = Number.isFinite(dataEncoding.offset) ? dataEncoding.offset : 0;
-  const missing = Number.isFinite(dataEncoding.missing) ? dataEncoding.missing : -32768;
+  return {
+    rows,
+    cols,
+    scale: Number.isFinite(dataEncoding.scale) ? dataEncoding.scale : 1,
+    offset: Number.isFinite(dataEncoding.offset) ? dataEncoding.offset : 0,
+    missing: Number.isFinite(dataEncoding.missing) ? dataEncoding.missing : -32768,
+    view: new Int16Array(data.buffer, data.byteOffset, data.byteLength / Int16Array.BYTES_PER_ELEMENT),
+  };
+}
 
-  const view = new Int16Array(data.buffer, data.byteOffset, data.byteLength / Int16Array.BYTES_PER_ELEMENT);
+function writePixel(pixelData, pixelOffset, rgba) {
+  const [r, g, b, a] = rgba;
+  pixelData[pixelOffset + 0] = r;
+  pixelData[pixelOffset + 1] = g;
+  pixelData[pixelOffset + 2] = b;
+  pixelData[pixelOffset + 3] = a;
+}
+
+function copyLookupPixel(pixelData, pixelOffset, lookup, raw) {
+  const lookupOffset = (raw + INT16_OFFSET) * 4;
+  pixelData[pixelOffset + 0] = lookup[lookupOffset];
+  pixelData[pixelOffset + 1] = lookup[lookupOffset + 1];
+  pixelData[pixelOffset + 2] = lookup[lookupOffset + 2];
+  pixelData[pixelOffset + 3] = lookup[lookupOffset + 3];
+}
 
-  const png = new PNG({ width: cols, height: rows });
+// `style` is { colorScale, palette, mode }; palette defaults to the configured default palette and
+// mode to the palette's own mode.
+export async function generateOverlayPng(gridPayload, style = {}) {
+  const grid = readGrid(gridPayload);
+  const lookup = getColorLookup(resolveStyle(style), grid);
+
+  const png = new PNG({ width: grid.cols, height: grid.rows });
   const pixelData = png.data;
 
-  for (let idx = 0; idx < view.length; idx += 1) {
-    const raw = view[idx];
-    const pixelOffset = idx * 4;
+  for (let idx = 0; idx < grid.view.length; idx += 1) {
+    copyLookupPixel(pixelData, idx * 4, lookup, grid.view[idx]);
+  }
 
-    if (raw === missing) {
-      pixelData[pixelOffset + 3] = 0;
-      continue;
-    }
+  return PNG.sync.write(png);
+}
+
+export function tileToLonLatBounds(z, x, y) {
+  const tileCount = 2 ** z;
+  const toLon = (tileX) => (tileX / tileCount) * 360 - 180;
+  const toLat = (tileY) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * tileY) / tileCount))) * 180) / Math.PI;
+
+  return {
+    west: toLon(x),
+    east: toLon(x + 1),
+    north: toLat(y),
+    south: toLat(y + 1),
+  };
+}
+
+function gridIntersectsTile(gridPayload, tileBounds) {
+  const [south, west, north, east] = gridPayload.bounds;
+  const latPad = Math.abs(gridPayload.latStep) / 2;
+  const lonPad = Math.abs(gridPayload.lonStep) / 2;
+
+  return !(
+    tileBounds.east < west - lonPad ||
+    tileBounds.west > east + lonPad ||
+    tileBounds.north < south - latPad ||
+    tileBounds.south > north + latPad ||
+    tileBounds.south > WEB_MERCATOR_MAX_LAT
+  );
+}
+
+let emptyTileBuffer = null;
+
+function getEmptyTile() {
+  if (!emptyTileBuffer) {
+    emptyTileBuffer = PNG.sync.write(new PNG({ width: TILE_SIZE, height: TILE_SIZE }));
+  }
+
+  return emptyTileBuffer;
+}
+
+// Reprojects the lat/lon grid into a Web Mercator XYZ tile using nearest-neighbour sampling.
+export async function renderMercatorTile(gridPayload, { z, x, y }, style = {}) {
+  const tileBounds = tileToLonLatBounds(z, x, y);
+  if (!gridIntersectsTile(gridPayload, tileBounds)) {
+    return getEmptyTile();
+  }
+
+  const grid = readGrid(gridPayload);
+  const { rows, cols, view } = grid;
+  const lookup = getColorLookup(resolveStyle(style), grid);
+  const [, west, north] = gridPayload.bounds;
+  const latStep = Math.abs(gridPayload.latStep);
+  const lonStep = Math.abs(gridPayload.lonStep);
+
+  if (!latStep || !lonStep) {
+    throw new HttpError(500, 'Grid payload is missing lat/lon resolution');
+  }
+
+  const worldSize = TILE_SIZE * 2 ** z;
 
-    const value = raw * scale + offset;
-    const { rgba } = COLOR_SCALE.find(({ threshold }) => value < threshold) ?? COLOR_SCALE.at(-1);
-    const [r, g, b, a] = rgba;
+  // Columns depend only on longitude and rows only on latitude, so resolve both axes once per tile.
+  const colIndices = new Int32Array(TILE_SIZE);
+  for (let px = 0; px < TILE_SIZE; px += 1) {
+    const lon = ((x * TILE_SIZE + px + 0.5) / worldSize) * 360 - 180;
+    const col = Math.round((lon - west) / lonStep);
+    colIndices[px] = col >= 0 && col < cols ? col : -1;
+  }
 
-    pixelData[pixelOffset + 0] = r;
-    pixelData[pixelOffset + 1] = g;
-    pixelData[pixelOffset + 2] = b;
-    pixelData[pixelOffset + 3] = a;
+  const rowIndices = new Int32Array(TILE_SIZE);
+  for (let py = 0; py < TILE_SIZE; py += 1) {
+    const mercatorY = Math.PI * (1 - (2 * (y * TILE_SIZE + py + 0.5)) / worldSize);
+    const lat = (Math.atan(Math.sinh(mercatorY)) * 180) / Math.PI;
+    const row = Math.round((north - lat) / latStep);
+    rowIndices[py] = row >= 0 && row < rows ? row : -1;
+  }
+
+  const png = new PNG({ width: TILE_SIZE, height: TILE_SIZE });
+  const pixelData = png.data;
+
+  for (let py = 0; py < TILE_SIZE; py += 1) {
+    const row = rowIndices[py];
+
+    for (let px = 0; px < TILE_SIZE; px += 1) {
+      const col = colIndices[px];
+      const pixelOffset = (py * TILE_SIZE + px) * 4;
+
+      if (row < 0 || col < 0) {
+        writePixel(pixelData, pixelOffset, TRANSPARENT);
+        continue;
+      }
+
+      copyLookupPixel(pixelData, pixelOffset, lookup, view[row * cols + col]);
+    }
   }
 
   return PNG.sync.write(png);
 }
+
+export function listPalettes() {
+  return {
+    palettes: getPalettes().map(({ id, label, description, mode, stops }) => ({ id, label, description, mode, stops })),
+    modes: PALETTE_MODES,
+    defaultPalette: DEFAULT_PALETTE_ID,
+  };
+}
+
+// Resolves ?palette= and ?mode=. The default style keeps key 'default' so it can reuse the overlay that
+// every build renders up front; any other style is rendered on demand and cached under its key.
+function parsePaletteOptions(query = {}) {
+  const palette = query.palette ? findPalette(String(query.palette)) : getDefaultPalette();
+  if (!palette) {
+    const ids = getPalettes().map(({ id }) => id);
+    throw new HttpError(400, `palette must be one of: ${ids.join(', ')}`, { palette: query.palette });
+  }
+
+  const mode = query.mode ? String(query.mode).toLowerCase() : palette.mode;
+  if (!PALETTE_MODES.includes(mode)) {
+    throw new HttpError(400, `mode must be one of: ${PALETTE_MODES.join(', ')}`, { mode: query.mode });
+  }
+
+  const isDefault = palette.id === DEFAULT_PALETTE_ID && mode === palette.mode;
+  return { palette, mode, key: isDefault ? 'default' : `${palette.id}-${mode}` };
+}
+
+export function getLegend(product, query) {
+  const style = parsePaletteOptions(query);
+  return {
+    product: describeProduct(product),
+    label: style.palette.label,
+    ...describeLegend(product.colorScale, style),
+  };
+}
+
+export function parseTileCoordinates({ z, x, y }) {
+  const coords = {
+    z: Number(z),
+    x: Number(x),
+    y: Number(y),
+  };
+
+  const isValidIndex = (value) => Number.isInteger(value) && value >= 0;
+  if (!isValidIndex(coords.z) || !isValidIndex(coords.x) || !isValidIndex(coords.y)) {
+    throw new HttpError(400, 'Tile coordinates must be non-negative integers', { z, x, y });
+  }
+
+  if (coords.z > MAX_TILE_ZOOM) {
+    throw new HttpError(400, `Tile zoom must be between 0 and ${MAX_TILE_ZOOM}`, { z });
+  }
+
+  const tileCount = 2 ** coords.z;
+  if (coords.x >= tileCount || coords.y >= tileCount) {
+    throw new HttpError(400, 'Tile coordinates are outside the requested zoom level', { z, x, y });
+  }
+
+  return coords;
+}
+
+// The frame's whole-grid overlay in the requested palette. The default style is the overlay the build
+// rendered, when the frame carries one; every other overlay is rendered once per frame scope and style.
+export async function getFrameOverlay(product, frame, query) {
+  const style = parsePaletteOptions(query);
+  if (style.key === 'default' && frame.tileBuffer) {
+    return { buffer: frame.tileBuffer, paletteKey: style.key };
+  }
+
+  const cacheKey = `radar:${product.id}:tile:${frame.scope}:${style.key}`;
+  let buffer = getCache(cacheKey);
+  if (!buffer) {
+    buffer = await generateOverlayPng(frame.gridPayload, { colorScale: product.colorScale, ...style });
+    setCache(cacheKey, buffer, config.cacheTtlMs);
+  }
+  return { buffer, paletteKey: style.key };
+}
+
+export async function getFrameMercatorTile(product, frame, params, query) {
+  const coords = parseTileCoordinates(params);
+  const style = parsePaletteOptions(query);
+  const cacheKey = `radar:${product.id}:xyz:${frame.scope}:${style.key}:${coords.z}/${coords.x}/${coords.y}`;
+  let buffer = getCache(cacheKey);
+  if (!buffer) {
+    buffer = await renderMercatorTile(frame.gridPayload, coords, { colorScale: product.colorScale, ...style });
+    setCache(cacheKey, buffer, config.cacheTtlMs);
+  }
+  return { buffer, coords, paletteKey: style.key };
+}
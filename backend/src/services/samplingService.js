@@ -0,0 +1,365 @@
+import { describeProduct } from '../config/products.js';
+import { HttpError } from '../errors/httpError.js';
+import { getFrame, listFrames, resolveFrameId } from './frameArchiveService.js';
+
+// Server-side counterpart of the frontend grid lookup (frontend/src/utils/radarGrid.js): values at or
+// below this are MRMS no-coverage flags rather than measurements.
+const NO_DATA_THRESHOLD = -90;
+
+const KM_PER_DEGREE_LAT = 111.32;
+const MAX_NEIGHBOURHOOD_RADIUS_KM = 100;
+export const MAX_BATCH_POINTS = 500;
+const MAX_THRESHOLDS = 10;
+
+export const SAMPLING_METHODS = ['nearest', 'bilinear'];
+
+function createCellReader(gridPayload) {
+  const { rows, cols, data, dataEncoding } = gridPayload;
+  const values = new Int16Array(data.buffer, data.byteOffset, rows * cols);
+  const { scale = 1, offset = 0, missing = -32768 } = dataEncoding ?? {};
+
+  return (row, col) => {
+    if (row < 0 || row >= rows || col < 0 || col >= cols) {
+      return null;
+    }
+
+    const raw = values[row * cols + col];
+    if (raw === missing) {
+      return null;
+    }
+
+    const value = raw * scale + offset;
+    return Number.isFinite(value) && value > NO_DATA_THRESHOLD ? value : null;
+  };
+}
+
+function toGridPosition(gridPayload, lat, lon) {
+  const [, west, north] = gridPayload.bounds;
+  return {
+    rowFloat: (north - lat) / gridPayload.latStep,
+    colFloat: (lon - west) / gridPayload.lonStep,
+  };
+}
+
+function isWithinGrid(gridPayload, { rowFloat, colFloat }) {
+  return rowFloat >= -0.5 && rowFloat <= gridPayload.rows - 0.5 && colFloat >= -0.5 && colFloat <= gridPayload.cols - 0.5;
+}
+
+function sampleNearest(readCell, { rowFloat, colFloat }) {
+  return readCell(Math.round(rowFloat), Math.round(colFloat));
+}
+
+// Weights are renormalised over the corners that hold data so echo edges fade rather than vanish.
+function sampleBilinear(gridPayload, readCell, { rowFloat, colFloat }) {
+  const clampedRow = Math.min(Math.max(rowFloat, 0), gridPayload.rows - 1);
+  const clampedCol = Math.min(Math.max(colFloat, 0), gridPayload.cols - 1);
+  const row0 = Math.floor(clampedRow);
+  const col0 = Math.floor(clampedCol);
+  const rowWeight = clampedRow - row0;
+  const colWeight = clampedCol - col0;
+
+  const corners = [
+    [row0, col0, (1 - rowWeight) * (1 - colWeight)],
+    [row0, col0 + 1, (1 - rowWeight) * colWeight],
+    [row0 + 1, col0, rowWeight * (1 - colWeight)],
+    [row0 + 1, col0 + 1, rowWeight * colWeight],
+  ];
+
+  let weightedSum = 0;
+  let totalWeight = 0;
+  for (const [row, col, weight] of corners) {
+    if (weight === 0) {
+      continue;
+    }
+
+    const value = readCell(row, col);
+    if (value !== null) {
+      weightedSum += value * weight;
+      totalWeight += weight;
+    }
+  }
+
+  return totalWeight > 0 ? weightedSum / totalWeight : null;
+}
+
+function summariseNeighbourhood(gridPayload, readCell, lat, lon, radiusKm) {
+  const [, west, north] = gridPayload.bounds;
+  const kmPerDegreeLon = KM_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180);
+  const rowRadius = Math.ceil(radiusKm / KM_PER_DEGREE_LAT / gridPayload.latStep);
+  const colRadius = Math.ceil(radiusKm / Math.max(kmPerDegreeLon, 1e-6) / gridPayload.lonStep);
+  const { rowFloat, colFloat } = toGridPosition(gridPayload, lat, lon);
+  const centreRow = Math.round(rowFloat);
+  const centreCol = Math.round(colFloat);
+
+  let max = null;
+  let sum = 0;
+  let validCells = 0;
+  let totalCells = 0;
+
+  for (let row = centreRow - rowRadius; row <= centreRow + rowRadius; row += 1) {
+    if (row < 0 || row >= gridPayload.rows) {
+      continue;
+    }
+
+    const dyKm = (north - row * gridPayload.latStep - lat) * KM_PER_DEGREE_LAT;
+    for (let col = centreCol - colRadius; col <= centreCol + colRadius; col += 1) {
+      if (col < 0 || col >= gridPayload.cols) {
+        continue;
+      }
+
+      const dxKm = (west + col * gridPayload.lonStep - lon) * kmPerDegreeLon;
+      if (dxKm * dxKm + dyKm * dyKm > radiusKm * radiusKm) {
+        continue;
+      }
+
+      totalCells += 1;
+      const value = readCell(row, col);
+      if (value === null) {
+        continue;
+      }
+
+      validCells += 1;
+      sum += value;
+      max = max === null ? value : Math.max(max, value);
+    }
+  }
+
+  return {
+    radiusKm,
+    max,
+    mean: validCells > 0 ? sum / validCells : null,
+    validCells,
+    totalCells,
+  };
+}
+
+function parseNumber(value, name, { min, max, required = true } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      throw new HttpError(400, `Missing required parameter: ${name}`);
+    }
+    return null;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+    throw new HttpError(400, `${name} must be a number between ${min} and ${max}`, { [name]: value });
+  }
+
+  return parsed;
+}
+
+export function parseCoordinate({ lat, lon }) {
+  return {
+    lat: parseNumber(lat, 'lat', { min: -90, max: 90 }),
+    lon: parseNumber(lon, 'lon', { min: -180, max: 180 }),
+  };
+}
+
+export function parseSamplingOptions({ method, radiusKm } = {}) {
+  const resolvedMethod = method ? String(method).toLowerCase() : 'nearest';
+  if (!SAMPLING_METHODS.includes(resolvedMethod)) {
+    throw new HttpError(400, `method must be one of: ${SAMPLING_METHODS.join(', ')}`, { method });
+  }
+
+  return {
+    method: resolvedMethod,
+    radiusKm: parseNumber(radiusKm, 'radiusKm', { min: 0, max: MAX_NEIGHBOURHOOD_RADIUS_KM, required: false }),
+  };
+}
+
+export function parseThresholds(value, defaults = []) {
+  if (value === undefined || value === null || value === '') {
+    return defaults;
+  }
+
+  const thresholds = String(value)
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map(Number);
+
+  if (thresholds.length === 0 || thresholds.length > MAX_THRESHOLDS || thresholds.some((entry) => !Number.isFinite(entry))) {
+    throw new HttpError(400, `thresholds must be a comma-separated list of up to ${MAX_THRESHOLDS} numbers`, {
+      thresholds: value,
+    });
+  }
+
+  return [...new Set(thresholds)].sort((a, b) => a - b);
+}
+
+// Each sample is assumed to hold until the next one; the newest reuses the preceding interval so a
+// single scan above a threshold still counts for one update cycle.
+function estimateSampleDurationsMs(series) {
+  return series.map((entry, index) => {
+    const next = series[index + 1];
+    if (next) {
+      return Date.parse(next.timestamp) - Date.parse(entry.timestamp);
+    }
+
+    const previous = series[index - 1];
+    return previous ? Date.parse(entry.timestamp) - Date.parse(previous.timestamp) : 0;
+  });
+}
+
+// `series` is an oldest-first list of { timestamp, value } samples for one location.
+export function summariseSeries(series, thresholds = []) {
+  const durations = estimateSampleDurationsMs(series);
+  let max = null;
+  let maxTimestamp = null;
+  let validSamples = 0;
+
+  for (const { timestamp, value } of series) {
+    if (value === null) {
+      continue;
+    }
+
+    validSamples += 1;
+    if (max === null || value > max) {
+      max = value;
+      maxTimestamp = timestamp;
+    }
+  }
+
+  return {
+    samples: series.length,
+    validSamples,
+    max,
+    maxTimestamp,
+    latest: series.at(-1)?.value ?? null,
+    thresholds: thresholds.map((threshold) => {
+      let samples = 0;
+      let durationMs = 0;
+      series.forEach(({ value }, index) => {
+        if (value !== null && value >= threshold) {
+          samples += 1;
+          durationMs += durations[index];
+        }
+      });
+
+      return { threshold, samples, minutes: durationMs / 60_000 };
+    }),
+  };
+}
+
+// Samples a batch of points against one grid so the Int16Array view and reader are built once.
+export function samplePoints(gridPayload, points, { method = 'nearest', radiusKm = null } = {}) {
+  const readCell = createCellReader(gridPayload);
+
+  return points.map(({ lat, lon }) => {
+    const position = toGridPosition(gridPayload, lat, lon);
+    const withinGrid = isWithinGrid(gridPayload, position);
+    let value = null;
+
+    if (withinGrid) {
+      value =
+        method === 'bilinear' ? sampleBilinear(gridPayload, readCell, position) : sampleNearest(readCell, position);
+    }
+
+    const result = { lat, lon, withinGrid, value };
+    if (radiusKm) {
+      result.neighbourhood = summariseNeighbourhood(gridPayload, readCell, lat, lon, radiusKm);
+    }
+
+    return result;
+  });
+}
+
+export function samplePoint(gridPayload, point, options) {
+  return samplePoints(gridPayload, [point], options)[0];
+}
+
+function describeSample(product, metadata, options) {
+  return {
+    product: describeProduct(product),
+    timestamp: metadata.timestamp,
+    method: options.method,
+    ...(options.radiusKm ? { radiusKm: options.radiusKm } : {}),
+  };
+}
+
+export function sampleLatestPoint(product, latest, query) {
+  const point = parseCoordinate(query);
+  const options = parseSamplingOptions(query);
+
+  return {
+    ...describeSample(product, latest.metadata, options),
+    ...samplePoint(latest.gridPayload, point, options),
+  };
+}
+
+export function sampleLatestPoints(product, latest, body = {}) {
+  const { points } = body;
+  if (!Array.isArray(points) || points.length === 0) {
+    throw new HttpError(400, 'Request body must include a non-empty points array');
+  }
+
+  if (points.length > MAX_BATCH_POINTS) {
+    throw new HttpError(400, `A batch may contain at most ${MAX_BATCH_POINTS} points`, { received: points.length });
+  }
+
+  const coordinates = points.map((point, index) => {
+    try {
+      return parseCoordinate(point ?? {});
+    } catch (error) {
+      throw new HttpError(400, `Invalid point at index ${index}: ${error.message}`, { index, point });
+    }
+  });
+  const options = parseSamplingOptions(body);
+
+  const results = samplePoints(latest.gridPayload, coordinates, options).map((result, index) =>
+    points[index].id === undefined ? result : { id: points[index].id, ...result }
+  );
+
+  return {
+    ...describeSample(product, latest.metadata, options),
+    results,
+  };
+}
+
+function parseSince(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const frameId = resolveFrameId(value);
+  if (!frameId) {
+    throw new HttpError(400, 'since must be an ISO 8601 or MRMS (YYYYMMDD-HHMMSS) timestamp', { since: value });
+  }
+
+  return frameId;
+}
+
+// Samples one location across every archived frame (oldest first); frame ids sort chronologically.
+export async function getPointHistory(product, query) {
+  const point = parseCoordinate(query);
+  const options = parseSamplingOptions(query);
+  const thresholds = parseThresholds(query.thresholds, product.thresholds);
+  const sinceId = parseSince(query.since);
+
+  const summaries = listFrames(product.id).filter(({ id }) => !sinceId || id >= sinceId);
+  const frames = (await Promise.all(summaries.map(({ id }) => getFrame(product.id, id)))).filter(Boolean);
+
+  let withinGrid = false;
+  const series = frames.map((frame) => {
+    const sample = samplePoint(frame.gridPayload, point, options);
+    withinGrid = withinGrid || sample.withinGrid;
+    return {
+      id: frame.id,
+      timestamp: frame.timestamp,
+      value: sample.value,
+      ...(sample.neighbourhood ? { neighbourhood: sample.neighbourhood } : {}),
+    };
+  });
+
+  return {
+    product: describeProduct(product),
+    method: options.method,
+    ...(options.radiusKm ? { radiusKm: options.radiusKm } : {}),
+    ...point,
+    since: sinceId ? frames[0]?.timestamp ?? null : null,
+    withinGrid,
+    series,
+    summary: summariseSeries(series, thresholds),
+  };
+}
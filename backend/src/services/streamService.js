@@ -0,0 +1,72 @@
+import { config } from '../config/env.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('streamService', config.logLevel);
+
+// Comment lines keep idle connections open through proxies that time out silent responses.
+const HEARTBEAT_INTERVAL_MS = 25_000;
+// Reconnect delay suggested to EventSource clients.
+const CLIENT_RETRY_MS = 5_000;
+
+// Open Server-Sent Events responses, keyed by product id.
+const streams = new Map();
+
+function writeEvent(res, { type, data }) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  // The compression middleware buffers writes until flushed
+  res.flush?.();
+}
+
+// Holds `res` open as an event stream for one product. `initialEvents` are sent straight away so a
+// (re)connecting client learns the current state without waiting for the next build.
+export function openEventStream(req, res, productId, initialEvents = []) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+  initialEvents.forEach((event) => writeEvent(res, event));
+
+  if (!streams.has(productId)) {
+    streams.set(productId, new Set());
+  }
+  const clients = streams.get(productId);
+  clients.add(res);
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    res.flush?.();
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref?.();
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+
+  logger.debug('Event stream opened', { product: productId, clients: clients.size });
+}
+
+export function broadcastEvent(productId, event) {
+  for (const res of streams.get(productId) ?? []) {
+    try {
+      writeEvent(res, event);
+    } catch (error) {
+      logger.warn('Failed to write to event stream', { product: productId, message: error.message });
+    }
+  }
+}
+
+// Ends every open stream so the HTTP server can close during shutdown.
+export function closeEventStreams() {
+  for (const clients of streams.values()) {
+    for (const res of clients) {
+      res.end();
+    }
+    clients.clear();
+  }
+}
@@ -0,0 +1,273 @@
+import { Buffer } from 'node:buffer';
+
+import { config } from '../config/env.js';
+import { getBandLevels } from '../config/palettes.js';
+import { getCache, setCache } from './cacheService.js';
+import { buildContours } from './contourService.js';
+import { resolveGridSubset, subsetGridPayload } from './gridSubsetService.js';
+import { parseTileCoordinates, TILE_SIZE } from './rasterService.js';
+
+// Mapbox Vector Tile (spec 2.1) encoding of contour bands. Each tile holds one `bands` layer with a
+// polygon feature per level, tagged with `level` and, below the top band, `upperLevel`.
+
+export const VECTOR_TILE_LAYER = 'bands';
+export const VECTOR_TILE_CONTENT_TYPE = 'application/vnd.mapbox-vector-tile';
+
+const EXTENT = 4096;
+// Geometry past the tile edge, in tile units, so strokes and fills do not show seams between tiles
+const CLIP_BUFFER = 64;
+// Rings smaller than about one screen pixel are dropped
+const MIN_RING_AREA = (EXTENT / TILE_SIZE) ** 2;
+const MAX_GRID_STRIDE = 64;
+const WEB_MERCATOR_MAX_LAT = 85.0511287798066;
+const CONTOUR_OPTIONS = { smoothing: 1, simplifyCells: 0.5, minAreaKm2: 0 };
+
+const WIRE_TYPE = { varint: 0, double: 1, bytes: 2 };
+const GEOMETRY_TYPE_POLYGON = 3;
+const COMMAND = { moveTo: 1, lineTo: 2, closePath: 7 };
+
+function encodeVarint(value) {
+  const bytes = [];
+  let remaining = value;
+  while (remaining > 0x7f) {
+    bytes.push((remaining % 0x80) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+  return Buffer.from(bytes);
+}
+
+const zigZag = (value) => (value << 1) ^ (value >> 31);
+
+function encodeKey(field, wireType) {
+  return encodeVarint(field * 8 + wireType);
+}
+
+function encodeVarintField(field, value) {
+  return Buffer.concat([encodeKey(field, WIRE_TYPE.varint), encodeVarint(value)]);
+}
+
+function encodeBytesField(field, payload) {
+  return Buffer.concat([encodeKey(field, WIRE_TYPE.bytes), encodeVarint(payload.length), payload]);
+}
+
+function encodePackedField(field, values) {
+  return encodeBytesField(field, Buffer.concat(values.map(encodeVarint)));
+}
+
+function encodeDoubleValue(value) {
+  const payload = Buffer.alloc(8);
+  payload.writeDoubleLE(value);
+  return Buffer.concat([encodeKey(3, WIRE_TYPE.double), payload]);
+}
+
+const lonToTileX = (lon, z) => ((lon + 180) / 360) * 2 ** z;
+const latToTileY = (lat, z) => {
+  const radians = (Math.min(Math.max(lat, -WEB_MERCATOR_MAX_LAT), WEB_MERCATOR_MAX_LAT) * Math.PI) / 180;
+  return ((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2) * 2 ** z;
+};
+const tileYToLat = (tileY, z) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * tileY) / 2 ** z))) * 180) / Math.PI;
+
+// Lon/lat box covered by a tile plus its clip buffer.
+function getBufferedTileBounds({ z, x, y }) {
+  const buffer = CLIP_BUFFER / EXTENT;
+  return {
+    west: ((x - buffer) / 2 ** z) * 360 - 180,
+    east: ((x + 1 + buffer) / 2 ** z) * 360 - 180,
+    north: tileYToLat(y - buffer, z),
+    south: tileYToLat(y + 1 + buffer, z),
+  };
+}
+
+// Grid cells merged per output cell at a zoom, so that a cell spans roughly one screen pixel.
+export function resolveVectorTileStride(gridPayload, z) {
+  const degreesPerPixel = 360 / (TILE_SIZE * 2 ** z);
+  return Math.min(Math.max(Math.floor(degreesPerPixel / Math.abs(gridPayload.lonStep)), 1), MAX_GRID_STRIDE);
+}
+
+// Sutherland–Hodgman against one edge of the clip box; `axis` 0 clips x and 1 clips y.
+function clipAgainstEdge(points, axis, limit, keepBelow) {
+  const inside = (point) => (keepBelow ? point[axis] <= limit : point[axis] >= limit);
+  const clipped = [];
+  points.forEach((current, index) => {
+    const previous = points[(index + points.length - 1) % points.length];
+    if (inside(current) !== inside(previous)) {
+      const t = (limit - previous[axis]) / (current[axis] - previous[axis]);
+      clipped.push([previous[0] + t * (current[0] - previous[0]), previous[1] + t * (current[1] - previous[1])]);
+    }
+    if (inside(current)) {
+      clipped.push(current);
+    }
+  });
+  return clipped;
+}
+
+function ringArea(points) {
+  let sum = 0;
+  points.forEach(([x0, y0], index) => {
+    const [x1, y1] = points[(index + 1) % points.length];
+    sum += x0 * y1 - x1 * y0;
+  });
+  return sum / 2;
+}
+
+// Projects a closed GeoJSON ring into integer tile coordinates clipped to the buffered tile. Returns
+// open rings with the winding the spec requires: exterior rings positive in tile coordinates (clockwise
+// on screen), interior rings negative.
+function projectRing(ring, { z, x, y }, exterior) {
+  let points = ring
+    .slice(0, -1)
+    .map(([lon, lat]) => [(lonToTileX(lon, z) - x) * EXTENT, (latToTileY(lat, z) - y) * EXTENT]);
+
+  for (const [axis, limit, keepBelow] of [
+    [0, -CLIP_BUFFER, false],
+    [0, EXTENT + CLIP_BUFFER, true],
+    [1, -CLIP_BUFFER, false],
+    [1, EXTENT + CLIP_BUFFER, true],
+  ]) {
+    if (points.length < 3) {
+      return null;
+    }
+    points = clipAgainstEdge(points, axis, limit, keepBelow);
+  }
+
+  const rounded = [];
+  for (const [px, py] of points) {
+    const point = [Math.round(px), Math.round(py)];
+    const last = rounded.at(-1);
+    if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+      rounded.push(point);
+    }
+  }
+  while (rounded.length > 1 && rounded[0][0] === rounded.at(-1)[0] && rounded[0][1] === rounded.at(-1)[1]) {
+    rounded.pop();
+  }
+
+  const area = ringArea(rounded);
+  if (rounded.length < 3 || Math.abs(area) < MIN_RING_AREA) {
+    return null;
+  }
+  return area > 0 === exterior ? rounded : rounded.toReversed();
+}
+
+// Command stream for a polygon feature: each ring is MoveTo, LineTo for the rest, ClosePath, with
+// zig-zag coordinates relative to the previous point.
+function encodePolygonGeometry(rings) {
+  const commands = [];
+  let cursor = [0, 0];
+  for (const ring of rings) {
+    const deltas = ring.map(([px, py]) => {
+      const delta = [zigZag(px - cursor[0]), zigZag(py - cursor[1])];
+      cursor = [px, py];
+      return delta;
+    });
+    commands.push(COMMAND.moveTo | (1 << 3), ...deltas[0]);
+    commands.push(COMMAND.lineTo | ((ring.length - 1) << 3), ...deltas.slice(1).flat());
+    commands.push(COMMAND.closePath | (1 << 3));
+  }
+  return commands;
+}
+
+// Rings around a tile clip to the buffered tile box, so a band whose edges all lie outside the tile
+// comes out as the box with an identical hole; polygons left with no net area are dropped.
+function toTileRings(feature, coords) {
+  return feature.geometry.coordinates.flatMap(([shell, ...holes]) => {
+    const projectedShell = projectRing(shell, coords, true);
+    if (!projectedShell) {
+      return [];
+    }
+    const rings = [projectedShell, ...holes.map((hole) => projectRing(hole, coords, false)).filter(Boolean)];
+    const netArea = rings.reduce((total, ring) => total + ringArea(ring), 0);
+    return netArea < MIN_RING_AREA ? [] : rings;
+  });
+}
+
+function encodeLayer(features, coords) {
+  const keys = ['level', 'upperLevel'];
+  const values = [];
+  const valueIndex = new Map();
+  const toValueIndex = (value) => {
+    if (!valueIndex.has(value)) {
+      valueIndex.set(value, values.length);
+      values.push(value);
+    }
+    return valueIndex.get(value);
+  };
+
+  const encodedFeatures = [];
+  features.forEach((feature) => {
+    const rings = toTileRings(feature, coords);
+    if (rings.length === 0) {
+      return;
+    }
+
+    const { level, upperLevel } = feature.properties;
+    const tags = [0, toValueIndex(level)];
+    if (upperLevel !== null) {
+      tags.push(1, toValueIndex(upperLevel));
+    }
+    encodedFeatures.push(
+      Buffer.concat([
+        encodePackedField(2, tags),
+        encodeVarintField(3, GEOMETRY_TYPE_POLYGON),
+        encodePackedField(4, encodePolygonGeometry(rings)),
+      ])
+    );
+  });
+
+  if (encodedFeatures.length === 0) {
+    return null;
+  }
+
+  return Buffer.concat([
+    encodeVarintField(15, 2),
+    encodeBytesField(1, Buffer.from(VECTOR_TILE_LAYER)),
+    ...encodedFeatures.map((feature) => encodeBytesField(2, feature)),
+    ...keys.map((key) => encodeBytesField(3, Buffer.from(key))),
+    ...values.map((value) => encodeBytesField(4, encodeDoubleValue(value))),
+    encodeVarintField(5, EXTENT),
+  ]);
+}
+
+// Contours the part of `gridPayload` under one XYZ tile and encodes the bands as an MVT. The grid should
+// already be decimated with resolveVectorTileStride for the tile's zoom. Tiles the grid does not reach
+// are empty (a zero-length body is a valid tile).
+export function renderVectorTile(gridPayload, coords, { levels }) {
+  const tileBounds = getBufferedTileBounds(coords);
+  // Cropping closes rings along the edge of the crop, so it extends two cells past the clip buffer
+  const marginLat = Math.abs(gridPayload.latStep) * 2;
+  const marginLon = Math.abs(gridPayload.lonStep) * 2;
+  const [south, west, north, east] = gridPayload.bounds;
+  const bbox = {
+    west: tileBounds.west - marginLon,
+    east: tileBounds.east + marginLon,
+    south: tileBounds.south - marginLat,
+    north: tileBounds.north + marginLat,
+  };
+  if (bbox.east < west || bbox.west > east || bbox.north < south || bbox.south > north) {
+    return Buffer.alloc(0);
+  }
+
+  const window = subsetGridPayload(gridPayload, { bbox, stride: null, maxRows: null, maxCols: null });
+  const features = buildContours(window, { ...CONTOUR_OPTIONS, levels });
+  const layer = encodeLayer(features, coords);
+  return layer ? encodeBytesField(3, layer) : Buffer.alloc(0);
+}
+
+// Bands sit at fixed levels per product rather than at palette steps, so one tile set serves every
+// palette and the client colours bands from whichever legend is selected.
+export function encodeFrameVectorTile(product, frame, params) {
+  const coords = parseTileCoordinates(params);
+  const cacheKey = `radar:${product.id}:vt:${frame.scope}:${coords.z}/${coords.x}/${coords.y}`;
+  const cached = getCache(cacheKey);
+  if (cached) {
+    return { buffer: cached, coords };
+  }
+
+  // Decimated once per frame and zoom (through the subset cache) rather than once per tile
+  const stride = resolveVectorTileStride(frame.gridPayload, coords.z);
+  const zoomGrid = stride > 1 ? resolveGridSubset(product, frame, { stride: String(stride) }).grid : frame.gridPayload;
+  const buffer = renderVectorTile(zoomGrid, coords, { levels: getBandLevels(product.colorScale) });
+  setCache(cacheKey, buffer, config.cacheTtlMs);
+  return { buffer, coords };
+}
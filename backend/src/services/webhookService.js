@@ -0,0 +1,530 @@
+import { createHmac, randomBytes, randomUUID } from 'node:crypto';
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import { isIP } from 'node:net';
+
+import { ObjectId } from 'mongodb';
+
+import { config } from '../config/env.js';
+import { findEnabledProduct } from '../config/products.js';
+import { HttpError } from '../errors/httpError.js';
+import { createLogger } from '../utils/logger.js';
+import { isLocalHostname, isPrivateAddress } from '../utils/network.js';
+import { getMongoDb, initMongo, isMongoReady } from './mongoService.js';
+
+const logger = createLogger('webhookService', config.logLevel);
+
+export const WEBHOOK_EVENTS = ['frame.built', 'build.failed', 'data.stale', 'alert.triggered', 'alert.cleared'];
+// Sent only by the test endpoint, to every webhook regardless of its filter.
+const PING_EVENT = 'ping';
+const DELIVERY_STATUSES = ['pending', 'retrying', 'succeeded', 'failed'];
+const OPEN_STATUSES = ['pending', 'retrying'];
+const MIN_SECRET_LENGTH = 16;
+const MAX_DESCRIPTION_LENGTH = 200;
+const BLOCKED_TARGET_CODE = 'ERR_WEBHOOK_TARGET_BLOCKED';
+const BLOCKED_TARGET_MESSAGE =
+  'Webhook targets on loopback, private or link-local addresses are not allowed (see WEBHOOK_ALLOW_PRIVATE_TARGETS)';
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 500;
+
+async function ensureMongo() {
+  if (isMongoReady()) {
+    return true;
+  }
+
+  const ok = await initMongo();
+  if (!ok) {
+    throw new HttpError(503, 'MongoDB is not available for webhooks');
+  }
+
+  return true;
+}
+
+async function getCollections() {
+  await ensureMongo();
+  const db = await getMongoDb();
+  return {
+    webhooks: db.collection(config.mongo.webhookCollection),
+    deliveries: db.collection(config.mongo.webhookDeliveryCollection),
+  };
+}
+
+function parseObjectId(value, name) {
+  if (typeof value !== 'string' || !ObjectId.isValid(value)) {
+    throw new HttpError(400, `${name} must be a valid id`, { [name]: value });
+  }
+  return new ObjectId(value);
+}
+
+// The admin API is open, so a webhook must not let a caller reach this server's own network. Names are
+// checked here and again when they are resolved for each delivery (see lookupPublicAddress).
+function isBlockedHostname(hostname) {
+  return !config.webhooks.allowPrivateTargets && (isLocalHostname(hostname) || isPrivateAddress(hostname));
+}
+
+function parseUrl(value) {
+  let url = null;
+  try {
+    url = new URL(String(value ?? ''));
+  } catch {
+    url = null;
+  }
+
+  if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+    throw new HttpError(400, 'url must be an absolute http(s) URL', { url: value });
+  }
+  if (isBlockedHostname(url.hostname)) {
+    throw new HttpError(400, BLOCKED_TARGET_MESSAGE, { url: value });
+  }
+
+  return url.toString();
+}
+
+function parseEvents(value) {
+  if (value === undefined) {
+    return WEBHOOK_EVENTS;
+  }
+
+  const events = Array.isArray(value) ? [...new Set(value)] : [];
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  if (events.length === 0 || unknown.length > 0) {
+    throw new HttpError(400, `events must be a non-empty list drawn from ${WEBHOOK_EVENTS.join(', ')}`, {
+      unknown,
+    });
+  }
+
+  return events;
+}
+
+// An empty list means every product.
+function parseProducts(value) {
+  if (value === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(value)) {
+    throw new HttpError(400, 'products must be a list of product ids');
+  }
+
+  return value.map((entry) => {
+    const product = findEnabledProduct(String(entry));
+    if (!product) {
+      throw new HttpError(400, 'Unknown or disabled radar product', { product: entry });
+    }
+    return product.id;
+  });
+}
+
+function parseWebhookInput(body = {}) {
+  const secret = body.secret ?? randomBytes(32).toString('hex');
+  if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+    throw new HttpError(400, `secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+  }
+
+  const description = typeof body.description === 'string' ? body.description.trim() : '';
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    throw new HttpError(400, `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+
+  return {
+    url: parseUrl(body.url),
+    events: parseEvents(body.events),
+    products: [...new Set(parseProducts(body.products))],
+    secret,
+    description: description || null,
+  };
+}
+
+// The secret is only ever returned when the webhook is created.
+function serializeWebhook(doc, { includeSecret = false } = {}) {
+  return {
+    id: doc._id.toString(),
+    url: doc.url,
+    events: doc.events,
+    products: doc.products,
+    description: doc.description,
+    enabled: doc.enabled,
+    createdAt: doc.createdAt,
+    ...(includeSecret ? { secret: doc.secret } : {}),
+  };
+}
+
+// Only status and timing are exposed; attempts logged by older versions also kept a response snippet.
+function serializeAttempt({ attempt, at, durationMs, ok, status, blocked = false, error }) {
+  return { attempt, at, durationMs, ok, status, blocked, error };
+}
+
+function serializeDelivery(doc) {
+  return {
+    id: doc._id.toString(),
+    webhookId: doc.webhookId.toString(),
+    url: doc.url,
+    event: doc.event,
+    eventId: doc.eventId,
+    product: doc.product,
+    status: doc.status,
+    attemptCount: doc.attemptCount,
+    attempts: doc.attempts.map(serializeAttempt),
+    nextAttemptAt: doc.nextAttemptAt,
+    lastStatus: doc.lastStatus,
+    lastError: doc.lastError,
+    payload: doc.payload,
+    createdAt: doc.createdAt,
+    completedAt: doc.completedAt,
+  };
+}
+
+// Receivers verify `X-Radar-Signature` by recomputing the HMAC over `${X-Radar-Timestamp}.${rawBody}`.
+function signBody(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Network errors, timeouts, 408, 429 and 5xx are worth retrying; other responses will not change.
+function isRetryable(result) {
+  if (result.ok || result.blocked) {
+    return false;
+  }
+  return result.status === null || result.status === 408 || result.status === 429 || result.status >= 500;
+}
+
+function createBlockedTargetError() {
+  const error = new Error(BLOCKED_TARGET_MESSAGE);
+  error.code = BLOCKED_TARGET_CODE;
+  return error;
+}
+
+// DNS lookup for delivery sockets that refuses private addresses. It runs as the socket connects, so a
+// name cannot pass a check and then resolve elsewhere. Node may ask for every address (`all`).
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+      callback(createBlockedTargetError());
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+// Resolves to the response status once the response has been read and discarded. Redirects are not
+// followed. The receiver's body is never kept: it could be anything the target URL serves.
+function sendRequest(delivery, headers) {
+  const url = new URL(delivery.url);
+  if (isBlockedHostname(url.hostname)) {
+    return Promise.reject(createBlockedTargetError());
+  }
+
+  const transport = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(
+      url,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(delivery.body) },
+        // IP literals skip the lookup; isBlockedHostname covered them above
+        lookup: config.webhooks.allowPrivateTargets || isIP(url.hostname) ? undefined : lookupPublicAddress,
+        signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+      },
+      (response) => {
+        response.on('error', reject);
+        response.on('end', () => resolve(response.statusCode));
+        response.resume();
+      }
+    );
+    request.on('error', reject);
+    request.end(delivery.body);
+  });
+}
+
+async function postDelivery(delivery, attempt) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  try {
+    const status = await sendRequest(delivery, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'mrms-radar-backend',
+      'X-Radar-Event': delivery.event,
+      'X-Radar-Event-Id': delivery.eventId,
+      'X-Radar-Delivery': delivery.id,
+      'X-Radar-Attempt': String(attempt),
+      'X-Radar-Timestamp': String(timestamp),
+      'X-Radar-Signature': signBody(delivery.secret, timestamp, delivery.body),
+    });
+
+    return {
+      attempt,
+      at: new Date(startedAt),
+      durationMs: Date.now() - startedAt,
+      ok: status >= 200 && status < 300,
+      status,
+      blocked: false,
+      error: null,
+    };
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    return {
+      attempt,
+      at: new Date(startedAt),
+      durationMs: Date.now() - startedAt,
+      ok: false,
+      status: null,
+      blocked: error.code === BLOCKED_TARGET_CODE,
+      error: timedOut ? `Timed out after ${config.webhooks.timeoutMs} ms` : error.cause?.message ?? error.message,
+    };
+  }
+}
+
+function scheduleAttempt(delivery, attempt, delayMs) {
+  const timer = setTimeout(() => {
+    attemptDelivery(delivery, attempt).catch((error) => {
+      logger.warn('Webhook retry failed', { delivery: delivery.id, message: error.message });
+    });
+  }, delayMs);
+  timer.unref?.();
+}
+
+// Posts one attempt and records it in the delivery log. An attempt is first claimed by moving
+// attemptCount on from the previous attempt, so when a delivery is resumed by more than one process
+// (see resumeWebhookDeliveries) only one of them sends it. Failed retryable attempts are rescheduled
+// with exponential backoff (retryBaseMs, then 2×, 4×, ...) until maxAttempts. Resolves to the new
+// status, or null when the attempt was already claimed elsewhere.
+async function attemptDelivery(delivery, attempt = 1) {
+  const { deliveries } = await getCollections();
+  const _id = new ObjectId(delivery.id);
+  const { modifiedCount } = await deliveries.updateOne(
+    { _id, attemptCount: attempt - 1, status: { $in: OPEN_STATUSES } },
+    { $set: { attemptCount: attempt } }
+  );
+  if (modifiedCount === 0) {
+    return null;
+  }
+
+  const result = await postDelivery(delivery, attempt);
+  const retry = isRetryable(result) && attempt < config.webhooks.maxAttempts;
+  const delayMs = config.webhooks.retryBaseMs * 2 ** (attempt - 1);
+  let status = 'failed';
+  if (result.ok) {
+    status = 'succeeded';
+  } else if (retry) {
+    status = 'retrying';
+  }
+
+  try {
+    await deliveries.updateOne(
+      { _id },
+      {
+        $push: { attempts: result },
+        $set: {
+          status,
+          lastStatus: result.status,
+          lastError: result.error,
+          nextAttemptAt: retry ? new Date(Date.now() + delayMs) : null,
+          completedAt: retry ? null : new Date(),
+        },
+      }
+    );
+  } catch (error) {
+    logger.warn('Failed to record webhook delivery attempt', { delivery: delivery.id, message: error.message });
+  }
+
+  if (retry) {
+    scheduleAttempt(delivery, attempt + 1, delayMs);
+  } else if (!result.ok) {
+    logger.warn('Webhook delivery failed', {
+      delivery: delivery.id,
+      url: delivery.url,
+      event: delivery.event,
+      attempts: attempt,
+      status: result.status,
+      error: result.error,
+    });
+  }
+
+  return status;
+}
+
+async function createDelivery(deliveries, webhook, event) {
+  const doc = {
+    webhookId: webhook._id,
+    url: webhook.url,
+    event: event.type,
+    eventId: event.id,
+    product: event.product,
+    payload: event,
+    status: 'pending',
+    attemptCount: 0,
+    attempts: [],
+    nextAttemptAt: null,
+    lastStatus: null,
+    lastError: null,
+    createdAt: new Date(),
+    completedAt: null,
+  };
+
+  const { insertedId } = await deliveries.insertOne(doc);
+  return toDelivery({ ...doc, _id: insertedId }, webhook.secret);
+}
+
+// What an attempt needs; the secret is kept on the webhook only, not in the delivery log.
+function toDelivery(doc, secret) {
+  return {
+    id: doc._id.toString(),
+    url: doc.url,
+    secret,
+    event: doc.event,
+    eventId: doc.eventId,
+    body: JSON.stringify(doc.payload),
+  };
+}
+
+async function abandonDelivery(deliveries, doc, reason) {
+  await deliveries.updateOne(
+    { _id: doc._id, attemptCount: doc.attemptCount, status: { $in: OPEN_STATUSES } },
+    { $set: { status: 'failed', lastError: reason, nextAttemptAt: null, completedAt: new Date() } }
+  );
+}
+
+// Retries live in timers, so on startup every delivery the log still has open is scheduled again: at its
+// nextAttemptAt, or straight away when that has passed or it was never attempted. An attempt that was
+// claimed but never recorded (the process stopped mid-request) counts as made. Resolves to the number
+// of deliveries rescheduled.
+export async function resumeWebhookDeliveries() {
+  const { webhooks, deliveries } = await getCollections();
+  const open = await deliveries.find({ status: { $in: OPEN_STATUSES } }).toArray();
+  if (open.length === 0) {
+    return 0;
+  }
+
+  const webhookIds = [...new Set(open.map((doc) => doc.webhookId.toString()))].map((id) => new ObjectId(id));
+  const secrets = new Map(
+    (await webhooks.find({ _id: { $in: webhookIds } }).toArray()).map((doc) => [doc._id.toString(), doc.secret])
+  );
+
+  let resumed = 0;
+  for (const doc of open) {
+    const secret = secrets.get(doc.webhookId.toString());
+    if (!secret) {
+      await abandonDelivery(deliveries, doc, 'Webhook was deleted before the delivery completed');
+    } else if (doc.attemptCount >= config.webhooks.maxAttempts) {
+      await abandonDelivery(deliveries, doc, `Gave up after ${doc.attemptCount} attempts`);
+    } else {
+      const delayMs = doc.nextAttemptAt ? Math.max(doc.nextAttemptAt.getTime() - Date.now(), 0) : 0;
+      scheduleAttempt(toDelivery(doc, secret), doc.attemptCount + 1, delayMs);
+      resumed += 1;
+    }
+  }
+
+  if (resumed > 0) {
+    logger.info('Resuming webhook deliveries', { deliveries: resumed });
+  }
+  return resumed;
+}
+
+function buildEvent(type, data, product) {
+  return { id: randomUUID(), type, createdAt: new Date().toISOString(), product, data };
+}
+
+// Fans an event out to every enabled webhook subscribed to it (and to `product`, when the webhook
+// filters by product). Never throws, and does nothing without MongoDB, so callers in the build
+// pipeline can fire and forget. Resolves to the number of deliveries queued.
+export async function dispatchWebhookEvent(type, data, { product = null } = {}) {
+  if (!isMongoReady()) {
+    return 0;
+  }
+
+  try {
+    const { webhooks, deliveries } = await getCollections();
+    const subscribers = await webhooks.find({ enabled: true, events: type }).toArray();
+    const targets = subscribers.filter(
+      (webhook) => !product || webhook.products.length === 0 || webhook.products.includes(product)
+    );
+    if (targets.length === 0) {
+      return 0;
+    }
+
+    const event = buildEvent(type, data, product);
+    for (const webhook of targets) {
+      const delivery = await createDelivery(deliveries, webhook, event);
+      attemptDelivery(delivery).catch((error) => {
+        logger.warn('Webhook delivery failed', { delivery: delivery.id, message: error.message });
+      });
+    }
+
+    return targets.length;
+  } catch (error) {
+    logger.warn('Failed to dispatch webhook event', { type, message: error.message });
+    return 0;
+  }
+}
+
+export async function listWebhooks() {
+  const { webhooks } = await getCollections();
+  const docs = await webhooks.find({}).sort({ createdAt: -1 }).toArray();
+  return docs.map((doc) => serializeWebhook(doc));
+}
+
+export async function createWebhook(body) {
+  const input = parseWebhookInput(body);
+  const { webhooks } = await getCollections();
+  const doc = { ...input, enabled: true, createdAt: new Date() };
+
+  const { insertedId } = await webhooks.insertOne(doc);
+  return serializeWebhook({ ...doc, _id: insertedId }, { includeSecret: true });
+}
+
+// Deliveries are kept after their webhook is deleted so the log stays intact.
+export async function deleteWebhook(id) {
+  const webhookId = parseObjectId(id, 'id');
+  const { webhooks } = await getCollections();
+  const { deletedCount } = await webhooks.deleteOne({ _id: webhookId });
+  if (deletedCount === 0) {
+    throw new HttpError(404, 'Webhook not found', { id });
+  }
+  return { deleted: true, id };
+}
+
+// Sends a `ping` event and waits for its first attempt, so a receiver can be checked end to end.
+export async function sendTestWebhook(id) {
+  const webhookId = parseObjectId(id, 'id');
+  const { webhooks, deliveries } = await getCollections();
+  const webhook = await webhooks.findOne({ _id: webhookId });
+  if (!webhook) {
+    throw new HttpError(404, 'Webhook not found', { id });
+  }
+
+  const event = buildEvent(PING_EVENT, { webhookId: id, message: 'Test delivery from the MRMS radar backend' }, null);
+  const delivery = await createDelivery(deliveries, webhook, event);
+  await attemptDelivery(delivery);
+
+  const doc = await deliveries.findOne({ _id: new ObjectId(delivery.id) });
+  return serializeDelivery(doc);
+}
+
+export async function listWebhookDeliveries({ limit = DEFAULT_DELIVERY_LIMIT, webhookId, status, event } = {}) {
+  const { deliveries } = await getCollections();
+  const filter = {};
+
+  if (webhookId) {
+    filter.webhookId = parseObjectId(webhookId, 'webhookId');
+  }
+  if (status) {
+    if (!DELIVERY_STATUSES.includes(status)) {
+      throw new HttpError(400, `status must be one of ${DELIVERY_STATUSES.join(', ')}`, { status });
+    }
+    filter.status = status;
+  }
+  if (event) {
+    filter.event = event;
+  }
+
+  const safeLimit = Math.min(Math.max(Math.trunc(Number(limit)) || DEFAULT_DELIVERY_LIMIT, 1), MAX_DELIVERY_LIMIT);
+  const docs = await deliveries.find(filter).sort({ createdAt: -1 }).limit(safeLimit).toArray();
+  return docs.map(serializeDelivery);
+}
@@ -1,6 +1,399 @@
-// Placeholder for GRIB2 parsing helpers.
-// The real implementation will parse MRMS GRIB2 files into arrays/metadata.
+import { Buffer } from 'node:buffer';
+import { inflateSync } from 'node:zlib';
 
-export async function parseGribFile() {
-  throw new Error('parseGribFile not implemented yet');
+import { HttpError } from '../errors/httpError.js';
+
+// Native GRIB2 decoder for the subset of the format MRMS publishes: a single message on a regular
+// lat/lon grid (template 3.0) with simple (5.0) or PNG (5.41) packing. The payload mirrors what
+// workers/grib_processor.py emits so the rest of the pipeline is decoder-agnostic.
+
+const GRIB_MAGIC = 'GRIB';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const END_SECTION = '7777';
+
+const VALUE_SCALE_MULTIPLIER = 10; // preserve one decimal place precision
+const MISSING_SENTINEL = -32768;
+const MISSING_VALUE_THRESHOLD = -100; // MRMS flags no-coverage cells with large negative sentinels
+const INT16_MAX = 32767;
+
+const SCAN_I_NEGATIVE = 0x80;
+const SCAN_J_POSITIVE = 0x40;
+const SCAN_J_CONSECUTIVE = 0x20;
+const SCAN_BOUSTROPHEDON = 0x10;
+
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+function fail(message, details) {
+  throw new HttpError(500, message, details);
+}
+
+// GRIB2 stores signed integers as sign-and-magnitude rather than two's complement.
+function readSignedInt16(buffer, offset) {
+  const raw = buffer.readUInt16BE(offset);
+  return raw & 0x8000 ? -(raw & 0x7fff) : raw;
+}
+
+function readSignedInt32(buffer, offset) {
+  const raw = buffer.readUInt32BE(offset);
+  return raw & 0x80000000 ? -(raw & 0x7fffffff) : raw;
+}
+
+function splitSections(buffer) {
+  if (buffer.length < 16 || buffer.toString('ascii', 0, 4) !== GRIB_MAGIC) {
+    fail('Artifact is not a GRIB file');
+  }
+
+  const edition = buffer.readUInt8(7);
+  if (edition !== 2) {
+    fail('Unsupported GRIB edition', { edition });
+  }
+
+  const messageLength = Number(buffer.readBigUInt64BE(8));
+  if (messageLength > buffer.length) {
+    fail('GRIB message is truncated', { expected: messageLength, received: buffer.length });
+  }
+
+  // MRMS files carry a single message; anything after the first end marker is ignored.
+  const sections = new Map();
+  let offset = 16;
+
+  while (offset < messageLength) {
+    if (buffer.toString('ascii', offset, offset + 4) === END_SECTION) {
+      break;
+    }
+
+    const length = buffer.readUInt32BE(offset);
+    const number = buffer.readUInt8(offset + 4);
+    if (length < 5 || offset + length > messageLength) {
+      fail('Corrupt GRIB section header', { section: number, offset });
+    }
+
+    if (!sections.has(number)) {
+      sections.set(number, buffer.subarray(offset, offset + length));
+    }
+    offset += length;
+  }
+
+  for (const required of [1, 3, 5, 7]) {
+    if (!sections.has(required)) {
+      fail('GRIB message is missing a required section', { section: required });
+    }
+  }
+
+  return sections;
+}
+
+function parseReferenceTime(section) {
+  const year = section.readUInt16BE(12);
+  const [month, day, hour, minute, second] = [14, 15, 16, 17, 18].map((offset) => section.readUInt8(offset));
+  const timestampMs = Date.UTC(year, month - 1, day, hour, minute, second);
+  return new Date(timestampMs).toISOString().replace('.000Z', 'Z');
+}
+
+function parseGridDefinition(section) {
+  const template = section.readUInt16BE(12);
+  if (template !== 0) {
+    fail('Unsupported GRIB grid definition template', { template: `3.${template}` });
+  }
+
+  const basicAngle = section.readUInt32BE(38);
+  const subdivisions = section.readUInt32BE(42);
+  const unit = basicAngle === 0 || basicAngle === 0xffffffff ? 1e-6 : basicAngle / subdivisions;
+
+  const grid = {
+    pointCount: section.readUInt32BE(6),
+    ni: section.readUInt32BE(30),
+    nj: section.readUInt32BE(34),
+    la1: readSignedInt32(section, 46) * unit,
+    lo1: readSignedInt32(section, 50) * unit,
+    la2: readSignedInt32(section, 55) * unit,
+    lo2: readSignedInt32(section, 59) * unit,
+    di: section.readUInt32BE(63) * unit,
+    dj: section.readUInt32BE(67) * unit,
+    scanMode: section.readUInt8(71),
+  };
+
+  if (grid.scanMode & (SCAN_J_CONSECUTIVE | SCAN_BOUSTROPHEDON)) {
+    fail('Unsupported GRIB scanning mode', { scanMode: grid.scanMode });
+  }
+
+  if (grid.ni * grid.nj !== grid.pointCount) {
+    fail('GRIB grid dimensions do not match the point count', { ni: grid.ni, nj: grid.nj, points: grid.pointCount });
+  }
+
+  return grid;
+}
+
+function parseDataRepresentation(section) {
+  const template = section.readUInt16BE(9);
+  if (template !== 0 && template !== 41) {
+    fail('Unsupported GRIB data representation template', { template: `5.${template}` });
+  }
+
+  return {
+    template,
+    packedCount: section.readUInt32BE(5),
+    referenceValue: section.readFloatBE(11),
+    binaryScale: readSignedInt16(section, 15),
+    decimalScale: readSignedInt16(section, 17),
+    bitsPerValue: section.readUInt8(19),
+  };
+}
+
+function parseBitmap(section) {
+  if (!section) {
+    return null;
+  }
+
+  const indicator = section.readUInt8(5);
+  if (indicator === 255) {
+    return null;
+  }
+
+  if (indicator !== 0) {
+    fail('Unsupported GRIB bitmap indicator', { indicator });
+  }
+
+  return section.subarray(6);
+}
+
+// Returns a reader for the n-th unsigned big-endian integer of `bits` width. PNG scanlines are
+// byte-aligned, so `valuesPerRow`/`rowStrideBits` let sub-byte samples skip each row's padding.
+function createBitReader(buffer, bits, { valuesPerRow = 0, rowStrideBits = 0 } = {}) {
+  return (index) => {
+    const row = valuesPerRow ? Math.floor(index / valuesPerRow) : 0;
+    const column = index - row * valuesPerRow;
+    let position = row * rowStrideBits + column * bits;
+    let remaining = bits;
+    let value = 0;
+
+    while (remaining > 0) {
+      const byte = buffer[position >> 3];
+      const bitOffset = position & 7;
+      const take = Math.min(8 - bitOffset, remaining);
+      const chunk = (byte >> (8 - bitOffset - take)) & ((1 << take) - 1);
+      value = value * (1 << take) + chunk;
+      position += take;
+      remaining -= take;
+    }
+
+    return value;
+  };
+}
+
+function paethPredictor(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const distanceLeft = Math.abs(estimate - left);
+  const distanceUp = Math.abs(estimate - up);
+  const distanceUpLeft = Math.abs(estimate - upLeft);
+
+  if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) {
+    return left;
+  }
+  return distanceUp <= distanceUpLeft ? up : upLeft;
+}
+
+// Minimal PNG reader for the greyscale/RGB(A) images GRIB2 embeds. pngjs expands every pixel to
+// RGBA, which quadruples memory on a CONUS grid; here scanlines are unfiltered in place instead.
+function decodePngSamples(pngBuffer) {
+  if (!pngBuffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    fail('GRIB PNG payload has an invalid signature');
+  }
+
+  let header = null;
+  const dataChunks = [];
+  let offset = 8;
+
+  while (offset + 8 <= pngBuffer.length) {
+    const length = pngBuffer.readUInt32BE(offset);
+    const type = pngBuffer.toString('ascii', offset + 4, offset + 8);
+    const data = pngBuffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data.readUInt8(8),
+        colorType: data.readUInt8(9),
+        interlace: data.readUInt8(12),
+      };
+    } else if (type === 'IDAT') {
+      dataChunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += length + 12;
+  }
+
+  if (!header || dataChunks.length === 0) {
+    fail('GRIB PNG payload is incomplete');
+  }
+
+  const channels = PNG_CHANNELS[header.colorType];
+  if (!channels || header.interlace !== 0) {
+    fail('Unsupported PNG layout in GRIB payload', { colorType: header.colorType, interlace: header.interlace });
+  }
+
+  const bitsPerPixel = header.bitDepth * channels;
+  const filterStride = Math.max(1, bitsPerPixel >> 3);
+  const rowBytes = Math.ceil((header.width * bitsPerPixel) / 8);
+  const raw = inflateSync(Buffer.concat(dataChunks));
+
+  if (raw.length < (rowBytes + 1) * header.height) {
+    fail('GRIB PNG payload is truncated');
+  }
+
+  // Unfilter into a contiguous buffer without the per-row filter bytes.
+  const pixels = Buffer.alloc(rowBytes * header.height);
+  for (let row = 0; row < header.height; row += 1) {
+    const filter = raw[row * (rowBytes + 1)];
+    const source = row * (rowBytes + 1) + 1;
+    const target = row * rowBytes;
+    const previous = target - rowBytes;
+
+    for (let i = 0; i < rowBytes; i += 1) {
+      const left = i >= filterStride ? pixels[target + i - filterStride] : 0;
+      const up = row > 0 ? pixels[previous + i] : 0;
+      const upLeft = row > 0 && i >= filterStride ? pixels[previous + i - filterStride] : 0;
+      const value = raw[source + i];
+
+      switch (filter) {
+        case 0:
+          pixels[target + i] = value;
+          break;
+        case 1:
+          pixels[target + i] = value + left;
+          break;
+        case 2:
+          pixels[target + i] = value + up;
+          break;
+        case 3:
+          pixels[target + i] = value + ((left + up) >> 1);
+          break;
+        case 4:
+          pixels[target + i] = value + paethPredictor(left, up, upLeft);
+          break;
+        default:
+          fail('Unsupported PNG filter in GRIB payload', { filter, row });
+      }
+    }
+  }
+
+  return {
+    sampleCount: header.width * header.height,
+    readSample: createBitReader(pixels, bitsPerPixel, { valuesPerRow: header.width, rowStrideBits: rowBytes * 8 }),
+  };
+}
+
+function createPackedValueReader(representation, dataSection) {
+  const payload = dataSection.subarray(5);
+
+  if (representation.bitsPerValue === 0 || representation.packedCount === 0) {
+    return () => 0;
+  }
+
+  if (representation.template === 0) {
+    const requiredBytes = Math.ceil((representation.packedCount * representation.bitsPerValue) / 8);
+    if (payload.length < requiredBytes) {
+      fail('GRIB data section is truncated', { expected: requiredBytes, received: payload.length });
+    }
+    return createBitReader(payload, representation.bitsPerValue);
+  }
+
+  const { sampleCount, readSample } = decodePngSamples(payload);
+  if (sampleCount < representation.packedCount) {
+    fail('GRIB PNG payload holds fewer values than declared', {
+      expected: representation.packedCount,
+      received: sampleCount,
+    });
+  }
+  return readSample;
+}
+
+function toDegreesEast(longitude) {
+  return longitude > 180 ? longitude - 360 : longitude;
+}
+
+function decodeValues(grid, representation, bitmap, readPacked) {
+  const { ni, nj, scanMode } = grid;
+  const { referenceValue, binaryScale, decimalScale } = representation;
+  const binaryFactor = 2 ** binaryScale;
+  const decimalFactor = 10 ** -decimalScale;
+
+  const encoded = new Int16Array(ni * nj).fill(MISSING_SENTINEL);
+  let minValue = Infinity;
+  let maxValue = -Infinity;
+  let packedIndex = 0;
+
+  // The payload is emitted north-up and west-to-east regardless of the GRIB scanning order.
+  for (let j = 0; j < nj; j += 1) {
+    const row = scanMode & SCAN_J_POSITIVE ? nj - 1 - j : j;
+
+    for (let i = 0; i < ni; i += 1) {
+      const point = j * ni + i;
+      if (bitmap && !(bitmap[point >> 3] & (0x80 >> (point & 7)))) {
+        continue;
+      }
+
+      const packed = readPacked(packedIndex);
+      packedIndex += 1;
+
+      const value = (referenceValue + packed * binaryFactor) * decimalFactor;
+      if (!Number.isFinite(value) || value <= MISSING_VALUE_THRESHOLD) {
+        continue;
+      }
+
+      const col = scanMode & SCAN_I_NEGATIVE ? ni - 1 - i : i;
+      const scaled = Math.round(value * VALUE_SCALE_MULTIPLIER);
+      encoded[row * ni + col] = Math.max(-INT16_MAX, Math.min(INT16_MAX, scaled));
+
+      if (value < minValue) minValue = value;
+      if (value > maxValue) maxValue = value;
+    }
+  }
+
+  return {
+    encoded,
+    minValue: Number.isFinite(minValue) ? minValue : null,
+    maxValue: Number.isFinite(maxValue) ? maxValue : null,
+  };
+}
+
+export async function parseGribFile(gribBuffer) {
+  if (!Buffer.isBuffer(gribBuffer)) {
+    fail('GRIB parser expects a Buffer');
+  }
+
+  const sections = splitSections(gribBuffer);
+  const grid = parseGridDefinition(sections.get(3));
+  const representation = parseDataRepresentation(sections.get(5));
+  const bitmap = parseBitmap(sections.get(6));
+  const readPacked = createPackedValueReader(representation, sections.get(7));
+  const { encoded, minValue, maxValue } = decodeValues(grid, representation, bitmap, readPacked);
+
+  const latitudes = [grid.la1, grid.la2];
+  const longitudes = [toDegreesEast(grid.lo1), toDegreesEast(grid.lo2)];
+  const [south, north] = [Math.min(...latitudes), Math.max(...latitudes)];
+  const [west, east] = [Math.min(...longitudes), Math.max(...longitudes)];
+
+  return {
+    rows: grid.nj,
+    cols: grid.ni,
+    bounds: [south, west, north, east],
+    latStep: grid.dj,
+    lonStep: grid.di,
+    timestamp: parseReferenceTime(sections.get(1)),
+    minValue,
+    maxValue,
+    origin: 'upper-left',
+    dataEncoding: {
+      format: 'int16',
+      scale: 1 / VALUE_SCALE_MULTIPLIER,
+      offset: 0,
+      missing: MISSING_SENTINEL,
+      description: 'value = (raw * scale) + offset; missing indicates no data',
+    },
+    data: Buffer.from(encoded.buffer, encoded.byteOffset, encoded.byteLength),
+  };
 }
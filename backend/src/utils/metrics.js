@@ -0,0 +1,156 @@
+// Minimal Prometheus registry: counters, gauges and histograms rendered in the text exposition
+// format (version 0.0.4). Metrics are created once at module load by the code that updates them.
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export const DEFAULT_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, values, extra = []) {
+  const pairs = [...labelNames.map((name, index) => [name, values[index]]), ...extra];
+  if (pairs.length === 0) {
+    return '';
+  }
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Series are keyed by their label values in labelNames order; missing labels render as "".
+function toSeriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => labels[name] ?? ''));
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+export function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, value = 1) {
+      const key = toSeriesKey(labelNames, labels);
+      series.set(key, (series.get(key) ?? 0) + value);
+    },
+    render() {
+      return [...series].map(([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+    },
+  });
+}
+
+// `collect` runs before each scrape, for values that are cheaper to read on demand than to track.
+export function createGauge({ name, help, labelNames = [], collect = null }) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    collect,
+    set(labels, value) {
+      series.set(toSeriesKey(labelNames, labels), value);
+    },
+    reset() {
+      series.clear();
+    },
+    render() {
+      return [...series].map(
+        ([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${formatValue(value)}`
+      );
+    },
+  });
+}
+
+export function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_DURATION_BUCKETS }) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      const key = toSeriesKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: new Array(bounds.length).fill(0), sum: 0, count: 0 });
+      }
+
+      const entry = series.get(key);
+      bounds.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    render() {
+      return [...series].flatMap(([key, { counts, sum, count }]) => {
+        const values = JSON.parse(key);
+        return [
+          ...bounds.map(
+            (bound, index) => `${name}_bucket${formatLabels(labelNames, values, [['le', bound]])} ${counts[index]}`
+          ),
+          `${name}_bucket${formatLabels(labelNames, values, [['le', '+Inf']])} ${count}`,
+          `${name}_sum${formatLabels(labelNames, values)} ${sum}`,
+          `${name}_count${formatLabels(labelNames, values)} ${count}`,
+        ];
+      });
+    },
+  });
+}
+
+export async function renderMetrics() {
+  const lines = [];
+
+  for (const metric of registry.values()) {
+    if (metric.collect) {
+      metric.reset();
+      await metric.collect(metric);
+    }
+
+    lines.push(`# HELP ${metric.name} ${escapeHelp(metric.help)}`, `# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.render());
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+createGauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes.',
+  collect: (gauge) => gauge.set({}, process.memoryUsage().rss),
+});
+
+createGauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'V8 heap in use, in bytes.',
+  collect: (gauge) => gauge.set({}, process.memoryUsage().heapUsed),
+});
+
+createGauge({
+  name: 'process_uptime_seconds',
+  help: 'Seconds since the backend process started.',
+  collect: (gauge) => gauge.set({}, process.uptime()),
+});
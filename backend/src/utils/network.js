@@ -0,0 +1,39 @@
+import { BlockList, isIP } from 'node:net';
+
+// Addresses a request from this server should never reach on behalf of a client: loopback, private,
+// link-local (cloud metadata at 169.254.169.254), carrier-grade NAT, unspecified, multicast and
+// reserved ranges. IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) match the IPv4 rules.
+const privateAddresses = new BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 3],
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv6'));
+
+// `address` is an IP literal; IPv6 may be wrapped in brackets as in URL hostnames.
+export function isPrivateAddress(address) {
+  const bare = address.replace(/^\[(.*)\]$/, '$1');
+  const version = isIP(bare);
+  if (version === 0) {
+    return false;
+  }
+  return privateAddresses.check(bare, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Hostnames that always resolve to this machine, whatever DNS says.
+export function isLocalHostname(hostname) {
+  const name = hostname.toLowerCase().replace(/\.$/, '');
+  return name === 'localhost' || name.endsWith('.localhost');
+}
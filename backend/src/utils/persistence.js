@@ -0,0 +1,183 @@
+import { Buffer } from 'node:buffer';
+import { randomUUID } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+
+// Bumped whenever the on-disk grid layout changes; headers with another version are ignored.
+export const PERSISTENCE_FORMAT_VERSION = 2;
+
+const GRID_DATA_SUFFIX = '.bin';
+const GRID_HEADER_SUFFIX = '.header.json';
+
+const codecs = {
+  none: { compress: async (buffer) => buffer, decompress: async (buffer) => buffer },
+  gzip: { compress: promisify(zlib.gzip), decompress: promisify(zlib.gunzip) },
+  // zstd ships with Node 22.15+/23.8+; older runtimes fall back to gzip when writing
+  ...(zlib.zstdCompress
+    ? { zstd: { compress: promisify(zlib.zstdCompress), decompress: promisify(zlib.zstdDecompress) } }
+    : {}),
+};
+
+export function resolvePersistentCacheDir(rawDir) {
+  const raw = rawDir?.trim();
+  if (!raw) {
+    return path.join(os.tmpdir(), 'radar-cache');
+  }
+
+  if (raw.toLowerCase() === 'disabled') {
+    return null;
+  }
+
+  return raw;
+}
+
+// Reads the format written before PERSISTENCE_FORMAT_VERSION 2: the whole grid payload as JSON with
+// the data base64-encoded. Only used to migrate existing caches.
+function deserialiseGridPayloadFromPersistence(serialised) {
+  if (!serialised) {
+    return null;
+  }
+
+  const { data, ...rest } = serialised;
+  return {
+    ...rest,
+    data: data ? Buffer.from(data, 'base64') : null,
+  };
+}
+
+// Packs a JSON header and named binary segments into one Buffer: a UInt32BE header length, the UTF-8
+// header (with each segment's name and length appended under `segments`), then the segment bytes.
+export function packBuffers(header, segments = {}) {
+  const entries = Object.entries(segments).filter(([, buffer]) => Buffer.isBuffer(buffer));
+  const headerBuffer = Buffer.from(
+    JSON.stringify({ ...header, segments: entries.map(([name, buffer]) => [name, buffer.length]) })
+  );
+  const lengthPrefix = Buffer.alloc(4);
+  lengthPrefix.writeUInt32BE(headerBuffer.length, 0);
+  return Buffer.concat([lengthPrefix, headerBuffer, ...entries.map(([, buffer]) => buffer)]);
+}
+
+export function unpackBuffers(buffer) {
+  const headerLength = buffer.readUInt32BE(0);
+  const { segments: layout = [], ...header } = JSON.parse(buffer.toString('utf8', 4, 4 + headerLength));
+  const segments = {};
+  let offset = 4 + headerLength;
+  for (const [name, length] of layout) {
+    segments[name] = buffer.subarray(offset, offset + length);
+    offset += length;
+  }
+  if (offset !== buffer.length) {
+    throw new Error('Packed buffer length does not match its header');
+  }
+  return { header, segments };
+}
+
+// Unknown values, and zstd on runtimes without it, fall back to gzip.
+export function resolvePersistCompression(rawValue) {
+  const value = (rawValue || 'gzip').trim().toLowerCase();
+  return codecs[value] ? value : 'gzip';
+}
+
+// Writes to a temp file in the same directory, syncs it and renames it over the target, so a crash
+// leaves either the old file or the new one, never a partial write.
+export async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${randomUUID()}.tmp`;
+  let handle;
+  try {
+    handle = await fs.open(tempPath, 'w');
+    await handle.writeFile(data);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await handle?.close().catch(() => {});
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Persists a grid payload as `<basePath>.bin` (the raw int16 data, optionally compressed) and a
+// `<basePath>.header.json` sidecar with everything else. The sidecar is written last and records the
+// data length, so a data file without a matching header is never read. `frameTimestamp` lets callers
+// check the grid belongs to the same frame as the metadata saved next to it.
+export async function writePersistedGrid(basePath, gridPayload, { compression = 'gzip', frameTimestamp = null } = {}) {
+  const { data, ...rest } = gridPayload;
+  const stored = await codecs[compression].compress(data);
+
+  await writeFileAtomic(`${basePath}${GRID_DATA_SUFFIX}`, stored);
+  await writeFileAtomic(
+    `${basePath}${GRID_HEADER_SUFFIX}`,
+    JSON.stringify({
+      formatVersion: PERSISTENCE_FORMAT_VERSION,
+      compression,
+      byteLength: data.length,
+      storedByteLength: stored.length,
+      frameTimestamp,
+      grid: rest,
+    })
+  );
+}
+
+// Resolves to `{ gridPayload, frameTimestamp }`, or null when there is no grid in the current format
+// or it fails validation.
+export async function readPersistedGrid(basePath) {
+  let header;
+  try {
+    header = JSON.parse(await fs.readFile(`${basePath}${GRID_HEADER_SUFFIX}`, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  if (header?.formatVersion !== PERSISTENCE_FORMAT_VERSION || !codecs[header.compression]) {
+    return null;
+  }
+
+  const stored = await fs.readFile(`${basePath}${GRID_DATA_SUFFIX}`);
+  if (stored.length !== header.storedByteLength) {
+    return null;
+  }
+  const data = await codecs[header.compression].decompress(stored);
+  if (data.length !== header.byteLength) {
+    return null;
+  }
+
+  return { gridPayload: { ...header.grid, data }, frameTimestamp: header.frameTimestamp };
+}
+
+// Like readPersistedGrid, but when only `legacyPath` (the pre-version-2 JSON file) exists it is read,
+// rewritten in the current format and removed. An unreadable legacy file is removed and ignored.
+export async function loadPersistedGrid(basePath, { legacyPath, compression, frameTimestamp }) {
+  const current = await readPersistedGrid(basePath);
+  if (current || !legacyPath || !(await fileExists(legacyPath))) {
+    return current;
+  }
+
+  let gridPayload = null;
+  try {
+    gridPayload = deserialiseGridPayloadFromPersistence(JSON.parse(await fs.readFile(legacyPath, 'utf8')));
+  } catch {
+    gridPayload = null;
+  }
+
+  if (gridPayload?.data) {
+    await writePersistedGrid(basePath, gridPayload, { compression, frameTimestamp });
+  }
+  await fs.rm(legacyPath, { force: true });
+  return gridPayload?.data ? { gridPayload, frameTimestamp } : null;
+}
+
+export async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
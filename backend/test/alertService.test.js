@@ -0,0 +1,187 @@
+import assert from 'node:assert/strict';
+import { after, before, mock, test } from 'node:test';
+
+import { MongoClient } from 'mongodb';
+
+import { createFakeDb } from './helpers/mongo.js';
+
+process.env.MRMS_PRODUCT = 'ReflectivityAtLowestAltitude_00.50';
+process.env.LOG_LEVEL = 'error';
+
+const { findEnabledProduct } = await import('../src/config/products.js');
+const { initMongo } = await import('../src/services/mongoService.js');
+const { createAlertArea, deleteAlertArea, evaluateAlertAreas, listAlertAreas, listAlertEvents } = await import(
+  '../src/services/alertService.js'
+);
+
+const MISSING = -32768;
+const reflectivity = findEnabledProduct('ReflectivityAtLowestAltitude');
+
+before(async () => {
+  mock.method(MongoClient.prototype, 'connect', async function connect() {
+    return this;
+  });
+  mock.method(MongoClient.prototype, 'db', createFakeDb);
+  assert.equal(await initMongo(), true);
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+// An 11x11 grid of 0.01 degree cells at 40N 100W. `valueAt` gives each cell's value in dBZ, or null
+// for no data.
+function createGrid(valueAt) {
+  const raw = new Int16Array(11 * 11);
+  for (let row = 0; row < 11; row += 1) {
+    for (let col = 0; col < 11; col += 1) {
+      const value = valueAt(row, col);
+      raw[row * 11 + col] = value === null ? MISSING : Math.round(value * 10);
+    }
+  }
+  return {
+    rows: 11,
+    cols: 11,
+    data: Buffer.from(raw.buffer),
+    dataEncoding: { format: 'int16', scale: 0.1, offset: 0, missing: MISSING },
+    bounds: [39.9, -100, 40, -99.9],
+    latStep: 0.01,
+    lonStep: 0.01,
+  };
+}
+
+// A square around the four cell centres in rows 4-5 and columns 4-5.
+const inSquare = (row, col) => row >= 4 && row <= 5 && col >= 4 && col <= 5;
+const SQUARE = {
+  type: 'Polygon',
+  coordinates: [
+    [
+      [-99.965, 39.945],
+      [-99.945, 39.945],
+      [-99.945, 39.965],
+      [-99.965, 39.965],
+    ],
+  ],
+};
+
+// Evaluates one frame per entry of `grids`, a minute apart from `start`, and returns each summary.
+async function evaluateFrames(grids, start) {
+  const summaries = [];
+  for (const [index, grid] of grids.entries()) {
+    const timestamp = new Date(Date.parse(start) + index * 60_000).toISOString();
+    summaries.push(await evaluateAlertAreas(reflectivity, grid, timestamp));
+  }
+  return summaries;
+}
+
+// Each test's area is deleted afterwards, so the next test's frames only evaluate its own.
+async function createArea(t, body) {
+  const area = await createAlertArea({ product: reflectivity.id, threshold: 40, hysteresis: 5, ...body });
+  t.after(() => deleteAlertArea(area.id));
+  return area;
+}
+
+// The area's events in frame order, as [type, value[field]].
+async function eventsFor(areaId, field = 'max') {
+  const events = await listAlertEvents({ areaId });
+  return events.toSorted((a, b) => a.timestamp - b.timestamp).map(({ type, value }) => [type, value[field]]);
+}
+
+test('triggers at the threshold and clears only below threshold minus hysteresis', async (t) => {
+  const area = await createArea(t, { name: 'Max square', geometry: SQUARE, metric: 'max' });
+
+  // Everything outside the square is far above the threshold, so only cells inside it may count
+  const uniform = (value) => createGrid((row, col) => (inSquare(row, col) ? value : 60));
+  const summaries = await evaluateFrames(
+    [uniform(38), uniform(40), uniform(37), uniform(35), uniform(34.9), uniform(38), uniform(41)],
+    '2024-05-01T12:00:00Z'
+  );
+
+  assert.deepEqual(
+    summaries.map(({ triggered, cleared }) => [triggered, cleared]),
+    [
+      [0, 0],
+      [1, 0],
+      [0, 0],
+      [0, 0],
+      [0, 1],
+      [0, 0],
+      [1, 0],
+    ]
+  );
+  assert.deepEqual(await eventsFor(area.id), [
+    ['triggered', 40],
+    ['cleared', 34.9],
+    ['triggered', 41],
+  ]);
+
+  const [stored] = (await listAlertAreas({ product: reflectivity.id })).filter(({ id }) => id === area.id);
+  assert.equal(stored.state.active, true);
+  assert.equal(stored.state.since.toISOString(), '2024-05-01T12:06:00.000Z');
+  assert.deepEqual(
+    (await listAlertEvents({ active: true })).map(({ areaId, type }) => [areaId, type]),
+    [[area.id, 'triggered']]
+  );
+});
+
+test('clears an active area once it has no data, and ignores frames it has already seen', async (t) => {
+  const area = await createArea(t, {
+    name: 'Point',
+    geometry: { type: 'Point', coordinates: [-99.95, 39.95] },
+    radiusKm: 2,
+  });
+
+  const [triggered] = await evaluateFrames([createGrid(() => 45)], '2024-05-01T13:00:00Z');
+  assert.equal(triggered.triggered, 1);
+
+  // A rebuild of the same frame changes nothing, nor does an older one
+  const [repeated, older] = [
+    await evaluateAlertAreas(reflectivity, createGrid(() => null), '2024-05-01T13:00:00Z'),
+    await evaluateAlertAreas(reflectivity, createGrid(() => null), '2024-05-01T12:59:00Z'),
+  ];
+  assert.equal(repeated.evaluated, 0);
+  assert.equal(older.evaluated, 0);
+
+  await evaluateFrames([createGrid(() => null)], '2024-05-01T13:01:00Z');
+  assert.deepEqual(await eventsFor(area.id), [
+    ['triggered', 45],
+    ['cleared', null],
+  ]);
+});
+
+test('coverage areas trigger on the share at the threshold and clear on the share above the lower level', async (t) => {
+  const area = await createArea(t, {
+    name: 'Coverage square',
+    geometry: SQUARE,
+    metric: 'coverage',
+    coveragePercent: 50,
+  });
+
+  // The square's four cells, row by row
+  const cells = (values) => createGrid((row, col) => (inSquare(row, col) ? values[(row - 4) * 2 + (col - 4)] : 0));
+  const summaries = await evaluateFrames(
+    [
+      cells([45, 30, 30, 30]),
+      cells([45, 40, 30, 30]),
+      // Below the threshold, but half the square is still above 35
+      cells([36, 36, 30, 30]),
+      cells([36, 34, 30, null]),
+    ],
+    '2024-05-01T14:00:00Z'
+  );
+
+  assert.deepEqual(
+    summaries.map(({ triggered, cleared }) => [triggered, cleared]),
+    [
+      [0, 0],
+      [1, 0],
+      [0, 0],
+      [0, 1],
+    ]
+  );
+  // Events report the share at or above the threshold itself
+  assert.deepEqual(await eventsFor(area.id, 'coveragePercent'), [
+    ['triggered', 50],
+    ['cleared', 0],
+  ]);
+});
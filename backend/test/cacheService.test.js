@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+
+// A 1 KiB budget, so a few small entries fill it
+process.env.CACHE_MAX_MB = String(1024 / (1024 * 1024));
+process.env.CACHE_STALE_TTL_MS = '60000';
+process.env.CACHE_DRIVER = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const { clearCache, getCache, getCacheEntry, getCacheStats, resetCache, setCache, sweepExpiredEntries } =
+  await import('../src/services/cacheService.js');
+
+const MINUTE = 60_000;
+
+beforeEach(() => {
+  resetCache();
+});
+
+// The keys still cached; looking them up also marks them as recently used.
+const cached = (keys) => keys.filter((key) => getCacheEntry(key) !== null);
+
+test('evicts the least recently used entries once the byte budget is exceeded', () => {
+  setCache('radar:a:grid:1', 'one', MINUTE, { sizeBytes: 300 });
+  setCache('radar:a:grid:2', 'two', MINUTE, { sizeBytes: 300 });
+  setCache('radar:a:grid:3', 'three', MINUTE, { sizeBytes: 300 });
+  assert.equal(getCacheStats().bytes, 900);
+
+  // Reading the oldest entry makes the second one the least recently used
+  assert.equal(getCache('radar:a:grid:1'), 'one');
+  setCache('radar:a:tile:4', 'four', MINUTE, { sizeBytes: 300 });
+
+  assert.deepEqual(cached(['radar:a:grid:1', 'radar:a:grid:2', 'radar:a:grid:3', 'radar:a:tile:4']), [
+    'radar:a:grid:1',
+    'radar:a:grid:3',
+    'radar:a:tile:4',
+  ]);
+
+  // One large entry pushes out as many as it takes
+  setCache('radar:a:tile:5', 'five', MINUTE, { sizeBytes: 700 });
+  assert.deepEqual(cached(['radar:a:grid:1', 'radar:a:grid:3', 'radar:a:tile:4', 'radar:a:tile:5']), [
+    'radar:a:tile:4',
+    'radar:a:tile:5',
+  ]);
+
+  const stats = getCacheStats();
+  assert.equal(stats.bytes, 1000);
+  assert.equal(stats.entries, 2);
+  assert.equal(stats.namespaces.grid.evictions, 3);
+  assert.equal(stats.namespaces.grid.bytes, 0);
+  assert.equal(stats.namespaces.tile.bytes, 1000);
+});
+
+test('never evicts pinned entries, and skips values larger than the whole budget', () => {
+  setCache('radar:a:latest', 'pinned', MINUTE, { pinned: true, sizeBytes: 600 });
+  setCache('radar:a:grid:1', 'one', MINUTE, { sizeBytes: 300 });
+  setCache('radar:a:grid:2', 'two', MINUTE, { sizeBytes: 300 });
+
+  assert.deepEqual(cached(['radar:a:latest', 'radar:a:grid:1', 'radar:a:grid:2']), [
+    'radar:a:latest',
+    'radar:a:grid:2',
+  ]);
+
+  setCache('radar:a:grid:huge', 'huge', MINUTE, { sizeBytes: 2048 });
+  assert.equal(getCache('radar:a:grid:huge'), null);
+  assert.equal(getCache('radar:a:grid:2'), 'two');
+
+  // Pinned values are kept even past the budget, which the unpinned entries then make way for
+  setCache('radar:a:latest', 'bigger', MINUTE, { pinned: true, sizeBytes: 1500 });
+  assert.equal(getCache('radar:a:latest'), 'bigger');
+  assert.equal(getCache('radar:a:grid:2'), null);
+  assert.equal(getCacheStats().bytes, 1500);
+});
+
+test('counts a replaced or cleared entry once, and estimates sizes from buffers and strings', () => {
+  setCache('radar:a:grid:1', Buffer.alloc(200), MINUTE);
+  setCache('radar:a:grid:1', Buffer.alloc(100), MINUTE);
+  assert.equal(getCacheStats().bytes, 100);
+  assert.equal(getCacheStats().namespaces.grid.entries, 1);
+
+  setCache('other:key', 'x'.repeat(50), MINUTE);
+  assert.equal(getCacheStats().namespaces.other.bytes, 100);
+
+  clearCache('radar:a:grid:1');
+  clearCache('other:key');
+  assert.deepEqual([getCacheStats().bytes, getCacheStats().entries], [0, 0]);
+});
+
+test('serves entries fresh until their TTL, then stale until the stale window ends', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-05-01T12:00:00Z') });
+
+  setCache('radar:a:grid:1', 'value', MINUTE, { sizeBytes: 10 });
+  assert.deepEqual(getCacheEntry('radar:a:grid:1'), { value: 'value', stale: false });
+
+  t.mock.timers.tick(MINUTE + 1);
+  assert.equal(getCache('radar:a:grid:1'), null);
+  assert.deepEqual(getCacheEntry('radar:a:grid:1'), { value: 'value', stale: true });
+
+  t.mock.timers.tick(MINUTE);
+  assert.equal(sweepExpiredEntries(), 1);
+  assert.equal(getCacheEntry('radar:a:grid:1'), null);
+
+  const { grid } = getCacheStats().namespaces;
+  assert.deepEqual(
+    { hits: grid.hits, staleHits: grid.staleHits, misses: grid.misses, expirations: grid.expirations },
+    { hits: 1, staleHits: 1, misses: 2, expirations: 1 }
+  );
+});
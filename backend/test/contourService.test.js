@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { HttpError } from '../src/errors/httpError.js';
+import { buildContours, parseContourOptions } from '../src/services/contourService.js';
+
+const MISSING = -32768;
+
+// An 11x11 grid of 0.01 degree cells at 40N 100W; `cells` maps [row, col] to values in dBZ, the rest are 0.
+function createGrid(cells, { rows = 11, cols = 11 } = {}) {
+  const raw = new Int16Array(rows * cols);
+  for (const [[row, col], value] of cells) {
+    raw[row * cols + col] = value === null ? MISSING : Math.round(value * 10);
+  }
+  return {
+    rows,
+    cols,
+    data: Buffer.from(raw.buffer),
+    dataEncoding: { format: 'int16', scale: 0.1, offset: 0, missing: MISSING },
+    bounds: [40 - (rows - 1) * 0.01, -100, 40, -100 + (cols - 1) * 0.01],
+    latStep: 0.01,
+    lonStep: 0.01,
+  };
+}
+
+function block(top, left, bottom, right, value) {
+  const cells = [];
+  for (let row = top; row <= bottom; row += 1) {
+    for (let col = left; col <= right; col += 1) {
+      cells.push([[row, col], value]);
+    }
+  }
+  return cells;
+}
+
+// Exact rings make the geometry checkable: no smoothing, simplification or area filter.
+const exact = (levels) => parseContourOptions({ levels: levels.join(','), smooth: 0, simplify: 0, minAreaKm2: 0 });
+
+// Shoelace area in lon/lat: positive when the ring runs anticlockwise.
+function signedArea(ring) {
+  let sum = 0;
+  for (let index = 0; index < ring.length - 1; index += 1) {
+    sum += ring[index][0] * ring[index + 1][1] - ring[index + 1][0] * ring[index][1];
+  }
+  return sum / 2;
+}
+
+function assertClosedRings(features) {
+  for (const { geometry } of features) {
+    for (const polygon of geometry.coordinates) {
+      for (const ring of polygon) {
+        assert.ok(ring.length >= 4, 'a ring has at least three distinct points');
+        assert.deepEqual(ring.at(-1), ring[0], 'a ring ends where it starts');
+      }
+    }
+  }
+}
+
+test('traces a closed anticlockwise shell around an area above the level', () => {
+  const features = buildContours(createGrid(block(3, 3, 7, 7, 50)), exact([20]));
+  assertClosedRings(features);
+
+  assert.equal(features.length, 1);
+  const [{ geometry, properties }] = features;
+  assert.equal(geometry.type, 'MultiPolygon');
+  assert.equal(geometry.coordinates.length, 1);
+  assert.equal(geometry.coordinates[0].length, 1);
+  assert.equal(properties.level, 20);
+  assert.equal(properties.upperLevel, null);
+  assert.equal(properties.polygons, 1);
+  assert.ok(properties.areaKm2 > 0);
+
+  // Crossings are interpolated 40% of the way from the 0 dBZ neighbours to the block's 50 dBZ
+  const [shell] = geometry.coordinates[0];
+  assert.ok(signedArea(shell) > 0);
+  const lons = shell.map(([lon]) => lon);
+  const lats = shell.map(([, lat]) => lat);
+  assert.equal(Math.min(...lons), -99.976);
+  assert.equal(Math.max(...lons), -99.924);
+  assert.equal(Math.max(...lats), 39.976);
+  assert.equal(Math.min(...lats), 39.924);
+});
+
+test('closes rings that reach the edge of the grid or border no-data cells', () => {
+  // The whole west column is above the level, so the ring runs out to the padding half a cell beyond it
+  const edge = buildContours(createGrid(block(0, 0, 10, 0, 50)), exact([20]));
+  assertClosedRings(edge);
+  const [shell] = edge[0].geometry.coordinates[0];
+  assert.equal(Math.min(...shell.map(([lon]) => lon)), -100.005);
+  assert.equal(Math.max(...shell.map(([, lat]) => lat)), 40.005);
+
+  const besideMissing = buildContours(createGrid([...block(4, 4, 6, 6, 50), [[5, 7], null]]), exact([20]));
+  assertClosedRings(besideMissing);
+  assert.equal(besideMissing[0].properties.polygons, 1);
+});
+
+test('cuts clockwise holes for areas below the level, and for the next level up', () => {
+  const ringWithGap = [...block(2, 2, 8, 8, 50).filter(([[row, col]]) => row !== 5 || col !== 5), [[5, 5], 0]];
+  const [donut] = buildContours(createGrid(ringWithGap), exact([20]));
+  assertClosedRings([donut]);
+  const [[shell, hole]] = donut.geometry.coordinates;
+  assert.ok(signedArea(shell) > 0);
+  assert.ok(signedArea(hole) < 0);
+
+  // A 30 dBZ plateau with a 50 dBZ core: the lower band is holed by the upper one, which it ends at
+  const features = buildContours(createGrid([...block(1, 1, 9, 9, 30), ...block(4, 4, 6, 6, 50)]), exact([20, 40]));
+  assertClosedRings(features);
+  assert.deepEqual(
+    features.map(({ properties, geometry }) => [
+      properties.level,
+      properties.upperLevel,
+      geometry.coordinates[0].length,
+    ]),
+    [
+      [20, 40, 2],
+      [40, null, 1],
+    ]
+  );
+  const [lower, upper] = features;
+  assert.ok(signedArea(lower.geometry.coordinates[0][1]) < 0);
+  assert.ok(lower.properties.areaKm2 > upper.properties.areaKm2);
+});
+
+test('joins or splits saddle squares by the mean of their corners', () => {
+  const diagonal = [
+    [[5, 5], 50],
+    [[6, 6], 50],
+  ];
+
+  // The square's mean is 25: above 20 the two cells join, below 30 they stay apart
+  const joined = buildContours(createGrid(diagonal), exact([20]));
+  const split = buildContours(createGrid(diagonal), exact([30]));
+  assertClosedRings([...joined, ...split]);
+  assert.equal(joined[0].properties.polygons, 1);
+  assert.equal(split[0].properties.polygons, 2);
+});
+
+test('keeps rings closed after smoothing and simplifying, and drops bands below the minimum area', () => {
+  const grid = createGrid([...block(1, 1, 9, 9, 30), ...block(4, 4, 5, 5, 50)]);
+
+  const smoothed = buildContours(grid, parseContourOptions({ levels: '20,40', smooth: 3, simplify: 1, minAreaKm2: 0 }));
+  assertClosedRings(smoothed);
+  assert.equal(smoothed.length, 2);
+
+  // The 50 dBZ core covers about 4 km²; the plateau around it about 80
+  const filtered = buildContours(grid, parseContourOptions({ levels: '20,40', minAreaKm2: 10 }));
+  assertClosedRings(filtered);
+  assert.deepEqual(
+    filtered.map(({ properties }) => properties.level),
+    [20]
+  );
+  assert.equal(filtered[0].geometry.coordinates[0].length, 1);
+});
+
+test('parses contour options, with defaults and a cache key', () => {
+  assert.deepEqual(parseContourOptions({}, { levels: [20, 40] }), {
+    levels: [20, 40],
+    smoothing: 1,
+    simplifyCells: 0.5,
+    minAreaKm2: 5,
+    key: '20,40:1:0.5:5',
+  });
+  assert.deepEqual(parseContourOptions({ levels: '50, 20,20' }).levels, [20, 50]);
+
+  for (const query of [{ levels: 'a,b' }, { levels: ',' }, { smooth: '4' }, { simplify: '-1' }, { minAreaKm2: 'x' }]) {
+    assert.throws(() => parseContourOptions(query, { levels: [20] }), (error) => {
+      assert.ok(error instanceof HttpError);
+      assert.equal(error.status, 400);
+      return true;
+    });
+  }
+});
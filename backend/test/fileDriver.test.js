@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, mock, test } from 'node:test';
+
+import { createFileDriver } from '../src/services/cacheDrivers/fileDriver.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'radar-file-driver-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Each driver stands in for one instance sharing the directory.
+const createInstances = (count) => Array.from({ length: count }, () => createFileDriver({ dir }));
+
+// The races depend on how file operations interleave, so each scenario runs for many rounds.
+const ROUNDS = 100;
+
+test('only one instance takes over an expired lock', async () => {
+  const [holder, ...others] = createInstances(8);
+
+  for (let i = 0; i < ROUNDS; i += 1) {
+    const name = `build:expired:${i}`;
+    assert.ok(await holder.acquireLock(name, 1));
+    await sleep(2);
+
+    const results = await Promise.all(others.map((driver) => driver.acquireLock(name, 60_000)));
+
+    assert.equal(results.filter(Boolean).length, 1, `round ${i}`);
+    assert.equal(await holder.isLocked(name), true, `round ${i}`);
+  }
+});
+
+test('releasing a lock that was taken over leaves the new holder locked', async () => {
+  const [first, second] = createInstances(2);
+  const stale = await first.acquireLock('build:release', 20);
+  await sleep(40);
+  const current = await second.acquireLock('build:release', 60_000);
+  assert.ok(current);
+
+  await first.releaseLock(stale);
+  assert.equal(await second.isLocked('build:release'), true);
+
+  await second.releaseLock(current);
+  assert.equal(await first.isLocked('build:release'), false);
+});
+
+test('isLocked never fails on a lock that is being created', async () => {
+  const [writer, reader] = createInstances(2);
+
+  for (let i = 0; i < ROUNDS; i += 1) {
+    const name = `build:create:${i}`;
+    const [lock, locked] = await Promise.all([writer.acquireLock(name, 60_000), reader.isLocked(name)]);
+    assert.ok(lock);
+    assert.equal(typeof locked, 'boolean');
+    assert.equal(await reader.isLocked(name), true);
+  }
+
+  const leftovers = (await fs.readdir(path.join(dir, 'locks'))).filter((file) => !file.endsWith('.lock'));
+  assert.deepEqual(leftovers, []);
+});
+
+test('a late release by a holder whose lock was taken over never frees the lock for a third', async (t) => {
+  const [first, second, third] = createInstances(3);
+  const stale = await first.acquireLock('build:late-release', 1);
+  await sleep(5);
+  const current = await second.acquireLock('build:late-release', 60_000);
+  assert.ok(current);
+
+  // Any rename made by the release is followed straight away by a third instance trying to acquire, which
+  // only succeeds if the lock path was left empty at that moment
+  const rename = fs.rename;
+  const thirdAttempts = [];
+  mock.method(fs, 'rename', async (...args) => {
+    await rename(...args);
+    thirdAttempts.push(await third.acquireLock('build:late-release', 60_000));
+  });
+  t.after(() => mock.restoreAll());
+
+  await first.releaseLock(stale);
+
+  assert.deepEqual(thirdAttempts.filter(Boolean), []);
+  assert.equal(await third.acquireLock('build:late-release', 60_000), null);
+  const { token } = JSON.parse(await fs.readFile(path.join(dir, 'locks', 'build%3Alate-release.lock'), 'utf8'));
+  assert.equal(token, current.token);
+});
+
+test('renewing keeps a lock past its original TTL, and fails once it has been taken over', async () => {
+  const [holder, other] = createInstances(2);
+
+  const lock = await holder.acquireLock('build:renew', 30);
+  await sleep(20);
+  assert.equal(await holder.renewLock(lock, 60_000), true);
+  await sleep(20);
+  assert.equal(await other.acquireLock('build:renew', 60_000), null);
+
+  const short = await holder.acquireLock('build:renew-lost', 1);
+  await sleep(5);
+  assert.ok(await other.acquireLock('build:renew-lost', 60_000));
+  assert.equal(await holder.renewLock(short, 60_000), false);
+  assert.equal(await holder.isLocked('build:renew-lost'), true);
+});
@@ -0,0 +1,202 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, beforeEach, mock, test } from 'node:test';
+import { gzipSync } from 'node:zlib';
+
+import { GetObjectCommand, ListObjectsV2Command, S3Client } from '@aws-sdk/client-s3';
+import express from 'express';
+
+import { encodeGrib } from './helpers/grib.js';
+
+const persistDir = await fs.mkdtemp(path.join(os.tmpdir(), 'radar-history-'));
+process.env.CACHE_PERSIST_DIR = persistDir;
+process.env.MRMS_REGION = 'CONUS';
+process.env.MRMS_PRODUCT = 'ReflectivityAtLowestAltitude_00.50';
+process.env.MRMS_PRODUCTS = 'MergedReflectivityQCComposite';
+process.env.LOG_LEVEL = 'error';
+
+const { findEnabledProduct } = await import('../src/config/products.js');
+const { default: radarRouter } = await import('../src/routes/radarRoutes.js');
+const { cancelBackfillJob, createBackfillJob, getBackfillJob } = await import('../src/services/backfillService.js');
+const { findProductObjectNear } = await import('../src/services/mrmsService.js');
+const { resolveFrameNear } = await import('../src/services/radarService.js');
+
+after(async () => {
+  await fs.rm(persistDir, { recursive: true, force: true });
+});
+
+// A stand-in for the MRMS bucket behind the real S3 client: objects are fixture GRIBs keyed as MRMS
+// names them, listed in key order after StartAfter, and every request is recorded.
+const bucket = { objects: new Map(), requests: [], failure: null };
+
+function putFixture(product, timestamp, values = [0, 20, 35, 50]) {
+  const day = timestamp.slice(0, 10).replaceAll('-', '');
+  const time = timestamp.slice(11, 19).replaceAll(':', '');
+  const key = `CONUS/${product.s3Product}/${day}/MRMS_${product.s3Product}_${day}-${time}.grib2.gz`;
+  bucket.objects.set(key, gzipSync(encodeGrib({ timestamp, ni: 2, nj: 2, values })));
+  return key;
+}
+
+beforeEach(() => {
+  bucket.objects.clear();
+  bucket.requests.length = 0;
+  bucket.failure = null;
+  mock.method(S3Client.prototype, 'send', async (command) => {
+    bucket.requests.push(command);
+    if (bucket.failure) {
+      throw bucket.failure;
+    }
+    if (command instanceof ListObjectsV2Command) {
+      const { Prefix, StartAfter } = command.input;
+      const Contents = [...bucket.objects.keys()]
+        .filter((Key) => Key.startsWith(Prefix) && (!StartAfter || Key > StartAfter))
+        .sort()
+        .map((Key) => ({ Key, Size: bucket.objects.get(Key).length, LastModified: new Date() }));
+      return { Contents };
+    }
+    if (command instanceof GetObjectCommand) {
+      return { Body: bucket.objects.get(command.input.Key) };
+    }
+    throw new Error(`Unexpected S3 command ${command.constructor.name}`);
+  });
+});
+
+const downloads = () => bucket.requests.filter((command) => command instanceof GetObjectCommand);
+
+const reflectivity = findEnabledProduct('ReflectivityAtLowestAltitude');
+const composite = findEnabledProduct('MergedReflectivityQCComposite');
+
+// The same API surface the server mounts, with its error handler
+const app = express()
+  .use('/api/radar', radarRouter)
+  .use((err, _req, res, _next) => {
+    res.status(err.status || 500).json({ error: err.message, ...(err.details ? { details: err.details } : {}) });
+  });
+
+async function request(pathname) {
+  const server = app.listen(0);
+  try {
+    await new Promise((resolve) => server.once('listening', resolve));
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${pathname}`);
+    const isJson = response.headers.get('content-type')?.startsWith('application/json');
+    return {
+      status: response.status,
+      contentType: response.headers.get('content-type'),
+      body: isJson ? await response.json() : Buffer.from(await response.arrayBuffer()),
+    };
+  } finally {
+    server.close();
+  }
+}
+
+test('finds the object nearest a time within the tolerance', async () => {
+  putFixture(reflectivity, '2024-05-01T12:00:00Z');
+  putFixture(reflectivity, '2024-05-01T12:02:00Z');
+
+  const near = await findProductObjectNear(reflectivity, Date.parse('2024-05-01T12:01:20Z'), { toleranceMinutes: 2 });
+  assert.equal(near.timestamp, '2024-05-01T12:02:00Z');
+
+  const none = await findProductObjectNear(reflectivity, Date.parse('2024-05-01T12:10:00Z'), { toleranceMinutes: 2 });
+  assert.equal(none, null);
+});
+
+test('builds a frame from MRMS once, then serves it from the history store', async () => {
+  putFixture(reflectivity, '2024-05-01T13:00:00Z');
+  const timeMs = Date.parse('2024-05-01T13:00:30Z');
+
+  const [built, shared] = await Promise.all([
+    resolveFrameNear(reflectivity, timeMs, { toleranceMinutes: 2 }),
+    resolveFrameNear(reflectivity, timeMs, { toleranceMinutes: 2 }),
+  ]);
+  assert.equal(built.source, 'mrms');
+  assert.equal(built.frame.timestamp, '2024-05-01T13:00:00Z');
+  assert.equal(built.frame.metadata.maxValue, 50);
+  assert.equal(shared.frame, built.frame);
+  assert.equal(downloads().length, 1);
+
+  bucket.requests.length = 0;
+  const stored = await resolveFrameNear(reflectivity, timeMs, { toleranceMinutes: 2 });
+  assert.equal(stored.source, 'history');
+  assert.equal(stored.frame.id, built.frame.id);
+  assert.deepEqual(bucket.requests, []);
+
+  // Listing failures fall back to a stored frame that is within the tolerance, if not an exact match
+  bucket.failure = new Error('getaddrinfo ENOTFOUND noaa-mrms-pds.s3.amazonaws.com');
+  const fallback = await resolveFrameNear(reflectivity, Date.parse('2024-05-01T13:01:30Z'), { toleranceMinutes: 2 });
+  assert.equal(fallback.source, 'history');
+  assert.equal(fallback.frame.id, built.frame.id);
+});
+
+test('GET /at answers with the nearest frame, 404 outside the tolerance and 503 when S3 fails', async () => {
+  putFixture(reflectivity, '2024-05-01T14:00:00Z');
+
+  const found = await request('/api/radar/at?time=2024-05-01T14:00:40Z&toleranceMinutes=1');
+  assert.equal(found.status, 200);
+  assert.equal(found.body.timestamp, '2024-05-01T14:00:00Z');
+  assert.equal(found.body.offsetSeconds, -40);
+  assert.equal(found.body.source, 'mrms');
+  const frameBase = `/api/radar/${reflectivity.id}/frames/20240501-140000`;
+  assert.equal(found.body.imageUrl, `${frameBase}/tile.png`);
+  assert.equal(found.body.vectorTileUrlTemplate, `${frameBase}/vt/{z}/{x}/{y}.pbf`);
+
+  // The fixture grid covers 0.01 degrees at 40N 100W, inside tile 12/910/1550
+  const vectorTile = await request(found.body.vectorTileUrlTemplate.replace('{z}/{x}/{y}', '12/910/1550'));
+  assert.equal(vectorTile.status, 200);
+  assert.equal(vectorTile.contentType, 'application/vnd.mapbox-vector-tile');
+  assert.ok(vectorTile.body.length > 0);
+
+  const missing = await request('/api/radar/at?time=2024-05-01T14:10:00Z&toleranceMinutes=1');
+  assert.equal(missing.status, 404);
+
+  bucket.failure = new Error('getaddrinfo ENOTFOUND noaa-mrms-pds.s3.amazonaws.com');
+  const failed = await request('/api/radar/at?time=2024-05-01T15:00:00Z&toleranceMinutes=1');
+  assert.equal(failed.status, 503);
+  assert.doesNotMatch(JSON.stringify(failed.body), /ENOTFOUND|amazonaws/);
+
+  const invalid = await request('/api/radar/at?time=yesterday');
+  assert.equal(invalid.status, 400);
+});
+
+async function waitForJob(id) {
+  for (let i = 0; i < 200; i += 1) {
+    const job = getBackfillJob(id);
+    if (!['queued', 'running'].includes(job.status)) {
+      return job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Backfill job ${id} did not finish`);
+}
+
+test('a backfill builds missing frames, reuses stored ones and counts gaps and failures', async () => {
+  putFixture(composite, '2024-05-01T16:00:00Z');
+  putFixture(composite, '2024-05-01T16:05:00Z');
+  const broken = putFixture(composite, '2024-05-01T16:10:00Z');
+  bucket.objects.set(broken, gzipSync(Buffer.from('not a grib file')));
+  await resolveFrameNear(composite, Date.parse('2024-05-01T16:00:00Z'), { toleranceMinutes: 1 });
+
+  const created = createBackfillJob({
+    product: 'MergedReflectivityQCComposite',
+    start: '2024-05-01T16:00:00Z',
+    end: '2024-05-01T16:15:00Z',
+    intervalMinutes: 5,
+    toleranceMinutes: 1,
+  });
+  assert.equal(created.counts.total, 4);
+
+  const job = await waitForJob(created.id);
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.counts, { total: 4, processed: 4, built: 1, reused: 1, missing: 1, failed: 1 });
+  assert.deepEqual(
+    job.frames.map(({ timestamp, source }) => [timestamp, source]),
+    [
+      ['2024-05-01T16:00:00Z', 'history'],
+      ['2024-05-01T16:05:00Z', 'mrms'],
+    ]
+  );
+  assert.equal(job.errors[0].requestedTime, '2024-05-01T16:10:00.000Z');
+
+  assert.throws(() => cancelBackfillJob(job.id), { status: 409 });
+});
@@ -0,0 +1,164 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { inflateSync } from 'node:zlib';
+
+import { encodeGridGeoTiff } from '../src/services/geotiffService.js';
+
+const MISSING = -32768;
+const TILE = 256;
+
+// A grid of int16 values in tenths of dBZ, 520 columns by 300 rows: three tiles across and two down at
+// full resolution, so it needs two overviews to fit in one tile.
+function createGrid({ rows = 300, cols = 520, valueAt }) {
+  const raw = new Int16Array(rows * cols);
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < cols; col += 1) {
+      raw[row * cols + col] = valueAt(row, col);
+    }
+  }
+  return {
+    rows,
+    cols,
+    data: Buffer.from(raw.buffer),
+    dataEncoding: { format: 'int16', scale: 0.1, offset: 0, missing: MISSING },
+    bounds: [37, -105, 40, -99.81],
+    latStep: 0.01,
+    lonStep: 0.01,
+  };
+}
+
+const TYPE_SIZES = { 2: 1, 3: 2, 4: 4, 12: 8 };
+
+function readValue(buffer, type, offset) {
+  if (type === 3) return buffer.readUInt16LE(offset);
+  if (type === 4) return buffer.readUInt32LE(offset);
+  if (type === 12) return buffer.readDoubleLE(offset);
+  return buffer[offset];
+}
+
+// Every IFD in the file, in chain order, as { offset, tags: { [tag]: { type, values } } }.
+function readIfds(buffer) {
+  const ifds = [];
+  let offset = buffer.readUInt32LE(4);
+  while (offset !== 0) {
+    const count = buffer.readUInt16LE(offset);
+    const tags = {};
+    let previousTag = 0;
+    for (let index = 0; index < count; index += 1) {
+      const entry = offset + 2 + index * 12;
+      const tag = buffer.readUInt16LE(entry);
+      assert.ok(tag > previousTag, 'IFD entries are sorted by tag');
+      previousTag = tag;
+
+      const type = buffer.readUInt16LE(entry + 2);
+      const valueCount = buffer.readUInt32LE(entry + 4);
+      const size = TYPE_SIZES[type] * valueCount;
+      const valueOffset = size <= 4 ? entry + 8 : buffer.readUInt32LE(entry + 8);
+      assert.equal(valueOffset % 2, 0, `tag ${tag} value is word-aligned`);
+      tags[tag] = {
+        type,
+        values:
+          type === 2
+            ? buffer.toString('latin1', valueOffset, valueOffset + size - 1)
+            : Array.from({ length: valueCount }, (_, i) => readValue(buffer, type, valueOffset + i * TYPE_SIZES[type])),
+      };
+    }
+    ifds.push({ offset, tags });
+    offset = buffer.readUInt32LE(offset + 2 + count * 12);
+  }
+  return ifds;
+}
+
+function readTile(buffer, ifd, index) {
+  const offset = ifd.tags[324].values[index];
+  const length = ifd.tags[325].values[index];
+  const bytes = inflateSync(buffer.subarray(offset, offset + length));
+  assert.equal(bytes.length, TILE * TILE * 4);
+  return new Float32Array(bytes.buffer, bytes.byteOffset, TILE * TILE);
+}
+
+test('writes a little-endian TIFF with a full-resolution IFD and 2x overviews down to one tile', async () => {
+  const buffer = await encodeGridGeoTiff(createGrid({ valueAt: () => 200 }));
+
+  assert.equal(buffer.toString('latin1', 0, 2), 'II');
+  assert.equal(buffer.readUInt16LE(2), 42);
+
+  const ifds = readIfds(buffer);
+  assert.deepEqual(
+    ifds.map(({ tags }) => [tags[256].values[0], tags[257].values[0], tags[254].values[0]]),
+    [
+      [520, 300, 0],
+      [260, 150, 1],
+      [130, 75, 1],
+    ]
+  );
+  assert.deepEqual(
+    ifds.map(({ tags }) => tags[324].values.length),
+    [6, 2, 1]
+  );
+
+  for (const { tags } of ifds) {
+    assert.deepEqual(tags[322].values, [TILE]);
+    assert.deepEqual(tags[323].values, [TILE]);
+    assert.deepEqual(tags[258].values, [32]);
+    assert.deepEqual(tags[259].values, [8]);
+    assert.deepEqual(tags[339].values, [3]);
+    assert.equal(tags[42113].values, String(MISSING));
+  }
+
+  // Only the full-resolution image carries the georeference
+  const [full, ...overviews] = ifds;
+  assert.deepEqual(full.tags[33550].values, [0.01, 0.01, 0]);
+  const [, , , west, north] = full.tags[33922].values;
+  assert.ok(Math.abs(west - -105.005) < 1e-9);
+  assert.ok(Math.abs(north - 40.005) < 1e-9);
+  assert.deepEqual(full.tags[34735].values.slice(-4), [2048, 0, 1, 4326]);
+  overviews.forEach(({ tags }) => assert.equal(tags[33922], undefined));
+});
+
+test('places every IFD before the tile data, smallest overview first, with tiles back to back', async () => {
+  const buffer = await encodeGridGeoTiff(createGrid({ valueAt: (row, col) => (row + col) % 500 }));
+  const ifds = readIfds(buffer);
+
+  const tiles = ifds
+    .toReversed()
+    .flatMap(({ tags }) => tags[324].values.map((offset, i) => ({ offset, length: tags[325].values[i] })));
+  const lastIfdEnd = Math.max(...ifds.map(({ offset }) => offset));
+  assert.ok(tiles[0].offset > lastIfdEnd);
+
+  let position = tiles[0].offset;
+  for (const { offset, length } of tiles) {
+    assert.equal(offset, position);
+    position += length;
+  }
+  assert.equal(position, buffer.length);
+});
+
+test('stores values in product units row by row within each tile, padding edge tiles with nodata', async () => {
+  // Missing cells and MRMS no-coverage flags both become nodata
+  const valueAt = (row, col) => {
+    if (row === 0 && col === 0) return MISSING;
+    if (row === 0 && col === 1) return -999;
+    return row * 10 + (col % 10);
+  };
+  const buffer = await encodeGridGeoTiff(createGrid({ valueAt }));
+  const [full, overview] = readIfds(buffer);
+
+  const first = readTile(buffer, full, 0);
+  assert.equal(first[0], MISSING);
+  assert.equal(first[1], MISSING);
+  assert.ok(Math.abs(first[2] - 0.2) < 1e-6);
+  assert.ok(Math.abs(first[TILE + 3] - 1.3) < 1e-6);
+
+  // Tile 5 is the bottom-right one: columns 512-519 and rows 256-299 hold data
+  const corner = readTile(buffer, full, 5);
+  assert.ok(Math.abs(corner[0] - (256 + 0.2)) < 1e-3);
+  assert.ok(Math.abs(corner[7] - (256 + 0.9)) < 1e-3);
+  assert.equal(corner[8], MISSING);
+  assert.equal(corner[44 * TILE], MISSING);
+
+  // Overview cells average the 2x2 block below them, skipping nodata
+  const reduced = readTile(buffer, overview, 0);
+  assert.ok(Math.abs(reduced[0] - (1.0 + 1.1) / 2) < 1e-6);
+  assert.ok(Math.abs(reduced[1] - (0.2 + 0.3 + 1.2 + 1.3) / 4) < 1e-6);
+});
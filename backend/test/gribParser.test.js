@@ -0,0 +1,201 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { HttpError } from '../src/errors/httpError.js';
+import { parseGribFile } from '../src/utils/gribParser.js';
+import { encodeGrib, pngPacking } from './helpers/grib.js';
+
+const MISSING = -32768;
+
+// Decoded values in product units, north-up and west-to-east, with null for missing cells.
+function decodedValues(payload) {
+  const raw = new Int16Array(payload.data.buffer, payload.data.byteOffset, payload.rows * payload.cols);
+  const divisor = Math.round(1 / payload.dataEncoding.scale);
+  return [...raw].map((value) => (value === MISSING ? null : value / divisor));
+}
+
+// A 4x3 grid (west-to-east rows, north first) covering reflectivity-like values.
+const NI = 4;
+const NJ = 3;
+const VALUES = [0, 5.5, 12, 20, 25.5, 30, 35, 40.5, 45, 50, 62.5, 75];
+
+// Offset of section `number` in an encoded message, for corrupting it.
+function sectionOffset(buffer, number) {
+  let offset = 16;
+  while (buffer.readUInt8(offset + 4) !== number) {
+    offset += buffer.readUInt32BE(offset);
+  }
+  return offset;
+}
+
+function assertBounds(bounds, expected) {
+  bounds.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9, `bounds[${i}] = ${value}`));
+}
+
+// A copy of `buffer` changed by `update`.
+function corrupt(buffer, update) {
+  const copy = Buffer.from(buffer);
+  update(copy);
+  return copy;
+}
+
+async function assertRejects(buffer, message) {
+  await assert.rejects(parseGribFile(buffer), (error) => {
+    assert.ok(error instanceof HttpError);
+    assert.equal(error.status, 500);
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+test('decodes simple packing (template 5.0) with the grid geometry and reference time', async () => {
+  const payload = await parseGribFile(
+    encodeGrib({ timestamp: '2024-05-01T12:34:56Z', ni: NI, nj: NJ, values: VALUES, la1: 40, lo1: -100 })
+  );
+
+  assert.equal(payload.rows, NJ);
+  assert.equal(payload.cols, NI);
+  assert.equal(payload.timestamp, '2024-05-01T12:34:56Z');
+  assert.equal(payload.origin, 'upper-left');
+  assertBounds(payload.bounds, [39.98, -100, 40, -99.97]);
+  assert.ok(Math.abs(payload.latStep - 0.01) < 1e-9);
+  assert.equal(payload.minValue, 0);
+  assert.equal(payload.maxValue, 75);
+  assert.deepEqual(decodedValues(payload), VALUES);
+});
+
+test('drops MRMS no-coverage sentinels and decodes a constant field packed in zero bits', async () => {
+  const sentinels = await parseGribFile(encodeGrib({ ni: 2, nj: 2, values: [-999, -99, 10, 20] }));
+  assert.deepEqual(decodedValues(sentinels), [null, -99, 10, 20]);
+  assert.equal(sentinels.minValue, -99);
+
+  const constant = await parseGribFile(encodeGrib({ ni: 2, nj: 2, values: [15, 15, 15, 15] }));
+  assert.deepEqual(decodedValues(constant), [15, 15, 15, 15]);
+});
+
+test('decodes PNG packing (template 5.41) with every PNG filter type', async () => {
+  for (const filter of [0, 1, 2, 3, 4]) {
+    const payload = await parseGribFile(
+      encodeGrib({ ni: NI, nj: NJ, values: VALUES, packData: pngPacking({ filters: [filter] }) })
+    );
+    assert.deepEqual(decodedValues(payload), VALUES, `filter ${filter}`);
+  }
+
+  // Each row with a different filter, as encoders choose per row
+  const mixed = await parseGribFile(
+    encodeGrib({ ni: NI, nj: NJ, values: VALUES, packData: pngPacking({ filters: [4, 3, 1] }) })
+  );
+  assert.deepEqual(decodedValues(mixed), VALUES);
+});
+
+test('decodes PNG packing at sub-byte, 8-bit, RGB and RGBA depths', async () => {
+  const small = [0, 0.5, 1, 1.5, 0.2, 0.7, 1.1, 0.3, 0.9, 1.4, 0.1, 0.6];
+  for (const bitsPerValue of [4, 8]) {
+    const payload = await parseGribFile(
+      encodeGrib({ ni: NI, nj: NJ, values: small, packData: pngPacking({ bitsPerValue, filters: [0, 1, 2] }) })
+    );
+    assert.deepEqual(decodedValues(payload), small, `${bitsPerValue} bits`);
+  }
+
+  for (const bitsPerValue of [24, 32]) {
+    const payload = await parseGribFile(
+      encodeGrib({ ni: NI, nj: NJ, values: VALUES, packData: pngPacking({ bitsPerValue, filters: [4, 2, 3] }) })
+    );
+    assert.deepEqual(decodedValues(payload), VALUES, `${bitsPerValue} bits`);
+  }
+});
+
+test('leaves points outside the bitmap missing, with either packing', async () => {
+  const values = [...VALUES];
+  [1, 6, 7, 11].forEach((index) => {
+    values[index] = null;
+  });
+
+  for (const packData of [undefined, pngPacking({ filters: [1] })]) {
+    const payload = await parseGribFile(encodeGrib({ ni: NI, nj: NJ, values, packData }));
+    assert.deepEqual(decodedValues(payload), values);
+    assert.equal(payload.maxValue, 62.5);
+  }
+});
+
+test('flips rows scanned south to north and columns scanned east to west', async () => {
+  // The same field as VALUES, written in each scanning order
+  const rows = [0, 1, 2].map((row) => VALUES.slice(row * NI, (row + 1) * NI));
+  const southFirst = [...rows].reverse().flat();
+  const eastFirst = rows.flatMap((row) => [...row].reverse());
+
+  const north = await parseGribFile(
+    encodeGrib({ ni: NI, nj: NJ, values: southFirst, scanMode: 0x40, la1: 39.98, la2: 40 })
+  );
+  assert.deepEqual(decodedValues(north), VALUES);
+  assertBounds(north.bounds, [39.98, -100, 40, -99.97]);
+
+  const west = await parseGribFile(
+    encodeGrib({ ni: NI, nj: NJ, values: eastFirst, scanMode: 0x80, lo1: -99.97, lo2: -100 })
+  );
+  assert.deepEqual(decodedValues(west), VALUES);
+  assertBounds(west.bounds, [39.98, -100, 40, -99.97]);
+
+  const both = await parseGribFile(
+    encodeGrib({
+      ni: NI,
+      nj: NJ,
+      values: [...VALUES].reverse(),
+      scanMode: 0xc0,
+      la1: 39.98,
+      la2: 40,
+      lo1: -99.97,
+      lo2: -100,
+      packData: pngPacking({ filters: [4] }),
+    })
+  );
+  assert.deepEqual(decodedValues(both), VALUES);
+});
+
+test('rejects input that is not a decodable MRMS GRIB2 message', async () => {
+  await assertRejects('GRIB', /expects a Buffer/);
+  await assertRejects(Buffer.from('<Error>AccessDenied</Error>'), /not a GRIB file/);
+
+  const valid = encodeGrib({ ni: NI, nj: NJ, values: VALUES });
+  const edit = (update) => corrupt(valid, update);
+
+  await assertRejects(edit((buffer) => buffer.writeUInt8(1, 7)), /Unsupported GRIB edition/);
+  await assertRejects(valid.subarray(0, valid.length - 10), /truncated/);
+  await assertRejects(
+    edit((buffer) => buffer.writeUInt32BE(0xffff, sectionOffset(valid, 3))),
+    /Corrupt GRIB section header/
+  );
+  // Renumbering the data section as a second grid definition leaves the message without one
+  await assertRejects(
+    edit((buffer) => buffer.writeUInt8(3, sectionOffset(valid, 7) + 4)),
+    /missing a required section/
+  );
+
+  const grid = sectionOffset(valid, 3);
+  await assertRejects(edit((buffer) => buffer.writeUInt16BE(30, grid + 12)), /grid definition template/);
+  await assertRejects(edit((buffer) => buffer.writeUInt8(0x20, grid + 71)), /scanning mode/);
+  await assertRejects(edit((buffer) => buffer.writeUInt32BE(5, grid + 30)), /do not match the point count/);
+
+  const representation = sectionOffset(valid, 5);
+  await assertRejects(edit((buffer) => buffer.writeUInt16BE(3, representation + 9)), /data representation template/);
+  await assertRejects(
+    edit((buffer) => buffer.writeUInt32BE(NI * NJ * 4, representation + 5)),
+    /data section is truncated/
+  );
+  await assertRejects(edit((buffer) => buffer.writeUInt8(254, sectionOffset(valid, 6) + 5)), /bitmap indicator/);
+
+  const png = encodeGrib({ ni: NI, nj: NJ, values: VALUES, packData: pngPacking() });
+  const pngData = sectionOffset(png, 7) + 5;
+  const editPng = (update) => corrupt(png, update);
+  await assertRejects(editPng((buffer) => buffer.writeUInt8(0, pngData)), /invalid signature/);
+  // Interlaced images are not something GRIB encoders write
+  await assertRejects(editPng((buffer) => buffer.writeUInt8(1, pngData + 28)), /Unsupported PNG layout/);
+  await assertRejects(
+    encodeGrib({ ni: NI, nj: NJ, values: VALUES, packData: pngPacking({ filters: [5] }) }),
+    /Unsupported PNG filter/
+  );
+  await assertRejects(
+    editPng((buffer) => buffer.writeUInt32BE(NI * NJ + 1, sectionOffset(png, 5) + 5)),
+    /fewer values than declared/
+  );
+});
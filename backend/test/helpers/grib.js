@@ -0,0 +1,191 @@
+import { Buffer } from 'node:buffer';
+import { crc32, deflateSync } from 'node:zlib';
+
+// Builds single-message GRIB2 files like the ones MRMS publishes (regular lat/lon grid, simple or PNG
+// packing) so tests can feed the decoder and the pipeline without real downloads.
+
+function section(number, body) {
+  const header = Buffer.alloc(5);
+  header.writeUInt32BE(body.length + 5, 0);
+  header.writeUInt8(number, 4);
+  return Buffer.concat([header, body]);
+}
+
+// GRIB2 signed integers are sign-and-magnitude.
+function writeSignedInt32(buffer, value, offset) {
+  buffer.writeUInt32BE(value < 0 ? (0x80000000 | -value) >>> 0 : value, offset);
+}
+
+function writeSignedInt16(buffer, value, offset) {
+  buffer.writeUInt16BE(value < 0 ? 0x8000 | -value : value, offset);
+}
+
+export function packBits(values, bits) {
+  const buffer = Buffer.alloc(Math.ceil((values.length * bits) / 8));
+  let position = 0;
+  for (const value of values) {
+    for (let bit = bits - 1; bit >= 0; bit -= 1) {
+      if (Math.floor(value / 2 ** bit) % 2) {
+        buffer[position >> 3] |= 0x80 >> (position & 7);
+      }
+      position += 1;
+    }
+  }
+  return buffer;
+}
+
+function encodeIdentification(timestamp) {
+  const date = new Date(timestamp);
+  const body = Buffer.alloc(16);
+  body.writeUInt16BE(161, 0); // NOAA/OAR
+  body.writeUInt8(2, 4);
+  body.writeUInt8(3, 6); // reference time is the observation time
+  body.writeUInt16BE(date.getUTCFullYear(), 7);
+  [date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()]
+    .forEach((value, index) => body.writeUInt8(value, 9 + index));
+  return section(1, body);
+}
+
+// Corner coordinates are in degrees; longitudes east of 180 are written as MRMS does (e.g. 260 for -100).
+function encodeGridDefinition({ ni, nj, la1, lo1, la2, lo2, di, dj, scanMode }) {
+  const body = Buffer.alloc(67);
+  const micro = (degrees) => Math.round(degrees * 1e6);
+  body.writeUInt32BE(ni * nj, 1);
+  body.writeUInt16BE(0, 7); // template 3.0
+  body.writeUInt32BE(ni, 25);
+  body.writeUInt32BE(nj, 29);
+  body.writeUInt32BE(0xffffffff, 37);
+  writeSignedInt32(body, micro(la1), 41);
+  writeSignedInt32(body, micro(lo1 < 0 ? lo1 + 360 : lo1), 45);
+  body.writeUInt8(0x30, 49);
+  writeSignedInt32(body, micro(la2), 50);
+  writeSignedInt32(body, micro(lo2 < 0 ? lo2 + 360 : lo2), 54);
+  body.writeUInt32BE(micro(di), 58);
+  body.writeUInt32BE(micro(dj), 62);
+  body.writeUInt8(scanMode, 66);
+  return section(3, body);
+}
+
+function encodeDataRepresentation({ template, packedCount, referenceValue, decimalScale, bitsPerValue }) {
+  const body = Buffer.alloc(16);
+  body.writeUInt32BE(packedCount, 0);
+  body.writeUInt16BE(template, 4);
+  body.writeFloatBE(referenceValue, 6);
+  writeSignedInt16(body, 0, 10);
+  writeSignedInt16(body, decimalScale, 12);
+  body.writeUInt8(bitsPerValue, 14);
+  return section(5, body);
+}
+
+function encodeBitmap(values) {
+  if (!values.includes(null)) {
+    return section(6, Buffer.from([255]));
+  }
+  return section(6, Buffer.concat([Buffer.from([0]), packBits(values.map((value) => (value === null ? 0 : 1)), 1)]));
+}
+
+// `values` are in scan order (`ni` per row); null marks a point left out by the bitmap. `packData`
+// receives the packed integers and returns { template, bitsPerValue, data }; simple packing is the default.
+export function encodeGrib({
+  timestamp = '2024-05-01T12:00:00Z',
+  ni,
+  nj,
+  values,
+  la1 = 40,
+  lo1 = -100,
+  la2 = la1 - (nj - 1) * 0.01,
+  lo2 = lo1 + (ni - 1) * 0.01,
+  di = 0.01,
+  dj = 0.01,
+  scanMode = 0,
+  decimalScale = 1,
+  packData = simplePacking,
+}) {
+  const present = values.filter((value) => value !== null).map((value) => Math.round(value * 10 ** decimalScale));
+  const referenceValue = present.length ? Math.min(...present) : 0;
+  const packed = present.map((value) => value - referenceValue);
+  const { template, bitsPerValue, data } = packData(packed, { ni });
+
+  const sections = Buffer.concat([
+    encodeIdentification(timestamp),
+    encodeGridDefinition({ ni, nj, la1, lo1, la2, lo2, di, dj, scanMode }),
+    encodeDataRepresentation({ template, packedCount: packed.length, referenceValue, decimalScale, bitsPerValue }),
+    encodeBitmap(values),
+    section(7, data),
+  ]);
+
+  const indicator = Buffer.alloc(16);
+  indicator.write('GRIB', 0, 'ascii');
+  indicator.writeUInt8(209, 6); // MRMS local discipline
+  indicator.writeUInt8(2, 7);
+  indicator.writeBigUInt64BE(BigInt(16 + sections.length + 4), 8);
+  return Buffer.concat([indicator, sections, Buffer.from('7777', 'ascii')]);
+}
+
+export function simplePacking(packed) {
+  const bitsPerValue = Math.ceil(Math.log2(Math.max(...packed, 0) + 1));
+  return { template: 0, bitsPerValue, data: packBits(packed, bitsPerValue) };
+}
+
+function paethPredictor(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const [distanceLeft, distanceUp, distanceUpLeft] = [left, up, upLeft].map((value) => Math.abs(estimate - value));
+  if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) {
+    return left;
+  }
+  return distanceUp <= distanceUpLeft ? up : upLeft;
+}
+
+function filterRow(filter, row, previous, stride) {
+  return row.map((value, i) => {
+    const left = i >= stride ? row[i - stride] : 0;
+    const up = previous ? previous[i] : 0;
+    const upLeft = previous && i >= stride ? previous[i - stride] : 0;
+    const predictions = [0, left, up, (left + up) >> 1, paethPredictor(left, up, upLeft)];
+    return (value - predictions[filter]) & 0xff;
+  });
+}
+
+function pngChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'ascii');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+  return Buffer.concat([header, data, crc]);
+}
+
+// Template 5.41: the packed values as a PNG image `ni` wide (one row when a bitmap leaves fewer values).
+// `bitsPerValue` of 1-16 is written as greyscale, 24 as RGB and 32 as RGBA; `filters` gives each row's
+// PNG filter type, cycling when there are more rows than filters.
+export function pngPacking({ bitsPerValue = 16, filters = [0] } = {}) {
+  const colorType = { 24: 2, 32: 6 }[bitsPerValue] ?? 0;
+  const bitDepth = colorType ? 8 : bitsPerValue;
+  const stride = Math.max(1, bitsPerValue >> 3);
+
+  return (packed, { ni }) => {
+    const width = packed.length % ni === 0 ? ni : packed.length;
+    const height = packed.length / width;
+    const rows = [];
+    let previous = null;
+    for (let row = 0; row < height; row += 1) {
+      const raw = packBits(packed.slice(row * width, (row + 1) * width), bitsPerValue);
+      const filter = filters[row % filters.length];
+      rows.push(Buffer.from([filter]), Buffer.from(filterRow(filter, [...raw], previous, stride)));
+      previous = [...raw];
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.writeUInt8(bitDepth, 8);
+    header.writeUInt8(colorType, 9);
+    const data = Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', deflateSync(Buffer.concat(rows))),
+      pngChunk('IEND', Buffer.alloc(0)),
+    ]);
+    return { template: 41, bitsPerValue, data };
+  };
+}
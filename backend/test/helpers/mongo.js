@@ -0,0 +1,89 @@
+import { ObjectId } from 'mongodb';
+
+// In-memory stand-in for the few MongoDB collection operations the services use: equality and
+// $in filters on top-level or dotted paths (matching array fields by element), $set/$push updates,
+// and single-key sorts.
+function matchesValue(actual, expected) {
+  if (expected && typeof expected === 'object' && '$in' in expected) {
+    return expected.$in.some((value) => matchesValue(actual, value));
+  }
+  if (Array.isArray(actual)) {
+    return actual.some((item) => matchesValue(item, expected));
+  }
+  if (actual instanceof ObjectId || expected instanceof ObjectId) {
+    return String(actual) === String(expected);
+  }
+  return actual === expected;
+}
+
+const readPath = (doc, key) => key.split('.').reduce((value, segment) => value?.[segment], doc);
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, value]) => matchesValue(readPath(doc, key), value));
+const copy = (doc) => ({ ...doc, ...(doc.attempts ? { attempts: [...doc.attempts] } : {}) });
+
+function createFakeCollection() {
+  const docs = [];
+  return {
+    docs,
+    async createIndex() {},
+    async insertOne(doc) {
+      const stored = { ...copy(doc), _id: new ObjectId() };
+      docs.push(stored);
+      return { insertedId: stored._id };
+    },
+    async updateOne(filter, update) {
+      const doc = docs.find((candidate) => matches(candidate, filter));
+      if (!doc) {
+        return { matchedCount: 0, modifiedCount: 0 };
+      }
+      Object.assign(doc, update.$set ?? {});
+      for (const [key, value] of Object.entries(update.$push ?? {})) {
+        doc[key] = [...(doc[key] ?? []), value];
+      }
+      return { matchedCount: 1, modifiedCount: 1 };
+    },
+    async deleteOne(filter) {
+      const index = docs.findIndex((candidate) => matches(candidate, filter));
+      if (index >= 0) {
+        docs.splice(index, 1);
+      }
+      return { deletedCount: index >= 0 ? 1 : 0 };
+    },
+    async findOne(filter) {
+      const doc = docs.find((candidate) => matches(candidate, filter));
+      return doc ? copy(doc) : null;
+    },
+    find(filter) {
+      let results = docs.filter((doc) => matches(doc, filter)).map(copy);
+      const cursor = {
+        sort(spec) {
+          const [[key, direction]] = Object.entries(spec);
+          results.sort((a, b) => (a[key] > b[key] ? direction : -direction));
+          return cursor;
+        },
+        limit(count) {
+          results = results.slice(0, count);
+          return cursor;
+        },
+        async toArray() {
+          return results;
+        },
+      };
+      return cursor;
+    },
+  };
+}
+
+// A database whose collections are created on first use. Tests hand it to the real driver with
+// mock.method(MongoClient.prototype, 'db', () => fakeDb), so services run their MongoDB code paths.
+export function createFakeDb() {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, createFakeCollection());
+      }
+      return collections.get(name);
+    },
+  };
+}
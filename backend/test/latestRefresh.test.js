@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { mock, test } from 'node:test';
+
+import { ListObjectsV2Command, S3Client } from '@aws-sdk/client-s3';
+
+process.env.MRMS_PRODUCT = 'ReflectivityAtLowestAltitude_00.50';
+process.env.MRMS_PRODUCTS = 'MESH,MergedReflectivityQCComposite';
+process.env.RADAR_REFRESH_INTERVAL_MS = '15000';
+process.env.CACHE_PERSIST_DIR = 'disabled';
+process.env.LOG_LEVEL = 'error';
+
+const { getEnabledProducts } = await import('../src/config/products.js');
+const { scheduleLatestArtifactRefresh } = await import('../src/services/radarService.js');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('refreshes products one after another, without overlapping passes', async (t) => {
+  // An empty bucket that answers slowly, recording which products have listings in flight
+  const inFlight = new Map();
+  const listed = new Set();
+  let maxConcurrentProducts = 0;
+  mock.method(S3Client.prototype, 'send', async (command) => {
+    assert.ok(command instanceof ListObjectsV2Command);
+    const s3Product = command.input.Prefix.split('/')[1];
+    listed.add(s3Product);
+    inFlight.set(s3Product, (inFlight.get(s3Product) ?? 0) + 1);
+    maxConcurrentProducts = Math.max(maxConcurrentProducts, inFlight.size);
+    await sleep(5);
+    inFlight.set(s3Product, inFlight.get(s3Product) - 1);
+    if (inFlight.get(s3Product) === 0) {
+      inFlight.delete(s3Product);
+    }
+    return { Contents: [] };
+  });
+  t.after(() => mock.restoreAll());
+
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const stop = scheduleLatestArtifactRefresh();
+  t.after(stop);
+
+  // The second tick comes while the first pass is still listing
+  t.mock.timers.tick(15_000);
+  t.mock.timers.tick(15_000);
+
+  const products = getEnabledProducts().map(({ s3Product }) => s3Product);
+  for (let i = 0; i < 500 && (listed.size < products.length || inFlight.size > 0); i += 1) {
+    await sleep(10);
+  }
+
+  assert.deepEqual([...listed].sort(), [...products].sort());
+  assert.equal(maxConcurrentProducts, 1);
+});
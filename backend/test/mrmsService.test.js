@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+process.env.MRMS_REGION = 'CONUS';
+process.env.MRMS_MAX_DATA_AGE_MINUTES = '20';
+process.env.LOG_LEVEL = 'error';
+
+const { fetchLatestProductMetadata, findProductObjectNear, listProductObjectsBetween } = await import(
+  '../src/services/mrmsService.js'
+);
+
+const PAGE_SIZE = 2;
+
+function daySegment(daysAgo) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - daysAgo);
+  return date.toISOString().slice(0, 10).replaceAll('-', '');
+}
+
+// Each test uses its own product, so the listing index built by one test does not leak into another.
+function buildProduct(name, prefixTemplates = ['{region}/{product}']) {
+  return { id: name, s3Product: name, prefixTemplates };
+}
+
+// Answers ListObjectsV2 commands from `objectsByPrefix` like S3 does: keys in order, after StartAfter,
+// PAGE_SIZE per page with a continuation token. Every request's input is recorded, along with the most
+// requests that were ever in flight at once.
+function createFakeS3Client(objectsByPrefix) {
+  const requests = [];
+  let inFlight = 0;
+  return {
+    requests,
+    maxInFlight: 0,
+    async send(command) {
+      const { Prefix, StartAfter, ContinuationToken } = command.input;
+      requests.push({ Prefix, StartAfter, ContinuationToken });
+      inFlight += 1;
+      this.maxInFlight = Math.max(this.maxInFlight, inFlight);
+      await new Promise((resolve) => setImmediate(resolve));
+      inFlight -= 1;
+
+      const keys = (objectsByPrefix[Prefix] ?? [])
+        .filter(({ Key }) => !StartAfter || Key > StartAfter)
+        .sort((a, b) => a.Key.localeCompare(b.Key));
+      const offset = ContinuationToken ? Number(ContinuationToken) : 0;
+      const page = keys.slice(offset, offset + PAGE_SIZE);
+      const hasMore = offset + PAGE_SIZE < keys.length;
+      return { Contents: page, NextContinuationToken: hasMore ? String(offset + PAGE_SIZE) : undefined };
+    },
+  };
+}
+
+// `prefix` ends in the object's day directory, which is repeated in the key as MRMS does
+function buildObject(prefix, name, time, minutesAgo) {
+  return {
+    Key: `${prefix}MRMS_${name}_${prefix.slice(-9, -1)}-${time}.grib2.gz`,
+    Size: 1000,
+    LastModified: new Date(Date.now() - minutesAgo * 60_000),
+  };
+}
+
+test('pages through a full listing, then lists only keys after the last one seen', async () => {
+  const name = 'Paged_00.50';
+  const prefix = `CONUS/${name}/${daySegment(0)}/`;
+  const objects = [
+    buildObject(prefix, name, '120000', 4),
+    buildObject(prefix, name, '120200', 3),
+    buildObject(prefix, name, '120400', 2),
+  ];
+  const client = createFakeS3Client({ [prefix]: objects });
+  const product = buildProduct(name);
+
+  const first = await fetchLatestProductMetadata(product, { client });
+  assert.equal(first.key, objects[2].Key);
+  assert.deepEqual(client.requests, [
+    { Prefix: prefix, StartAfter: undefined, ContinuationToken: undefined },
+    { Prefix: prefix, StartAfter: undefined, ContinuationToken: '2' },
+  ]);
+
+  client.requests.length = 0;
+  objects.push(buildObject(prefix, name, '120600', 1));
+  const second = await fetchLatestProductMetadata(product, { client });
+  assert.equal(second.key, objects[3].Key);
+  assert.deepEqual(client.requests, [{ Prefix: prefix, StartAfter: objects[2].Key, ContinuationToken: undefined }]);
+
+  // Nothing new: the object found earlier is still returned from the index
+  client.requests.length = 0;
+  const third = await fetchLatestProductMetadata(product, { client });
+  assert.equal(third.key, objects[3].Key);
+  assert.deepEqual(client.requests, [{ Prefix: prefix, StartAfter: objects[3].Key, ContinuationToken: undefined }]);
+});
+
+test('lists every base of a day together and stops at the first day with a fresh object', async () => {
+  const name = 'Bases_00.50';
+  const product = buildProduct(name, ['{region}/{product}', '{product}']);
+  const todayPrefixes = [`CONUS/${name}/${daySegment(0)}/`, `${name}/${daySegment(0)}/`];
+
+  // Both bases hold a fresh object today; the newer one wins and yesterday is never listed
+  const older = buildObject(todayPrefixes[0], name, '120000', 3);
+  const newer = buildObject(todayPrefixes[1], name, '120200', 1);
+  const client = createFakeS3Client({ [todayPrefixes[0]]: [older], [todayPrefixes[1]]: [newer] });
+  const latest = await fetchLatestProductMetadata(product, { client });
+
+  assert.equal(latest.key, newer.Key);
+  assert.deepEqual(client.requests.map(({ Prefix }) => Prefix).sort(), [...todayPrefixes].sort());
+  assert.equal(client.maxInFlight, 2);
+});
+
+test('lists older days when today has nothing fresh', async () => {
+  const name = 'Stale_00.50';
+  const product = buildProduct(name);
+  const todayPrefix = `CONUS/${name}/${daySegment(0)}/`;
+  const yesterdayPrefix = `CONUS/${name}/${daySegment(1)}/`;
+  const oldestPrefix = `CONUS/${name}/${daySegment(2)}/`;
+
+  const today = buildObject(todayPrefix, name, '000000', 10);
+  const client = createFakeS3Client({
+    [todayPrefix]: [today],
+    [yesterdayPrefix]: [buildObject(yesterdayPrefix, name, '235800', 12)],
+  });
+  const latest = await fetchLatestProductMetadata(product, { client });
+
+  // Ten minutes is past the early-accept age (a quarter of 20) but within the max age, so every day is
+  // listed and the newest object overall is returned
+  assert.equal(latest.key, today.Key);
+  assert.deepEqual(
+    client.requests.map(({ Prefix }) => Prefix),
+    [todayPrefix, yesterdayPrefix, oldestPrefix]
+  );
+});
+
+test('lists a time window from just before its start and stops paging once keys pass its end', async () => {
+  const name = 'Window_00.50';
+  const product = buildProduct(name);
+  const prefix = `CONUS/${name}/20240501/`;
+  // Every two minutes from 10:00 to 11:58
+  const objects = Array.from({ length: 60 }, (_, i) => {
+    const time = `${String(10 + Math.floor(i / 30)).padStart(2, '0')}${String((i % 30) * 2).padStart(2, '0')}00`;
+    return buildObject(prefix, name, time, 0);
+  });
+  const client = createFakeS3Client({ [prefix]: objects });
+
+  const between = await listProductObjectsBetween(product, Date.UTC(2024, 4, 1, 10, 10), Date.UTC(2024, 4, 1, 10, 15), {
+    client,
+  });
+  assert.deepEqual(
+    between.map(({ timestamp }) => timestamp),
+    ['2024-05-01T10:10:00Z', '2024-05-01T10:12:00Z', '2024-05-01T10:14:00Z']
+  );
+  assert.deepEqual(client.requests, [
+    { Prefix: prefix, StartAfter: `${prefix}MRMS_${name}_20240501-101000`, ContinuationToken: undefined },
+    { Prefix: prefix, StartAfter: `${prefix}MRMS_${name}_20240501-101000`, ContinuationToken: '2' },
+  ]);
+
+  client.requests.length = 0;
+  const near = await findProductObjectNear(product, Date.UTC(2024, 4, 1, 11, 31), { toleranceMinutes: 2, client });
+  assert.equal(near.timestamp, '2024-05-01T11:30:00Z');
+  assert.equal(client.requests.length, 2);
+  assert.equal(client.requests[0].StartAfter, `${prefix}MRMS_${name}_20240501-112900`);
+});
+
+test('lists every day a window spans, from the start of the later days', async () => {
+  const name = 'Midnight_00.50';
+  const product = buildProduct(name);
+  const firstPrefix = `CONUS/${name}/20240501/`;
+  const secondPrefix = `CONUS/${name}/20240502/`;
+  const client = createFakeS3Client({
+    [firstPrefix]: [buildObject(firstPrefix, name, '235800', 0)],
+    [secondPrefix]: [buildObject(secondPrefix, name, '000000', 0), buildObject(secondPrefix, name, '000200', 0)],
+  });
+
+  const near = await findProductObjectNear(product, Date.UTC(2024, 4, 1, 23, 59, 50), { toleranceMinutes: 3, client });
+
+  assert.equal(near.timestamp, '2024-05-02T00:00:00Z');
+  assert.deepEqual(
+    client.requests.map(({ Prefix, StartAfter }) => ({ Prefix, StartAfter })),
+    [
+      { Prefix: firstPrefix, StartAfter: `${firstPrefix}MRMS_${name}_20240501-235650` },
+      { Prefix: secondPrefix, StartAfter: undefined },
+    ]
+  );
+});
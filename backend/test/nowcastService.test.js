@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { HttpError } from '../src/errors/httpError.js';
+import {
+  NOWCAST_LEAD_MINUTES,
+  estimateMotionField,
+  extrapolateGrid,
+  parseLeadMinutes,
+  summariseMotionField,
+} from '../src/services/nowcastService.js';
+
+const MISSING = -32768;
+
+// A grid of 0.01 degree cells with its north-west corner at 40N 100W; `valueAt` gives each cell's
+// value in dBZ, or null for no data.
+function createGrid({ rows, cols, timestamp = '2024-05-01T12:00:00Z' }, valueAt) {
+  const raw = new Int16Array(rows * cols);
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < cols; col += 1) {
+      const value = valueAt(row, col);
+      raw[row * cols + col] = value === null ? MISSING : Math.round(value * 10);
+    }
+  }
+  return {
+    timestamp,
+    rows,
+    cols,
+    data: Buffer.from(raw.buffer),
+    dataEncoding: { format: 'int16', scale: 0.1, offset: 0, missing: MISSING },
+    bounds: [40 - (rows - 1) * 0.01, -100, 40, -100 + (cols - 1) * 0.01],
+    latStep: 0.01,
+    lonStep: 0.01,
+  };
+}
+
+const rawValues = (gridPayload) =>
+  new Int16Array(gridPayload.data.buffer, gridPayload.data.byteOffset, gridPayload.rows * gridPayload.cols);
+
+// Echo everywhere, varying enough that block matching has a single best fit.
+const echo = (row, col) => 45 + 15 * Math.sin(row / 7) * Math.cos(col / 9);
+const SIZE = { rows: 192, cols: 192 };
+
+test('accepts only the supported lead times', () => {
+  assert.deepEqual(NOWCAST_LEAD_MINUTES, [15, 30, 45, 60]);
+  assert.equal(parseLeadMinutes('30'), 30);
+  for (const value of ['20', 'soon', undefined]) {
+    assert.throws(() => parseLeadMinutes(value), (error) => error instanceof HttpError && error.status === 400);
+  }
+});
+
+test('recovers the motion of echoes translated between two frames', () => {
+  // Over 10 minutes everything moves 8 rows south and 12 columns east
+  const previous = createGrid(SIZE, echo);
+  const current = createGrid({ ...SIZE, timestamp: '2024-05-01T12:10:00Z' }, (row, col) => echo(row - 8, col - 12));
+
+  const motion = estimateMotionField(previous, current, { elapsedMinutes: 10, echoThreshold: 20 });
+  assert.equal(motion.blockRows * motion.blockCols, motion.vectors.length);
+  assert.equal(motion.validBlocks, motion.vectors.length);
+  for (const { u, v } of motion.vectors) {
+    assert.ok(Math.abs(u - 1.2) < 0.1, `u = ${u}`);
+    assert.ok(Math.abs(v - 0.8) < 0.1, `v = ${v}`);
+  }
+
+  // About 62 km/h east and 53 km/h south at this latitude: 82 km/h towards 131 degrees
+  const summary = summariseMotionField(motion, current);
+  assert.equal(summary.validBlocks, summary.totalBlocks);
+  assert.ok(Math.abs(summary.meanHeadingDeg - 131) < 5, `heading ${summary.meanHeadingDeg}`);
+  assert.ok(Math.abs(summary.meanSpeedKmh - 82) < 5, `speed ${summary.meanSpeedKmh}`);
+});
+
+test('fills blocks without echo from their neighbours, and reports no motion without any echo', () => {
+  // Only the north-west quarter has echo
+  const patch = (shift) => (row, col) => (row - shift < 96 && col - shift < 96 ? echo(row - shift, col - shift) : 0);
+  const motion = estimateMotionField(createGrid(SIZE, patch(0)), createGrid(SIZE, patch(4)), {
+    elapsedMinutes: 5,
+    echoThreshold: 20,
+  });
+  assert.ok(motion.validBlocks < motion.vectors.length);
+  for (const { u, v } of motion.vectors) {
+    assert.ok(Math.abs(u - 0.8) < 0.1 && Math.abs(v - 0.8) < 0.1, `(${u}, ${v})`);
+  }
+
+  const clear = createGrid(SIZE, () => 5);
+  const still = estimateMotionField(clear, clear, { elapsedMinutes: 5, echoThreshold: 20 });
+  assert.equal(still.validBlocks, 0);
+  assert.ok(still.vectors.every(({ u, v }) => u === 0 && v === 0));
+  assert.equal(summariseMotionField(still, clear).meanSpeedKmh, 0);
+});
+
+test('refuses frames on different grids', () => {
+  assert.throws(
+    () =>
+      estimateMotionField(createGrid(SIZE, echo), createGrid({ rows: 192, cols: 96 }, echo), {
+        elapsedMinutes: 5,
+        echoThreshold: 20,
+      }),
+    (error) => error instanceof HttpError && error.status === 503
+  );
+});
+
+test('converts motion to a speed in km/h and a compass heading', () => {
+  const grid = createGrid({ rows: 8, cols: 8 }, () => 0);
+  const field = (u, v) => ({ validBlocks: 1, vectors: [{ u, v }] });
+
+  // One row a minute is 0.01 degrees of latitude
+  const north = summariseMotionField(field(0, -1), grid);
+  assert.ok(Math.abs(north.meanSpeedKmh - 0.01 * 111.32 * 60) < 1e-9);
+  assert.ok(Math.abs(north.meanHeadingDeg) < 1e-9);
+
+  assert.ok(Math.abs(summariseMotionField(field(1, 0), grid).meanHeadingDeg - 90) < 1e-9);
+  assert.ok(Math.abs(summariseMotionField(field(0, 1), grid).meanHeadingDeg - 180) < 1e-9);
+  assert.ok(Math.abs(summariseMotionField(field(-1, 0), grid).meanHeadingDeg - 270) < 1e-9);
+});
+
+test('extrapolates values downstream along the motion, leaving upstream edges without data', () => {
+  const grid = createGrid({ rows: 8, cols: 40 }, (row, col) => (col === 0 ? null : 20 + col));
+  const eastward = { blockRows: 1, blockCols: 1, blockSize: 96, validBlocks: 1, vectors: [{ u: 1, v: 0 }] };
+
+  const forecast = extrapolateGrid(grid, eastward, 15);
+  assert.equal(forecast.timestamp, '2024-05-01T12:15:00.000Z');
+  assert.equal(forecast.rows, grid.rows);
+
+  const source = rawValues(grid);
+  const output = rawValues(forecast);
+  for (let row = 0; row < 8; row += 1) {
+    for (let col = 0; col < 40; col += 1) {
+      assert.equal(output[row * 40 + col], col < 15 ? MISSING : source[row * 40 + col - 15], `(${row}, ${col})`);
+    }
+  }
+  // The column without data moves along with the rest
+  assert.equal(output[15], MISSING);
+  assert.equal(forecast.minValue, 21);
+  assert.equal(forecast.maxValue, 44);
+
+  const unmoved = extrapolateGrid(grid, { ...eastward, vectors: [{ u: 0, v: 0 }] }, 60);
+  assert.deepEqual([...rawValues(unmoved)], [...source]);
+  assert.equal(unmoved.timestamp, '2024-05-01T13:00:00.000Z');
+});
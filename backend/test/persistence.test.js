@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import zlib from 'node:zlib';
+
+import {
+  PERSISTENCE_FORMAT_VERSION,
+  loadPersistedGrid,
+  packBuffers,
+  readPersistedGrid,
+  resolvePersistCompression,
+  resolvePersistentCacheDir,
+  unpackBuffers,
+  writePersistedGrid,
+} from '../src/utils/persistence.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'radar-persistence-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function createGridPayload() {
+  return {
+    timestamp: '2024-05-01T12:00:00Z',
+    rows: 2,
+    cols: 3,
+    bounds: [39.99, -100, 40, -99.98],
+    latStep: 0.01,
+    lonStep: 0.01,
+    dataEncoding: { format: 'int16', scale: 0.1, offset: 0, missing: -32768 },
+    data: Buffer.from(new Int16Array([0, 100, 200, -32768, 400, 500]).buffer),
+  };
+}
+
+const readHeader = async (basePath) => JSON.parse(await fs.readFile(`${basePath}.header.json`, 'utf8'));
+
+test('round-trips a grid through the data file and its header, with each compression', async () => {
+  const gridPayload = createGridPayload();
+  const compressions = ['none', 'gzip', ...(zlib.zstdCompress ? ['zstd'] : [])];
+
+  for (const compression of compressions) {
+    const basePath = path.join(dir, `round-trip-${compression}`);
+    await writePersistedGrid(basePath, gridPayload, { compression, frameTimestamp: gridPayload.timestamp });
+
+    const header = await readHeader(basePath);
+    assert.equal(header.formatVersion, PERSISTENCE_FORMAT_VERSION);
+    assert.equal(header.compression, compression);
+    assert.equal(header.byteLength, gridPayload.data.length);
+    assert.equal(header.storedByteLength, (await fs.stat(`${basePath}.bin`)).size);
+    assert.equal(header.grid.data, undefined);
+
+    assert.deepEqual(await readPersistedGrid(basePath), { gridPayload, frameTimestamp: gridPayload.timestamp });
+  }
+
+  const leftovers = (await fs.readdir(dir)).filter((file) => file.endsWith('.tmp'));
+  assert.deepEqual(leftovers, []);
+});
+
+test('ignores grids written in another format version or that do not match their header', async () => {
+  const basePath = path.join(dir, 'validation');
+  assert.equal(await readPersistedGrid(basePath), null);
+
+  await writePersistedGrid(basePath, createGridPayload());
+  const header = await readHeader(basePath);
+
+  await fs.writeFile(`${basePath}.header.json`, JSON.stringify({ ...header, formatVersion: 1 }));
+  assert.equal(await readPersistedGrid(basePath), null);
+
+  await fs.writeFile(`${basePath}.header.json`, JSON.stringify({ ...header, compression: 'lz4' }));
+  assert.equal(await readPersistedGrid(basePath), null);
+
+  // A data file from an interrupted write is a different length from the one its header records
+  await fs.writeFile(`${basePath}.header.json`, JSON.stringify(header));
+  await fs.truncate(`${basePath}.bin`, header.storedByteLength - 1);
+  assert.equal(await readPersistedGrid(basePath), null);
+
+  await writePersistedGrid(basePath, createGridPayload(), { compression: 'none' });
+  await fs.writeFile(`${basePath}.header.json`, JSON.stringify({ ...(await readHeader(basePath)), byteLength: 4 }));
+  assert.equal(await readPersistedGrid(basePath), null);
+});
+
+test('migrates a legacy JSON grid to the current format and removes it', async () => {
+  const gridPayload = createGridPayload();
+  const basePath = path.join(dir, 'migrated');
+  const legacyPath = path.join(dir, 'migrated.json');
+  await fs.writeFile(legacyPath, JSON.stringify({ ...gridPayload, data: gridPayload.data.toString('base64') }));
+
+  const options = { legacyPath, compression: 'gzip', frameTimestamp: gridPayload.timestamp };
+  assert.deepEqual(await loadPersistedGrid(basePath, options), { gridPayload, frameTimestamp: gridPayload.timestamp });
+  await assert.rejects(fs.access(legacyPath), { code: 'ENOENT' });
+
+  const header = await readHeader(basePath);
+  assert.equal(header.formatVersion, PERSISTENCE_FORMAT_VERSION);
+  assert.equal(header.compression, 'gzip');
+  assert.deepEqual(await readPersistedGrid(basePath), { gridPayload, frameTimestamp: gridPayload.timestamp });
+
+  // With the current format in place, a legacy file is no longer consulted
+  await fs.writeFile(legacyPath, 'not json');
+  assert.deepEqual(await loadPersistedGrid(basePath, options), { gridPayload, frameTimestamp: gridPayload.timestamp });
+});
+
+test('removes an unreadable legacy grid instead of migrating it', async () => {
+  const basePath = path.join(dir, 'unreadable');
+  const legacyPath = path.join(dir, 'unreadable.json');
+
+  for (const contents of ['{"rows": 2', JSON.stringify({ rows: 2, cols: 3 })]) {
+    await fs.writeFile(legacyPath, contents);
+    assert.equal(await loadPersistedGrid(basePath, { legacyPath, compression: 'gzip', frameTimestamp: null }), null);
+    await assert.rejects(fs.access(legacyPath), { code: 'ENOENT' });
+    await assert.rejects(fs.access(`${basePath}.header.json`), { code: 'ENOENT' });
+  }
+});
+
+test('packs a header and named segments into one buffer and back', () => {
+  const packed = packBuffers(
+    { frameId: '20240501-120000', rows: 2 },
+    { grid: Buffer.from([1, 2, 3]), image: Buffer.from([4, 5]), missing: null }
+  );
+
+  const { header, segments } = unpackBuffers(packed);
+  assert.deepEqual(header, { frameId: '20240501-120000', rows: 2 });
+  assert.deepEqual(Object.keys(segments), ['grid', 'image']);
+  assert.deepEqual([...segments.grid], [1, 2, 3]);
+  assert.deepEqual([...segments.image], [4, 5]);
+
+  assert.throws(() => unpackBuffers(packed.subarray(0, packed.length - 1)), /does not match its header/);
+  assert.throws(() => unpackBuffers(Buffer.concat([packed, Buffer.from([0])])), /does not match its header/);
+});
+
+test('resolves the persistence directory and compression settings', () => {
+  assert.equal(resolvePersistentCacheDir(''), path.join(os.tmpdir(), 'radar-cache'));
+  assert.equal(resolvePersistentCacheDir(' Disabled '), null);
+  assert.equal(resolvePersistentCacheDir('/var/cache/radar'), '/var/cache/radar');
+
+  assert.equal(resolvePersistCompression(undefined), 'gzip');
+  assert.equal(resolvePersistCompression(' NONE '), 'none');
+  assert.equal(resolvePersistCompression('lz4'), 'gzip');
+  assert.equal(resolvePersistCompression('zstd'), zlib.zstdCompress ? 'zstd' : 'gzip');
+});
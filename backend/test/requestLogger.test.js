@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { mock, test } from 'node:test';
+
+import express from 'express';
+import { MongoClient } from 'mongodb';
+
+process.env.MRMS_PRODUCT = 'ReflectivityAtLowestAltitude_00.50';
+process.env.MRMS_PRODUCTS = 'MESH';
+process.env.CACHE_PERSIST_DIR = 'disabled';
+process.env.LOG_LEVEL = 'error';
+
+// Request logs go nowhere: every connection attempt fails straight away
+mock.method(MongoClient.prototype, 'connect', async () => {
+  throw new Error('MongoDB is not available in tests');
+});
+
+const { requestLogger } = await import('../src/middleware/requestLogger.js');
+const { default: healthRouter } = await import('../src/routes/healthRoutes.js');
+const { default: radarRouter } = await import('../src/routes/radarRoutes.js');
+const { renderMetrics } = await import('../src/utils/metrics.js');
+
+const app = express()
+  .use(requestLogger)
+  .use('/api/health', healthRouter)
+  .use('/api/radar', radarRouter)
+  .use((err, _req, res, _next) => {
+    res.status(err.status || 500).json({ error: err.message });
+  });
+
+async function requestStatuses(paths) {
+  const server = app.listen(0);
+  try {
+    await new Promise((resolve) => server.once('listening', resolve));
+    const statuses = [];
+    for (const pathname of paths) {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}${pathname}`);
+      await response.arrayBuffer();
+      statuses.push(response.status);
+    }
+    return statuses;
+  } finally {
+    server.close();
+  }
+}
+
+// Counts recorded for a route label, by status code.
+async function countsFor(route) {
+  const pattern = /^http_requests_total\{(.*)\} (\d+)$/;
+  const counts = {};
+  for (const line of (await renderMetrics()).split('\n')) {
+    const match = line.match(pattern);
+    if (match && match[1].includes(`route="${route}"`)) {
+      counts[match[1].match(/status="(\d+)"/)[1]] = Number(match[2]);
+    }
+  }
+  return counts;
+}
+
+test('labels requests by route template, including failed requests and product-scoped routes', async () => {
+  const statuses = await requestStatuses([
+    '/api/health',
+    '/api/radar/products',
+    '/api/radar/frames/not-a-time',
+    '/api/radar/MESH/frames/not-a-time',
+    '/api/radar/mesh/frames/still-not-a-time',
+    '/api/radar/Unknown/frames/not-a-time',
+    '/api/nothing-here',
+  ]);
+  assert.deepEqual(statuses, [200, 200, 400, 400, 400, 404, 404]);
+
+  // The metrics finish handler runs after the response is sent
+  await new Promise((resolve) => setImmediate(resolve));
+
+  // A router's root route reports as the mount path
+  assert.deepEqual(await countsFor('/api/health'), { 200: 1 });
+  assert.deepEqual(await countsFor('/api/radar/products'), { 200: 1 });
+  assert.deepEqual(await countsFor('/api/radar/frames/:timestamp'), { 400: 1 });
+  assert.deepEqual(await countsFor('/api/radar/:product/frames/:timestamp'), { 400: 2 });
+  // Unknown products are refused before any route handles them
+  assert.deepEqual(await countsFor('unmatched'), { 404: 2 });
+});
@@ -0,0 +1,228 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { VECTOR_TILE_LAYER, renderVectorTile, resolveVectorTileStride } from '../src/services/vectorTileService.js';
+
+const MISSING = -32768;
+const EXTENT = 4096;
+const CLIP_BUFFER = 64;
+
+// An 11x11 grid of 0.01 degree cells at 40N 100W; `valueAt` gives each cell's value in dBZ.
+function createGrid(valueAt) {
+  const raw = new Int16Array(11 * 11);
+  for (let row = 0; row < 11; row += 1) {
+    for (let col = 0; col < 11; col += 1) {
+      raw[row * 11 + col] = Math.round(valueAt(row, col) * 10);
+    }
+  }
+  return {
+    rows: 11,
+    cols: 11,
+    data: Buffer.from(raw.buffer),
+    dataEncoding: { format: 'int16', scale: 0.1, offset: 0, missing: MISSING },
+    bounds: [39.9, -100, 40, -99.9],
+    latStep: 0.01,
+    lonStep: 0.01,
+  };
+}
+
+// A 30 dBZ block with a 50 dBZ core, away from the grid's edges.
+const STORM = createGrid((row, col) => {
+  const distance = Math.max(Math.abs(row - 5), Math.abs(col - 5));
+  if (distance <= 1) return 50;
+  return distance <= 2 ? 30 : 0;
+});
+
+// Minimal protobuf reader: the fields of a message as [field, value] pairs, with length-delimited
+// values as Buffers and 64-bit values as doubles.
+function readVarint(buffer, state) {
+  let value = 0;
+  let factor = 1;
+  let byte;
+  do {
+    byte = buffer[state.offset];
+    state.offset += 1;
+    value += (byte & 0x7f) * factor;
+    factor *= 0x80;
+  } while (byte & 0x80);
+  return value;
+}
+
+function readFields(buffer) {
+  const fields = [];
+  const state = { offset: 0 };
+  while (state.offset < buffer.length) {
+    const key = readVarint(buffer, state);
+    const wireType = key & 7;
+    let value;
+    if (wireType === 0) {
+      value = readVarint(buffer, state);
+    } else if (wireType === 1) {
+      value = buffer.readDoubleLE(state.offset);
+      state.offset += 8;
+    } else if (wireType === 2) {
+      const length = readVarint(buffer, state);
+      value = buffer.subarray(state.offset, state.offset + length);
+      state.offset += length;
+    } else {
+      throw new Error(`Unexpected wire type ${wireType}`);
+    }
+    fields.push([key >> 3, value]);
+  }
+  return fields;
+}
+
+function readPacked(buffer) {
+  const values = [];
+  const state = { offset: 0 };
+  while (state.offset < buffer.length) {
+    values.push(readVarint(buffer, state));
+  }
+  return values;
+}
+
+const unZigZag = (value) => (value >>> 1) ^ -(value & 1);
+
+// Polygon command stream back to rings of absolute tile coordinates.
+function decodeGeometry(commands) {
+  const rings = [];
+  const cursor = [0, 0];
+  let index = 0;
+  const readPoint = () => {
+    cursor[0] += unZigZag(commands[index]);
+    cursor[1] += unZigZag(commands[index + 1]);
+    index += 2;
+    return [...cursor];
+  };
+  while (index < commands.length) {
+    const id = commands[index] & 7;
+    const count = commands[index] >> 3;
+    index += 1;
+    if (id === 1) {
+      assert.equal(count, 1);
+      rings.push([readPoint()]);
+    } else if (id === 2) {
+      for (let i = 0; i < count; i += 1) rings.at(-1).push(readPoint());
+    } else {
+      assert.equal(id, 7);
+      assert.equal(count, 1);
+    }
+  }
+  return rings;
+}
+
+function decodeTile(buffer) {
+  const layers = readFields(buffer).map(([field, layer]) => {
+    assert.equal(field, 3);
+    const fields = readFields(layer);
+    const all = (number) => fields.filter(([field]) => field === number).map(([, value]) => value);
+    const keys = all(3).map(String);
+    const values = all(4).map((value) => readFields(value)[0]);
+    return {
+      version: all(15)[0],
+      name: String(all(1)[0]),
+      extent: all(5)[0],
+      keys,
+      valueTypes: values.map(([field]) => field),
+      features: all(2).map((feature) => {
+        const featureFields = readFields(feature);
+        const one = (number) => featureFields.find(([field]) => field === number)?.[1];
+        const tags = readPacked(one(2));
+        const properties = {};
+        for (let i = 0; i < tags.length; i += 2) {
+          properties[keys[tags[i]]] = values[tags[i + 1]][1];
+        }
+        return { type: one(3), properties, rings: decodeGeometry(readPacked(one(4))) };
+      }),
+    };
+  });
+  assert.equal(layers.length, 1);
+  return layers[0];
+}
+
+// Shoelace area in tile coordinates (y down): positive for exterior rings, negative for holes.
+function ringArea(ring) {
+  let sum = 0;
+  ring.forEach(([x0, y0], index) => {
+    const [x1, y1] = ring[(index + 1) % ring.length];
+    sum += x0 * y1 - x1 * y0;
+  });
+  return sum / 2;
+}
+
+test('encodes one bands layer with a polygon feature per level, its holes wound the other way', () => {
+  // The grid sits inside tile 10/227/387
+  const layer = decodeTile(renderVectorTile(STORM, { z: 10, x: 227, y: 387 }, { levels: [20, 40] }));
+
+  assert.equal(layer.version, 2);
+  assert.equal(layer.name, VECTOR_TILE_LAYER);
+  assert.equal(layer.extent, EXTENT);
+  assert.deepEqual(layer.keys, ['level', 'upperLevel']);
+  // Level values are shared between features and written as doubles
+  assert.deepEqual(layer.valueTypes, [3, 3]);
+
+  const [lower, upper] = layer.features;
+  assert.equal(layer.features.length, 2);
+  assert.deepEqual(lower.properties, { level: 20, upperLevel: 40 });
+  assert.deepEqual(upper.properties, { level: 40 });
+  assert.equal(lower.type, 3);
+  assert.equal(upper.type, 3);
+
+  assert.equal(lower.rings.length, 2);
+  assert.ok(ringArea(lower.rings[0]) > 0);
+  assert.ok(ringArea(lower.rings[1]) < 0);
+  assert.equal(upper.rings.length, 1);
+  assert.ok(ringArea(upper.rings[0]) > 0);
+
+  // The core's ring lies within the band's hole, which lies within its shell
+  for (const axis of [0, 1]) {
+    const span = (ring) => {
+      const values = ring.map((point) => point[axis]);
+      return [Math.min(...values), Math.max(...values)];
+    };
+    const [shellMin, shellMax] = span(lower.rings[0]);
+    const [holeMin, holeMax] = span(lower.rings[1]);
+    const [coreMin, coreMax] = span(upper.rings[0]);
+    assert.ok(shellMin < holeMin && holeMax < shellMax);
+    assert.ok(holeMin <= coreMin && coreMax <= holeMax);
+  }
+});
+
+test('writes open rings of distinct integer points', () => {
+  const layer = decodeTile(renderVectorTile(STORM, { z: 10, x: 227, y: 387 }, { levels: [20, 40] }));
+  for (const { rings } of layer.features) {
+    for (const ring of rings) {
+      assert.ok(ring.length >= 3);
+      ring.forEach((point, index) => {
+        assert.ok(point.every(Number.isInteger));
+        assert.notDeepEqual(point, ring[(index + 1) % ring.length]);
+      });
+    }
+  }
+});
+
+test('clips bands to the tile plus its buffer', () => {
+  // A field above the level everywhere; at zoom 12 it covers tile 910/1551 from top to bottom and
+  // runs off its east edge
+  const layer = decodeTile(renderVectorTile(createGrid(() => 50), { z: 12, x: 910, y: 1551 }, { levels: [20] }));
+
+  const [feature] = layer.features;
+  assert.equal(feature.rings.length, 1);
+  const points = feature.rings[0];
+  assert.equal(Math.min(...points.map(([, y]) => y)), -CLIP_BUFFER);
+  assert.equal(Math.max(...points.map(([, y]) => y)), EXTENT + CLIP_BUFFER);
+  assert.equal(Math.max(...points.map(([x]) => x)), EXTENT + CLIP_BUFFER);
+  // The grid's west edge is inside the tile
+  assert.ok(Math.min(...points.map(([x]) => x)) > 0);
+});
+
+test('renders tiles the grid does not reach, or with no band above its level, as empty', () => {
+  assert.equal(renderVectorTile(STORM, { z: 10, x: 0, y: 0 }, { levels: [20] }).length, 0);
+  assert.equal(renderVectorTile(STORM, { z: 10, x: 227, y: 387 }, { levels: [60] }).length, 0);
+});
+
+test('merges grid cells so that one spans about a screen pixel, up to a limit', () => {
+  assert.equal(resolveVectorTileStride(STORM, 12), 1);
+  assert.equal(resolveVectorTileStride(STORM, 6), 2);
+  assert.equal(resolveVectorTileStride(STORM, 0), 64);
+});
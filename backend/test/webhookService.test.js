@@ -0,0 +1,259 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import dns from 'node:dns';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { after, before, beforeEach, mock, test } from 'node:test';
+
+import { MongoClient, ObjectId } from 'mongodb';
+
+import { createFakeDb } from './helpers/mongo.js';
+
+// Short backoff so the retries run within the test; config reads the environment on import. The
+// receiver listens on loopback, which is only reachable with private targets allowed.
+process.env.WEBHOOK_RETRY_BASE_MS = '50';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'true';
+process.env.LOG_LEVEL = 'error';
+
+const { config } = await import('../src/config/env.js');
+const { initMongo } = await import('../src/services/mongoService.js');
+const { createWebhook, deleteWebhook, dispatchWebhookEvent, resumeWebhookDeliveries, sendTestWebhook } =
+  await import('../src/services/webhookService.js');
+
+const SECRET = 'receiver-test-secret-0123456789';
+
+const fakeDb = createFakeDb();
+const deliveryLog = () => fakeDb.collection(config.mongo.webhookDeliveryCollection);
+
+let server;
+let url;
+let failuresLeft = 0;
+const received = [];
+
+before(async () => {
+  // The driver is replaced at its boundary, so the service runs its real MongoDB code paths
+  mock.method(MongoClient.prototype, 'connect', async function connect() {
+    return this;
+  });
+  mock.method(MongoClient.prototype, 'db', () => fakeDb);
+  assert.equal(await initMongo(), true);
+
+  server = createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ at: Date.now(), headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        res.statusCode = 503;
+        res.end('try again');
+        return;
+      }
+      res.end('internal details the caller must not see');
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  received.length = 0;
+  failuresLeft = 0;
+});
+
+// Deliveries run in the background; this polls the log until the delivery reaches a final status.
+async function waitForDelivery(filter = {}) {
+  const deadline = Date.now() + 5_000;
+  while (Date.now() < deadline) {
+    const doc = await deliveryLog().findOne(filter);
+    if (doc && (doc.status === 'succeeded' || doc.status === 'failed')) {
+      return doc;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error('Delivery did not finish');
+}
+
+const verifySignature = ({ headers, body }) =>
+  headers['x-radar-signature'] ===
+  `sha256=${createHmac('sha256', SECRET).update(`${headers['x-radar-timestamp']}.${body}`).digest('hex')}`;
+
+test('signs the body with HMAC-SHA256 over "<timestamp>.<body>"', async () => {
+  const webhook = await createWebhook({ url, secret: SECRET });
+
+  const delivery = await sendTestWebhook(webhook.id);
+
+  assert.equal(received.length, 1);
+  const [request] = received;
+  assert.ok(verifySignature(request));
+  assert.equal(request.headers['x-radar-event'], 'ping');
+  assert.equal(request.headers['x-radar-attempt'], '1');
+  assert.equal(request.headers['x-radar-delivery'], delivery.id);
+  assert.equal(delivery.status, 'succeeded');
+  await deleteWebhook(webhook.id);
+});
+
+test('retries a failing receiver with exponential backoff and logs every attempt', async () => {
+  const webhook = await createWebhook({ url, secret: SECRET, events: ['frame.built'] });
+  failuresLeft = 2;
+
+  assert.equal(await dispatchWebhookEvent('frame.built', { timestamp: 'now' }), 1);
+  const doc = await waitForDelivery({ webhookId: new ObjectId(webhook.id) });
+
+  assert.equal(doc.status, 'succeeded');
+  assert.equal(doc.attemptCount, 3);
+  assert.deepEqual(
+    doc.attempts.map((attempt) => attempt.status),
+    [503, 503, 200]
+  );
+  assert.deepEqual(
+    received.map(({ headers }) => headers['x-radar-attempt']),
+    ['1', '2', '3']
+  );
+
+  // 50 ms after the first failure, then 100 ms after the second
+  assert.ok(received[1].at - received[0].at >= 45, `first retry after ${received[1].at - received[0].at} ms`);
+  assert.ok(received[2].at - received[1].at >= 95, `second retry after ${received[2].at - received[1].at} ms`);
+  await deleteWebhook(webhook.id);
+});
+
+test('gives up after WEBHOOK_MAX_ATTEMPTS', async () => {
+  const webhook = await createWebhook({ url, secret: SECRET, events: ['data.stale'] });
+  failuresLeft = 10;
+
+  await dispatchWebhookEvent('data.stale', {});
+  const doc = await waitForDelivery({ webhookId: new ObjectId(webhook.id) });
+
+  assert.equal(doc.status, 'failed');
+  assert.equal(doc.attemptCount, 3);
+  assert.equal(received.length, 3);
+  assert.equal(doc.lastStatus, 503);
+  assert.equal(doc.nextAttemptAt, null);
+  await deleteWebhook(webhook.id);
+});
+
+// An open delivery as a previous process left it: `attemptCount` attempts made, the next one due at
+// `nextAttemptAt`.
+async function insertOpenDelivery(webhookId, { attemptCount, nextAttemptAt }) {
+  const payload = { id: `evt-${attemptCount}`, type: 'build.failed', createdAt: new Date().toISOString(), data: {} };
+  const { insertedId } = await deliveryLog().insertOne({
+    webhookId: new ObjectId(webhookId),
+    url,
+    event: payload.type,
+    eventId: payload.id,
+    product: null,
+    payload,
+    status: attemptCount > 0 ? 'retrying' : 'pending',
+    attemptCount,
+    attempts: [],
+    nextAttemptAt,
+    lastStatus: null,
+    lastError: null,
+    createdAt: new Date(),
+    completedAt: null,
+  });
+  return insertedId;
+}
+
+test('resumes open deliveries from the log after a restart', async () => {
+  const webhook = await createWebhook({ url, secret: SECRET });
+  const retryId = await insertOpenDelivery(webhook.id, { attemptCount: 1, nextAttemptAt: new Date(Date.now() + 50) });
+  const exhaustedId = await insertOpenDelivery(webhook.id, { attemptCount: 3, nextAttemptAt: new Date() });
+  const orphanedId = await insertOpenDelivery(new ObjectId().toString(), { attemptCount: 0, nextAttemptAt: null });
+
+  assert.equal(await resumeWebhookDeliveries(), 1);
+  const resumed = await waitForDelivery({ _id: retryId });
+
+  assert.equal(resumed.status, 'succeeded');
+  assert.equal(resumed.attemptCount, 2);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].headers['x-radar-attempt'], '2');
+  assert.ok(verifySignature(received[0]));
+  assert.equal((await deliveryLog().findOne({ _id: exhaustedId })).status, 'failed');
+  assert.equal((await deliveryLog().findOne({ _id: orphanedId })).status, 'failed');
+  await deleteWebhook(webhook.id);
+});
+
+test('sends a resumed attempt once when two processes resume the same log', async () => {
+  const webhook = await createWebhook({ url, secret: SECRET });
+  const deliveryId = await insertOpenDelivery(webhook.id, { attemptCount: 1, nextAttemptAt: null });
+
+  const counts = await Promise.all([resumeWebhookDeliveries(), resumeWebhookDeliveries()]);
+  assert.deepEqual(counts, [1, 1]);
+  await waitForDelivery({ _id: deliveryId });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  assert.equal(received.length, 1);
+  await deleteWebhook(webhook.id);
+});
+
+test('refuses loopback, private and link-local targets unless they are allowed', async (t) => {
+  const webhook = await createWebhook({ url, secret: SECRET });
+  config.webhooks.allowPrivateTargets = false;
+  t.after(async () => {
+    config.webhooks.allowPrivateTargets = true;
+    await deleteWebhook(webhook.id);
+  });
+
+  for (const target of ['http://169.254.169.254/latest/meta-data', 'http://localhost:8080/', 'http://[::1]/', url]) {
+    await assert.rejects(createWebhook({ url: target }), { status: 400 }, target);
+  }
+
+  // Registered while allowed, then refused when sent; not retried, as the address will not change
+  const delivery = await sendTestWebhook(webhook.id);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attemptCount, 1);
+  assert.equal(delivery.attempts[0].blocked, true);
+  assert.equal(received.length, 0);
+});
+
+test('refuses a public-looking name that resolves to a private address at delivery time', async (t) => {
+  const webhook = await createWebhook({ url: `http://hooks.example.com:${server.address().port}/hook` });
+  config.webhooks.allowPrivateTargets = false;
+  const lookup = mock.method(dns, 'lookup', (hostname, options, callback) => {
+    if (options.all) {
+      callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    } else {
+      callback(null, '127.0.0.1', 4);
+    }
+  });
+  t.after(async () => {
+    config.webhooks.allowPrivateTargets = true;
+    lookup.mock.restore();
+    await deleteWebhook(webhook.id);
+  });
+
+  const delivery = await sendTestWebhook(webhook.id);
+
+  assert.ok(lookup.mock.callCount() > 0);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts[0].blocked, true);
+  assert.equal(received.length, 0);
+});
+
+test('returns only the status and timing of an attempt, never the receiver response', async () => {
+  const webhook = await createWebhook({ url, secret: SECRET });
+
+  const delivery = await sendTestWebhook(webhook.id);
+
+  assert.equal(delivery.status, 'succeeded');
+  assert.deepEqual(Object.keys(delivery.attempts[0]).sort(), [
+    'at',
+    'attempt',
+    'blocked',
+    'durationMs',
+    'error',
+    'ok',
+    'status',
+  ]);
+  const stored = await deliveryLog().findOne({ _id: new ObjectId(delivery.id) });
+  assert.ok(!JSON.stringify(stored).includes('internal details'));
+  await deleteWebhook(webhook.id);
+});
@@ -1,11 +1,25 @@
 import { useEffect, useMemo, useState } from 'react';
 
+import AlertBanner from './components/AlertBanner.jsx';
+import CaseViewer from './components/CaseViewer.jsx';
 import Legend from './components/Legend.jsx';
 import MapView from './components/MapView.jsx';
+import PalettePicker from './components/PalettePicker.jsx';
+import PointHistoryPanel from './components/PointHistoryPanel.jsx';
+import ProductPicker from './components/ProductPicker.jsx';
 import RadarSummaryCard from './components/RadarSummaryCard.jsx';
 import RequestMetricsCard from './components/RequestMetricsCard.jsx';
 import { useAdminInsights } from './hooks/useAdminInsights.js';
+import { useAlertEvents } from './hooks/useAlertEvents.js';
+import { usePointHistory } from './hooks/usePointHistory.js';
+import { useRadarCells } from './hooks/useRadarCells.js';
+import { useRadarContours } from './hooks/useRadarContours.js';
 import { useRadarData } from './hooks/useRadarData.js';
+import { useRadarLegend } from './hooks/useRadarLegend.js';
+import { useRadarLoop } from './hooks/useRadarLoop.js';
+import { useRadarNowcast } from './hooks/useRadarNowcast.js';
+import { useRadarPalettes } from './hooks/useRadarPalettes.js';
+import { useRadarProducts } from './hooks/useRadarProducts.js';
 
 const THEME_STORAGE_KEY = 'mrms-dashboard-theme';
 
@@ -52,7 +66,45 @@ function App() {
     setTheme((prev) => (prev === 'dark' ? 'light' : 'dark'));
   };
 
-  const { data: radar, status: radarStatus, error: radarError } = useRadarData();
+  // 'live' shows the latest mosaic, 'cases' replays stored case bundles
+  const [view, setView] = useState('live');
+  // null selects the backend's default product until the user picks one
+  const [productId, setProductId] = useState(null);
+  const { products } = useRadarProducts();
+  const [viewport, setViewport] = useState(null);
+  const {
+    data: radar,
+    status: radarStatus,
+    error: radarError,
+    connection: radarConnection,
+    pipeline: radarPipeline,
+  } = useRadarData(productId, viewport);
+  const radarLoop = useRadarLoop(productId);
+  const radarNowcast = useRadarNowcast(productId);
+  // null palette/mode defer to the backend default palette and that palette's own rendering mode
+  const [paletteId, setPaletteId] = useState(null);
+  const [paletteMode, setPaletteMode] = useState(null);
+  const { palettes, defaultPalette } = useRadarPalettes();
+  const paletteParams = useMemo(() => ({ palette: paletteId, mode: paletteMode }), [paletteId, paletteMode]);
+  const paletteQuery = useMemo(() => {
+    const params = new URLSearchParams();
+    if (paletteId) params.set('palette', paletteId);
+    if (paletteMode) params.set('mode', paletteMode);
+    return params.toString();
+  }, [paletteId, paletteMode]);
+  const { legend } = useRadarLegend(productId, paletteParams);
+  const handlePaletteChange = (nextPaletteId) => {
+    setPaletteId(nextPaletteId);
+    setPaletteMode(null);
+  };
+  const [showCells, setShowCells] = useState(false);
+  const { data: cells } = useRadarCells(productId, { enabled: showCells });
+  const [showContours, setShowContours] = useState(false);
+  const [vectorBands, setVectorBands] = useState(false);
+  const { data: contours } = useRadarContours(productId, { enabled: showContours });
+  const [pinnedPoint, setPinnedPoint] = useState(null);
+  const pointHistory = usePointHistory(productId, pinnedPoint);
+  const { events: alertEvents } = useAlertEvents();
   const {
     data: analyticsData,
     status: analyticsStatus,
@@ -63,6 +115,10 @@ function App() {
 
   const metadata = radar?.metadata ?? null;
   const metrics = analyticsData?.metrics ?? null;
+  const selectedProduct = useMemo(
+    () => products.find((product) => (productId ? product.id === productId : product.isDefault)) ?? null,
+    [products, productId]
+  );
   const themeLabel = useMemo(() => (theme === 'dark' ? 'Switch to light mode' : 'Switch to dark mode'), [theme]);
 
   return (
@@ -80,11 +136,76 @@ function App() {
               <span className="inline-flex items-center gap-2 rounded-full border border-slate-300 bg-white/80 px-3 py-1 text-slate-700 shadow-sm shadow-slate-200/60 transition dark:border-slate-800/80 dark:bg-slate-900/70 dark:text-slate-200 dark:shadow-slate-950/30">
                 <span className={`h-2 w-2 rounded-full ${radarStatus === 'success' ? 'bg-emerald-500' : radarStatus === 'loading' ? 'bg-amber-400 animate-pulse' : 'bg-rose-500'}`} />
                 Radar: {formatStatus(radarStatus)}
+                <span className="text-slate-500 dark:text-slate-400">
+                  · {radarConnection === 'live' ? 'Live' : radarConnection === 'polling' ? 'Polling' : 'Connecting'}
+                </span>
               </span>
+              {radarPipeline.state !== 'ok' ? (
+                <span
+                  title={radarPipeline.message ?? undefined}
+                  className="inline-flex items-center gap-2 rounded-full border border-amber-300 bg-amber-50/90 px-3 py-1 font-semibold text-amber-800 shadow-sm shadow-amber-200/60 dark:border-amber-500/40 dark:bg-amber-950/60 dark:text-amber-200 dark:shadow-slate-950/30"
+                >
+                  {radarPipeline.state === 'stale' ? 'Feed stale' : 'Update failed'}
+                  {metadata ? ' · showing last frame' : ''}
+                </span>
+              ) : null}
               <span className="inline-flex items-center gap-2 rounded-full border border-slate-300 bg-white/80 px-3 py-1 text-slate-700 shadow-sm shadow-slate-200/60 transition dark:border-slate-800/80 dark:bg-slate-900/70 dark:text-slate-200 dark:shadow-slate-950/30">
                 <span className={`h-2 w-2 rounded-full ${analyticsStatus === 'success' ? 'bg-emerald-500' : analyticsStatus === 'loading' || analyticsStatus === 'refreshing' ? 'bg-amber-400 animate-pulse' : analyticsStatus === 'error' ? 'bg-rose-500' : 'bg-slate-500'}`} />
                 Analytics: {formatStatus(analyticsStatus)}
               </span>
+              <div role="group" aria-label="View" className="inline-flex rounded-full border border-slate-300 bg-white/90 p-0.5 text-xs font-semibold shadow-sm shadow-slate-200/60 dark:border-slate-700/80 dark:bg-slate-900/70 dark:shadow-slate-950/40">
+                {[
+                  ['live', 'Live'],
+                  ['cases', 'Cases'],
+                ].map(([value, label]) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => setView(value)}
+                    aria-pressed={view === value}
+                    className={`rounded-full px-3 py-0.5 transition ${view === value ? 'bg-sky-500 text-white' : 'text-slate-700 hover:bg-white dark:text-slate-200 dark:hover:bg-slate-800'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <ProductPicker products={products} value={productId} onChange={setProductId} />
+              <PalettePicker
+                palettes={palettes}
+                value={paletteId}
+                defaultPalette={defaultPalette}
+                mode={paletteMode}
+                onChange={handlePaletteChange}
+                onModeChange={setPaletteMode}
+              />
+              <button
+                type="button"
+                onClick={() => setShowCells((prev) => !prev)}
+                aria-pressed={showCells}
+                className="inline-flex items-center gap-2 rounded-full border border-slate-300 bg-white/90 px-3 py-1 text-xs font-semibold text-slate-700 shadow-sm shadow-slate-200/60 transition hover:bg-white dark:border-slate-700/80 dark:bg-slate-900/70 dark:text-slate-200 dark:shadow-slate-950/40 dark:hover:bg-slate-800"
+              >
+                <span className={`h-2 w-2 rounded-full ${showCells ? 'bg-amber-400' : 'bg-slate-400 dark:bg-slate-600'}`} />
+                Storm cells
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowContours((prev) => !prev)}
+                aria-pressed={showContours}
+                className="inline-flex items-center gap-2 rounded-full border border-slate-300 bg-white/90 px-3 py-1 text-xs font-semibold text-slate-700 shadow-sm shadow-slate-200/60 transition hover:bg-white dark:border-slate-700/80 dark:bg-slate-900/70 dark:text-slate-200 dark:shadow-slate-950/40 dark:hover:bg-slate-800"
+              >
+                <span className={`h-2 w-2 rounded-full ${showContours ? 'bg-sky-400' : 'bg-slate-400 dark:bg-slate-600'}`} />
+                Contours
+              </button>
+              <button
+                type="button"
+                onClick={() => setVectorBands((prev) => !prev)}
+                aria-pressed={vectorBands}
+                title="Draw the latest frame from vector tiles coloured in the browser"
+                className="inline-flex items-center gap-2 rounded-full border border-slate-300 bg-white/90 px-3 py-1 text-xs font-semibold text-slate-700 shadow-sm shadow-slate-200/60 transition hover:bg-white dark:border-slate-700/80 dark:bg-slate-900/70 dark:text-slate-200 dark:shadow-slate-950/40 dark:hover:bg-slate-800"
+              >
+                <span className={`h-2 w-2 rounded-full ${vectorBands ? 'bg-emerald-400' : 'bg-slate-400 dark:bg-slate-600'}`} />
+                Vector bands
+              </button>
               <button
                 type="button"
                 onClick={toggleTheme}
@@ -100,6 +221,8 @@ function App() {
       </header>
 
       <main className="mx-auto flex w-full max-w-[1600px] flex-col gap-6 px-6 pb-12 pt-8">
+        <AlertBanner events={alertEvents} />
+
         <section className="rounded-3xl border border-slate-200 bg-white/80 px-6 py-6 shadow-lg shadow-slate-200/60 backdrop-blur transition-colors dark:border-slate-800/70 dark:bg-slate-900/60 dark:shadow-slate-950/40">
           <div className="grid gap-6 lg:grid-cols-2">
             <div>
@@ -117,26 +240,53 @@ function App() {
           </div>
         </section>
 
-        <div className="grid gap-6 xl:grid-cols-[320px_minmax(0,1fr)_360px]">
-          <div className="order-2 flex flex-col gap-5 xl:order-none">
-            <Legend status={radarStatus} />
-            <RadarSummaryCard metadata={metadata} status={radarStatus} />
-          </div>
+        {view === 'cases' ? (
+          <CaseViewer paletteQuery={paletteQuery} />
+        ) : (
+          <div className="grid gap-6 xl:grid-cols-[320px_minmax(0,1fr)_360px]">
+            <div className="order-2 flex flex-col gap-5 xl:order-none">
+              <Legend status={radarStatus} product={selectedProduct} legend={legend} />
+              <RadarSummaryCard metadata={metadata} status={radarStatus} />
+              {pinnedPoint ? (
+                <PointHistoryPanel
+                  point={pinnedPoint}
+                  history={pointHistory.data}
+                  status={pointHistory.status}
+                  error={pointHistory.error}
+                  onClear={() => setPinnedPoint(null)}
+                />
+              ) : null}
+            </div>
 
-          <section className="order-1 xl:order-none">
-            <MapView radar={radar} status={radarStatus} error={radarError} />
-          </section>
-
-          <div className="order-3 flex flex-col gap-5">
-            <RequestMetricsCard
-              metrics={metrics}
-              status={analyticsStatus}
-              lastUpdated={analyticsLastUpdated}
-              onRefresh={refreshAnalytics}
-              error={analyticsError}
-            />
+            <section className="order-1 xl:order-none">
+              <MapView
+                radar={radar}
+                status={radarStatus}
+                error={radarError}
+                loop={radarLoop}
+                pinnedPoint={pinnedPoint}
+                onPin={setPinnedPoint}
+                onViewportChange={setViewport}
+                paletteQuery={paletteQuery}
+                cells={cells}
+                contours={contours}
+                vectorBands={vectorBands}
+                legend={legend}
+                nowcast={radarNowcast}
+              />
+            </section>
+
+            <div className="order-3 flex flex-col gap-5">
+              <RequestMetricsCard
+                metrics={metrics}
+                status={analyticsStatus}
+                lastUpdated={analyticsLastUpdated}
+                onRefresh={refreshAnalytics}
+                error={analyticsError}
+              />
+            </div>
           </div>
-        </div>
+        )}
       </main>
     </div>
   );
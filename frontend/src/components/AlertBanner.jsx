@@ -0,0 +1,83 @@
+import PropTypes from 'prop-types';
+import { useState } from 'react';
+
+import { formatDateTime, formatNumber } from '../utils/formatters.js';
+
+const formatValue = (value, units) => `${formatNumber(value, { maximumFractionDigits: 1 })} ${units ?? ''}`.trim();
+
+function describeTrigger(event) {
+  if (event.metric === 'coverage') {
+    const coverage = formatNumber(event.value?.coveragePercent, { maximumFractionDigits: 0 });
+    return `${coverage}% of area ≥ ${formatValue(event.threshold, event.units)} (alerting at ${event.coveragePercent}%)`;
+  }
+
+  return `max ${formatValue(event.value?.max, event.units)} ≥ ${formatValue(event.threshold, event.units)}`;
+}
+
+function AlertBanner({ events }) {
+  // Dismissal is per trigger event, so an area that clears and triggers again shows up again
+  const [dismissed, setDismissed] = useState(() => new Set());
+  const visible = events.filter((event) => !dismissed.has(event.id));
+
+  if (visible.length === 0) {
+    return null;
+  }
+
+  const dismiss = (id) => {
+    setDismissed((prev) => new Set(prev).add(id));
+  };
+
+  return (
+    <section
+      role="alert"
+      className="flex flex-col gap-2 rounded-3xl border border-rose-300 bg-rose-50/90 px-6 py-4 text-sm text-rose-900 shadow-lg shadow-rose-200/50 backdrop-blur dark:border-rose-500/40 dark:bg-rose-950/60 dark:text-rose-100 dark:shadow-slate-950/40"
+    >
+      <h2 className="text-xs font-semibold uppercase tracking-wide text-rose-700 dark:text-rose-300">
+        Active alerts ({visible.length})
+      </h2>
+      <ul className="flex flex-col gap-1.5">
+        {visible.map((event) => (
+          <li key={event.id} className="flex flex-wrap items-center justify-between gap-x-4 gap-y-1">
+            <span>
+              <span className="font-semibold">{event.areaName}</span>
+              <span className="text-rose-700 dark:text-rose-300"> · {event.product} · </span>
+              {describeTrigger(event)}
+            </span>
+            <span className="flex items-center gap-3 text-xs text-rose-700 dark:text-rose-300">
+              since {formatDateTime(event.timestamp)}
+              <button
+                type="button"
+                onClick={() => dismiss(event.id)}
+                aria-label={`Dismiss alert for ${event.areaName}`}
+                className="rounded-full px-2 py-0.5 font-semibold transition hover:bg-rose-200/70 dark:hover:bg-rose-900/70"
+              >
+                ✕
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+AlertBanner.propTypes = {
+  events: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      areaName: PropTypes.string.isRequired,
+      product: PropTypes.string,
+      units: PropTypes.string,
+      metric: PropTypes.oneOf(['max', 'coverage']),
+      threshold: PropTypes.number,
+      coveragePercent: PropTypes.number,
+      value: PropTypes.shape({
+        max: PropTypes.number,
+        coveragePercent: PropTypes.number,
+      }),
+      timestamp: PropTypes.string,
+    })
+  ).isRequired,
+};
+
+export default AlertBanner;
@@ -0,0 +1,94 @@
+import PropTypes from 'prop-types';
+
+import { REPLAY_SPEEDS } from '../hooks/useCaseReplay.js';
+import { formatDateTime } from '../utils/formatters.js';
+
+const buttonClassName =
+  'inline-flex h-8 min-w-[2rem] items-center justify-center rounded-full border border-slate-300 bg-white/90 px-3 text-xs font-semibold text-slate-700 transition hover:bg-white disabled:cursor-not-allowed disabled:opacity-50 dark:border-slate-700/80 dark:bg-slate-900/80 dark:text-slate-200 dark:hover:bg-slate-800';
+
+const selectClassName =
+  'rounded-full border border-slate-300 bg-white/90 px-2 py-1 text-xs text-slate-700 dark:border-slate-700/80 dark:bg-slate-900/80 dark:text-slate-200';
+
+// Scrubber for a case bundle; unlike the live loop it spans the whole case and never refreshes.
+function CaseTimeline({ replay }) {
+  const { frames, currentIndex, isLoadingFrame, isPlaying, speed, togglePlaying, step, seek, setSpeed } = replay;
+  const hasFrames = frames.length > 0;
+  const selected = frames[currentIndex] ?? null;
+
+  return (
+    <div className="flex flex-col gap-3 rounded-2xl border border-slate-200 bg-white/80 px-4 py-3 text-xs text-slate-700 shadow-lg shadow-slate-200/60 backdrop-blur dark:border-slate-800/70 dark:bg-slate-900/60 dark:text-slate-200 dark:shadow-slate-950/40">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="flex items-center gap-1">
+          <button type="button" className={buttonClassName} onClick={() => step(-1)} disabled={!hasFrames} aria-label="Previous frame">
+            ◀
+          </button>
+          <button
+            type="button"
+            className={buttonClassName}
+            onClick={togglePlaying}
+            disabled={frames.length < 2}
+            aria-label={isPlaying ? 'Pause replay' : 'Play replay'}
+          >
+            {isPlaying ? '❚❚' : '▶'}
+          </button>
+          <button type="button" className={buttonClassName} onClick={() => step(1)} disabled={!hasFrames} aria-label="Next frame">
+            ▶▶
+          </button>
+        </div>
+
+        <span className="min-w-[12rem] font-semibold tabular-nums text-slate-900 dark:text-slate-100">
+          {selected ? `${formatDateTime(selected.timestamp)} (${currentIndex + 1}/${frames.length})` : 'No frames yet'}
+          {isLoadingFrame ? <span className="ml-2 font-normal text-slate-500 dark:text-slate-400">loading…</span> : null}
+        </span>
+
+        <label className="ml-auto flex items-center gap-1">
+          Speed
+          <select className={selectClassName} value={speed} onChange={(event) => setSpeed(Number(event.target.value))}>
+            {REPLAY_SPEEDS.map((option) => (
+              <option key={option} value={option}>
+                {option}×
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <input
+        type="range"
+        className="w-full accent-sky-500"
+        min={0}
+        max={Math.max(frames.length - 1, 0)}
+        value={currentIndex}
+        onChange={(event) => seek(Number(event.target.value))}
+        disabled={!hasFrames}
+        aria-label="Case timeline"
+      />
+
+      <div className="flex justify-between tabular-nums text-slate-500 dark:text-slate-400">
+        <span>{hasFrames ? formatDateTime(frames[0].timestamp) : '—'}</span>
+        <span>{hasFrames ? formatDateTime(frames.at(-1).timestamp) : '—'}</span>
+      </div>
+    </div>
+  );
+}
+
+CaseTimeline.propTypes = {
+  replay: PropTypes.shape({
+    frames: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        timestamp: PropTypes.string.isRequired,
+      })
+    ).isRequired,
+    currentIndex: PropTypes.number.isRequired,
+    isLoadingFrame: PropTypes.bool.isRequired,
+    isPlaying: PropTypes.bool.isRequired,
+    speed: PropTypes.number.isRequired,
+    togglePlaying: PropTypes.func.isRequired,
+    step: PropTypes.func.isRequired,
+    seek: PropTypes.func.isRequired,
+    setSpeed: PropTypes.func.isRequired,
+  }).isRequired,
+};
+
+export default CaseTimeline;
@@ -0,0 +1,129 @@
+import PropTypes from 'prop-types';
+import { useMemo, useState } from 'react';
+
+import { useCaseReplay } from '../hooks/useCaseReplay.js';
+import { useRadarCases } from '../hooks/useRadarCases.js';
+import { formatDateTime } from '../utils/formatters.js';
+import CaseTimeline from './CaseTimeline.jsx';
+import MapView from './MapView.jsx';
+
+const STATUS_BADGES = {
+  ready: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-200',
+  building: 'bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-200',
+  queued: 'bg-slate-200 text-slate-700 dark:bg-slate-800 dark:text-slate-300',
+  failed: 'bg-rose-100 text-rose-700 dark:bg-rose-900/40 dark:text-rose-200',
+};
+
+function CaseList({ cases, selectedId = null, onSelect }) {
+  if (cases.length === 0) {
+    return (
+      <p className="text-sm text-slate-600 dark:text-slate-400">
+        No cases yet. Create one with <code className="text-xs">POST /api/cases</code> and it will appear here once
+        its frames start building.
+      </p>
+    );
+  }
+
+  return (
+    <ul className="flex flex-col gap-2">
+      {cases.map((item) => (
+        <li key={item.id}>
+          <button
+            type="button"
+            onClick={() => onSelect(item.id)}
+            aria-pressed={item.id === selectedId}
+            className={`w-full rounded-xl border px-3 py-2 text-left text-sm transition ${
+              item.id === selectedId
+                ? 'border-sky-400 bg-sky-50 dark:border-sky-500/60 dark:bg-sky-950/40'
+                : 'border-slate-200 bg-white/70 hover:bg-white dark:border-slate-800/70 dark:bg-slate-900/50 dark:hover:bg-slate-800/60'
+            }`}
+          >
+            <span className="flex items-center justify-between gap-2">
+              <span className="font-semibold text-slate-900 dark:text-slate-100">{item.name}</span>
+              <span className={`rounded-full px-2 py-0.5 text-[11px] font-medium ${STATUS_BADGES[item.status] ?? STATUS_BADGES.queued}`}>
+                {item.status}
+              </span>
+            </span>
+            <span className="mt-1 block text-xs text-slate-500 dark:text-slate-400">
+              {formatDateTime(item.start)} – {formatDateTime(item.end)}
+            </span>
+            <span className="block text-xs text-slate-500 dark:text-slate-400">
+              {item.product} · {item.frameCount} frame{item.frameCount === 1 ? '' : 's'}
+            </span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Replays stored case bundles. Kept apart from the live map so replay never competes with the live
+// stream, loop or nowcast state.
+function CaseViewer({ paletteQuery = '' }) {
+  const { cases, status: casesStatus, error: casesError } = useRadarCases();
+  const [selectedId, setSelectedId] = useState(null);
+
+  // Until the user picks one, show the newest case that has frames
+  const selectedCase = useMemo(
+    () =>
+      (selectedId ? cases.find((item) => item.id === selectedId) : cases.find((item) => item.frameCount > 0)) ?? null,
+    [cases, selectedId]
+  );
+  const replay = useCaseReplay(selectedCase?.id ?? null, selectedCase?.frameCount ?? 0);
+
+  const radar = useMemo(
+    () => (replay.currentFrame ? { metadata: replay.currentFrame.metadata, grid: replay.currentFrame.grid } : null),
+    [replay.currentFrame]
+  );
+
+  return (
+    <div className="grid gap-6 xl:grid-cols-[320px_minmax(0,1fr)]">
+      <aside className="order-2 flex flex-col gap-4 rounded-2xl border border-slate-200 bg-white/80 p-5 shadow-lg shadow-slate-200/60 backdrop-blur transition-colors dark:border-slate-800/70 dark:bg-slate-900/60 dark:shadow-slate-950/30 xl:order-none">
+        <header>
+          <h2 className="text-lg font-semibold tracking-tight text-slate-900 dark:text-slate-100">Case studies</h2>
+          <p className="text-sm text-slate-600 dark:text-slate-400">Stored MRMS events replayed frame by frame.</p>
+        </header>
+        {casesStatus === 'loading' ? <p className="text-sm text-slate-500 dark:text-slate-400">Loading cases...</p> : null}
+        {casesStatus === 'error' ? (
+          <p className="text-sm text-rose-700 dark:text-rose-300">
+            Failed to load cases: {casesError?.message ?? 'unknown error'}
+          </p>
+        ) : null}
+        <CaseList cases={cases} selectedId={selectedCase?.id ?? null} onSelect={setSelectedId} />
+        {selectedCase?.errors?.length ? (
+          <p className="text-xs text-rose-700 dark:text-rose-300">
+            {selectedCase.counts.failed} frame{selectedCase.counts.failed === 1 ? '' : 's'} failed to build; latest:{' '}
+            {selectedCase.errors.at(-1).message}
+          </p>
+        ) : null}
+      </aside>
+
+      <section className="order-1 flex flex-col gap-4 xl:order-none">
+        <MapView radar={radar} status={replay.status} error={replay.error} paletteQuery={paletteQuery} />
+        {selectedCase ? <CaseTimeline replay={replay} /> : null}
+      </section>
+    </div>
+  );
+}
+
+CaseList.propTypes = {
+  cases: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      product: PropTypes.string.isRequired,
+      status: PropTypes.string.isRequired,
+      start: PropTypes.string.isRequired,
+      end: PropTypes.string.isRequired,
+      frameCount: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+  selectedId: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+};
+
+CaseViewer.propTypes = {
+  paletteQuery: PropTypes.string,
+};
+
+export default CaseViewer;
@@ -0,0 +1,102 @@
+import PropTypes from 'prop-types';
+import { Fragment } from 'react';
+import { Polygon, Polyline, Tooltip } from 'react-leaflet';
+
+const KM_PER_DEGREE_LAT = 111.32;
+// Arrows show where each cell would be after this long at its current motion
+const ARROW_LEAD_MINUTES = 30;
+const ARROW_HEAD_FRACTION = 0.3;
+const ARROW_HEAD_ANGLE_DEG = 25;
+const CELL_COLOR = '#f8fafc';
+const ARROW_COLOR = '#facc15';
+
+const valueFormatter = new Intl.NumberFormat('en-US', {
+  maximumFractionDigits: 1,
+});
+
+// Offsets a [lon, lat] position by a distance along a heading (clockwise from north).
+function offsetPosition([lon, lat], distanceKm, headingDeg) {
+  const heading = (headingDeg * Math.PI) / 180;
+  const kmPerDegreeLon = KM_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180);
+  return [lon + (distanceKm * Math.sin(heading)) / kmPerDegreeLon, lat + (distanceKm * Math.cos(heading)) / KM_PER_DEGREE_LAT];
+}
+
+const toLatLng = ([lon, lat]) => [lat, lon];
+
+function buildArrow(centroid, { speedKmh, headingDeg }) {
+  const lengthKm = (speedKmh * ARROW_LEAD_MINUTES) / 60;
+  const tip = offsetPosition(centroid, lengthKm, headingDeg);
+  const headLengthKm = lengthKm * ARROW_HEAD_FRACTION;
+
+  return {
+    shaft: [centroid, tip].map(toLatLng),
+    head: [
+      offsetPosition(tip, headLengthKm, headingDeg + 180 - ARROW_HEAD_ANGLE_DEG),
+      tip,
+      offsetPosition(tip, headLengthKm, headingDeg + 180 + ARROW_HEAD_ANGLE_DEG),
+    ].map(toLatLng),
+  };
+}
+
+function CellLayer({ cells, units = '' }) {
+  return cells.features.map(({ id, geometry, properties }) => {
+    const arrow = properties.motion?.speedKmh > 0 ? buildArrow(properties.centroid, properties.motion) : null;
+
+    return (
+      <Fragment key={id}>
+        <Polygon
+          positions={geometry.coordinates[0].map(toLatLng)}
+          pathOptions={{ color: CELL_COLOR, weight: 1.5, dashArray: '4 3', fill: false }}
+        >
+          <Tooltip sticky>
+            <div className="text-xs">
+              <div className="font-semibold">
+                Max {valueFormatter.format(properties.maxValue)} {units}
+              </div>
+              <div>{valueFormatter.format(properties.areaKm2)} km²</div>
+              {properties.motion ? (
+                <div>
+                  Moving {valueFormatter.format(properties.motion.speedKmh)} km/h toward{' '}
+                  {valueFormatter.format(properties.motion.headingDeg)}°
+                </div>
+              ) : (
+                <div>New cell</div>
+              )}
+            </div>
+          </Tooltip>
+        </Polygon>
+        {arrow ? (
+          <>
+            <Polyline positions={arrow.shaft} pathOptions={{ color: ARROW_COLOR, weight: 2 }} />
+            <Polyline positions={arrow.head} pathOptions={{ color: ARROW_COLOR, weight: 2 }} />
+          </>
+        ) : null}
+      </Fragment>
+    );
+  });
+}
+
+CellLayer.propTypes = {
+  cells: PropTypes.shape({
+    features: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        geometry: PropTypes.shape({
+          coordinates: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number))).isRequired,
+        }).isRequired,
+        properties: PropTypes.shape({
+          centroid: PropTypes.arrayOf(PropTypes.number).isRequired,
+          maxValue: PropTypes.number.isRequired,
+          areaKm2: PropTypes.number.isRequired,
+          motion: PropTypes.shape({
+            speedKmh: PropTypes.number.isRequired,
+            headingDeg: PropTypes.number.isRequired,
+          }),
+        }).isRequired,
+      })
+    ).isRequired,
+  }).isRequired,
+  units: PropTypes.string,
+};
+
+export default CellLayer;
@@ -0,0 +1,61 @@
+import PropTypes from 'prop-types';
+import { Polygon, Tooltip } from 'react-leaflet';
+
+// Bands are coloured from the lowest level up; extra levels reuse the last colour
+const BAND_COLORS = ['#38bdf8', '#22c55e', '#facc15', '#f97316', '#ef4444', '#d946ef'];
+
+const valueFormatter = new Intl.NumberFormat('en-US', {
+  maximumFractionDigits: 1,
+});
+
+const toLatLng = ([lon, lat]) => [lat, lon];
+
+function describeBand({ level, upperLevel }, units) {
+  const unitSuffix = units ? ` ${units}` : '';
+  return upperLevel === null
+    ? `≥ ${valueFormatter.format(level)}${unitSuffix}`
+    : `${valueFormatter.format(level)}–${valueFormatter.format(upperLevel)}${unitSuffix}`;
+}
+
+function ContourLayer({ contours, units = '' }) {
+  return contours.features.map(({ geometry, properties }, index) => {
+    const color = BAND_COLORS[Math.min(index, BAND_COLORS.length - 1)];
+
+    return (
+      <Polygon
+        key={properties.level}
+        positions={geometry.coordinates.map((polygon) => polygon.map((ring) => ring.map(toLatLng)))}
+        pathOptions={{ color, weight: 1.5, fillColor: color, fillOpacity: 0.15 }}
+      >
+        <Tooltip sticky>
+          <div className="text-xs">
+            <div className="font-semibold">{describeBand(properties, units)}</div>
+            <div>{valueFormatter.format(properties.areaKm2)} km²</div>
+          </div>
+        </Tooltip>
+      </Polygon>
+    );
+  });
+}
+
+ContourLayer.propTypes = {
+  contours: PropTypes.shape({
+    features: PropTypes.arrayOf(
+      PropTypes.shape({
+        geometry: PropTypes.shape({
+          coordinates: PropTypes.arrayOf(
+            PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)))
+          ).isRequired,
+        }).isRequired,
+        properties: PropTypes.shape({
+          level: PropTypes.number.isRequired,
+          upperLevel: PropTypes.number,
+          areaKm2: PropTypes.number.isRequired,
+        }).isRequired,
+      })
+    ).isRequired,
+  }).isRequired,
+  units: PropTypes.string,
+};
+
+export default ContourLayer;
@@ -1,23 +1,71 @@
 import PropTypes from 'prop-types';
 
-const COLOR_SCALE = [
-  { label: '5 – 15 dBZ', color: 'linear-gradient(90deg, rgba(26,72,171,0.8), rgba(26,72,171,0.4))' },
-  { label: '15 – 25 dBZ', color: 'linear-gradient(90deg, rgba(40,113,203,0.85), rgba(40,113,203,0.4))' },
-  { label: '25 – 35 dBZ', color: 'linear-gradient(90deg, rgba(29,149,197,0.9), rgba(29,149,197,0.45))' },
-  { label: '35 – 45 dBZ', color: 'linear-gradient(90deg, rgba(33,171,144,0.9), rgba(33,171,144,0.45))' },
-  { label: '45 – 55 dBZ', color: 'linear-gradient(90deg, rgba(144,202,94,0.95), rgba(144,202,94,0.5))' },
-  { label: '55 – 65 dBZ', color: 'linear-gradient(90deg, rgba(233,186,63,0.95), rgba(233,186,63,0.5))' },
-  { label: '65 – 75 dBZ', color: 'linear-gradient(90deg, rgba(220,94,36,0.96), rgba(220,94,36,0.55))' },
-  { label: '≥ 75 dBZ', color: 'linear-gradient(90deg, rgba(180,36,36,1), rgba(180,36,36,0.6))' },
-];
-
-function Legend({ status }) {
+const valueFormatter = new Intl.NumberFormat('en-US', {
+  maximumFractionDigits: 2,
+});
+
+const toGradient = ([r, g, b, a]) => {
+  const alpha = a / 255;
+  return `linear-gradient(90deg, rgba(${r},${g},${b},${alpha.toFixed(2)}), rgba(${r},${g},${b},${(alpha / 2).toFixed(2)}))`;
+};
+
+const toRgba = ([r, g, b, a]) => `rgba(${r},${g},${b},${(a / 255).toFixed(2)})`;
+
+// Stops are positioned on the palette axis, so the bar's colour stops line up with the value ticks below it
+const toColorBar = (stops) =>
+  `linear-gradient(90deg, ${stops.map(({ position, rgba }) => `${toRgba(rgba)} ${(position * 100).toFixed(2)}%`).join(', ')})`;
+
+const formatStepLabel = ({ min, max }, units) => {
+  const suffix = units ? ` ${units}` : '';
+  if (min === null) {
+    return `< ${valueFormatter.format(max)}${suffix}`;
+  }
+  if (max === null) {
+    return `≥ ${valueFormatter.format(min)}${suffix}`;
+  }
+  return `${valueFormatter.format(min)} – ${valueFormatter.format(max)}${suffix}`;
+};
+
+function GradientScale({ stops, units = null }) {
+  return (
+    <div>
+      <div
+        className="h-4 w-full rounded-full border border-slate-200/60 transition-colors dark:border-white/10"
+        style={{ background: toColorBar(stops) }}
+      />
+      <div className="relative mt-2 h-4 text-xs text-slate-600 dark:text-slate-300">
+        {stops.map(({ position, value }, index) => (
+          <span
+            key={position}
+            className="absolute whitespace-nowrap"
+            style={{
+              left: `${position * 100}%`,
+              transform: index === 0 ? 'none' : index === stops.length - 1 ? 'translateX(-100%)' : 'translateX(-50%)',
+            }}
+          >
+            {valueFormatter.format(value)}
+          </span>
+        ))}
+      </div>
+      {units ? <p className="mt-1 text-right text-xs text-slate-500 dark:text-slate-400">{units}</p> : null}
+    </div>
+  );
+}
+
+function Legend({ status, product = null, legend = null }) {
+  const steps = legend?.steps ?? [];
+  const stops = legend?.stops ?? [];
+  const isGradient = legend?.mode === 'gradient';
+
   return (
     <section className="rounded-2xl border border-slate-200 bg-white/80 p-5 shadow-xl shadow-slate-200/60 backdrop-blur transition-colors dark:border-slate-800/70 dark:bg-slate-900/50 dark:shadow-slate-950/30">
       <header className="mb-4 flex items-start justify-between">
         <div>
-          <h2 className="text-lg font-semibold tracking-tight text-slate-900 dark:text-slate-100">Reflectivity Scale</h2>
-          <p className="text-sm text-slate-600 dark:text-slate-400">Gradient applied to the MRMS composite.</p>
+          <h2 className="text-lg font-semibold tracking-tight text-slate-900 dark:text-slate-100">{product?.label ?? 'Radar'} Scale</h2>
+          <p className="text-sm text-slate-600 dark:text-slate-400">
+            {legend?.label ?? 'Palette'} {isGradient ? 'gradient' : 'steps'} applied to the MRMS mosaic
+            {product?.units ? ` (${product.units})` : ''}.
+          </p>
         </div>
         <span className="rounded-full bg-slate-200 px-3 py-1 text-xs font-medium text-slate-700 transition-colors dark:bg-slate-800 dark:text-slate-300">
           {status === 'loading' && 'Updating'}
@@ -29,13 +77,17 @@ function Legend({ status }) {
       </header>
 
       <div className="space-y-3">
-        {COLOR_SCALE.map((step) => (
-          <div key={step.label} className="flex items-center gap-3">
+        {stops.length === 0 ? <p className="text-sm text-slate-500 dark:text-slate-400">Scale unavailable.</p> : null}
+        {isGradient && stops.length > 0 ? <GradientScale stops={stops} units={product?.units} /> : null}
+        {steps.map((step) => (
+          <div key={`${step.min}-${step.max}`} className="flex items-center gap-3">
             <div
               className="h-4 w-14 rounded-full border border-slate-200/60 transition-colors dark:border-white/10"
-              style={{ background: step.color }}
+              style={{ background: toGradient(step.rgba) }}
             />
-            <span className="text-sm text-slate-700 transition-colors dark:text-slate-200">{step.label}</span>
+            <span className="text-sm text-slate-700 transition-colors dark:text-slate-200">
+              {formatStepLabel(step, product?.units)}
+            </span>
           </div>
         ))}
       </div>
@@ -43,8 +95,35 @@ function Legend({ status }) {
   );
 }
 
+const stopShape = PropTypes.shape({
+  position: PropTypes.number.isRequired,
+  value: PropTypes.number.isRequired,
+  rgba: PropTypes.arrayOf(PropTypes.number).isRequired,
+});
+
+GradientScale.propTypes = {
+  stops: PropTypes.arrayOf(stopShape).isRequired,
+  units: PropTypes.string,
+};
+
 Legend.propTypes = {
   status: PropTypes.string.isRequired,
+  product: PropTypes.shape({
+    label: PropTypes.string,
+    units: PropTypes.string,
+  }),
+  legend: PropTypes.shape({
+    label: PropTypes.string,
+    mode: PropTypes.oneOf(['step', 'gradient']),
+    stops: PropTypes.arrayOf(stopShape),
+    steps: PropTypes.arrayOf(
+      PropTypes.shape({
+        min: PropTypes.number,
+        max: PropTypes.number,
+        rgba: PropTypes.arrayOf(PropTypes.number).isRequired,
+      })
+    ),
+  }),
 };
 
 export default Legend;
@@ -0,0 +1,132 @@
+import PropTypes from 'prop-types';
+
+import { LOOP_LENGTHS, LOOP_SPEEDS } from '../hooks/useRadarLoop.js';
+import { formatDateTime } from '../utils/formatters.js';
+
+const buttonClassName =
+  'inline-flex h-8 min-w-[2rem] items-center justify-center rounded-full border border-slate-300 bg-white/90 px-3 text-xs font-semibold text-slate-700 transition hover:bg-white disabled:cursor-not-allowed disabled:opacity-50 dark:border-slate-700/80 dark:bg-slate-900/80 dark:text-slate-200 dark:hover:bg-slate-800';
+
+const selectClassName =
+  'rounded-full border border-slate-300 bg-white/90 px-2 py-1 text-xs text-slate-700 dark:border-slate-700/80 dark:bg-slate-900/80 dark:text-slate-200';
+
+function LoopControls({ loop }) {
+  const {
+    enabled,
+    status,
+    error,
+    frames,
+    currentIndex,
+    currentFrame,
+    isPlaying,
+    speed,
+    loopLength,
+    toggleEnabled,
+    togglePlaying,
+    step,
+    seek,
+    setSpeed,
+    setLoopLength,
+  } = loop;
+
+  const hasFrames = frames.length > 0;
+
+  return (
+    <div className="pointer-events-auto absolute bottom-6 left-6 right-6 z-[1200] flex flex-wrap items-center gap-3 rounded-2xl bg-white/90 px-4 py-3 text-xs text-slate-700 shadow-lg shadow-slate-200/60 backdrop-blur dark:bg-slate-950/85 dark:text-slate-200 dark:shadow-slate-950/40">
+      <button type="button" className={buttonClassName} onClick={toggleEnabled} aria-pressed={enabled}>
+        {enabled ? 'Live view' : 'Loop'}
+      </button>
+
+      {enabled ? (
+        <>
+          <div className="flex items-center gap-1">
+            <button type="button" className={buttonClassName} onClick={() => step(-1)} disabled={!hasFrames} aria-label="Previous frame">
+              ◀
+            </button>
+            <button
+              type="button"
+              className={buttonClassName}
+              onClick={togglePlaying}
+              disabled={frames.length < 2}
+              aria-label={isPlaying ? 'Pause loop' : 'Play loop'}
+            >
+              {isPlaying ? '❚❚' : '▶'}
+            </button>
+            <button type="button" className={buttonClassName} onClick={() => step(1)} disabled={!hasFrames} aria-label="Next frame">
+              ▶▶
+            </button>
+          </div>
+
+          <input
+            type="range"
+            className="min-w-[120px] flex-1 accent-sky-500"
+            min={0}
+            max={Math.max(frames.length - 1, 0)}
+            value={currentIndex}
+            onChange={(event) => seek(Number(event.target.value))}
+            disabled={!hasFrames}
+            aria-label="Loop position"
+          />
+
+          <span className="min-w-[9rem] tabular-nums">
+            {status === 'loading' && !hasFrames ? 'Loading frames...' : null}
+            {status === 'error' && !hasFrames ? `Loop unavailable: ${error?.message ?? 'unknown error'}` : null}
+            {currentFrame ? `${formatDateTime(currentFrame.timestamp)} (${currentIndex + 1}/${frames.length})` : null}
+          </span>
+
+          <label className="flex items-center gap-1">
+            Speed
+            <select className={selectClassName} value={speed} onChange={(event) => setSpeed(Number(event.target.value))}>
+              {LOOP_SPEEDS.map((option) => (
+                <option key={option} value={option}>
+                  {option}×
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex items-center gap-1">
+            Frames
+            <select className={selectClassName} value={loopLength} onChange={(event) => setLoopLength(Number(event.target.value))}>
+              {LOOP_LENGTHS.map((option) => (
+                <option key={option} value={option}>
+                  {option}
+                </option>
+              ))}
+            </select>
+          </label>
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+LoopControls.propTypes = {
+  loop: PropTypes.shape({
+    enabled: PropTypes.bool.isRequired,
+    status: PropTypes.string.isRequired,
+    error: PropTypes.shape({
+      message: PropTypes.string,
+    }),
+    frames: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        timestamp: PropTypes.string,
+      })
+    ).isRequired,
+    currentIndex: PropTypes.number.isRequired,
+    currentFrame: PropTypes.shape({
+      timestamp: PropTypes.string,
+    }),
+    isPlaying: PropTypes.bool.isRequired,
+    speed: PropTypes.number.isRequired,
+    loopLength: PropTypes.number.isRequired,
+    toggleEnabled: PropTypes.func.isRequired,
+    togglePlaying: PropTypes.func.isRequired,
+    step: PropTypes.func.isRequired,
+    seek: PropTypes.func.isRequired,
+    setSpeed: PropTypes.func.isRequired,
+    setLoopLength: PropTypes.func.isRequired,
+  }).isRequired,
+};
+
+export default LoopControls;
@@ -1,8 +1,13 @@
 import 'leaflet/dist/leaflet.css';
 import PropTypes from 'prop-types';
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { ImageOverlay, MapContainer, TileLayer, useMap, useMapEvents } from 'react-leaflet';
+import { CircleMarker, MapContainer, TileLayer, useMap, useMapEvents } from 'react-leaflet';
 import { resolveApiUrl } from '../services/api.js';
+import CellLayer from './CellLayer.jsx';
+import ContourLayer from './ContourLayer.jsx';
+import LoopControls from './LoopControls.jsx';
+import NowcastControls from './NowcastControls.jsx';
+import VectorBandLayer from './VectorBandLayer.jsx';
 
 const valueFormatter = new Intl.NumberFormat('en-US', {
   maximumFractionDigits: 1,
@@ -50,6 +55,41 @@ function RadarInteraction({ grid = null, onHover }) {
   return null;
 }
 
+function ViewportWatcher({ onChange }) {
+  const map = useMap();
+
+  const report = useCallback(() => {
+    const bounds = map.getBounds();
+    const size = map.getSize();
+    onChange({
+      bbox: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()],
+      width: size.x,
+      height: size.y,
+      zoom: map.getZoom(),
+    });
+  }, [map, onChange]);
+
+  useEffect(() => {
+    report();
+  }, [report]);
+
+  useMapEvents({
+    moveend: report,
+  });
+
+  return null;
+}
+
+function PinOnClick({ onPin }) {
+  useMapEvents({
+    click(event) {
+      onPin({ lat: event.latlng.lat, lon: event.latlng.lng });
+    },
+  });
+
+  return null;
+}
+
 function FitBounds({ bounds = null }) {
   const map = useMap();
 
@@ -87,10 +127,45 @@ const expandBounds = (bounds, paddingDegrees = 0) => {
 };
 
 const MRMS_VIEW_BOUNDS = expandBounds(MRMS_BOUNDS, VIEW_PADDING_DEGREES); // Slight slack for smoother panning
+const RADAR_LAYER_Z_INDEX = 10;
+const RADAR_OPACITY = 0.7;
+
+const toLeafletBounds = (rawBounds) => {
+  if (!rawBounds) {
+    return null;
+  }
+
+  const [south, west, north, east] = rawBounds;
+  return [
+    [south, west],
+    [north, east],
+  ];
+};
 
-function MapView({ radar = null, status, error = null }) {
-  const grid = radar?.grid;
+function MapView({
+  radar = null,
+  status,
+  error = null,
+  loop = null,
+  pinnedPoint = null,
+  onPin = null,
+  onViewportChange = null,
+  paletteQuery = '',
+  cells = null,
+  contours = null,
+  nowcast = null,
+  vectorBands = false,
+  legend = null,
+}) {
   const metadata = radar?.metadata;
+  const loopFrames = loop?.enabled ? loop.frames : [];
+  const loopActive = loopFrames.length > 0;
+  const currentLoopFrame = loopActive ? loop.currentFrame : null;
+  // The loop replays observed frames, so it takes precedence over a selected forecast offset
+  const forecastLead = !loop?.enabled ? nowcast?.currentLead ?? null : null;
+  const grid = currentLoopFrame ? currentLoopFrame.grid : forecastLead ? nowcast.grid : radar?.grid;
+  const productLabel = metadata?.product?.label ?? 'Reflectivity';
+  const productUnits = metadata?.product?.units ?? 'dBZ';
 
   const tileAttribution = useMemo(
     () =>
@@ -98,56 +173,59 @@ function MapView({ radar = null, status, error = null }) {
     []
   );
 
-  const bounds = useMemo(() => {
-    if (!metadata?.bounds) {
-      return null;
-    }
-
-    const [south, west, north, east] = metadata.bounds;
-    return [
-      [south, west],
-      [north, east],
-    ];
-  }, [metadata]);
+  // Keyed on the values so a new frame with the same coverage (every frame of a replay) does not refit the map
+  const boundsKey = metadata?.bounds?.join(',') ?? null;
+  const bounds = useMemo(() => toLeafletBounds(boundsKey?.split(',').map(Number)), [boundsKey]);
 
-  const [hoverInfo, setHoverInfo] = useState(null);
+  const [hoverPoint, setHoverPoint] = useState(null);
 
-  const handleHover = useCallback(
-    (interaction) => {
-      if (!interaction || !grid) {
-        setHoverInfo(null);
-        return;
-      }
+  const handleHover = useCallback((interaction) => {
+    if (!interaction?.latlng || !interaction?.containerPoint) {
+      setHoverPoint(null);
+      return;
+    }
 
-      const { latlng, containerPoint } = interaction;
-      if (!latlng || !containerPoint) {
-        setHoverInfo(null);
-        return;
-      }
+    setHoverPoint(interaction);
+  }, []);
 
-      const value = grid.getValueAt(latlng.lat, latlng.lng);
+  // Derived from the active grid so the tooltip follows the loop as frames change under the cursor
+  const hoverInfo = useMemo(() => {
+    if (!hoverPoint || !grid) {
+      return null;
+    }
 
-      if (value === null || Number.isNaN(value)) {
-        setHoverInfo(null);
-        return;
-      }
+    const { latlng, containerPoint } = hoverPoint;
+    const value = grid.getValueAt(latlng.lat, latlng.lng);
 
-      setHoverInfo({
-        lat: latlng.lat,
-        lon: latlng.lng,
-        value,
-        x: containerPoint.x,
-        y: containerPoint.y,
-      });
-    },
-    [grid]
-  );
+    if (value === null || Number.isNaN(value)) {
+      return null;
+    }
 
-  const hasOverlay = Boolean(metadata?.imageUrl && bounds);
+    return {
+      lat: latlng.lat,
+      lon: latlng.lng,
+      value,
+      x: containerPoint.x,
+      y: containerPoint.y,
+    };
+  }, [grid, hoverPoint]);
+
+  // Versioned by timestamp so browsers never mix tiles from two different mosaics
+  // Forecast tiles are versioned by the observed frame they were extrapolated from
+  const overlayTemplate = forecastLead?.tileUrlTemplate ?? metadata?.tileUrlTemplate;
+  const overlayVersion = forecastLead ? nowcast.baseTimestamp : metadata?.timestamp;
   const overlayUrl = useMemo(() => {
-    if (!metadata?.imageUrl) return null;
-    return resolveApiUrl(metadata.imageUrl);
-  }, [metadata?.imageUrl]);
+    if (!overlayTemplate) return null;
+    const version = encodeURIComponent(overlayVersion ?? '');
+    const palette = paletteQuery ? `&${paletteQuery}` : '';
+    return `${resolveApiUrl(overlayTemplate)}?v=${version}${palette}`;
+  }, [overlayTemplate, overlayVersion, paletteQuery]);
+
+  // The latest frame can be drawn from vector tiles coloured with the current legend instead of PNGs
+  const vectorTileUrl = useMemo(() => {
+    if (!vectorBands || !legend || forecastLead || !metadata?.vectorTileUrlTemplate) return null;
+    return `${metadata.vectorTileUrlTemplate}?v=${encodeURIComponent(metadata.timestamp ?? '')}`;
+  }, [vectorBands, legend, forecastLead, metadata]);
 
   const mapRef = useRef(null);
 
@@ -190,17 +268,51 @@ function MapView({ radar = null, status, error = null }) {
         }}
       >
         <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" attribution={tileAttribution} />
-        {hasOverlay && overlayUrl ? (
-          <ImageOverlay
-            key={metadata.timestamp}
-            url={overlayUrl}
+        {loopActive
+          ? loopFrames.map((frame) => (
+              <TileLayer
+                key={`${frame.tileUrl}?${paletteQuery}`}
+                url={paletteQuery ? `${frame.tileUrl}?${paletteQuery}` : frame.tileUrl}
+                bounds={toLeafletBounds(frame.metadata.bounds) ?? bounds}
+                opacity={frame.id === currentLoopFrame?.id ? RADAR_OPACITY : 0}
+                zIndex={RADAR_LAYER_Z_INDEX}
+                maxZoom={MAX_ZOOM}
+              />
+            ))
+          : null}
+        {!loopActive && vectorTileUrl ? (
+          <VectorBandLayer
+            urlTemplate={vectorTileUrl}
+            legend={legend}
             bounds={bounds}
-            opacity={0.7}
-            interactive
+            opacity={RADAR_OPACITY}
+            zIndex={RADAR_LAYER_Z_INDEX}
+          />
+        ) : null}
+        {!loopActive && !vectorTileUrl && overlayUrl ? (
+          <TileLayer
+            key={overlayUrl}
+            url={overlayUrl}
+            bounds={bounds ?? undefined}
+            opacity={RADAR_OPACITY}
+            zIndex={RADAR_LAYER_Z_INDEX}
+            maxZoom={MAX_ZOOM}
           />
         ) : null}
         {bounds ? <FitBounds bounds={bounds} /> : null}
         {grid ? <RadarInteraction grid={grid} onHover={handleHover} /> : null}
+        {onPin ? <PinOnClick onPin={onPin} /> : null}
+        {onViewportChange ? <ViewportWatcher onChange={onViewportChange} /> : null}
+        {/* Cells and contours describe the latest mosaic, so they are hidden while an archived or forecast frame is on screen */}
+        {contours && !loopActive && !forecastLead ? <ContourLayer contours={contours} units={productUnits} /> : null}
+        {cells && !loopActive && !forecastLead ? <CellLayer cells={cells} units={productUnits} /> : null}
+        {pinnedPoint ? (
+          <CircleMarker
+            center={[pinnedPoint.lat, pinnedPoint.lon]}
+            radius={7}
+            pathOptions={{ color: '#0ea5e9', weight: 2, fillColor: '#ffffff', fillOpacity: 0.9 }}
+          />
+        ) : null}
       </MapContainer>
 
       <div className="pointer-events-none absolute right-6 top-6 z-[1200] flex flex-col items-end gap-2 text-sm">
@@ -216,6 +328,9 @@ function MapView({ radar = null, status, error = null }) {
         ) : null}
       </div>
 
+      {nowcast && !loop?.enabled ? <NowcastControls nowcast={nowcast} /> : null}
+      {loop ? <LoopControls loop={loop} /> : null}
+
       {hoverInfo ? (
         <div
           className="pointer-events-none absolute z-[1300] -translate-y-1/2 translate-x-4 rounded-2xl bg-white/95 px-4 py-3 text-xs font-medium text-slate-800 shadow-xl shadow-slate-300/50 backdrop-blur transition-colors dark:bg-slate-950/90 dark:text-slate-100 dark:shadow-slate-950/50"
@@ -224,8 +339,12 @@ function MapView({ radar = null, status, error = null }) {
             left: hoverInfo.x,
           }}
         >
-          <div className="text-[10px] uppercase tracking-wide text-slate-500 dark:text-slate-400">Reflectivity</div>
-          <div className="text-base text-slate-900 dark:text-slate-100">{valueFormatter.format(hoverInfo.value)} dBZ</div>
+          <div className="text-[10px] uppercase tracking-wide text-slate-500 dark:text-slate-400">
+            {forecastLead ? `${productLabel} · forecast +${forecastLead.minutes} min` : productLabel}
+          </div>
+          <div className="text-base text-slate-900 dark:text-slate-100">
+            {valueFormatter.format(hoverInfo.value)} {productUnits}
+          </div>
           <div className="mt-1 text-[11px] text-slate-600 dark:text-slate-300">
             {formatLatitude(hoverInfo.lat)} / {formatLongitude(hoverInfo.lon)}
           </div>
@@ -242,6 +361,14 @@ RadarInteraction.propTypes = {
   onHover: PropTypes.func.isRequired,
 };
 
+ViewportWatcher.propTypes = {
+  onChange: PropTypes.func.isRequired,
+};
+
+PinOnClick.propTypes = {
+  onPin: PropTypes.func.isRequired,
+};
+
 FitBounds.propTypes = {
   bounds: PropTypes.arrayOf(
     PropTypes.arrayOf(PropTypes.number)
@@ -252,8 +379,13 @@ MapView.propTypes = {
   radar: PropTypes.shape({
     metadata: PropTypes.shape({
       bounds: PropTypes.arrayOf(PropTypes.number),
-      imageUrl: PropTypes.string,
+      tileUrlTemplate: PropTypes.string,
+      vectorTileUrlTemplate: PropTypes.string,
       timestamp: PropTypes.string,
+      product: PropTypes.shape({
+        label: PropTypes.string,
+        units: PropTypes.string,
+      }),
     }),
     grid: PropTypes.shape({
       getValueAt: PropTypes.func.isRequired,
@@ -263,6 +395,52 @@ MapView.propTypes = {
   error: PropTypes.shape({
     message: PropTypes.string,
   }),
+  pinnedPoint: PropTypes.shape({
+    lat: PropTypes.number.isRequired,
+    lon: PropTypes.number.isRequired,
+  }),
+  onPin: PropTypes.func,
+  onViewportChange: PropTypes.func,
+  paletteQuery: PropTypes.string,
+  nowcast: PropTypes.shape({
+    baseTimestamp: PropTypes.string,
+    currentLead: PropTypes.shape({
+      minutes: PropTypes.number.isRequired,
+      tileUrlTemplate: PropTypes.string.isRequired,
+    }),
+    grid: PropTypes.shape({
+      getValueAt: PropTypes.func.isRequired,
+    }),
+  }),
+  cells: PropTypes.shape({
+    features: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }),
+  contours: PropTypes.shape({
+    features: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }),
+  vectorBands: PropTypes.bool,
+  legend: PropTypes.shape({
+    mode: PropTypes.string.isRequired,
+    stops: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }),
+  loop: PropTypes.shape({
+    enabled: PropTypes.bool.isRequired,
+    frames: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        tileUrl: PropTypes.string.isRequired,
+        metadata: PropTypes.shape({
+          bounds: PropTypes.arrayOf(PropTypes.number),
+        }).isRequired,
+        grid: PropTypes.shape({
+          getValueAt: PropTypes.func.isRequired,
+        }).isRequired,
+      })
+    ).isRequired,
+    currentFrame: PropTypes.shape({
+      id: PropTypes.string.isRequired,
+    }),
+  }),
 };
 
 
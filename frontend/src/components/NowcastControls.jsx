@@ -0,0 +1,63 @@
+import PropTypes from 'prop-types';
+
+import { formatDateTime } from '../utils/formatters.js';
+
+function NowcastControls({ nowcast }) {
+  const { leads, minutes, setMinutes, currentLead, status, error } = nowcast;
+  const offsets = [0, ...leads.map((lead) => lead.minutes)];
+  const index = Math.max(offsets.indexOf(minutes), 0);
+  const available = leads.length > 0;
+
+  return (
+    <div className="pointer-events-auto absolute left-16 top-4 z-[1200] flex w-64 flex-col gap-2 rounded-2xl bg-white/90 px-4 py-3 text-xs text-slate-700 shadow-lg shadow-slate-200/60 backdrop-blur dark:bg-slate-950/85 dark:text-slate-200 dark:shadow-slate-950/40">
+      <div className="flex items-center justify-between font-semibold">
+        <span>Forecast offset</span>
+        <span className="tabular-nums">{minutes > 0 ? `+${minutes} min` : 'Now'}</span>
+      </div>
+      <input
+        type="range"
+        className="accent-amber-500"
+        min={0}
+        max={offsets.length - 1}
+        step={1}
+        value={index}
+        onChange={(event) => setMinutes(offsets[Number(event.target.value)])}
+        disabled={!available}
+        aria-label="Forecast offset"
+      />
+      {currentLead ? (
+        <span className="rounded-full bg-amber-400/90 px-3 py-1 text-center font-semibold uppercase tracking-wide text-slate-900">
+          Forecast · valid {formatDateTime(currentLead.validTime)}
+        </span>
+      ) : null}
+      {!available && status === 'loading' ? <span>Loading nowcast...</span> : null}
+      {!available && status === 'error' ? (
+        <span className="text-slate-500 dark:text-slate-400">
+          Nowcast unavailable: {error?.message ?? 'unknown error'}
+        </span>
+      ) : null}
+    </div>
+  );
+}
+
+NowcastControls.propTypes = {
+  nowcast: PropTypes.shape({
+    leads: PropTypes.arrayOf(
+      PropTypes.shape({
+        minutes: PropTypes.number.isRequired,
+        validTime: PropTypes.string.isRequired,
+      })
+    ).isRequired,
+    minutes: PropTypes.number.isRequired,
+    setMinutes: PropTypes.func.isRequired,
+    currentLead: PropTypes.shape({
+      validTime: PropTypes.string.isRequired,
+    }),
+    status: PropTypes.string.isRequired,
+    error: PropTypes.shape({
+      message: PropTypes.string,
+    }),
+  }).isRequired,
+};
+
+export default NowcastControls;
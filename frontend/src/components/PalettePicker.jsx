@@ -0,0 +1,57 @@
+import PropTypes from 'prop-types';
+
+function PalettePicker({ palettes, value = null, defaultPalette = null, mode = null, onChange, onModeChange }) {
+  if (palettes.length === 0) {
+    return null;
+  }
+
+  const selected = palettes.find((palette) => palette.id === (value ?? defaultPalette)) ?? palettes[0];
+  // Without an explicit mode each palette renders in its own mode, so reflect that in the toggle
+  const smooth = (mode ?? selected.mode) === 'gradient';
+
+  return (
+    <div className="inline-flex items-center gap-3 rounded-full border border-slate-300 bg-white/90 px-3 py-1 text-xs font-semibold text-slate-700 shadow-sm shadow-slate-200/60 transition dark:border-slate-700/80 dark:bg-slate-900/70 dark:text-slate-200 dark:shadow-slate-950/40">
+      <label className="inline-flex items-center gap-2">
+        Palette
+        <select
+          className="bg-transparent text-xs font-medium focus:outline-none"
+          value={selected.id}
+          onChange={(event) => onChange(event.target.value)}
+        >
+          {palettes.map((palette) => (
+            <option key={palette.id} value={palette.id} title={palette.description} className="text-slate-900">
+              {palette.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="inline-flex items-center gap-1 font-medium">
+        <input
+          type="checkbox"
+          className="h-3 w-3 accent-sky-500"
+          checked={smooth}
+          onChange={(event) => onModeChange(event.target.checked ? 'gradient' : 'step')}
+        />
+        Smooth
+      </label>
+    </div>
+  );
+}
+
+PalettePicker.propTypes = {
+  palettes: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      description: PropTypes.string,
+      mode: PropTypes.oneOf(['step', 'gradient']).isRequired,
+    })
+  ).isRequired,
+  value: PropTypes.string,
+  defaultPalette: PropTypes.string,
+  mode: PropTypes.oneOf(['step', 'gradient']),
+  onChange: PropTypes.func.isRequired,
+  onModeChange: PropTypes.func.isRequired,
+};
+
+export default PalettePicker;
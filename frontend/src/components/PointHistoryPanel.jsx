@@ -0,0 +1,172 @@
+import PropTypes from 'prop-types';
+import { useMemo } from 'react';
+
+import { formatDateTime } from '../utils/formatters.js';
+
+const SPARKLINE_WIDTH = 260;
+const SPARKLINE_HEIGHT = 64;
+const SPARKLINE_PADDING = 4;
+
+const valueFormatter = new Intl.NumberFormat('en-US', {
+  maximumFractionDigits: 1,
+});
+
+const coordFormatter = new Intl.NumberFormat('en-US', {
+  maximumFractionDigits: 3,
+});
+
+const formatValue = (value, units) => (value === null || value === undefined ? '—' : `${valueFormatter.format(value)} ${units}`);
+
+// Gaps (no echo) break the line into segments rather than dropping to zero.
+function buildSparklinePaths(series) {
+  const values = series.map(({ value }) => value).filter((value) => value !== null);
+  if (values.length === 0) {
+    return { paths: [], min: null, max: null };
+  }
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const innerWidth = SPARKLINE_WIDTH - SPARKLINE_PADDING * 2;
+  const innerHeight = SPARKLINE_HEIGHT - SPARKLINE_PADDING * 2;
+  const step = series.length > 1 ? innerWidth / (series.length - 1) : 0;
+
+  const paths = [];
+  let current = '';
+  series.forEach(({ value }, index) => {
+    if (value === null) {
+      if (current) paths.push(current);
+      current = '';
+      return;
+    }
+
+    const x = SPARKLINE_PADDING + index * step;
+    const y = SPARKLINE_PADDING + innerHeight - ((value - min) / range) * innerHeight;
+    current += `${current ? 'L' : 'M'}${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  if (current) paths.push(current);
+
+  return { paths, min, max };
+}
+
+function PointHistoryPanel({ point, history = null, status, error = null, onClear }) {
+  const series = useMemo(() => history?.series ?? [], [history]);
+  const summary = history?.summary ?? null;
+  const units = history?.product?.units ?? '';
+  const sparkline = useMemo(() => buildSparklinePaths(series), [series]);
+
+  return (
+    <section className="rounded-2xl border border-slate-200 bg-white/80 p-5 shadow-lg shadow-slate-200/60 backdrop-blur transition-colors dark:border-slate-800/70 dark:bg-slate-900/60 dark:shadow-slate-950/30">
+      <header className="mb-3 flex items-start justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-semibold tracking-tight text-slate-900 dark:text-slate-100">Pinned Location</h2>
+          <p className="text-sm text-slate-600 dark:text-slate-400">
+            {coordFormatter.format(point.lat)}, {coordFormatter.format(point.lon)}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onClear}
+          className="rounded-full border border-slate-300 px-3 py-1 text-xs font-semibold text-slate-700 transition hover:bg-slate-100 dark:border-slate-700 dark:text-slate-200 dark:hover:bg-slate-800"
+        >
+          Clear
+        </button>
+      </header>
+
+      {status === 'loading' ? <p className="text-sm text-slate-500 dark:text-slate-400">Loading history...</p> : null}
+      {status === 'error' ? (
+        <p className="text-sm text-rose-700 dark:text-rose-300">History unavailable: {error?.message ?? 'unknown error'}</p>
+      ) : null}
+
+      {history && !history.withinGrid ? (
+        <p className="text-sm text-slate-500 dark:text-slate-400">This location is outside the radar coverage.</p>
+      ) : null}
+
+      {history?.withinGrid ? (
+        <>
+          {sparkline.paths.length > 0 ? (
+            <svg
+              viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`}
+              className="h-16 w-full text-sky-500"
+              role="img"
+              aria-label={`${history.product?.label ?? 'Radar'} over the last ${series.length} frames`}
+            >
+              {sparkline.paths.map((path) => (
+                <path key={path} d={path} fill="none" stroke="currentColor" strokeWidth="2" strokeLinejoin="round" />
+              ))}
+            </svg>
+          ) : (
+            <p className="text-sm text-slate-500 dark:text-slate-400">No echo at this location in the archived frames.</p>
+          )}
+
+          <div className="mt-1 flex justify-between text-[11px] text-slate-500 dark:text-slate-400">
+            <span>{series.length ? formatDateTime(series[0].timestamp) : '—'}</span>
+            <span>{series.length ? formatDateTime(series.at(-1).timestamp) : '—'}</span>
+          </div>
+
+          <dl className="mt-4 grid grid-cols-2 gap-3 text-sm">
+            <div>
+              <dt className="text-slate-500 dark:text-slate-400">Latest</dt>
+              <dd className="text-slate-900 dark:text-slate-100">{formatValue(summary?.latest, units)}</dd>
+            </div>
+            <div>
+              <dt className="text-slate-500 dark:text-slate-400">Peak</dt>
+              <dd className="text-slate-900 dark:text-slate-100">
+                {formatValue(summary?.max, units)}
+                {summary?.maxTimestamp ? (
+                  <span className="block text-xs text-slate-500 dark:text-slate-500/80">{formatDateTime(summary.maxTimestamp)}</span>
+                ) : null}
+              </dd>
+            </div>
+            {(summary?.thresholds ?? []).map(({ threshold, minutes }) => (
+              <div key={threshold}>
+                <dt className="text-slate-500 dark:text-slate-400">
+                  ≥ {valueFormatter.format(threshold)} {units}
+                </dt>
+                <dd className="text-slate-900 dark:text-slate-100">{Math.round(minutes)} min</dd>
+              </div>
+            ))}
+          </dl>
+        </>
+      ) : null}
+    </section>
+  );
+}
+
+PointHistoryPanel.propTypes = {
+  point: PropTypes.shape({
+    lat: PropTypes.number.isRequired,
+    lon: PropTypes.number.isRequired,
+  }).isRequired,
+  history: PropTypes.shape({
+    withinGrid: PropTypes.bool,
+    product: PropTypes.shape({
+      label: PropTypes.string,
+      units: PropTypes.string,
+    }),
+    series: PropTypes.arrayOf(
+      PropTypes.shape({
+        timestamp: PropTypes.string.isRequired,
+        value: PropTypes.number,
+      })
+    ),
+    summary: PropTypes.shape({
+      latest: PropTypes.number,
+      max: PropTypes.number,
+      maxTimestamp: PropTypes.string,
+      thresholds: PropTypes.arrayOf(
+        PropTypes.shape({
+          threshold: PropTypes.number.isRequired,
+          minutes: PropTypes.number.isRequired,
+        })
+      ),
+    }),
+  }),
+  status: PropTypes.string.isRequired,
+  error: PropTypes.shape({
+    message: PropTypes.string,
+  }),
+  onClear: PropTypes.func.isRequired,
+};
+
+export default PointHistoryPanel;
@@ -0,0 +1,42 @@
+import PropTypes from 'prop-types';
+
+function ProductPicker({ products, value = null, onChange, disabled = false }) {
+  if (products.length < 2) {
+    return null;
+  }
+
+  const selectedId = value ?? products.find((product) => product.isDefault)?.id ?? products[0].id;
+
+  return (
+    <label className="inline-flex items-center gap-2 rounded-full border border-slate-300 bg-white/90 px-3 py-1 text-xs font-semibold text-slate-700 shadow-sm shadow-slate-200/60 transition dark:border-slate-700/80 dark:bg-slate-900/70 dark:text-slate-200 dark:shadow-slate-950/40">
+      Product
+      <select
+        className="bg-transparent text-xs font-medium focus:outline-none"
+        value={selectedId}
+        onChange={(event) => onChange(event.target.value)}
+        disabled={disabled}
+      >
+        {products.map((product) => (
+          <option key={product.id} value={product.id} className="text-slate-900">
+            {product.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+ProductPicker.propTypes = {
+  products: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      isDefault: PropTypes.bool,
+    })
+  ).isRequired,
+  value: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+export default ProductPicker;
@@ -5,6 +5,8 @@ import { formatDateTime, formatRelativeTime } from '../utils/formatters.js';
 function RadarSummaryCard({ metadata, status }) {
   const minValue = Number.isFinite(Number(metadata?.minValue)) ? metadata.minValue : null;
   const maxValue = Number.isFinite(Number(metadata?.maxValue)) ? metadata.maxValue : null;
+  const units = metadata?.product?.units ?? 'dBZ';
+  const quantity = metadata?.product?.label ?? 'reflectivity';
 
   return (
     <section className="rounded-2xl border border-slate-200 bg-white/80 p-5 shadow-lg shadow-slate-200/60 backdrop-blur transition-colors dark:border-slate-800/70 dark:bg-slate-900/60 dark:shadow-slate-950/30">
@@ -20,12 +22,12 @@ function RadarSummaryCard({ metadata, status }) {
 
       <dl className="grid grid-cols-2 gap-4 text-sm">
         <div>
-          <dt className="text-slate-500 dark:text-slate-400">Minimum reflectivity</dt>
-          <dd className="text-slate-900 dark:text-slate-100">{minValue !== null ? `${minValue.toFixed(1)} dBZ` : '—'}</dd>
+          <dt className="text-slate-500 dark:text-slate-400">Minimum</dt>
+          <dd className="text-slate-900 dark:text-slate-100">{minValue !== null ? `${minValue.toFixed(1)} ${units}` : '—'}</dd>
         </div>
         <div>
-          <dt className="text-slate-500 dark:text-slate-400">Maximum reflectivity</dt>
-          <dd className="text-slate-900 dark:text-slate-100">{maxValue !== null ? `${maxValue.toFixed(1)} dBZ` : '—'}</dd>
+          <dt className="text-slate-500 dark:text-slate-400">Maximum</dt>
+          <dd className="text-slate-900 dark:text-slate-100">{maxValue !== null ? `${maxValue.toFixed(1)} ${units}` : '—'}</dd>
         </div>
         <div>
           <dt className="text-slate-500 dark:text-slate-400">Updated</dt>
@@ -41,7 +43,7 @@ function RadarSummaryCard({ metadata, status }) {
           <dd className="text-slate-900 dark:text-slate-100">
             {metadata?.origin?.source ? metadata.origin.source : 'MRMS / NOAA'}
             <span className="block text-xs text-slate-500 dark:text-slate-500/80">
-              {metadata?.origin?.dataset ?? 'composite reflectivity (dBZ)'}
+              {metadata?.origin?.dataset ?? `${quantity} (${units})`}
             </span>
           </dd>
         </div>
@@ -63,6 +65,10 @@ RadarSummaryCard.propTypes = {
       source: PropTypes.string,
       dataset: PropTypes.string,
     }),
+    product: PropTypes.shape({
+      label: PropTypes.string,
+      units: PropTypes.string,
+    }),
   }),
   status: PropTypes.string.isRequired,
 };
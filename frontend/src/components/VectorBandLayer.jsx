@@ -0,0 +1,159 @@
+import L from 'leaflet';
+import PropTypes from 'prop-types';
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+
+import { fetchRadarVectorTile } from '../services/api.js';
+import { decodeVectorTile } from '../utils/vectorTile.js';
+
+const BAND_LAYER = 'bands';
+
+const toTileKey = ({ z, x, y }) => `${z}/${x}/${y}`;
+
+const toCss = ([r, g, b, a]) => `rgba(${r},${g},${b},${(a / 255).toFixed(3)})`;
+
+// Colour of a band under the selected legend: step palettes use the step holding the band's lower
+// edge, gradients are sampled at the middle of the band. Null leaves the band undrawn.
+function resolveBandColor(legend, level, upperLevel) {
+  if (legend.mode === 'step' && legend.steps?.length) {
+    const step = legend.steps.find(({ min, max }) => (min === null || level >= min) && (max === null || level < max));
+    return step ? toCss(step.rgba) : null;
+  }
+
+  const stops = legend.stops ?? [];
+  const value = upperLevel === null || upperLevel === undefined ? level : (level + upperLevel) / 2;
+  if (stops.length === 0 || value < stops[0].value) {
+    return null;
+  }
+  const upperIndex = stops.findIndex((stop) => stop.value > value);
+  if (upperIndex === -1) {
+    return toCss(stops.at(-1).rgba);
+  }
+  const lower = stops[upperIndex - 1];
+  const upper = stops[upperIndex];
+  const t = (value - lower.value) / (upper.value - lower.value);
+  return toCss(lower.rgba.map((channel, index) => Math.round(channel + t * (upper.rgba[index] - channel))));
+}
+
+function drawBands(canvas, bands, legend) {
+  const context = canvas.getContext('2d');
+  context.setTransform(1, 0, 0, 1, 0, 0);
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  if (!bands) {
+    return;
+  }
+
+  const scale = canvas.width / bands.extent;
+  context.setTransform(scale, 0, 0, scale, 0, 0);
+  bands.features.forEach(({ properties, rings }) => {
+    const color = resolveBandColor(legend, properties.level, properties.upperLevel);
+    if (!color) {
+      return;
+    }
+
+    context.beginPath();
+    rings.forEach((ring) => {
+      ring.forEach(([x, y], index) => (index === 0 ? context.moveTo(x, y) : context.lineTo(x, y)));
+      context.closePath();
+    });
+    context.fillStyle = color;
+    context.fill('evenodd');
+  });
+}
+
+// Canvas tile layer for /vt tiles. Bands are coloured in the browser, so switching palettes only
+// repaints the tiles already loaded instead of fetching new PNGs.
+function VectorBandLayer({ urlTemplate, legend, opacity = 1, zIndex = 1, bounds = null }) {
+  const map = useMap();
+  const layerRef = useRef(null);
+  const legendRef = useRef(legend);
+  legendRef.current = legend;
+
+  useEffect(() => {
+    // Decoded bands per loaded tile, kept so a legend change can repaint without refetching
+    const tiles = new Map();
+
+    const BandGridLayer = L.GridLayer.extend({
+      createTile(coords, done) {
+        const tileSize = this.getTileSize();
+        const pixelRatio = window.devicePixelRatio || 1;
+        const canvas = L.DomUtil.create('canvas', 'leaflet-tile');
+        canvas.width = tileSize.x * pixelRatio;
+        canvas.height = tileSize.y * pixelRatio;
+        canvas.style.width = `${tileSize.x}px`;
+        canvas.style.height = `${tileSize.y}px`;
+
+        const controller = new AbortController();
+        const key = toTileKey(coords);
+        tiles.set(key, { canvas, bands: null, controller });
+
+        const url = L.Util.template(urlTemplate, { z: coords.z, x: coords.x, y: coords.y });
+        fetchRadarVectorTile(url, { signal: controller.signal })
+          .then((buffer) => {
+            const bands = decodeVectorTile(buffer)[BAND_LAYER] ?? null;
+            const entry = tiles.get(key);
+            if (entry?.canvas === canvas) {
+              entry.bands = bands;
+            }
+            drawBands(canvas, bands, legendRef.current);
+            done(null, canvas);
+          })
+          .catch((error) => {
+            if (!controller.signal.aborted) {
+              done(error, canvas);
+            }
+          });
+
+        return canvas;
+      },
+    });
+
+    const layer = new BandGridLayer({ opacity, zIndex, bounds: bounds ?? undefined });
+    layer.on('tileunload', ({ coords }) => {
+      const key = toTileKey(coords);
+      tiles.get(key)?.controller.abort();
+      tiles.delete(key);
+    });
+    layer.repaint = () => tiles.forEach(({ canvas, bands }) => drawBands(canvas, bands, legendRef.current));
+    layer.addTo(map);
+    layerRef.current = layer;
+
+    return () => {
+      tiles.forEach(({ controller }) => controller.abort());
+      tiles.clear();
+      layer.remove();
+      layerRef.current = null;
+    };
+  }, [map, urlTemplate, opacity, zIndex, bounds]);
+
+  useEffect(() => {
+    layerRef.current?.repaint();
+  }, [legend]);
+
+  return null;
+}
+
+VectorBandLayer.propTypes = {
+  urlTemplate: PropTypes.string.isRequired,
+  legend: PropTypes.shape({
+    mode: PropTypes.string.isRequired,
+    stops: PropTypes.arrayOf(
+      PropTypes.shape({
+        value: PropTypes.number.isRequired,
+        rgba: PropTypes.arrayOf(PropTypes.number).isRequired,
+      })
+    ).isRequired,
+    steps: PropTypes.arrayOf(
+      PropTypes.shape({
+        min: PropTypes.number,
+        max: PropTypes.number,
+        rgba: PropTypes.arrayOf(PropTypes.number).isRequired,
+      })
+    ),
+  }).isRequired,
+  opacity: PropTypes.number,
+  zIndex: PropTypes.number,
+  bounds: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+};
+
+export default VectorBandLayer;
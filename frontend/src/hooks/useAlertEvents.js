@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react';
+
+import { fetchAlertEvents } from '../services/api.js';
+
+// Alerts are evaluated once per radar build, so polling at the build cadence is enough.
+const ALERTS_REFRESH_INTERVAL = 60_000;
+
+// Trigger events for the areas that are currently alerting, newest first.
+export function useAlertEvents() {
+  const [events, setEvents] = useState([]);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadEvents() {
+      setStatus((prev) => (prev === 'success' ? 'refreshing' : 'loading'));
+
+      try {
+        const { results } = await fetchAlertEvents({ active: true });
+        if (cancelled) {
+          return;
+        }
+        setEvents(results ?? []);
+        setError(null);
+        setStatus('success');
+      } catch (err) {
+        if (cancelled) {
+          return;
+        }
+        // Alerts are optional (they need MongoDB); keep the last known list rather than flashing it away
+        setError(err);
+        setStatus('error');
+      }
+    }
+
+    loadEvents();
+    const interval = setInterval(loadEvents, ALERTS_REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, []);
+
+  return { events, status, error };
+}
@@ -0,0 +1,199 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+import {
+  fetchCaseFrames,
+  fetchRadarFrameMetadata,
+  fetchRadarGridBinary,
+  fetchRadarGridMetadata,
+} from '../services/api.js';
+import { buildGrid } from '../utils/radarGrid.js';
+
+const BASE_FRAME_DURATION_MS = 500;
+// Grids only back hover values, so the same decimated resolution as the live loop is enough
+const REPLAY_GRID_RESOLUTION = { maxRows: 512, maxCols: 1024 };
+// A case can hold hundreds of frames, so only the ones around the scrubber are kept loaded
+const MAX_CACHED_FRAMES = 12;
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+async function loadFrame(summary) {
+  const [metadata, gridMetadata] = await Promise.all([
+    fetchRadarFrameMetadata(summary.metadataUrl),
+    fetchRadarGridMetadata(summary.gridUrl, REPLAY_GRID_RESOLUTION),
+  ]);
+  const binary = await fetchRadarGridBinary(gridMetadata.dataUrl);
+
+  return {
+    id: summary.id,
+    timestamp: summary.timestamp,
+    metadata,
+    grid: buildGrid(gridMetadata, binary),
+  };
+}
+
+// Replays a stored case bundle. `frameCount` comes from the case list and refetches the frame list
+// while the case is still building.
+export function useCaseReplay(caseId, frameCount = 0) {
+  const [frames, setFrames] = useState([]);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [displayFrame, setDisplayFrame] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const frameCacheRef = useRef(new Map());
+
+  useEffect(() => {
+    frameCacheRef.current.clear();
+    setFrames([]);
+    setCurrentIndex(0);
+    setDisplayFrame(null);
+    setIsPlaying(false);
+    setStatus(caseId ? 'loading' : 'idle');
+    setError(null);
+  }, [caseId]);
+
+  useEffect(() => {
+    if (!caseId) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    async function loadFrameList() {
+      try {
+        const data = await fetchCaseFrames(caseId);
+        if (cancelled) {
+          return;
+        }
+
+        const summaries = Array.isArray(data?.frames) ? data.frames : [];
+        setFrames(summaries);
+        setCurrentIndex((prev) => Math.min(prev, Math.max(summaries.length - 1, 0)));
+        if (summaries.length === 0) {
+          setStatus('success');
+        }
+      } catch (err) {
+        if (cancelled) {
+          return;
+        }
+        setError(err);
+        setStatus('error');
+      }
+    }
+
+    loadFrameList();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [caseId, frameCount]);
+
+  const requestFrame = useCallback((summary) => {
+    const frameCache = frameCacheRef.current;
+    const pending = frameCache.get(summary.metadataUrl) ?? loadFrame(summary);
+    // Re-inserted on every request so Map order runs from least to most recently requested
+    frameCache.delete(summary.metadataUrl);
+    frameCache.set(summary.metadataUrl, pending);
+    while (frameCache.size > MAX_CACHED_FRAMES) {
+      frameCache.delete(frameCache.keys().next().value);
+    }
+    return pending;
+  }, []);
+
+  const currentSummary = frames[currentIndex] ?? null;
+  const nextSummary = frames.length > 1 ? frames[(currentIndex + 1) % frames.length] : null;
+
+  useEffect(() => {
+    if (!currentSummary) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    // The previous frame stays on screen until this one has loaded, so scrubbing never blanks the map
+    requestFrame(currentSummary)
+      .then((frame) => {
+        if (cancelled) {
+          return;
+        }
+        setDisplayFrame(frame);
+        setStatus('success');
+        setError(null);
+      })
+      .catch((err) => {
+        frameCacheRef.current.delete(currentSummary.metadataUrl);
+        if (cancelled) {
+          return;
+        }
+        setIsPlaying(false);
+        setError(err);
+        setStatus('error');
+      });
+
+    if (nextSummary) {
+      requestFrame(nextSummary).catch(() => frameCacheRef.current.delete(nextSummary.metadataUrl));
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentSummary, nextSummary, requestFrame]);
+
+  const isCurrentFrameShown = Boolean(currentSummary) && displayFrame?.id === currentSummary.id;
+
+  useEffect(() => {
+    // Playback waits on the frame being loaded rather than skipping ahead of the network
+    if (!isPlaying || frames.length < 2 || !isCurrentFrameShown) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      setCurrentIndex((prev) => (prev + 1) % frames.length);
+    }, BASE_FRAME_DURATION_MS / speed);
+
+    return () => clearTimeout(timer);
+  }, [isPlaying, frames.length, isCurrentFrameShown, speed]);
+
+  const togglePlaying = useCallback(() => {
+    setIsPlaying((prev) => !prev);
+  }, []);
+
+  const step = useCallback(
+    (delta) => {
+      if (frames.length === 0) {
+        return;
+      }
+
+      setIsPlaying(false);
+      setCurrentIndex((prev) => (prev + delta + frames.length) % frames.length);
+    },
+    [frames.length]
+  );
+
+  const seek = useCallback(
+    (index) => {
+      if (frames.length === 0) {
+        return;
+      }
+
+      setIsPlaying(false);
+      setCurrentIndex(Math.min(Math.max(index, 0), frames.length - 1));
+    },
+    [frames.length]
+  );
+
+  return {
+    status,
+    error,
+    frames,
+    currentIndex,
+    currentFrame: displayFrame,
+    isLoadingFrame: Boolean(currentSummary) && !isCurrentFrameShown,
+    isPlaying,
+    speed,
+    togglePlaying,
+    step,
+    seek,
+    setSpeed,
+  };
+}
@@ -0,0 +1,56 @@
+import { useEffect, useState } from 'react';
+
+import { fetchPointHistory } from '../services/api.js';
+
+const HISTORY_REFRESH_INTERVAL = 60_000;
+
+export function usePointHistory(product, point) {
+  const [data, setData] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+
+  const lat = point?.lat;
+  const lon = point?.lon;
+
+  useEffect(() => {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      setData(null);
+      setStatus('idle');
+      setError(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    async function loadHistory() {
+      setStatus((prev) => (prev === 'success' ? 'refreshing' : 'loading'));
+      setError(null);
+
+      try {
+        const history = await fetchPointHistory(product, { lat, lon });
+        if (cancelled) {
+          return;
+        }
+        setData(history);
+        setStatus('success');
+      } catch (err) {
+        if (cancelled) {
+          return;
+        }
+        setError(err);
+        setStatus('error');
+      }
+    }
+
+    setData(null);
+    loadHistory();
+    const interval = setInterval(loadHistory, HISTORY_REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [product, lat, lon]);
+
+  return { data, status, error };
+}
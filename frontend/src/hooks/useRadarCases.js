@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import { fetchCases } from '../services/api.js';
+
+// Case builds take minutes, so the list is only polled while one is still queued or building
+const PENDING_REFRESH_INTERVAL = 10_000;
+const PENDING_STATUSES = ['queued', 'building'];
+
+export function useRadarCases({ enabled = true } = {}) {
+  const [cases, setCases] = useState([]);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const [refreshToken, setRefreshToken] = useState(0);
+
+  const hasPending = cases.some((item) => PENDING_STATUSES.includes(item.status));
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    async function loadCases() {
+      setStatus((prev) => (prev === 'success' ? 'refreshing' : 'loading'));
+      setError(null);
+
+      try {
+        const data = await fetchCases();
+        if (cancelled) {
+          return;
+        }
+
+        setCases(Array.isArray(data?.results) ? data.results : []);
+        setStatus('success');
+      } catch (err) {
+        if (cancelled) {
+          return;
+        }
+        setError(err);
+        setStatus('error');
+      }
+    }
+
+    loadCases();
+    const interval = hasPending ? setInterval(loadCases, PENDING_REFRESH_INTERVAL) : null;
+
+    return () => {
+      cancelled = true;
+      if (interval) {
+        clearInterval(interval);
+      }
+    };
+  }, [enabled, hasPending, refreshToken]);
+
+  const refresh = useCallback(() => {
+    setRefreshToken((prev) => prev + 1);
+  }, []);
+
+  return { cases, status, error, refresh };
+}
@@ -0,0 +1,53 @@
+import { useEffect, useState } from 'react';
+
+import { fetchRadarCells } from '../services/api.js';
+
+const CELLS_REFRESH_INTERVAL = 60_000;
+
+export function useRadarCells(product, { enabled = true } = {}) {
+  const [data, setData] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) {
+      setData(null);
+      setStatus('idle');
+      setError(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    async function loadCells() {
+      setStatus((prev) => (prev === 'success' ? 'refreshing' : 'loading'));
+      setError(null);
+
+      try {
+        const cells = await fetchRadarCells(product);
+        if (cancelled) {
+          return;
+        }
+        setData(cells);
+        setStatus('success');
+      } catch (err) {
+        if (cancelled) {
+          return;
+        }
+        setError(err);
+        setStatus('error');
+      }
+    }
+
+    setData(null);
+    loadCells();
+    const interval = setInterval(loadCells, CELLS_REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [product, enabled]);
+
+  return { data, status, error };
+}
@@ -0,0 +1,53 @@
+import { useEffect, useState } from 'react';
+
+import { fetchRadarContours } from '../services/api.js';
+
+const CONTOURS_REFRESH_INTERVAL = 60_000;
+
+export function useRadarContours(product, { enabled = true } = {}) {
+  const [data, setData] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) {
+      setData(null);
+      setStatus('idle');
+      setError(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    async function loadContours() {
+      setStatus((prev) => (prev === 'success' ? 'refreshing' : 'loading'));
+      setError(null);
+
+      try {
+        const contours = await fetchRadarContours(product);
+        if (cancelled) {
+          return;
+        }
+        setData(contours);
+        setStatus('success');
+      } catch (err) {
+        if (cancelled) {
+          return;
+        }
+        setError(err);
+        setStatus('error');
+      }
+    }
+
+    setData(null);
+    loadContours();
+    const interval = setInterval(loadContours, CONTOURS_REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [product, enabled]);
+
+  return { data, status, error };
+}
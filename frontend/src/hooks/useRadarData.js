@@ -1,237 +1,284 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
+
+import {
+  createRadarEventSource,
+  fetchLatestRadar,
+  fetchRadarGridBinary,
+  fetchRadarGridMetadata,
+} from '../services/api.js';
+import { buildGrid, NO_DATA_DBZ_THRESHOLD } from '../utils/radarGrid.js';
+
+// The grid is fetched for a padded viewport so small pans stay inside the loaded area.
+const VIEWPORT_PADDING_RATIO = 0.25;
+// Used when no viewport is supplied: a coarse whole-mosaic grid is enough for hover values.
+const DEFAULT_GRID_RESOLUTION = { maxRows: 512, maxCols: 1024 };
+// Stream reconnects back off exponentially; latest metadata is polled while the stream is down.
+const STREAM_RETRY_BASE_MS = 1_000;
+const STREAM_RETRY_MAX_MS = 60_000;
+const POLL_INTERVAL_MS = 60_000;
 
-import { fetchLatestRadar, fetchRadarGridBinary, fetchRadarGridMetadata } from '../services/api.js';
-
-const NO_DATA_DBZ_THRESHOLD = -90; // MRMS flag for no coverage is -99 dBZ; anything below this is considered missing
-
-function normaliseEncoding(encoding = {}) {
-  const scale = Number.isFinite(Number(encoding.scale)) ? Number(encoding.scale) : 1;
-  const offset = Number.isFinite(Number(encoding.offset)) ? Number(encoding.offset) : 0;
-  const missing = Number.isFinite(Number(encoding.missing)) ? Number(encoding.missing) : -32768;
+function trimMetadata(latest) {
+  return {
+    product: latest.product,
+    timestamp: latest.timestamp,
+    bounds: latest.bounds,
+    rows: latest.rows,
+    cols: latest.cols,
+    latStep: latest.latStep,
+    lonStep: latest.lonStep,
+    origin: latest.origin,
+    minValue: latest.minValue,
+    maxValue: latest.maxValue,
+    imageUrl: latest.imageUrl,
+    tileUrlTemplate: latest.tileUrlTemplate,
+    vectorTileUrlTemplate: latest.vectorTileUrlTemplate,
+    gridUrl: latest.gridUrl,
+    gridDataUrl: latest.gridDataUrl,
+    dataEncoding: latest.dataEncoding,
+  };
+}
 
+function sanitiseMetadata(metadata) {
+  const metadataMin = Number(metadata.minValue);
+  const metadataMax = Number(metadata.maxValue);
   return {
-    format: encoding.format || 'int16',
-    scale,
-    offset,
-    missing,
-    description: encoding.description,
+    ...metadata,
+    minValue: Number.isFinite(metadataMin) && metadataMin > NO_DATA_DBZ_THRESHOLD ? metadataMin : null,
+    maxValue: Number.isFinite(metadataMax) ? metadataMax : null,
   };
 }
 
-function toArrayBuffer(binary) {
-  if (binary instanceof ArrayBuffer) {
-    return binary;
+const sameBounds = (a, b) => a?.length === b?.length && a.every((value, index) => value === b[index]);
+
+// Swaps in a newer frame's metadata. Unchanged bounds keep their identity so the map does not refit.
+function mergeLatest(current, latest) {
+  if (!latest?.timestamp || !latest.gridUrl || current?.timestamp === latest.timestamp) {
+    return current;
   }
 
-  if (ArrayBuffer.isView(binary)) {
-    return binary.buffer.slice(binary.byteOffset, binary.byteOffset + binary.byteLength);
+  const next = trimMetadata(latest);
+  return current && sameBounds(current.bounds, next.bounds) ? { ...next, bounds: current.bounds } : next;
+}
+
+function parseEventData(event) {
+  try {
+    return JSON.parse(event.data);
+  } catch {
+    return null;
   }
+}
 
-  if (binary?.buffer instanceof ArrayBuffer) {
-    return binary.buffer.slice(
-      binary.byteOffset ?? 0,
-      (binary.byteOffset ?? 0) + (binary.byteLength ?? binary.buffer.byteLength)
-    );
+// Pads the viewport, clips it to the mosaic, and sizes the grid at roughly one cell per screen pixel.
+function buildGridRequest(viewport, metadata) {
+  const [west, south, east, north] = viewport.bbox;
+  const [gridSouth, gridWest, gridNorth, gridEast] = metadata.bounds;
+  const padLon = (east - west) * VIEWPORT_PADDING_RATIO;
+  const padLat = (north - south) * VIEWPORT_PADDING_RATIO;
+
+  const bbox = [
+    Math.max(west - padLon, gridWest, -180),
+    Math.max(south - padLat, gridSouth, -90),
+    Math.min(east + padLon, gridEast, 180),
+    Math.min(north + padLat, gridNorth, 90),
+  ];
+
+  if (bbox[0] >= bbox[2] || bbox[1] >= bbox[3]) {
+    return null;
   }
 
-  throw new TypeError('Unsupported binary grid payload');
+  const scale = 1 + VIEWPORT_PADDING_RATIO * 2;
+  return {
+    bbox,
+    zoom: viewport.zoom,
+    params: {
+      bbox: bbox.map((value) => value.toFixed(4)).join(','),
+      maxCols: Math.max(1, Math.round(viewport.width * scale)),
+      maxRows: Math.max(1, Math.round(viewport.height * scale)),
+    },
+  };
 }
 
-function buildGrid(metadata, binaryData) {
-  const encoding = normaliseEncoding(metadata.dataEncoding);
-  const arrayBuffer = toArrayBuffer(binaryData);
-  const raw = new Int16Array(arrayBuffer);
-
-  const [rawSouth, rawWest, rawNorth, rawEast] = metadata.bounds;
-  const south = Math.min(rawSouth, rawNorth);
-  const north = Math.max(rawSouth, rawNorth);
-  const west = Math.min(rawWest, rawEast);
-  const east = Math.max(rawWest, rawEast);
-
-  const rows = Number(metadata.rows);
-  const cols = Number(metadata.cols);
-  const latStepSize = Math.abs(Number(metadata.latStep)) || 0;
-  const lonStepSize = Math.abs(Number(metadata.lonStep)) || 0;
-  const latHalfStep = latStepSize / 2;
-  const lonHalfStep = lonStepSize / 2;
-
-  let computedMin = Infinity;
-  let computedMax = -Infinity;
-
-  const decodeRaw = (rawValue) => {
-    if (rawValue === encoding.missing) {
-      return null;
-    }
+function containsViewport(request, viewport) {
+  const [west, south, east, north] = viewport.bbox;
+  const [reqWest, reqSouth, reqEast, reqNorth] = request.bbox;
+  return west >= reqWest && south >= reqSouth && east <= reqEast && north <= reqNorth;
+}
 
-    const value = rawValue * encoding.scale + encoding.offset;
+export function useRadarData(product, viewport = null) {
+  const [metadata, setMetadata] = useState(null);
+  const [grid, setGrid] = useState(null);
+  const [gridRequest, setGridRequest] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const [connection, setConnection] = useState('connecting');
+  const [pipeline, setPipeline] = useState({ state: 'ok', message: null });
 
-    if (!Number.isFinite(value)) {
-      return null;
-    }
+  useEffect(() => {
+    let cancelled = false;
 
-    if (value <= NO_DATA_DBZ_THRESHOLD) {
-      return null;
-    }
+    async function loadLatestRadar() {
+      setStatus('loading');
+      setError(null);
+      setMetadata(null);
+      setGrid(null);
 
-    return value;
-  };
+      try {
+        const latest = await fetchLatestRadar(product);
+        if (cancelled) {
+          return;
+        }
 
-  for (let i = 0; i < raw.length; i += 1) {
-    const candidate = decodeRaw(raw[i]);
+        if (!latest.gridUrl) {
+          throw new Error('Grid metadata endpoint not found');
+        }
 
-    if (candidate === null) {
-      continue;
+        // The stream may already have delivered this frame
+        setMetadata((current) => mergeLatest(current, latest));
+      } catch (err) {
+        if (cancelled) {
+          return;
+        }
+        setError(err);
+        setStatus('error');
+      }
     }
 
-    if (candidate < computedMin) {
-      computedMin = candidate;
-    }
+    loadLatestRadar();
 
-    if (candidate > computedMax) {
-      computedMax = candidate;
-    }
-  }
+    return () => {
+      cancelled = true;
+    };
+  }, [product]);
 
-  const grid = {
-    rows,
-    cols,
-    bounds: { south, west, north, east },
-    latStep: latStepSize,
-    lonStep: lonStepSize,
-    latHalfStep,
-    lonHalfStep,
-    origin: metadata.origin,
-    encoding,
-    raw,
-    decodeRaw,
-    stats:
-      computedMin === Infinity || computedMax === -Infinity
-        ? null
-        : {
-            min: computedMin,
-            max: computedMax,
-          },
-    getValueAt(lat, lon) {
-      if (
-        !Number.isFinite(lat) ||
-        !Number.isFinite(lon) ||
-        latStepSize === 0 ||
-        lonStepSize === 0 ||
-        lat < south - latHalfStep ||
-        lat > north + latHalfStep ||
-        lon < west - lonHalfStep ||
-        lon > east + lonHalfStep
-      ) {
-        return null;
-      }
+  // New frames arrive over the /stream event source; while it is unavailable the latest metadata is
+  // polled instead. A changed timestamp replaces the metadata, which refetches the grid and re-versions
+  // the overlay URL.
+  useEffect(() => {
+    let cancelled = false;
+    let source = null;
+    let retryTimer = null;
+    let pollTimer = null;
+    let attempt = 0;
 
-      const rowFloat = (north - lat) / latStepSize;
-      const colFloat = (lon - west) / lonStepSize;
+    setConnection('connecting');
+    setPipeline({ state: 'ok', message: null });
 
-      if (rowFloat < -0.5 || rowFloat > rows - 0.5 || colFloat < -0.5 || colFloat > cols - 0.5) {
-        return null;
+    const applyLatest = (latest) => {
+      if (cancelled || !latest) {
+        return;
       }
+      setMetadata((current) => mergeLatest(current, latest));
+      setPipeline({ state: 'ok', message: null });
+    };
 
-      const rowIndex = Math.round(rowFloat);
-      const colIndex = Math.round(colFloat);
+    const poll = async () => {
+      try {
+        applyLatest(await fetchLatestRadar(product));
+      } catch {
+        // The next poll or a reconnected stream will catch up
+      }
+    };
 
-      if (rowIndex < 0 || rowIndex >= rows || colIndex < 0 || colIndex >= cols) {
-        return null;
+    const startPolling = () => {
+      setConnection('polling');
+      if (!pollTimer) {
+        pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+        poll();
       }
+    };
 
-      const index = rowIndex * cols + colIndex;
-      const rawValue = raw[index];
-      const value = decodeRaw(rawValue);
+    const stopPolling = () => {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    };
 
-      if (value === null || Number.isNaN(value)) {
-        return null;
+    const connect = () => {
+      if (cancelled) {
+        return;
       }
 
-      return value;
-    },
-  };
+      source = createRadarEventSource(product);
+      source.addEventListener('open', () => {
+        attempt = 0;
+        stopPolling();
+        setConnection('live');
+      });
+      source.addEventListener('frame.built', (event) => applyLatest(parseEventData(event)));
+      source.addEventListener('build.failed', (event) => {
+        setPipeline({ state: 'failed', message: parseEventData(event)?.message ?? null });
+      });
+      source.addEventListener('data.stale', (event) => {
+        setPipeline({ state: 'stale', message: parseEventData(event)?.message ?? null });
+      });
+      // Reconnect on our own schedule rather than EventSource's fixed retry, which also gives up for good
+      // on non-200 responses
+      source.addEventListener('error', () => {
+        source.close();
+        source = null;
+        startPolling();
+        const delay = Math.min(STREAM_RETRY_BASE_MS * 2 ** attempt, STREAM_RETRY_MAX_MS);
+        attempt += 1;
+        retryTimer = setTimeout(connect, delay);
+      });
+    };
 
-  return grid;
-}
+    if (typeof window !== 'undefined' && 'EventSource' in window) {
+      connect();
+    } else {
+      startPolling();
+    }
 
-function trimMetadata(latest) {
-  return {
-    timestamp: latest.timestamp,
-    bounds: latest.bounds,
-    rows: latest.rows,
-    cols: latest.cols,
-    latStep: latest.latStep,
-    lonStep: latest.lonStep,
-    origin: latest.origin,
-    minValue: latest.minValue,
-    maxValue: latest.maxValue,
-    imageUrl: latest.imageUrl,
-    gridUrl: latest.gridUrl,
-    gridDataUrl: latest.gridDataUrl,
-    dataEncoding: latest.dataEncoding,
-  };
-}
+    return () => {
+      cancelled = true;
+      source?.close();
+      clearTimeout(retryTimer);
+      stopPolling();
+    };
+  }, [product]);
 
-export function useRadarData() {
-  const [data, setData] = useState(null);
-  const [status, setStatus] = useState('idle');
-  const [error, setError] = useState(null);
+  // Only move the grid window when the viewport leaves it or the zoom (and so the resolution) changes.
+  useEffect(() => {
+    if (!metadata || !viewport) {
+      return;
+    }
+
+    setGridRequest((current) => {
+      if (current && current.zoom === viewport.zoom && containsViewport(current, viewport)) {
+        return current;
+      }
+      return buildGridRequest(viewport, metadata) ?? current;
+    });
+  }, [metadata, viewport]);
+
+  const hasViewport = Boolean(viewport);
 
   useEffect(() => {
-    let cancelled = false;
+    // Wait for the viewport-derived request rather than fetching the default grid only to replace it
+    if (!metadata || (hasViewport && !gridRequest)) {
+      return undefined;
+    }
 
-    async function loadLatestRadar() {
-      setStatus('loading');
-      setError(null);
+    let cancelled = false;
 
+    async function loadGrid() {
       try {
-        const latest = await fetchLatestRadar();
+        const params = gridRequest?.params ?? DEFAULT_GRID_RESOLUTION;
+        const gridMeta = await fetchRadarGridMetadata(metadata.gridUrl, params);
         if (cancelled) {
           return;
         }
 
-        let metadataSource = latest;
-        let gridDataUrl = latest.gridDataUrl;
-
-        if (!gridDataUrl && latest.gridUrl) {
-          const gridMeta = await fetchRadarGridMetadata(latest.gridUrl);
-          if (cancelled) {
-            return;
-          }
-
-          gridDataUrl = gridMeta.dataUrl;
-          metadataSource = {
-            ...metadataSource,
-            ...gridMeta,
-            dataEncoding: gridMeta.dataEncoding || metadataSource.dataEncoding,
-            gridDataUrl: gridMeta.dataUrl || metadataSource.gridDataUrl,
-          };
-        }
-
-        if (!gridDataUrl) {
+        if (!gridMeta.dataUrl) {
           throw new Error('Binary grid endpoint not found');
         }
 
-        const arrayBuffer = await fetchRadarGridBinary(gridDataUrl);
+        const arrayBuffer = await fetchRadarGridBinary(gridMeta.dataUrl);
         if (cancelled) {
           return;
         }
 
-        const metadata = trimMetadata(metadataSource);
-        const grid = buildGrid(metadata, arrayBuffer);
-
-        const metadataMin = Number(metadata.minValue);
-        const metadataMax = Number(metadata.maxValue);
-        const sanitisedMetadata = {
-          ...metadata,
-          minValue:
-            grid.stats?.min ??
-            (Number.isFinite(metadataMin) && metadataMin > NO_DATA_DBZ_THRESHOLD ? metadataMin : null),
-          maxValue:
-            grid.stats?.max ?? (Number.isFinite(metadataMax) ? metadataMax : null),
-        };
-
-        setData({ metadata: sanitisedMetadata, grid });
+        setGrid(buildGrid(gridMeta, arrayBuffer));
+        setError(null);
         setStatus('success');
       } catch (err) {
         if (cancelled) {
@@ -242,12 +289,19 @@ export function useRadarData() {
       }
     }
 
-    loadLatestRadar();
+    loadGrid();
 
     return () => {
       cancelled = true;
     };
-  }, []);
+  }, [metadata, gridRequest, hasViewport]);
+
+  // Metadata keeps its identity across grid refetches so the map does not refit on every pan
+  const sanitisedMetadata = useMemo(() => (metadata ? sanitiseMetadata(metadata) : null), [metadata]);
+  const data = useMemo(
+    () => (sanitisedMetadata ? { metadata: sanitisedMetadata, grid } : null),
+    [sanitisedMetadata, grid]
+  );
 
-  return { data, status, error };
+  return { data, status, error, connection, pipeline };
 }
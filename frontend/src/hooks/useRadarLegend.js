@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react';
+
+import { fetchRadarLegend } from '../services/api.js';
+
+// The legend is resolved server-side so it always matches the colours the tiles are rendered with.
+export function useRadarLegend(product, { palette = null, mode = null } = {}) {
+  const [legend, setLegend] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadLegend() {
+      setStatus('loading');
+      setError(null);
+
+      try {
+        const data = await fetchRadarLegend(product, { palette, mode });
+        if (cancelled) {
+          return;
+        }
+
+        setLegend(data);
+        setStatus('success');
+      } catch (err) {
+        if (cancelled) {
+          return;
+        }
+        setError(err);
+        setStatus('error');
+      }
+    }
+
+    loadLegend();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [product, palette, mode]);
+
+  return { legend, status, error };
+}
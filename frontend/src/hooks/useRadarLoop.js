@@ -0,0 +1,191 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+import {
+  fetchRadarFrameMetadata,
+  fetchRadarFrames,
+  fetchRadarGridBinary,
+  fetchRadarGridMetadata,
+  resolveApiUrl,
+} from '../services/api.js';
+import { buildGrid } from '../utils/radarGrid.js';
+
+const FRAME_LIST_REFRESH_INTERVAL = 60_000;
+const BASE_FRAME_DURATION_MS = 500;
+const LAST_FRAME_DWELL_MULTIPLIER = 3; // Hold the newest frame a little longer so the loop reads as "now"
+// Loop grids only back hover values, so a decimated mosaic keeps preloading every frame affordable
+const LOOP_GRID_RESOLUTION = { maxRows: 512, maxCols: 1024 };
+
+export const LOOP_SPEEDS = [0.5, 1, 2, 4];
+export const LOOP_LENGTHS = [6, 12, 24];
+
+async function loadFrame(summary) {
+  const [metadata, gridMetadata] = await Promise.all([
+    fetchRadarFrameMetadata(summary.metadataUrl),
+    fetchRadarGridMetadata(summary.gridUrl, LOOP_GRID_RESOLUTION),
+  ]);
+  const binary = await fetchRadarGridBinary(gridMetadata.dataUrl);
+
+  return {
+    id: summary.id,
+    timestamp: summary.timestamp,
+    // Every loop frame keeps its tile layer mounted (hidden), so Leaflet preloads the visible tiles
+    tileUrl: resolveApiUrl(summary.tileUrlTemplate),
+    metadata,
+    grid: buildGrid(gridMetadata, binary),
+  };
+}
+
+export function useRadarLoop(product) {
+  const [enabled, setEnabled] = useState(false);
+  const [loopLength, setLoopLength] = useState(LOOP_LENGTHS[0]);
+  const [speed, setSpeed] = useState(1);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [frames, setFrames] = useState([]);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const frameCacheRef = useRef(new Map());
+
+  useEffect(() => {
+    const frameCache = frameCacheRef.current;
+
+    if (!enabled) {
+      frameCache.clear();
+      setFrames([]);
+      setCurrentIndex(0);
+      setStatus('idle');
+      setError(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    async function loadFrames() {
+      setStatus((prev) => (prev === 'success' ? 'refreshing' : 'loading'));
+      setError(null);
+
+      try {
+        const { frames: summaries = [] } = await fetchRadarFrames(product, { limit: loopLength });
+
+        const results = await Promise.allSettled(
+          summaries.map((summary) => {
+            // Keyed by URL rather than frame id since timestamps repeat across products
+            if (!frameCache.has(summary.metadataUrl)) {
+              frameCache.set(summary.metadataUrl, loadFrame(summary));
+            }
+            return frameCache.get(summary.metadataUrl);
+          })
+        );
+
+        if (cancelled) {
+          return;
+        }
+
+        // Drop frames that fell out of the loop (or failed) so their grids can be released
+        const loaded = [];
+        const activeUrls = new Set();
+        results.forEach((result, index) => {
+          if (result.status === 'fulfilled') {
+            loaded.push(result.value);
+            activeUrls.add(summaries[index].metadataUrl);
+          }
+        });
+
+        for (const metadataUrl of frameCache.keys()) {
+          if (!activeUrls.has(metadataUrl)) {
+            frameCache.delete(metadataUrl);
+          }
+        }
+
+        if (loaded.length === 0 && summaries.length > 0) {
+          throw results.find((result) => result.status === 'rejected').reason;
+        }
+
+        setFrames(loaded);
+        setCurrentIndex((prev) => Math.min(prev, Math.max(loaded.length - 1, 0)));
+        setStatus('success');
+      } catch (err) {
+        if (cancelled) {
+          return;
+        }
+        setError(err);
+        setStatus('error');
+      }
+    }
+
+    loadFrames();
+    const interval = setInterval(loadFrames, FRAME_LIST_REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [enabled, loopLength, product]);
+
+  useEffect(() => {
+    if (!enabled || !isPlaying || frames.length < 2) {
+      return undefined;
+    }
+
+    const isLastFrame = currentIndex >= frames.length - 1;
+    const delay = (BASE_FRAME_DURATION_MS / speed) * (isLastFrame ? LAST_FRAME_DWELL_MULTIPLIER : 1);
+
+    const timer = setTimeout(() => {
+      setCurrentIndex((prev) => (prev + 1) % frames.length);
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [enabled, isPlaying, frames.length, currentIndex, speed]);
+
+  const toggleEnabled = useCallback(() => {
+    const next = !enabled;
+    setEnabled(next);
+    setIsPlaying(next);
+  }, [enabled]);
+
+  const togglePlaying = useCallback(() => {
+    setIsPlaying((prev) => !prev);
+  }, []);
+
+  const step = useCallback(
+    (delta) => {
+      if (frames.length === 0) {
+        return;
+      }
+
+      setIsPlaying(false);
+      setCurrentIndex((prev) => (prev + delta + frames.length) % frames.length);
+    },
+    [frames.length]
+  );
+
+  const seek = useCallback(
+    (index) => {
+      if (frames.length === 0) {
+        return;
+      }
+
+      setIsPlaying(false);
+      setCurrentIndex(Math.min(Math.max(index, 0), frames.length - 1));
+    },
+    [frames.length]
+  );
+
+  return {
+    enabled,
+    status,
+    error,
+    frames,
+    currentIndex,
+    currentFrame: frames[currentIndex] ?? null,
+    isPlaying,
+    speed,
+    loopLength,
+    toggleEnabled,
+    togglePlaying,
+    step,
+    seek,
+    setSpeed,
+    setLoopLength,
+  };
+}
@@ -0,0 +1,96 @@
+import { useEffect, useMemo, useState } from 'react';
+
+import { fetchRadarGridBinary, fetchRadarGridMetadata, fetchRadarNowcast } from '../services/api.js';
+import { buildGrid } from '../utils/radarGrid.js';
+
+const NOWCAST_REFRESH_INTERVAL = 60_000;
+// Forecast grids only back hover values, so the same decimated mosaic as the loop is enough
+const NOWCAST_GRID_RESOLUTION = { maxRows: 512, maxCols: 1024 };
+
+// `minutes` is the selected forecast offset; 0 keeps the observed mosaic on screen.
+export function useRadarNowcast(product) {
+  const [nowcast, setNowcast] = useState(null);
+  const [minutes, setMinutes] = useState(0);
+  const [grid, setGrid] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadNowcast() {
+      setStatus((prev) => (prev === 'success' ? 'refreshing' : 'loading'));
+      setError(null);
+
+      try {
+        const data = await fetchRadarNowcast(product);
+        if (cancelled) {
+          return;
+        }
+        setNowcast(data);
+        setStatus('success');
+      } catch (err) {
+        if (cancelled) {
+          return;
+        }
+        setNowcast(null);
+        setError(err);
+        setStatus('error');
+      }
+    }
+
+    setMinutes(0);
+    setNowcast(null);
+    loadNowcast();
+    const interval = setInterval(loadNowcast, NOWCAST_REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [product]);
+
+  const currentLead = useMemo(
+    () => (minutes > 0 ? nowcast?.leads.find((lead) => lead.minutes === minutes) ?? null : null),
+    [nowcast, minutes]
+  );
+
+  useEffect(() => {
+    setGrid(null);
+    if (!currentLead) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    async function loadGrid() {
+      try {
+        const gridMetadata = await fetchRadarGridMetadata(currentLead.gridUrl, NOWCAST_GRID_RESOLUTION);
+        const binary = await fetchRadarGridBinary(gridMetadata.dataUrl);
+        if (!cancelled) {
+          setGrid(buildGrid(gridMetadata, binary));
+        }
+      } catch {
+        // Hover values are optional; the forecast overlay still renders without them
+      }
+    }
+
+    loadGrid();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentLead]);
+
+  return {
+    leads: nowcast?.leads ?? [],
+    baseTimestamp: nowcast?.baseTimestamp ?? null,
+    motion: nowcast?.motion ?? null,
+    minutes,
+    setMinutes,
+    currentLead,
+    grid,
+    status,
+    error,
+  };
+}
@@ -0,0 +1,44 @@
+import { useEffect, useState } from 'react';
+
+import { fetchRadarPalettes } from '../services/api.js';
+
+export function useRadarPalettes() {
+  const [palettes, setPalettes] = useState([]);
+  const [defaultPalette, setDefaultPalette] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadPalettes() {
+      setStatus('loading');
+      setError(null);
+
+      try {
+        const data = await fetchRadarPalettes();
+        if (cancelled) {
+          return;
+        }
+
+        setPalettes(Array.isArray(data?.palettes) ? data.palettes : []);
+        setDefaultPalette(data?.defaultPalette ?? null);
+        setStatus('success');
+      } catch (err) {
+        if (cancelled) {
+          return;
+        }
+        setError(err);
+        setStatus('error');
+      }
+    }
+
+    loadPalettes();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { palettes, defaultPalette, status, error };
+}
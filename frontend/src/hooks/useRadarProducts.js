@@ -0,0 +1,42 @@
+import { useEffect, useState } from 'react';
+
+import { fetchRadarProducts } from '../services/api.js';
+
+export function useRadarProducts() {
+  const [products, setProducts] = useState([]);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadProducts() {
+      setStatus('loading');
+      setError(null);
+
+      try {
+        const data = await fetchRadarProducts();
+        if (cancelled) {
+          return;
+        }
+
+        setProducts(Array.isArray(data?.products) ? data.products : []);
+        setStatus('success');
+      } catch (err) {
+        if (cancelled) {
+          return;
+        }
+        setError(err);
+        setStatus('error');
+      }
+    }
+
+    loadProducts();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { products, status, error };
+}
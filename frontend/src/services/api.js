@@ -7,14 +7,39 @@ const client = axios.create({
   timeout: 60000,
 });
 
-export async function fetchLatestRadar() {
-  const { data } = await client.get('/radar/latest');
+function radarPath(product, suffix) {
+  return product ? `/radar/${encodeURIComponent(product)}${suffix}` : `/radar${suffix}`;
+}
+
+export async function fetchRadarProducts() {
+  const { data } = await client.get('/radar/products');
   return data;
 }
 
-export async function fetchRadarGridMetadata(gridUrl) {
+export async function fetchRadarPalettes() {
+  const { data } = await client.get('/radar/palettes');
+  return data;
+}
+
+export async function fetchRadarLegend(product, params = {}) {
+  const query = sanitiseParams(params);
+  const { data } = await client.get(radarPath(product, '/legend'), { params: query });
+  return data;
+}
+
+export async function fetchLatestRadar(product) {
+  const { data } = await client.get(radarPath(product, '/latest'));
+  return data;
+}
+
+// EventSource for /stream; the caller owns the connection and must close it.
+export function createRadarEventSource(product) {
+  return new EventSource(resolveApiUrl(radarPath(product, '/stream')));
+}
+
+export async function fetchRadarGridMetadata(gridUrl, params = {}) {
   const path = sanitisePath(gridUrl ?? '/radar/grid.json');
-  const { data } = await client.get(path);
+  const { data } = await client.get(path, { params: sanitiseParams(params) });
   return data;
 }
 
@@ -24,6 +49,62 @@ export async function fetchRadarGridBinary(gridDataUrl) {
   return data;
 }
 
+// `url` is a tile URL from vectorTileUrlTemplate; resolves to the raw protobuf bytes.
+export async function fetchRadarVectorTile(url, { signal } = {}) {
+  const { data } = await client.get(sanitisePath(url), { responseType: 'arraybuffer', signal });
+  return data;
+}
+
+export async function fetchRadarNowcast(product) {
+  const { data } = await client.get(radarPath(product, '/nowcast'));
+  return data;
+}
+
+export async function fetchRadarFrames(product, params = {}) {
+  const query = sanitiseParams(params);
+  const { data } = await client.get(radarPath(product, '/frames'), { params: query });
+  return data;
+}
+
+export async function fetchRadarFrameMetadata(metadataUrl) {
+  const { data } = await client.get(sanitisePath(metadataUrl));
+  return data;
+}
+
+export async function fetchCases() {
+  const { data } = await client.get('/cases');
+  return data;
+}
+
+export async function fetchCaseFrames(caseId) {
+  const { data } = await client.get(`/cases/${encodeURIComponent(caseId)}/frames`);
+  return data;
+}
+
+export async function fetchRadarCells(product, params = {}) {
+  const query = sanitiseParams(params);
+  const { data } = await client.get(radarPath(product, '/cells'), { params: query });
+  return data;
+}
+
+export async function fetchRadarContours(product, params = {}) {
+  const query = sanitiseParams(params);
+  const { data } = await client.get(radarPath(product, '/contours.geojson'), { params: query });
+  return data;
+}
+
+export async function fetchPointHistory(product, params = {}) {
+  const query = sanitiseParams(params);
+  const { data } = await client.get(radarPath(product, '/point/history'), { params: query });
+  return data;
+}
+
+export async function fetchAlertEvents(params = {}) {
+  const query = sanitiseParams(params);
+  const { data } = await client.get('/alerts/events', { params: query });
+  return data;
+}
+
 export async function fetchRequestMetrics(params = {}) {
   const query = sanitiseParams(params);
   const { data } = await client.get('/admin/metrics', { params: query });
@@ -0,0 +1,191 @@
+// Minimal Mapbox Vector Tile decoder for the backend's /vt tiles: reads layers, feature tags and
+// polygon geometry. Other geometry types and value kinds are skipped or returned as-is.
+
+const WIRE_TYPE = { varint: 0, fixed64: 1, bytes: 2, fixed32: 5 };
+const COMMAND = { moveTo: 1, lineTo: 2, closePath: 7 };
+
+function createReader(bytes, start = 0, end = bytes.length) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let position = start;
+
+  const reader = {
+    get done() {
+      return position >= end;
+    },
+    varint() {
+      let result = 0;
+      let multiplier = 1;
+      let byte;
+      do {
+        byte = bytes[position];
+        position += 1;
+        result += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+      } while (byte & 0x80);
+      return result;
+    },
+    key() {
+      const key = reader.varint();
+      return { field: Math.floor(key / 8), wireType: key % 8 };
+    },
+    bytes() {
+      const length = reader.varint();
+      const subStart = position;
+      position += length;
+      return { start: subStart, end: position };
+    },
+    double() {
+      const value = view.getFloat64(position, true);
+      position += 8;
+      return value;
+    },
+    float() {
+      const value = view.getFloat32(position, true);
+      position += 4;
+      return value;
+    },
+    skip(wireType) {
+      if (wireType === WIRE_TYPE.varint) reader.varint();
+      else if (wireType === WIRE_TYPE.fixed64) position += 8;
+      else if (wireType === WIRE_TYPE.bytes) reader.bytes();
+      else if (wireType === WIRE_TYPE.fixed32) position += 4;
+      else throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    },
+    sub({ start: subStart, end: subEnd }) {
+      return createReader(bytes, subStart, subEnd);
+    },
+  };
+
+  return reader;
+}
+
+const textDecoder = new TextDecoder();
+
+function readString(bytes, { start, end }) {
+  return textDecoder.decode(bytes.subarray(start, end));
+}
+
+function readPackedVarints(reader) {
+  const range = reader.bytes();
+  const packed = reader.sub(range);
+  const values = [];
+  while (!packed.done) {
+    values.push(packed.varint());
+  }
+  return values;
+}
+
+function readValue(bytes, reader) {
+  let value = null;
+  while (!reader.done) {
+    const { field, wireType } = reader.key();
+    if (field === 1) value = readString(bytes, reader.bytes());
+    else if (field === 2) value = reader.float();
+    else if (field === 3) value = reader.double();
+    else if (field === 4 || field === 5) value = reader.varint();
+    else if (field === 6) {
+      const raw = reader.varint();
+      value = raw % 2 === 0 ? raw / 2 : -(raw + 1) / 2;
+    } else if (field === 7) value = Boolean(reader.varint());
+    else reader.skip(wireType);
+  }
+  return value;
+}
+
+const unZigZag = (value) => (value % 2 === 0 ? value / 2 : -(value + 1) / 2);
+
+// Rings in tile coordinates (0–extent, y down); each ring is an open array of [x, y].
+function decodeGeometry(commands) {
+  const rings = [];
+  let ring = null;
+  let x = 0;
+  let y = 0;
+  let index = 0;
+
+  while (index < commands.length) {
+    const command = commands[index] & 0x7;
+    const count = commands[index] >> 3;
+    index += 1;
+
+    if (command === COMMAND.closePath) {
+      if (ring) rings.push(ring);
+      ring = null;
+      continue;
+    }
+
+    for (let step = 0; step < count; step += 1) {
+      x += unZigZag(commands[index]);
+      y += unZigZag(commands[index + 1]);
+      index += 2;
+      if (command === COMMAND.moveTo) {
+        if (ring) rings.push(ring);
+        ring = [];
+      }
+      ring?.push([x, y]);
+    }
+  }
+
+  if (ring) rings.push(ring);
+  return rings;
+}
+
+function readFeature(reader, keys, values) {
+  const feature = { id: null, type: 0, properties: {}, rings: [] };
+  let tags = [];
+  let commands = [];
+
+  while (!reader.done) {
+    const { field, wireType } = reader.key();
+    if (field === 1) feature.id = reader.varint();
+    else if (field === 2) tags = readPackedVarints(reader);
+    else if (field === 3) feature.type = reader.varint();
+    else if (field === 4) commands = readPackedVarints(reader);
+    else reader.skip(wireType);
+  }
+
+  for (let index = 0; index + 1 < tags.length; index += 2) {
+    feature.properties[keys[tags[index]]] = values[tags[index + 1]];
+  }
+  feature.rings = decodeGeometry(commands);
+  return feature;
+}
+
+function readLayer(bytes, reader) {
+  const layer = { name: '', extent: 4096, features: [] };
+  const keys = [];
+  const values = [];
+  const featureRanges = [];
+
+  while (!reader.done) {
+    const { field, wireType } = reader.key();
+    if (field === 1) layer.name = readString(bytes, reader.bytes());
+    else if (field === 2) featureRanges.push(reader.bytes());
+    else if (field === 3) keys.push(readString(bytes, reader.bytes()));
+    else if (field === 4) values.push(readValue(bytes, reader.sub(reader.bytes())));
+    else if (field === 5) layer.extent = reader.varint();
+    else reader.skip(wireType);
+  }
+
+  // Features reference keys and values by index, which may follow them in the message
+  layer.features = featureRanges.map((range) => readFeature(reader.sub(range), keys, values));
+  return layer;
+}
+
+// Returns layers keyed by name: { extent, features: [{ id, type, properties, rings }] }.
+export function decodeVectorTile(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const reader = createReader(bytes);
+  const layers = {};
+
+  while (!reader.done) {
+    const { field, wireType } = reader.key();
+    if (field === 3) {
+      const layer = readLayer(bytes, reader.sub(reader.bytes()));
+      layers[layer.name] = layer;
+    } else {
+      reader.skip(wireType);
+    }
+  }
+
+  return layers;
+}